@@ -0,0 +1,39 @@
+-- Patch: Add multi-model comparison runs
+-- One prompt (or rendered template) sent to several provider/model pairs in
+-- parallel. Each run keeps per-model output, tokens, cost, latency and the
+-- optional similarity score against a reference, so it can be reopened and
+-- diffed later.
+
+-- Create ai_comparison_run table
+CREATE TABLE IF NOT EXISTS ai_comparison_run (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  template_id UUID REFERENCES entity(id) ON DELETE SET NULL, -- template version the prompt was rendered from
+  template_version INTEGER,
+  variables JSONB, -- template variables
+
+  prompt TEXT NOT NULL, -- prompt as sent
+  system_prompt TEXT,
+  reference TEXT, -- reference output for similarity scores
+  temperature DECIMAL(3, 2) NOT NULL,
+  max_tokens INTEGER NOT NULL,
+
+  status VARCHAR(50) NOT NULL, -- completed, partial (some models failed), failed
+  model_count INTEGER NOT NULL,
+  succeeded_count INTEGER NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd DECIMAL(10, 6) NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]', -- per model: provider, model, status, output, tokens, cost, latency_ms, similarity, error
+  scoring_error TEXT, -- set when similarity scoring was unavailable
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  duration_ms INTEGER
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_ai_comparison_run_user ON ai_comparison_run(tenant_id, user_id, created_at DESC);
+
+-- Add comments
+COMMENT ON TABLE ai_comparison_run IS 'Prompt Lab runs comparing one prompt across several models';
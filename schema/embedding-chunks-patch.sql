@@ -0,0 +1,40 @@
+-- Patch: Add chunk-level embeddings
+-- Long content is split into overlapping, structure-aware chunks (see
+-- services/embeddings/chunking.js) and every chunk is embedded separately, so
+-- passages beyond what the embedding model reads stay searchable. Chunk text
+-- is not stored: start_offset/end_offset point into the entity's content.
+
+-- Create embedding_chunk table
+CREATE TABLE IF NOT EXISTS embedding_chunk (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  entity_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  model VARCHAR(255) NOT NULL,
+  provider VARCHAR(50),
+  dimensions INTEGER NOT NULL,
+  content_hash VARCHAR(64) NOT NULL, -- of the entity's embedded text, as in `embedding`
+  chunk_index INTEGER NOT NULL,
+  start_offset INTEGER NOT NULL, -- character offsets into the content
+  end_offset INTEGER NOT NULL,
+  heading TEXT, -- markdown heading path, e.g. 'Setup › Install'
+  vector vector NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(entity_id, model, chunk_index)
+);
+
+-- Entities embedded before this patch have no chunks yet; a re-index to the
+-- active model (POST /api/embeddings/reindex) backfills them
+ALTER TABLE embedding ADD COLUMN IF NOT EXISTS chunk_count INTEGER; -- NULL until chunked
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_embedding_chunk_tenant_model ON embedding_chunk(tenant_id, model);
+CREATE INDEX IF NOT EXISTS idx_embedding_chunk_vector_384 ON embedding_chunk
+  USING hnsw ((vector::vector(384)) vector_cosine_ops) WHERE dimensions = 384;
+CREATE INDEX IF NOT EXISTS idx_embedding_chunk_vector_768 ON embedding_chunk
+  USING hnsw ((vector::vector(768)) vector_cosine_ops) WHERE dimensions = 768;
+CREATE INDEX IF NOT EXISTS idx_embedding_chunk_vector_1536 ON embedding_chunk
+  USING hnsw ((vector::vector(1536)) vector_cosine_ops) WHERE dimensions = 1536;
+
+-- Add comments
+COMMENT ON TABLE embedding_chunk IS 'Vectors of content chunks, for passage retrieval';
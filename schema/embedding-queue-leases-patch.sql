@@ -0,0 +1,55 @@
+-- Patch: Leases and dead-lettering for the embedding queue
+-- Any number of embedding workers (API instances or standalone processes)
+-- can share the queue. A worker claims jobs with FOR UPDATE SKIP LOCKED and
+-- holds each for a lease it renews while working; a job whose lease expires
+-- (worker crashed or stalled) goes back to the queue. Failed jobs are retried
+-- with backoff (`available_at`) and end in `dead_letter` with their last error
+-- once retries are exhausted. Requires embedding-queue-patch.sql.
+
+-- Lease and retry columns
+ALTER TABLE embedding_queue ADD COLUMN IF NOT EXISTS available_at TIMESTAMPTZ NOT NULL DEFAULT NOW(); -- not claimed before (retry backoff)
+ALTER TABLE embedding_queue ADD COLUMN IF NOT EXISTS lease_owner VARCHAR(255); -- embedding_worker.id holding the job
+ALTER TABLE embedding_queue ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+ALTER TABLE embedding_queue ADD COLUMN IF NOT EXISTS processed_by VARCHAR(255); -- worker that last ran the job
+ALTER TABLE embedding_queue ADD COLUMN IF NOT EXISTS duration_ms INTEGER; -- of the last run
+
+-- `failed` becomes `dead_letter`
+UPDATE embedding_queue SET status = 'dead_letter' WHERE status = 'failed';
+
+-- Jobs left `processing` by workers without leases go back to the queue,
+-- unless the same version is already waiting
+DELETE FROM embedding_queue q
+WHERE q.status = 'processing' AND q.lease_expires_at IS NULL
+  AND EXISTS (
+    SELECT 1 FROM embedding_queue p
+    WHERE p.resource_id = q.resource_id AND p.status = 'pending'
+  );
+UPDATE embedding_queue SET status = 'pending', started_at = NULL
+WHERE status = 'processing' AND lease_expires_at IS NULL;
+
+-- One waiting or running job per entity version
+DROP INDEX IF EXISTS idx_embedding_queue_pending;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_queue_active ON embedding_queue(resource_id)
+  WHERE status IN ('pending', 'processing');
+
+CREATE INDEX IF NOT EXISTS idx_embedding_queue_leases ON embedding_queue(lease_expires_at)
+  WHERE status = 'processing';
+CREATE INDEX IF NOT EXISTS idx_embedding_queue_processed ON embedding_queue(completed_at, processed_by)
+  WHERE completed_at IS NOT NULL;
+
+-- Create embedding_worker table
+CREATE TABLE IF NOT EXISTS embedding_worker (
+  id VARCHAR(255) PRIMARY KEY, -- EMBEDDING_WORKER_ID, default hostname:pid
+  hostname VARCHAR(255),
+  pid INTEGER,
+  concurrency INTEGER,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  stopped_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_embedding_worker_heartbeat ON embedding_worker(last_heartbeat_at DESC);
+
+-- Add comments
+COMMENT ON TABLE embedding_worker IS 'Embedding workers sharing embedding_queue, with their last heartbeat';
+COMMENT ON COLUMN embedding_queue.status IS 'pending, processing, completed, skipped, dead_letter';
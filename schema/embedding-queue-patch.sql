@@ -0,0 +1,29 @@
+-- Patch: Add the embedding queue
+-- createEntity/updateEntity queue every new template, context and workflow
+-- version here; the embedding worker embeds it into `embedding` with the
+-- tenant's embedding model (see embedding-registry-patch.sql).
+
+-- Create embedding_queue table
+CREATE TABLE IF NOT EXISTS embedding_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  resource_type VARCHAR(50) NOT NULL, -- entity_type: template, context, workflow
+  resource_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE, -- entity version to embed
+  priority INTEGER NOT NULL DEFAULT 5, -- lower runs first
+  status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, processing, completed, skipped, failed
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+-- Create indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_queue_pending ON embedding_queue(resource_id)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_embedding_queue_next ON embedding_queue(priority, created_at)
+  WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_embedding_queue_tenant ON embedding_queue(tenant_id, status);
+
+-- Add comments
+COMMENT ON TABLE embedding_queue IS 'Entity versions waiting to be embedded by the embedding worker';
@@ -0,0 +1,127 @@
+-- Patch: Add the embedding model registry
+-- Every vector in `embedding` records the provider, model and dimensions it
+-- was made with, so vectors of several models (e.g. 384-dim local MiniLM and
+-- 1536-dim OpenAI) live side by side. Each tenant searches with one active
+-- model; a re-index job embeds the tenant's entities with another model and
+-- switches the tenant over only once every entity has a vector.
+
+-- Create embedding_model table
+CREATE TABLE IF NOT EXISTS embedding_model (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider VARCHAR(50) NOT NULL, -- local (Transformers.js), openai, huggingface
+  model_id VARCHAR(255) NOT NULL,
+  dimensions INTEGER NOT NULL CHECK (dimensions > 0 AND dimensions <= 16000),
+  display_name VARCHAR(255),
+  status VARCHAR(50) NOT NULL DEFAULT 'active', -- active, deprecated, disabled
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(provider, model_id)
+);
+
+-- Seed the registry
+INSERT INTO embedding_model (provider, model_id, dimensions, display_name)
+VALUES
+  ('local', 'Xenova/all-MiniLM-L6-v2', 384, 'all-MiniLM-L6-v2 (local)'),
+  ('local', 'Xenova/paraphrase-multilingual-MiniLM-L12-v2', 384, 'Multilingual MiniLM L12 (local)'),
+  ('local', 'Xenova/all-mpnet-base-v2', 768, 'all-mpnet-base-v2 (local)'),
+  ('openai', 'text-embedding-3-small', 1536, 'OpenAI text-embedding-3-small'),
+  ('openai', 'text-embedding-ada-002', 1536, 'OpenAI text-embedding-ada-002'),
+  ('huggingface', 'sentence-transformers/all-MiniLM-L6-v2', 384, 'all-MiniLM-L6-v2 (Hugging Face)')
+ON CONFLICT (provider, model_id) DO NOTHING;
+
+-- Record provider and dimensions with every vector
+ALTER TABLE embedding ADD COLUMN IF NOT EXISTS provider VARCHAR(50);
+ALTER TABLE embedding ADD COLUMN IF NOT EXISTS dimensions INTEGER;
+
+UPDATE embedding SET dimensions = vector_dims(vector) WHERE dimensions IS NULL;
+
+UPDATE embedding emb
+SET provider = m.provider
+FROM embedding_model m
+WHERE emb.provider IS NULL AND m.model_id = emb.model;
+
+-- Allow any dimension; similarity queries cast to the model's dimension
+DROP INDEX IF EXISTS idx_embedding_vector;
+ALTER TABLE embedding ALTER COLUMN vector TYPE vector;
+
+-- One ANN index per dimension in use (add one when registering a new size)
+CREATE INDEX IF NOT EXISTS idx_embedding_vector_384 ON embedding
+  USING hnsw ((vector::vector(384)) vector_cosine_ops) WHERE dimensions = 384;
+CREATE INDEX IF NOT EXISTS idx_embedding_vector_768 ON embedding
+  USING hnsw ((vector::vector(768)) vector_cosine_ops) WHERE dimensions = 768;
+CREATE INDEX IF NOT EXISTS idx_embedding_vector_1536 ON embedding
+  USING hnsw ((vector::vector(1536)) vector_cosine_ops) WHERE dimensions = 1536;
+CREATE INDEX IF NOT EXISTS idx_embedding_tenant_model ON embedding(tenant_id, model);
+
+-- Create tenant_embedding_config table
+CREATE TABLE IF NOT EXISTS tenant_embedding_config (
+  tenant_id UUID PRIMARY KEY REFERENCES tenant(id) ON DELETE CASCADE,
+  model_ref UUID NOT NULL REFERENCES embedding_model(id), -- model searches use
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create embedding_reindex_job table
+CREATE TABLE IF NOT EXISTS embedding_reindex_job (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  from_model_ref UUID REFERENCES embedding_model(id), -- active model when the job was created
+  to_model_ref UUID NOT NULL REFERENCES embedding_model(id),
+  status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, running, completed, failed, cancelled
+  pass INTEGER NOT NULL DEFAULT 1, -- later passes catch up on entities missed by the previous one
+  last_entity_id UUID, -- cursor within the pass
+  total_entities INTEGER,
+  processed_entities INTEGER NOT NULL DEFAULT 0,
+  failed_entities INTEGER NOT NULL DEFAULT 0, -- in the current pass
+  error_message TEXT,
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+-- Create indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_embedding_reindex_active ON embedding_reindex_job(tenant_id)
+  WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_embedding_reindex_tenant ON embedding_reindex_job(tenant_id, created_at DESC);
+
+-- Similarity search within one embedding model
+DROP FUNCTION IF EXISTS search_similar_entities(UUID, vector, VARCHAR, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_similar_entities(
+  p_tenant_id UUID,
+  p_query_vector vector,
+  p_model VARCHAR,
+  p_entity_type VARCHAR DEFAULT NULL,
+  p_limit INTEGER DEFAULT 10
+)
+RETURNS TABLE (
+  entity_id UUID,
+  title VARCHAR,
+  similarity FLOAT
+) AS $$
+BEGIN
+  RETURN QUERY
+  SELECT
+    e.id,
+    e.title,
+    1 - (emb.vector <=> p_query_vector) as similarity
+  FROM embedding emb
+  JOIN entity e ON emb.entity_id = e.id
+  WHERE
+    e.tenant_id = p_tenant_id
+    AND e.valid_to IS NULL
+    AND e.deleted_at IS NULL
+    AND (p_entity_type IS NULL OR e.entity_type = p_entity_type)
+    AND emb.status = 'completed'
+    AND emb.model = p_model
+    AND emb.dimensions = vector_dims(p_query_vector)
+  ORDER BY emb.vector <=> p_query_vector
+  LIMIT p_limit;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Add comments
+COMMENT ON TABLE embedding_model IS 'Embedding models vectors can be made with, and their dimensions';
+COMMENT ON TABLE tenant_embedding_config IS 'Embedding model each tenant searches with (default: EMBEDDING_MODEL)';
+COMMENT ON TABLE embedding_reindex_job IS 'Jobs moving a tenant''s vectors to another embedding model';
@@ -273,9 +273,12 @@ CREATE TABLE embedding (
   -- Embedding metadata
   model VARCHAR(100) NOT NULL, -- 'text-embedding-ada-002', 'all-MiniLM-L6-v2', etc.
   content_hash VARCHAR(64) NOT NULL, -- SHA256 of embedded content
+  provider VARCHAR(50), -- embedding_model provider: local, openai, huggingface
+  dimensions INTEGER, -- vector_dims(vector)
+  chunk_count INTEGER, -- rows in embedding_chunk for this entity and model; NULL until chunked
 
-  -- Vector data (1536 dimensions for OpenAI ada-002)
-  vector vector(1536) NOT NULL,
+  -- Vector data (any dimension; see embedding_model)
+  vector vector NOT NULL,
 
   -- Status tracking
   status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, completed, failed
@@ -291,7 +294,14 @@ CREATE TABLE embedding (
 CREATE INDEX idx_embedding_entity ON embedding(entity_id);
 CREATE INDEX idx_embedding_tenant ON embedding(tenant_id);
 CREATE INDEX idx_embedding_status ON embedding(status);
-CREATE INDEX idx_embedding_vector ON embedding USING ivfflat (vector vector_cosine_ops) WITH (lists = 100);
+CREATE INDEX idx_embedding_tenant_model ON embedding(tenant_id, model);
+-- One ANN index per dimension in use
+CREATE INDEX idx_embedding_vector_384 ON embedding
+  USING hnsw ((vector::vector(384)) vector_cosine_ops) WHERE dimensions = 384;
+CREATE INDEX idx_embedding_vector_768 ON embedding
+  USING hnsw ((vector::vector(768)) vector_cosine_ops) WHERE dimensions = 768;
+CREATE INDEX idx_embedding_vector_1536 ON embedding
+  USING hnsw ((vector::vector(1536)) vector_cosine_ops) WHERE dimensions = 1536;
 
 -- ============================================================================
 -- USER INTERACTIONS
@@ -383,6 +393,466 @@ CREATE TABLE conversation_messages (
 CREATE INDEX idx_conversation_messages_session ON conversation_messages(session_id);
 CREATE INDEX idx_conversation_messages_timestamp ON conversation_messages(timestamp);
 
+-- ============================================================================
+-- WORKFLOW RUNS
+-- ============================================================================
+
+-- Workflow runs (queued for the background workflow runner)
+CREATE TABLE workflow_run (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  workflow_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  workflow_version INTEGER,
+  user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed, cancelled, interrupted
+
+  -- Snapshot of the workflow at queue time plus live execution state
+  input JSONB DEFAULT '{}',
+  config JSONB NOT NULL DEFAULT '{}',
+  context JSONB DEFAULT '{}',
+  checkpoint JSONB DEFAULT '{}', -- { pending, visits, arrivals } from the graph scheduler
+  final_output JSONB,
+  error_message TEXT,
+  failed_step_id VARCHAR(255),
+  attempt INTEGER NOT NULL DEFAULT 1,
+  trigger_source VARCHAR(50) NOT NULL DEFAULT 'manual', -- manual, schedule, webhook
+  trigger_id UUID, -- workflow_trigger.id
+
+  -- Runner lease
+  locked_by VARCHAR(255),
+  heartbeat_at TIMESTAMPTZ,
+  cancel_requested_at TIMESTAMPTZ,
+
+  queued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  duration_ms INTEGER
+);
+
+-- Per-step results of a run, checkpointed as each step finishes
+CREATE TABLE workflow_run_step (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id UUID NOT NULL REFERENCES workflow_run(id) ON DELETE CASCADE,
+  step_id VARCHAR(255) NOT NULL,
+  step_type VARCHAR(50),
+  iteration INTEGER NOT NULL DEFAULT 1,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(50) NOT NULL DEFAULT 'running', -- running, completed, failed, skipped
+  output JSONB,
+  metadata JSONB DEFAULT '{}',
+  error JSONB,
+  duration_ms INTEGER,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+
+  UNIQUE(run_id, step_id, iteration, attempt)
+);
+
+CREATE INDEX idx_workflow_run_workflow ON workflow_run(workflow_id, queued_at DESC);
+CREATE INDEX idx_workflow_run_queue ON workflow_run(status, queued_at) WHERE status = 'queued';
+CREATE INDEX idx_workflow_run_running ON workflow_run(heartbeat_at) WHERE status = 'running';
+CREATE INDEX idx_workflow_run_step_run ON workflow_run_step(run_id, started_at);
+
+-- Triggers that start runs (cron schedules and inbound webhooks)
+CREATE TABLE workflow_trigger (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  workflow_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  trigger_type VARCHAR(50) NOT NULL, -- schedule, webhook
+  name VARCHAR(255),
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Schedule triggers
+  cron_expression VARCHAR(255),
+  next_run_at TIMESTAMPTZ,
+
+  -- Webhook triggers
+  signing_secret VARCHAR(255),
+  input_mapping JSONB, -- { inputName: expression over body/query/headers }
+
+  -- Static input merged into workflow.input
+  input JSONB DEFAULT '{}',
+
+  last_fired_at TIMESTAMPTZ,
+  last_run_id UUID REFERENCES workflow_run(id) ON DELETE SET NULL,
+  last_error TEXT,
+  fire_count INTEGER NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_workflow_trigger_type CHECK (trigger_type IN ('schedule', 'webhook'))
+);
+
+CREATE INDEX idx_workflow_trigger_workflow ON workflow_trigger(workflow_id);
+CREATE INDEX idx_workflow_trigger_due ON workflow_trigger(next_run_at) WHERE trigger_type = 'schedule' AND enabled = TRUE;
+CREATE INDEX idx_workflow_run_trigger ON workflow_run(trigger_id);
+
+-- ============================================================================
+-- TEMPLATE EVALUATIONS
+-- ============================================================================
+
+-- Test suites attached to a template (keyed by the template's first version)
+CREATE TABLE template_eval_suite (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  template_root_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  system_prompt TEXT,
+  cases JSONB NOT NULL DEFAULT '[]', -- [{ id, name, variables, assertions: [...] }]
+  default_provider VARCHAR(50),
+  default_model VARCHAR(255),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Results of running a suite against one template version
+CREATE TABLE template_eval_run (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  suite_id UUID NOT NULL REFERENCES template_eval_suite(id) ON DELETE CASCADE,
+  template_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  template_root_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  template_version INTEGER NOT NULL,
+  user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'running', -- running, completed, failed
+  total_cases INTEGER NOT NULL DEFAULT 0,
+  passed_cases INTEGER NOT NULL DEFAULT 0,
+  failed_cases INTEGER NOT NULL DEFAULT 0,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd DECIMAL(10,6) NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]',
+  error_message TEXT,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  duration_ms INTEGER
+);
+
+CREATE INDEX idx_template_eval_suite_template ON template_eval_suite(template_root_id);
+CREATE INDEX idx_template_eval_run_suite ON template_eval_run(suite_id, started_at DESC);
+CREATE INDEX idx_template_eval_run_version ON template_eval_run(template_root_id, template_version);
+
+-- A/B experiments between template versions (exposures/outcomes live in usage_event)
+CREATE TABLE template_experiment (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  template_root_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(50) NOT NULL DEFAULT 'draft', -- draft, running, paused, completed
+  assignment_unit VARCHAR(50) NOT NULL DEFAULT 'user', -- user, key
+  variants JSONB NOT NULL DEFAULT '[]', -- [{ id, version, weight }]
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_template_experiment_status CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+  CONSTRAINT chk_template_experiment_unit CHECK (assignment_unit IN ('user', 'key'))
+);
+
+CREATE INDEX idx_template_experiment_template ON template_experiment(template_root_id);
+CREATE UNIQUE INDEX idx_template_experiment_running ON template_experiment(template_root_id) WHERE status = 'running';
+CREATE INDEX idx_usage_experiment ON usage_event((metadata->>'experimentId'), event_type) WHERE event_type IN ('experiment.exposure', 'experiment.outcome');
+CREATE INDEX idx_usage_experiment_render ON usage_event((metadata->>'renderId')) WHERE event_type = 'experiment.exposure';
+
+-- Encrypted provider API keys (user -> team -> tenant -> environment resolution)
+CREATE TABLE provider_key (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  scope VARCHAR(50) NOT NULL, -- user, team, tenant
+  user_id UUID REFERENCES "user"(id) ON DELETE CASCADE,
+  team_id UUID, -- teams.id
+  provider VARCHAR(100) NOT NULL,
+  label VARCHAR(255),
+  encrypted_key TEXT NOT NULL, -- AES-256-GCM ciphertext, base64
+  iv VARCHAR(64) NOT NULL,
+  auth_tag VARCHAR(64) NOT NULL,
+  encryption_key_id VARCHAR(64) NOT NULL, -- fingerprint of the master key used
+  key_hint VARCHAR(16),
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMPTZ,
+  rotated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_provider_key_scope CHECK (
+    (scope = 'user' AND user_id IS NOT NULL AND team_id IS NULL) OR
+    (scope = 'team' AND team_id IS NOT NULL AND user_id IS NULL) OR
+    (scope = 'tenant' AND user_id IS NULL AND team_id IS NULL)
+  )
+);
+
+CREATE UNIQUE INDEX idx_provider_key_user ON provider_key(user_id, provider) WHERE scope = 'user';
+CREATE UNIQUE INDEX idx_provider_key_team ON provider_key(team_id, provider) WHERE scope = 'team';
+CREATE UNIQUE INDEX idx_provider_key_tenant ON provider_key(tenant_id, provider) WHERE scope = 'tenant';
+
+-- Cached AI generations (hits are recorded on usage_event as 'ai.cache_hit')
+CREATE TABLE ai_generation_cache (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  cache_key VARCHAR(64) NOT NULL, -- SHA256 of the normalized request
+  params_key VARCHAR(64) NOT NULL, -- SHA256 of provider, model and sampling params
+  provider VARCHAR(100) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  prompt_embedding vector(384), -- set for semantic mode entries
+  response JSONB NOT NULL, -- { output, inputTokens, outputTokens, finishReason, toolCalls? }
+  cost_usd DECIMAL(10, 6) NOT NULL DEFAULT 0,
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_hit_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(tenant_id, cache_key)
+);
+
+CREATE INDEX idx_ai_generation_cache_params ON ai_generation_cache(tenant_id, params_key, expires_at);
+CREATE INDEX idx_ai_generation_cache_expires ON ai_generation_cache(expires_at);
+CREATE INDEX idx_usage_ai_cache_hit ON usage_event(tenant_id, occurred_at) WHERE event_type = 'ai.cache_hit';
+
+-- Prompt Lab multi-model comparison runs
+CREATE TABLE ai_comparison_run (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES "user"(id) ON DELETE CASCADE,
+  template_id UUID REFERENCES entity(id) ON DELETE SET NULL,
+  template_version INTEGER,
+  variables JSONB,
+  prompt TEXT NOT NULL,
+  system_prompt TEXT,
+  reference TEXT,
+  temperature DECIMAL(3, 2) NOT NULL,
+  max_tokens INTEGER NOT NULL,
+  status VARCHAR(50) NOT NULL, -- completed, partial, failed
+  model_count INTEGER NOT NULL,
+  succeeded_count INTEGER NOT NULL,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd DECIMAL(10, 6) NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]',
+  scoring_error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  duration_ms INTEGER
+);
+
+CREATE INDEX idx_ai_comparison_run_user ON ai_comparison_run(tenant_id, user_id, created_at DESC);
+
+-- Model catalog: global models (tenant_id NULL) and tenant models or overrides;
+-- prices are append-only so usage is priced at the rate of its time
+CREATE TABLE ai_model (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID REFERENCES tenant(id) ON DELETE CASCADE, -- NULL = global catalog
+  provider VARCHAR(50) NOT NULL,
+  model_id VARCHAR(255) NOT NULL,
+  display_name VARCHAR(255),
+  context_window INTEGER, -- prompt + output tokens
+  max_output_tokens INTEGER,
+  supports_vision BOOLEAN,
+  supports_tools BOOLEAN,
+  supports_json_mode BOOLEAN,
+  supports_streaming BOOLEAN,
+  speed VARCHAR(50), -- very fast, fast, medium, slow
+  status VARCHAR(50), -- active, deprecated, disabled
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  tokenizer VARCHAR(50) -- o200k, cl100k, claude, gemini, llama2, llama3, mistral, heuristic; NULL = inferred from model_id
+);
+
+CREATE TABLE ai_model_price (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  model_ref UUID NOT NULL REFERENCES ai_model(id) ON DELETE CASCADE,
+  input_per_1k DECIMAL(12, 8) NOT NULL, -- USD per 1K input tokens
+  output_per_1k DECIMAL(12, 8) NOT NULL, -- USD per 1K output tokens
+  effective_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(model_ref, effective_from)
+);
+
+CREATE UNIQUE INDEX idx_ai_model_global ON ai_model(provider, model_id) WHERE tenant_id IS NULL;
+CREATE UNIQUE INDEX idx_ai_model_tenant ON ai_model(tenant_id, provider, model_id) WHERE tenant_id IS NOT NULL;
+
+-- Seed the global catalog
+INSERT INTO ai_model (provider, model_id, display_name, context_window, max_output_tokens,
+                      supports_vision, supports_tools, supports_json_mode, supports_streaming, speed, status, tokenizer)
+VALUES
+  ('openai', 'gpt-4o', 'GPT-4o', 128000, 16384, true, true, true, true, 'fast', 'active', 'o200k'),
+  ('openai', 'gpt-4-turbo', 'GPT-4 Turbo', 128000, 4096, true, true, true, true, 'medium', 'active', 'cl100k'),
+  ('openai', 'gpt-3.5-turbo', 'GPT-3.5 Turbo', 16385, 4096, false, true, true, true, 'very fast', 'active', 'cl100k'),
+  ('anthropic', 'claude-3-5-sonnet-20241022', 'Claude 3.5 Sonnet', 200000, 8192, true, true, false, true, 'fast', 'active', 'claude'),
+  ('anthropic', 'claude-3-opus-20240229', 'Claude 3 Opus', 200000, 4096, true, true, false, true, 'medium', 'active', 'claude'),
+  ('anthropic', 'claude-3-haiku-20240307', 'Claude 3 Haiku', 200000, 4096, true, true, false, true, 'very fast', 'active', 'claude'),
+  ('google', 'gemini-pro', 'Gemini Pro', 32000, 8192, false, true, false, true, 'fast', 'active', 'gemini'),
+  ('google', 'gemini-1.5-pro', 'Gemini 1.5 Pro', 1000000, 8192, true, true, true, true, 'medium', 'active', 'gemini'),
+  ('google', 'gemini-1.5-flash', 'Gemini 1.5 Flash', 1000000, 8192, true, true, true, true, 'very fast', 'active', 'gemini'),
+  ('huggingface', 'mistralai/Mistral-7B-Instruct-v0.2', 'Mistral 7B Instruct', 32768, NULL, false, false, false, true, 'fast', 'active', 'mistral'),
+  ('huggingface', 'meta-llama/Llama-2-70b-chat-hf', 'Llama 2 70B Chat', 4096, NULL, false, false, false, true, 'medium', 'active', 'llama2'),
+  ('huggingface', 'tiiuae/falcon-180B-chat', 'Falcon 180B Chat', 2048, NULL, false, false, false, true, 'medium', 'active', 'heuristic'),
+  ('ollama', 'llama3.2', 'Llama 3.2', 128000, NULL, false, false, false, true, 'fast', 'active', 'llama3'),
+  ('ollama', 'mistral', 'Mistral', 32768, NULL, false, false, false, true, 'fast', 'active', 'mistral'),
+  ('ollama', 'codellama', 'Code Llama', 16384, NULL, false, false, false, true, 'fast', 'active', 'llama2'),
+  ('ollama', 'phi3', 'Phi-3', 128000, NULL, false, false, false, true, 'very fast', 'active', 'llama2')
+ON CONFLICT (provider, model_id) WHERE tenant_id IS NULL DO NOTHING;
+
+-- Seed prices (the rates previously hard-coded as MODEL_COSTS)
+INSERT INTO ai_model_price (model_ref, input_per_1k, output_per_1k, effective_from)
+SELECT m.id, p.input_per_1k, p.output_per_1k, '1970-01-01'::timestamptz
+FROM (VALUES
+  ('openai', 'gpt-4o', 0.0025, 0.01),
+  ('openai', 'gpt-4-turbo', 0.01, 0.03),
+  ('openai', 'gpt-3.5-turbo', 0.0005, 0.0015),
+  ('anthropic', 'claude-3-5-sonnet-20241022', 0.003, 0.015),
+  ('anthropic', 'claude-3-opus-20240229', 0.015, 0.075),
+  ('anthropic', 'claude-3-haiku-20240307', 0.00025, 0.00125),
+  ('google', 'gemini-pro', 0.00125, 0.00375),
+  ('google', 'gemini-1.5-pro', 0.0035, 0.0105),
+  ('google', 'gemini-1.5-flash', 0.00035, 0.00105),
+  ('huggingface', 'mistralai/Mistral-7B-Instruct-v0.2', 0.0002, 0.0002),
+  ('huggingface', 'meta-llama/Llama-2-70b-chat-hf', 0.0007, 0.0009),
+  ('huggingface', 'tiiuae/falcon-180B-chat', 0.001, 0.001),
+  ('ollama', 'llama3.2', 0, 0),
+  ('ollama', 'mistral', 0, 0),
+  ('ollama', 'codellama', 0, 0),
+  ('ollama', 'phi3', 0, 0)
+) AS p(provider, model_id, input_per_1k, output_per_1k)
+JOIN ai_model m ON m.tenant_id IS NULL AND m.provider = p.provider AND m.model_id = p.model_id
+ON CONFLICT (model_ref, effective_from) DO NOTHING;
+
+-- ============================================================================
+-- EMBEDDING MODEL REGISTRY
+-- ============================================================================
+
+CREATE TABLE embedding_model (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  provider VARCHAR(50) NOT NULL, -- local (Transformers.js), openai, huggingface
+  model_id VARCHAR(255) NOT NULL,
+  dimensions INTEGER NOT NULL CHECK (dimensions > 0 AND dimensions <= 16000),
+  display_name VARCHAR(255),
+  status VARCHAR(50) NOT NULL DEFAULT 'active', -- active, deprecated, disabled
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(provider, model_id)
+);
+
+-- Seed the registry
+INSERT INTO embedding_model (provider, model_id, dimensions, display_name)
+VALUES
+  ('local', 'Xenova/all-MiniLM-L6-v2', 384, 'all-MiniLM-L6-v2 (local)'),
+  ('local', 'Xenova/paraphrase-multilingual-MiniLM-L12-v2', 384, 'Multilingual MiniLM L12 (local)'),
+  ('local', 'Xenova/all-mpnet-base-v2', 768, 'all-mpnet-base-v2 (local)'),
+  ('openai', 'text-embedding-3-small', 1536, 'OpenAI text-embedding-3-small'),
+  ('openai', 'text-embedding-ada-002', 1536, 'OpenAI text-embedding-ada-002'),
+  ('huggingface', 'sentence-transformers/all-MiniLM-L6-v2', 384, 'all-MiniLM-L6-v2 (Hugging Face)')
+ON CONFLICT (provider, model_id) DO NOTHING;
+
+-- Create tenant_embedding_config table
+CREATE TABLE tenant_embedding_config (
+  tenant_id UUID PRIMARY KEY REFERENCES tenant(id) ON DELETE CASCADE,
+  model_ref UUID NOT NULL REFERENCES embedding_model(id), -- model searches use
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create embedding_reindex_job table
+CREATE TABLE embedding_reindex_job (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  from_model_ref UUID REFERENCES embedding_model(id), -- active model when the job was created
+  to_model_ref UUID NOT NULL REFERENCES embedding_model(id),
+  status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, running, completed, failed, cancelled
+  pass INTEGER NOT NULL DEFAULT 1, -- later passes catch up on entities missed by the previous one
+  last_entity_id UUID, -- cursor within the pass
+  total_entities INTEGER,
+  processed_entities INTEGER NOT NULL DEFAULT 0,
+  failed_entities INTEGER NOT NULL DEFAULT 0, -- in the current pass
+  error_message TEXT,
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+-- Create indexes
+CREATE UNIQUE INDEX idx_embedding_reindex_active ON embedding_reindex_job(tenant_id)
+  WHERE status IN ('pending', 'running');
+CREATE INDEX idx_embedding_reindex_tenant ON embedding_reindex_job(tenant_id, created_at DESC);
+
+-- Entity versions waiting to be embedded (queued by createEntity/updateEntity)
+CREATE TABLE embedding_queue (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  resource_type VARCHAR(50) NOT NULL, -- entity_type: template, context, workflow
+  resource_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE, -- entity version to embed
+  priority INTEGER NOT NULL DEFAULT 5, -- lower runs first
+  status VARCHAR(50) NOT NULL DEFAULT 'pending', -- pending, processing, completed, skipped, dead_letter
+  retry_count INTEGER NOT NULL DEFAULT 0,
+  error_message TEXT, -- last error
+  available_at TIMESTAMPTZ NOT NULL DEFAULT NOW(), -- not claimed before (retry backoff)
+  lease_owner VARCHAR(255), -- embedding_worker.id holding the job
+  lease_expires_at TIMESTAMPTZ, -- expired leases go back to the queue
+  processed_by VARCHAR(255), -- worker that last ran the job
+  duration_ms INTEGER, -- of the last run
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX idx_embedding_queue_active ON embedding_queue(resource_id) WHERE status IN ('pending', 'processing');
+CREATE INDEX idx_embedding_queue_next ON embedding_queue(priority, created_at) WHERE status = 'pending';
+CREATE INDEX idx_embedding_queue_tenant ON embedding_queue(tenant_id, status);
+CREATE INDEX idx_embedding_queue_leases ON embedding_queue(lease_expires_at) WHERE status = 'processing';
+CREATE INDEX idx_embedding_queue_processed ON embedding_queue(completed_at, processed_by) WHERE completed_at IS NOT NULL;
+
+-- Embedding workers sharing the queue, with their last heartbeat
+CREATE TABLE embedding_worker (
+  id VARCHAR(255) PRIMARY KEY, -- EMBEDDING_WORKER_ID, default hostname:pid
+  hostname VARCHAR(255),
+  pid INTEGER,
+  concurrency INTEGER,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_heartbeat_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  stopped_at TIMESTAMPTZ
+);
+
+CREATE INDEX idx_embedding_worker_heartbeat ON embedding_worker(last_heartbeat_at DESC);
+
+-- Vectors of content chunks, for passage retrieval (chunk text is not stored;
+-- offsets point into the entity's content)
+CREATE TABLE embedding_chunk (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  entity_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  model VARCHAR(255) NOT NULL,
+  provider VARCHAR(50),
+  dimensions INTEGER NOT NULL,
+  content_hash VARCHAR(64) NOT NULL, -- of the entity's embedded text, as in `embedding`
+  chunk_index INTEGER NOT NULL,
+  start_offset INTEGER NOT NULL, -- character offsets into the content
+  end_offset INTEGER NOT NULL,
+  heading TEXT, -- markdown heading path, e.g. 'Setup › Install'
+  vector vector NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(entity_id, model, chunk_index)
+);
+
+CREATE INDEX idx_embedding_chunk_tenant_model ON embedding_chunk(tenant_id, model);
+CREATE INDEX idx_embedding_chunk_vector_384 ON embedding_chunk
+  USING hnsw ((vector::vector(384)) vector_cosine_ops) WHERE dimensions = 384;
+CREATE INDEX idx_embedding_chunk_vector_768 ON embedding_chunk
+  USING hnsw ((vector::vector(768)) vector_cosine_ops) WHERE dimensions = 768;
+CREATE INDEX idx_embedding_chunk_vector_1536 ON embedding_chunk
+  USING hnsw ((vector::vector(1536)) vector_cosine_ops) WHERE dimensions = 1536;
+
 -- ============================================================================
 -- READ MODEL (CQRS - Materialized Views)
 -- ============================================================================
@@ -440,7 +910,8 @@ CREATE UNIQUE INDEX idx_tenant_usage_id ON tenant_usage_summary(tenant_id);
 -- Semantic search using vector similarity
 CREATE OR REPLACE FUNCTION search_similar_entities(
   p_tenant_id UUID,
-  p_query_vector vector(1536),
+  p_query_vector vector,
+  p_model VARCHAR,
   p_entity_type VARCHAR DEFAULT NULL,
   p_limit INTEGER DEFAULT 10
 )
@@ -463,6 +934,8 @@ BEGIN
     AND e.deleted_at IS NULL
     AND (p_entity_type IS NULL OR e.entity_type = p_entity_type)
     AND emb.status = 'completed'
+    AND emb.model = p_model
+    AND emb.dimensions = vector_dims(p_query_vector)
   ORDER BY emb.vector <=> p_query_vector
   LIMIT p_limit;
 END;
@@ -0,0 +1,33 @@
+-- Patch: Add the AI generation cache
+-- Completed generations keyed on the normalized request (provider, model,
+-- messages, system prompt, sampling params) per tenant. Rows with a prompt
+-- embedding also answer semantically similar requests. Hits are recorded on
+-- usage_event ('ai.cache_hit') with the cost they saved.
+
+-- Create ai_generation_cache table
+CREATE TABLE IF NOT EXISTS ai_generation_cache (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  cache_key VARCHAR(64) NOT NULL, -- SHA256 of the normalized request
+  params_key VARCHAR(64) NOT NULL, -- SHA256 of provider, model and sampling params (semantic matches must share it)
+  provider VARCHAR(100) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  prompt_embedding vector(384), -- all-MiniLM-L6-v2, set for semantic mode entries
+
+  response JSONB NOT NULL, -- { output, inputTokens, outputTokens, finishReason, toolCalls? }
+  cost_usd DECIMAL(10, 6) NOT NULL DEFAULT 0, -- cost of the original call
+  hit_count INTEGER NOT NULL DEFAULT 0,
+  last_hit_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(tenant_id, cache_key)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_ai_generation_cache_params ON ai_generation_cache(tenant_id, params_key, expires_at);
+CREATE INDEX IF NOT EXISTS idx_ai_generation_cache_expires ON ai_generation_cache(expires_at);
+CREATE INDEX IF NOT EXISTS idx_usage_ai_cache_hit ON usage_event(tenant_id, occurred_at) WHERE event_type = 'ai.cache_hit';
+
+-- Add comments
+COMMENT ON TABLE ai_generation_cache IS 'Cached AI generations keyed on the normalized request';
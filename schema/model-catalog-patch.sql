@@ -0,0 +1,93 @@
+-- Patch: Add the model catalog
+-- Models, capabilities, limits and prices used for /ai/providers, cost
+-- calculation and request validation. Rows without a tenant are the global
+-- catalog; tenant rows add models or override a global one (NULL fields
+-- inherit the global value). Prices are append-only so past usage keeps the
+-- price in effect when it happened.
+
+-- Create ai_model table
+CREATE TABLE IF NOT EXISTS ai_model (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID REFERENCES tenant(id) ON DELETE CASCADE, -- NULL = global catalog
+  provider VARCHAR(50) NOT NULL,
+  model_id VARCHAR(255) NOT NULL,
+  display_name VARCHAR(255),
+  context_window INTEGER, -- prompt + output tokens
+  max_output_tokens INTEGER,
+  supports_vision BOOLEAN,
+  supports_tools BOOLEAN,
+  supports_json_mode BOOLEAN,
+  supports_streaming BOOLEAN,
+  speed VARCHAR(50), -- very fast, fast, medium, slow
+  status VARCHAR(50), -- active, deprecated, disabled
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create ai_model_price table
+CREATE TABLE IF NOT EXISTS ai_model_price (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  model_ref UUID NOT NULL REFERENCES ai_model(id) ON DELETE CASCADE,
+  input_per_1k DECIMAL(12, 8) NOT NULL, -- USD per 1K input tokens
+  output_per_1k DECIMAL(12, 8) NOT NULL, -- USD per 1K output tokens
+  effective_from TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(model_ref, effective_from)
+);
+
+-- Create indexes
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_model_global ON ai_model(provider, model_id) WHERE tenant_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_model_tenant ON ai_model(tenant_id, provider, model_id) WHERE tenant_id IS NOT NULL;
+
+-- Seed the global catalog
+INSERT INTO ai_model (provider, model_id, display_name, context_window, max_output_tokens,
+                      supports_vision, supports_tools, supports_json_mode, supports_streaming, speed, status)
+VALUES
+  ('openai', 'gpt-4o', 'GPT-4o', 128000, 16384, true, true, true, true, 'fast', 'active'),
+  ('openai', 'gpt-4-turbo', 'GPT-4 Turbo', 128000, 4096, true, true, true, true, 'medium', 'active'),
+  ('openai', 'gpt-3.5-turbo', 'GPT-3.5 Turbo', 16385, 4096, false, true, true, true, 'very fast', 'active'),
+  ('anthropic', 'claude-3-5-sonnet-20241022', 'Claude 3.5 Sonnet', 200000, 8192, true, true, false, true, 'fast', 'active'),
+  ('anthropic', 'claude-3-opus-20240229', 'Claude 3 Opus', 200000, 4096, true, true, false, true, 'medium', 'active'),
+  ('anthropic', 'claude-3-haiku-20240307', 'Claude 3 Haiku', 200000, 4096, true, true, false, true, 'very fast', 'active'),
+  ('google', 'gemini-pro', 'Gemini Pro', 32000, 8192, false, true, false, true, 'fast', 'active'),
+  ('google', 'gemini-1.5-pro', 'Gemini 1.5 Pro', 1000000, 8192, true, true, true, true, 'medium', 'active'),
+  ('google', 'gemini-1.5-flash', 'Gemini 1.5 Flash', 1000000, 8192, true, true, true, true, 'very fast', 'active'),
+  ('huggingface', 'mistralai/Mistral-7B-Instruct-v0.2', 'Mistral 7B Instruct', 32768, NULL, false, false, false, true, 'fast', 'active'),
+  ('huggingface', 'meta-llama/Llama-2-70b-chat-hf', 'Llama 2 70B Chat', 4096, NULL, false, false, false, true, 'medium', 'active'),
+  ('huggingface', 'tiiuae/falcon-180B-chat', 'Falcon 180B Chat', 2048, NULL, false, false, false, true, 'medium', 'active'),
+  ('ollama', 'llama3.2', 'Llama 3.2', 128000, NULL, false, false, false, true, 'fast', 'active'),
+  ('ollama', 'mistral', 'Mistral', 32768, NULL, false, false, false, true, 'fast', 'active'),
+  ('ollama', 'codellama', 'Code Llama', 16384, NULL, false, false, false, true, 'fast', 'active'),
+  ('ollama', 'phi3', 'Phi-3', 128000, NULL, false, false, false, true, 'very fast', 'active')
+ON CONFLICT (provider, model_id) WHERE tenant_id IS NULL DO NOTHING;
+
+-- Seed prices (the rates previously hard-coded as MODEL_COSTS)
+INSERT INTO ai_model_price (model_ref, input_per_1k, output_per_1k, effective_from)
+SELECT m.id, p.input_per_1k, p.output_per_1k, '1970-01-01'::timestamptz
+FROM (VALUES
+  ('openai', 'gpt-4o', 0.0025, 0.01),
+  ('openai', 'gpt-4-turbo', 0.01, 0.03),
+  ('openai', 'gpt-3.5-turbo', 0.0005, 0.0015),
+  ('anthropic', 'claude-3-5-sonnet-20241022', 0.003, 0.015),
+  ('anthropic', 'claude-3-opus-20240229', 0.015, 0.075),
+  ('anthropic', 'claude-3-haiku-20240307', 0.00025, 0.00125),
+  ('google', 'gemini-pro', 0.00125, 0.00375),
+  ('google', 'gemini-1.5-pro', 0.0035, 0.0105),
+  ('google', 'gemini-1.5-flash', 0.00035, 0.00105),
+  ('huggingface', 'mistralai/Mistral-7B-Instruct-v0.2', 0.0002, 0.0002),
+  ('huggingface', 'meta-llama/Llama-2-70b-chat-hf', 0.0007, 0.0009),
+  ('huggingface', 'tiiuae/falcon-180B-chat', 0.001, 0.001),
+  ('ollama', 'llama3.2', 0, 0),
+  ('ollama', 'mistral', 0, 0),
+  ('ollama', 'codellama', 0, 0),
+  ('ollama', 'phi3', 0, 0)
+) AS p(provider, model_id, input_per_1k, output_per_1k)
+JOIN ai_model m ON m.tenant_id IS NULL AND m.provider = p.provider AND m.model_id = p.model_id
+ON CONFLICT (model_ref, effective_from) DO NOTHING;
+
+-- Add comments
+COMMENT ON TABLE ai_model IS 'Model catalog: global entries and per-tenant models or overrides';
+COMMENT ON TABLE ai_model_price IS 'Append-only model prices; usage is priced at the row in effect at the time';
@@ -0,0 +1,33 @@
+-- Patch: Add tokenizers to the model catalog
+-- Names the BPE tokenizer family used to count a model's tokens (o200k,
+-- cl100k, claude, gemini, llama2, llama3, mistral or heuristic). Models
+-- without one are matched by model id. Requires model-catalog-patch.sql.
+
+-- Add tokenizer column
+ALTER TABLE ai_model ADD COLUMN IF NOT EXISTS tokenizer VARCHAR(50);
+
+-- Set the tokenizers of the seeded global models
+UPDATE ai_model m
+SET tokenizer = t.tokenizer
+FROM (VALUES
+  ('openai', 'gpt-4o', 'o200k'),
+  ('openai', 'gpt-4-turbo', 'cl100k'),
+  ('openai', 'gpt-3.5-turbo', 'cl100k'),
+  ('anthropic', 'claude-3-5-sonnet-20241022', 'claude'),
+  ('anthropic', 'claude-3-opus-20240229', 'claude'),
+  ('anthropic', 'claude-3-haiku-20240307', 'claude'),
+  ('google', 'gemini-pro', 'gemini'),
+  ('google', 'gemini-1.5-pro', 'gemini'),
+  ('google', 'gemini-1.5-flash', 'gemini'),
+  ('huggingface', 'mistralai/Mistral-7B-Instruct-v0.2', 'mistral'),
+  ('huggingface', 'meta-llama/Llama-2-70b-chat-hf', 'llama2'),
+  ('huggingface', 'tiiuae/falcon-180B-chat', 'heuristic'),
+  ('ollama', 'llama3.2', 'llama3'),
+  ('ollama', 'mistral', 'mistral'),
+  ('ollama', 'codellama', 'llama2'),
+  ('ollama', 'phi3', 'llama2')
+) AS t(provider, model_id, tokenizer)
+WHERE m.tenant_id IS NULL AND m.provider = t.provider AND m.model_id = t.model_id AND m.tokenizer IS NULL;
+
+-- Add comments
+COMMENT ON COLUMN ai_model.tokenizer IS 'Tokenizer family for token counts; NULL = inferred from model_id';
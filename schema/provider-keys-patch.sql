@@ -0,0 +1,42 @@
+-- Patch: Add the encrypted provider key vault
+-- Provider API keys stored once per user, team or tenant and encrypted at rest
+-- (AES-256-GCM with the server's PROVIDER_KEY_ENCRYPTION_KEY). AI calls resolve
+-- keys user -> team -> tenant -> environment. Plaintext keys are never returned.
+
+-- Create provider_key table
+CREATE TABLE IF NOT EXISTS provider_key (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE, -- tenant of the creator
+  scope VARCHAR(50) NOT NULL, -- user, team, tenant
+  user_id UUID REFERENCES "user"(id) ON DELETE CASCADE, -- set for user scope
+  team_id UUID, -- teams.id, set for team scope
+  provider VARCHAR(100) NOT NULL,
+  label VARCHAR(255),
+
+  -- AES-256-GCM ciphertext, base64
+  encrypted_key TEXT NOT NULL,
+  iv VARCHAR(64) NOT NULL,
+  auth_tag VARCHAR(64) NOT NULL,
+  encryption_key_id VARCHAR(64) NOT NULL, -- fingerprint of the master key used
+  key_hint VARCHAR(16), -- last characters of the key, for display
+
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  last_used_at TIMESTAMPTZ,
+  rotated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_provider_key_scope CHECK (
+    (scope = 'user' AND user_id IS NOT NULL AND team_id IS NULL) OR
+    (scope = 'team' AND team_id IS NOT NULL AND user_id IS NULL) OR
+    (scope = 'tenant' AND user_id IS NULL AND team_id IS NULL)
+  )
+);
+
+-- Create indexes (one key per provider for each owner)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provider_key_user ON provider_key(user_id, provider) WHERE scope = 'user';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provider_key_team ON provider_key(team_id, provider) WHERE scope = 'team';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_provider_key_tenant ON provider_key(tenant_id, provider) WHERE scope = 'tenant';
+
+-- Add comments
+COMMENT ON TABLE provider_key IS 'Encrypted AI provider API keys scoped to a user, team or tenant';
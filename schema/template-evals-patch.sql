@@ -0,0 +1,60 @@
+-- Patch: Add template evaluation suites and runs
+-- Suites hold test cases (variables + assertions on the model output) for a
+-- template. Runs record pass/fail and cost against a specific template version.
+-- Suites belong to the first version of a template (template_root_id), so they
+-- survive edits, which create new entity rows.
+
+-- Create template_eval_suite table
+CREATE TABLE IF NOT EXISTS template_eval_suite (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  template_root_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  system_prompt TEXT,
+  cases JSONB NOT NULL DEFAULT '[]', -- [{ id, name, variables, assertions: [...] }]
+
+  -- Provider used when a run does not specify one
+  default_provider VARCHAR(50),
+  default_model VARCHAR(255),
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Create template_eval_run table
+CREATE TABLE IF NOT EXISTS template_eval_run (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  suite_id UUID NOT NULL REFERENCES template_eval_suite(id) ON DELETE CASCADE,
+  template_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE, -- version that was evaluated
+  template_root_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  template_version INTEGER NOT NULL,
+  user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  provider VARCHAR(50) NOT NULL,
+  model VARCHAR(255) NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'running', -- running, completed, failed
+
+  total_cases INTEGER NOT NULL DEFAULT 0,
+  passed_cases INTEGER NOT NULL DEFAULT 0,
+  failed_cases INTEGER NOT NULL DEFAULT 0,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd DECIMAL(10,6) NOT NULL DEFAULT 0,
+  results JSONB NOT NULL DEFAULT '[]', -- per-case output, assertion results, tokens and cost
+  error_message TEXT,
+
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  duration_ms INTEGER
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_template_eval_suite_template ON template_eval_suite(template_root_id);
+CREATE INDEX IF NOT EXISTS idx_template_eval_run_suite ON template_eval_run(suite_id, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_template_eval_run_version ON template_eval_run(template_root_id, template_version);
+
+-- Add comments
+COMMENT ON TABLE template_eval_suite IS 'Test cases and output assertions attached to a template';
+COMMENT ON TABLE template_eval_run IS 'Results of running an evaluation suite against a template version';
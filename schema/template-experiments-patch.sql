@@ -0,0 +1,35 @@
+-- Patch: Add A/B experiments between template versions
+-- A running experiment splits POST /api/templates/:id/render between template
+-- versions. Exposures and outcomes are recorded on usage_event
+-- ('experiment.exposure' / 'experiment.outcome'), which the results endpoint
+-- aggregates per variant.
+
+-- Create template_experiment table
+CREATE TABLE IF NOT EXISTS template_experiment (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  template_root_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE, -- first version of the template
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  status VARCHAR(50) NOT NULL DEFAULT 'draft', -- draft, running, paused, completed
+  assignment_unit VARCHAR(50) NOT NULL DEFAULT 'user', -- user, key
+  variants JSONB NOT NULL DEFAULT '[]', -- [{ id, version, weight }]
+
+  started_at TIMESTAMPTZ,
+  ended_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_template_experiment_status CHECK (status IN ('draft', 'running', 'paused', 'completed')),
+  CONSTRAINT chk_template_experiment_unit CHECK (assignment_unit IN ('user', 'key'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_template_experiment_template ON template_experiment(template_root_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_template_experiment_running ON template_experiment(template_root_id) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_usage_experiment ON usage_event((metadata->>'experimentId'), event_type) WHERE event_type IN ('experiment.exposure', 'experiment.outcome');
+CREATE INDEX IF NOT EXISTS idx_usage_experiment_render ON usage_event((metadata->>'renderId')) WHERE event_type = 'experiment.exposure';
+
+-- Add comments
+COMMENT ON TABLE template_experiment IS 'A/B experiments splitting template renders between versions';
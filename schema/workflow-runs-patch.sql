@@ -0,0 +1,63 @@
+-- Patch: Add workflow run tables for asynchronous workflow execution
+-- Executions are queued into workflow_run and picked up by the background
+-- workflow runner (src/services/workflowRunner.js). Every step result is
+-- checkpointed so a run can be polled, cancelled, retried and resumed.
+
+-- Create workflow_run table
+CREATE TABLE IF NOT EXISTS workflow_run (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  workflow_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  workflow_version INTEGER,
+  user_id UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'queued', -- queued, running, completed, failed, cancelled, interrupted
+
+  -- Snapshot of the workflow at queue time plus live execution state
+  input JSONB DEFAULT '{}',
+  config JSONB NOT NULL DEFAULT '{}',
+  context JSONB DEFAULT '{}',
+  checkpoint JSONB DEFAULT '{}', -- { pending, visits, arrivals } from the graph scheduler
+  final_output JSONB,
+  error_message TEXT,
+  failed_step_id VARCHAR(255),
+  attempt INTEGER NOT NULL DEFAULT 1,
+
+  -- Runner lease
+  locked_by VARCHAR(255),
+  heartbeat_at TIMESTAMPTZ,
+  cancel_requested_at TIMESTAMPTZ,
+
+  queued_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  duration_ms INTEGER
+);
+
+-- Create workflow_run_step table
+CREATE TABLE IF NOT EXISTS workflow_run_step (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  run_id UUID NOT NULL REFERENCES workflow_run(id) ON DELETE CASCADE,
+  step_id VARCHAR(255) NOT NULL,
+  step_type VARCHAR(50),
+  iteration INTEGER NOT NULL DEFAULT 1,
+  attempt INTEGER NOT NULL DEFAULT 1,
+  status VARCHAR(50) NOT NULL DEFAULT 'running', -- running, completed, failed, skipped
+  output JSONB,
+  metadata JSONB DEFAULT '{}',
+  error JSONB,
+  duration_ms INTEGER,
+  started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+
+  UNIQUE(run_id, step_id, iteration, attempt)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_workflow_run_workflow ON workflow_run(workflow_id, queued_at DESC);
+CREATE INDEX IF NOT EXISTS idx_workflow_run_queue ON workflow_run(status, queued_at) WHERE status = 'queued';
+CREATE INDEX IF NOT EXISTS idx_workflow_run_running ON workflow_run(heartbeat_at) WHERE status = 'running';
+CREATE INDEX IF NOT EXISTS idx_workflow_run_step_run ON workflow_run_step(run_id, started_at);
+
+-- Add comments
+COMMENT ON TABLE workflow_run IS 'Queued and executed workflow runs with resumable checkpoint state';
+COMMENT ON TABLE workflow_run_step IS 'Per-step results of a workflow run';
@@ -0,0 +1,48 @@
+-- Patch: Add workflow triggers (cron schedules and inbound webhooks)
+-- Triggers are evaluated by the in-process workflow scheduler
+-- (src/services/workflowScheduler.js) and queue runs on workflow_run.
+-- Requires workflow-runs-patch.sql.
+
+-- Create workflow_trigger table
+CREATE TABLE IF NOT EXISTS workflow_trigger (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  tenant_id UUID NOT NULL REFERENCES tenant(id) ON DELETE CASCADE,
+  workflow_id UUID NOT NULL REFERENCES entity(id) ON DELETE CASCADE,
+  created_by UUID REFERENCES "user"(id) ON DELETE SET NULL,
+  trigger_type VARCHAR(50) NOT NULL, -- schedule, webhook
+  name VARCHAR(255),
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+
+  -- Schedule triggers
+  cron_expression VARCHAR(255),
+  next_run_at TIMESTAMPTZ,
+
+  -- Webhook triggers
+  signing_secret VARCHAR(255),
+  input_mapping JSONB, -- { inputName: expression over body/query/headers }
+
+  -- Static input merged into workflow.input
+  input JSONB DEFAULT '{}',
+
+  last_fired_at TIMESTAMPTZ,
+  last_run_id UUID REFERENCES workflow_run(id) ON DELETE SET NULL,
+  last_error TEXT,
+  fire_count INTEGER NOT NULL DEFAULT 0,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CONSTRAINT chk_workflow_trigger_type CHECK (trigger_type IN ('schedule', 'webhook'))
+);
+
+-- Record what started each run
+ALTER TABLE workflow_run ADD COLUMN IF NOT EXISTS trigger_source VARCHAR(50) NOT NULL DEFAULT 'manual'; -- manual, schedule, webhook
+ALTER TABLE workflow_run ADD COLUMN IF NOT EXISTS trigger_id UUID; -- workflow_trigger.id
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_workflow_trigger_workflow ON workflow_trigger(workflow_id);
+CREATE INDEX IF NOT EXISTS idx_workflow_trigger_due ON workflow_trigger(next_run_at) WHERE trigger_type = 'schedule' AND enabled = TRUE;
+CREATE INDEX IF NOT EXISTS idx_workflow_run_trigger ON workflow_run(trigger_id);
+
+-- Add comments
+COMMENT ON TABLE workflow_trigger IS 'Cron schedules and inbound webhooks that start workflow runs';
@@ -0,0 +1,280 @@
+/**
+ * Multi-Model Comparison API Endpoint
+ * Sends one prompt, or one rendered template, to several provider/model pairs
+ * in parallel for side-by-side comparison in the Prompt Lab. Models that fail
+ * are reported per entry without failing the run.
+ *
+ * GET  /api/ai/compare             Query: ?limit=&offset=
+ * POST /api/ai/compare             Body: { models: [{ provider, modelId, keyId? }], prompt | templateId + variables,
+ *                                          systemPrompt?, temperature?, maxTokens?, reference?, teamId? }
+ * GET  /api/ai/compare/:id
+ * GET  /api/ai/compare/:id/diff    Query: ?a=<result index>&b=<result index>&b_run=<other run id>
+ */
+
+import {
+  COMPARE_LIMITS,
+  validateCompareModels,
+  runComparison,
+  getComparisonRun,
+  listComparisonRuns,
+  diffOutputs
+} from '../../../services/ai/compare.js';
+import { validateModelRequest } from '../../../services/ai/catalog.js';
+import { countTokens } from '../../../services/ai/tokenizer.js';
+import { getProviderKey, canUseProviderKey } from '../../../services/ai/key-vault.js';
+import { canAccessTemplate, renderTemplateEntity } from '../../../services/templates/render.js';
+import { describeTemplateErrors } from '../../../services/templates/engine.js';
+import { requireAuth } from '../../../middleware/auth/index.js';
+import { ensureTenant, getCurrentEntity } from '../../../utils/database.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  // Set CORS headers first (before any response)
+  Object.entries(corsHeaders).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ ok: true });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const tenantId = await ensureTenant(user.id);
+    const caller = { userId: user.id, tenantId };
+    const runId = req.params?.id;
+
+    if (!runId) {
+      if (req.method === 'GET') {
+        const limit = Math.min(parseInt(req.query?.limit) || 20, 100);
+        const offset = Math.max(parseInt(req.query?.offset) || 0, 0);
+        const runs = await listComparisonRuns({ ...caller, limit, offset });
+
+        return res.status(200).json({
+          success: true,
+          runs: runs.map(run => ({ ...run, cost_usd: parseFloat(run.cost_usd) || 0 })),
+          limit,
+          offset
+        });
+      }
+
+      if (req.method === 'POST') {
+        return await createComparison(req, res, caller);
+      }
+    } else if (req.method === 'GET') {
+      const run = UUID_PATTERN.test(runId) ? await getComparisonRun(runId, caller) : null;
+      if (!run) {
+        return res.status(404).json({ success: false, error: 'Comparison not found' });
+      }
+
+      if (req.path.endsWith('/diff')) {
+        return await diffComparison(req, res, run, caller);
+      }
+
+      return res.status(200).json({ success: true, run: mapRun(run) });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error('AI compare error:', error);
+
+    if (error.details?.retryAfterSeconds) {
+      res.setHeader('Retry-After', String(error.details.retryAfterSeconds));
+    }
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.message,
+        type: error.name,
+        ...(error.details && { code: error.code, details: error.details })
+      }
+    });
+  }
+}
+
+async function createComparison(req, res, caller) {
+  const {
+    models,
+    prompt,
+    templateId,
+    variables = {},
+    systemPrompt = '',
+    temperature = 0.7,
+    maxTokens = 1024,
+    reference,
+    teamId
+  } = req.body || {};
+
+  const modelsError = validateCompareModels(models);
+  if (modelsError) {
+    return res.status(400).json({ success: false, error: modelsError });
+  }
+
+  if (Boolean(prompt) === Boolean(templateId)) {
+    return res.status(400).json({ success: false, error: 'Send either prompt or templateId' });
+  }
+
+  if (prompt !== undefined && typeof prompt !== 'string') {
+    return res.status(400).json({ success: false, error: 'prompt must be a string' });
+  }
+
+  if (!(typeof temperature === 'number' && temperature >= 0 && temperature <= 2)) {
+    return res.status(400).json({ success: false, error: 'temperature must be a number between 0 and 2' });
+  }
+
+  if (!(Number.isInteger(maxTokens) && maxTokens > 0)) {
+    return res.status(400).json({ success: false, error: 'maxTokens must be a positive integer' });
+  }
+
+  if (reference !== undefined && (typeof reference !== 'string' || !reference.trim())) {
+    return res.status(400).json({ success: false, error: 'reference must be a non-empty string' });
+  }
+
+  // Stored keys are checked up front so a bad keyId is a 4xx, not a failed model
+  for (const target of models.filter(m => m.keyId)) {
+    const storedKey = await getProviderKey(target.keyId).catch(() => null);
+
+    if (!storedKey || !await canUseProviderKey(storedKey, caller)) {
+      return res.status(404).json({ success: false, error: `Provider key not found: ${target.keyId}` });
+    }
+
+    if (storedKey.provider !== target.provider) {
+      return res.status(400).json({
+        success: false,
+        error: `Provider key ${target.keyId} belongs to ${storedKey.provider}, not ${target.provider}`
+      });
+    }
+  }
+
+  let renderedPrompt = prompt;
+  let template = null;
+
+  if (templateId) {
+    const entity = await getCurrentEntity(templateId).catch(() => null);
+
+    if (!entity || entity.entity_type !== 'template' || !await canAccessTemplate(entity, caller.userId)) {
+      return res.status(404).json({ success: false, error: `Template not found: ${templateId}` });
+    }
+
+    const render = await renderTemplateEntity(entity, variables, { userId: caller.userId });
+    if (render.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: describeTemplateErrors(render.errors),
+        details: render.errors
+      });
+    }
+
+    renderedPrompt = render.rendered;
+    template = { id: entity.id, version: entity.version || 1, variables, teamId: entity.metadata?.team_id };
+  }
+
+  if (!renderedPrompt.trim() || renderedPrompt.length > COMPARE_LIMITS.maxPromptLength) {
+    return res.status(400).json({
+      success: false,
+      error: `Prompt must be between 1 and ${COMPARE_LIMITS.maxPromptLength} characters`
+    });
+  }
+
+  for (const target of models) {
+    const check = await validateModelRequest(target.provider, target.modelId, {
+      tenantId: caller.tenantId,
+      maxTokens,
+      inputTokens: await countTokens(`${systemPrompt}\n${renderedPrompt}`, { provider: target.provider, modelId: target.modelId, tenantId: caller.tenantId })
+    });
+    if (check.error) {
+      return res.status(check.status).json({ success: false, error: check.error });
+    }
+  }
+
+  const run = await runComparison({
+    prompt: renderedPrompt,
+    systemPrompt,
+    models,
+    temperature,
+    maxTokens,
+    reference,
+    template,
+    ...caller,
+    teamId: teamId || template?.teamId
+  });
+
+  return res.status(201).json({ success: true, run: mapRun(run) });
+}
+
+async function diffComparison(req, res, run, caller) {
+  const { a = '0', b = '1', b_run: otherRunId } = req.query || {};
+
+  let otherRun = run;
+  if (otherRunId) {
+    otherRun = UUID_PATTERN.test(otherRunId) ? await getComparisonRun(otherRunId, caller) : null;
+    if (!otherRun) {
+      return res.status(404).json({ success: false, error: `Comparison not found: ${otherRunId}` });
+    }
+  }
+
+  const before = run.results[parseInt(a)];
+  const after = otherRun.results[parseInt(b)];
+
+  if (!before || !after) {
+    return res.status(400).json({ success: false, error: 'a and b must be result indexes of the runs' });
+  }
+
+  if (before.status !== 'completed' || after.status !== 'completed') {
+    return res.status(400).json({ success: false, error: 'Only completed results can be diffed' });
+  }
+
+  const describe = (source, result) => ({
+    run_id: source.id,
+    index: result.index,
+    provider: result.provider,
+    model: result.model
+  });
+
+  return res.status(200).json({
+    success: true,
+    a: describe(run, before),
+    b: describe(otherRun, after),
+    diff: diffOutputs(before.output, after.output)
+  });
+}
+
+function mapRun(run) {
+  return {
+    id: run.id,
+    template_id: run.template_id,
+    template_version: run.template_version,
+    variables: run.variables,
+    prompt: run.prompt,
+    system_prompt: run.system_prompt,
+    reference: run.reference,
+    temperature: parseFloat(run.temperature),
+    max_tokens: run.max_tokens,
+    status: run.status,
+    model_count: run.model_count,
+    succeeded_count: run.succeeded_count,
+    input_tokens: run.input_tokens,
+    output_tokens: run.output_tokens,
+    cost_usd: parseFloat(run.cost_usd) || 0,
+    results: run.results,
+    scoring_error: run.scoring_error,
+    created_at: run.created_at,
+    duration_ms: run.duration_ms
+  };
+}
@@ -2,13 +2,41 @@
  * AI Generation API Endpoint
  * Centralized endpoint for all AI providers
  * Used by both web app and extension
+ *
+ * Requests go through the routing layer: rate limits and server errors are
+ * retried, and optional `fallbacks` ([{ provider, modelId }]) are tried in order
+ * when the primary provider times out or rejects the prompt as too long.
+ *
+ * Keys come from the vault unless `apiKey` is sent: the stored key `keyId`, or
+ * the caller's, the team's (`teamId`) and the tenant's keys, then the environment.
+ *
+ * Temperature 0 requests are answered from the tenant's generation cache when an
+ * identical request was made before; `cache` tunes this (see services/ai/cache.js).
+ *
+ * `tools` and `toolChoice` use the provider-neutral schema in services/ai/tools.js;
+ * tool calls come back as `toolCalls` and their results go in `messages`.
+ *
+ * Every candidate is checked against the model catalog first: unknown or
+ * disabled hosted models, maxTokens above the output limit, prompts beyond the
+ * context window and missing capabilities are rejected before any call.
+ *
+ * Signed-in callers are metered (see services/ai/metering.js): requests beyond
+ * the monthly token budget are rejected with 402, beyond the tier's daily call
+ * limit with 429, and the tokens used are logged with their catalog cost.
  */
 
 import { AI_PROVIDERS, PROVIDER_CONFIGS } from '../../../services/ai/config.js';
-import { generateOpenAI } from '../../../services/ai/providers/openai.js';
-import { generateAnthropic } from '../../../services/ai/providers/anthropic.js';
-import { generateGoogle } from '../../../services/ai/providers/google.js';
-import { generateHuggingFace } from '../../../services/ai/providers/huggingface.js';
+import { isServerProvider, supportsTools } from '../../../services/ai/generate.js';
+import { routeErrorStatus } from '../../../services/ai/router.js';
+import { meteredGeneration, meteredStream } from '../../../services/ai/metering.js';
+import { getProviderKey, canUseProviderKey } from '../../../services/ai/key-vault.js';
+import { validateCacheOptions } from '../../../services/ai/cache.js';
+import { validateModelRequest } from '../../../services/ai/catalog.js';
+import { countTokens } from '../../../services/ai/tokenizer.js';
+import { validateTools, validateToolChoice, usesTools } from '../../../services/ai/tools.js';
+import { openSseStream, writeSseEvent } from '../../../utils/sse.js';
+import { getUserId } from '../../../middleware/auth/index.js';
+import { ensureTenant } from '../../../utils/database.js';
 
 // CORS headers
 const corsHeaders = {
@@ -45,14 +73,21 @@ export default async function handler(req, res) {
       maxTokens = 2048,
       temperature = 0.7,
       messages,
-      apiKey: clientApiKey // Optional client-provided API key
+      tools, // Optional tool definitions ([{ name, description, parameters }])
+      toolChoice, // 'auto', 'none', 'required' or { name }
+      stream = false,
+      fallbacks = [],
+      apiKey: clientApiKey, // Optional client-provided API key
+      keyId, // Optional stored key for the primary provider
+      teamId, // Team whose stored keys apply
+      cache = true // false, true or { mode, ttlSeconds, bypass, allowSampled, similarityThreshold }
     } = req.body;
 
     // Validate required fields
-    if (!provider || !modelId || !prompt) {
+    if (!provider || !modelId || (!prompt && !(Array.isArray(messages) && messages.length > 0))) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields: provider, modelId, prompt'
+        error: 'Missing required fields: provider, modelId, prompt (or messages)'
       });
     }
 
@@ -73,17 +108,6 @@ export default async function handler(req, res) {
       });
     }
 
-    // Determine which API key to use (client-provided or environment variable)
-    let apiKeyToUse = clientApiKey || process.env[providerConfig.envKey];
-
-    // Check if provider requires API key
-    if (providerConfig.requiresApiKey && !apiKeyToUse) {
-      return res.status(400).json({
-        success: false,
-        error: `API key required for provider: ${provider}. Either provide 'apiKey' in request body or set ${providerConfig.envKey} in environment variables.`
-      });
-    }
-
     // Prepare parameters
     const params = {
       modelId,
@@ -91,53 +115,211 @@ export default async function handler(req, res) {
       systemPrompt,
       maxTokens,
       temperature,
-      messages
+      messages,
+      ...(tools !== undefined && { tools }),
+      ...(toolChoice !== undefined && { toolChoice })
     };
 
-    // Route to appropriate provider
-    let result;
-
-    switch (provider) {
-      case AI_PROVIDERS.OPENAI:
-        result = await generateOpenAI(params, apiKeyToUse);
-        break;
+    if (!isServerProvider(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: `Provider not implemented: ${provider}`
+      });
+    }
 
-      case AI_PROVIDERS.ANTHROPIC:
-        result = await generateAnthropic(params, apiKeyToUse);
-        break;
+    if (!Array.isArray(fallbacks) || fallbacks.some(f => !f || !Object.values(AI_PROVIDERS).includes(f.provider) || !f.modelId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'fallbacks must be an array of { provider, modelId } with known providers'
+      });
+    }
 
-      case AI_PROVIDERS.GOOGLE:
-        result = await generateGoogle(params, apiKeyToUse);
-        break;
+    if (tools !== undefined || toolChoice !== undefined) {
+      const toolError = validateTools(tools ?? []) || validateToolChoice(toolChoice, tools ?? []);
+      if (toolError) {
+        return res.status(400).json({
+          success: false,
+          error: toolError
+        });
+      }
+    }
 
-      case AI_PROVIDERS.HUGGINGFACE:
-        result = await generateHuggingFace(params, apiKeyToUse);
-        break;
+    if (usesTools(params)) {
+      if (!supportsTools(provider)) {
+        return res.status(400).json({
+          success: false,
+          error: `Tool calling not supported for provider: ${provider}`
+        });
+      }
 
-      case AI_PROVIDERS.OLLAMA:
+      if (stream === true) {
         return res.status(400).json({
           success: false,
-          error: 'Ollama should be called directly from the client (runs locally)'
+          error: 'Streaming does not support tools; send the request without stream'
+        });
+      }
+    }
+
+    const cacheError = validateCacheOptions(cache);
+    if (cacheError) {
+      return res.status(400).json({
+        success: false,
+        error: cacheError
+      });
+    }
+
+    const candidates = [
+      { provider, modelId },
+      ...fallbacks.map(f => ({ provider: f.provider, modelId: f.modelId }))
+    ];
+
+    // Self-hosted base URLs and stored keys come from the caller's tenant
+    const userId = await getUserId(req);
+    const tenantId = userId ? await ensureTenant(userId) : undefined;
+
+    const messageText = (messages || []).map(message =>
+      typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? '')
+    );
+    const promptText = [systemPrompt, prompt, ...messageText].filter(Boolean).join('\n');
+
+    for (const candidate of candidates) {
+      const check = await validateModelRequest(candidate.provider, candidate.modelId, {
+        tenantId,
+        maxTokens,
+        inputTokens: await countTokens(promptText, { ...candidate, tenantId }),
+        tools: usesTools(params),
+        stream: stream === true
+      });
+
+      if (check.error) {
+        return res.status(check.status).json({
+          success: false,
+          error: check.error
+        });
+      }
+    }
+
+    if (keyId) {
+      const storedKey = await getProviderKey(keyId);
+
+      if (!storedKey || !await canUseProviderKey(storedKey, { userId, tenantId })) {
+        return res.status(404).json({
+          success: false,
+          error: `Provider key not found: ${keyId}`
         });
+      }
 
-      default:
+      if (storedKey.provider !== provider) {
         return res.status(400).json({
           success: false,
-          error: `Provider not implemented: ${provider}`
+          error: `Provider key ${keyId} belongs to ${storedKey.provider}, not ${provider}`
         });
+      }
     }
 
+    // The client key and stored key belong to the primary provider; every
+    // candidate otherwise resolves user -> team -> tenant -> environment keys
+    const routeOptions = {
+      tenantId,
+      userId,
+      teamId,
+      apiKeys: { [provider]: clientApiKey },
+      keyIds: { [provider]: keyId },
+      cache
+    };
+
+    if (stream === true) {
+      return await streamGeneration(req, res, candidates, params, routeOptions);
+    }
+
+    // Route to the first provider that answers
+    const result = await meteredGeneration('generate', candidates, params, routeOptions);
+
     return res.status(200).json(result);
 
   } catch (error) {
     console.error('AI generation error:', error);
 
-    return res.status(500).json({
+    if (error.details?.retryAfterSeconds) {
+      res.setHeader('Retry-After', String(error.details.retryAfterSeconds));
+    }
+
+    return res.status(error.code === 'ALL_PROVIDERS_FAILED' ? routeErrorStatus(error) : error.status || 500).json({
       success: false,
       error: {
         message: error.message,
-        type: error.name
+        type: error.errorType || error.name,
+        ...(error.attempts && { attempts: error.attempts }),
+        ...(error.details && { code: error.code, details: error.details })
+      }
+    });
+  }
+}
+
+/**
+ * Stream a generation as Server-Sent Events
+ *
+ * Events (same shape for every provider):
+ * - `delta`: { text, index }
+ * - `done`: { output, model, provider, usage: { input_tokens, output_tokens, total_tokens },
+ *   cost, latency, first_token_latency, finish_reason, provider_finish_reason, cached, routing }
+ * - `error`: { message, type, attempts }
+ *
+ * Fallbacks apply until the first token is sent. The upstream request is
+ * aborted when the client disconnects. Budget rejections are answered as JSON
+ * before the stream opens.
+ */
+async function streamGeneration(req, res, candidates, params, routeOptions) {
+  const controller = new AbortController();
+
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+
+  const events = await meteredStream('generate', candidates, params, { ...routeOptions, signal: controller.signal });
+
+  openSseStream(res);
+
+  let index = 0;
+
+  try {
+    for await (const event of events) {
+      if (event.type === 'delta') {
+        writeSseEvent(res, 'delta', { text: event.text, index: index++ });
+      } else if (event.type === 'done') {
+        writeSseEvent(res, 'done', {
+          output: event.output,
+          model: event.model,
+          provider: event.provider,
+          usage: {
+            input_tokens: event.inputTokens,
+            output_tokens: event.outputTokens,
+            total_tokens: event.totalTokens
+          },
+          cost: event.cost,
+          latency: event.latency,
+          first_token_latency: event.firstTokenLatency,
+          finish_reason: event.finishReason,
+          provider_finish_reason: event.providerFinishReason,
+          ...(event.cached && { cached: event.cached }),
+          routing: event.routing
+        });
       }
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      return;
+    }
+
+    console.error('AI streaming error:', error);
+    writeSseEvent(res, 'error', {
+      message: error.message,
+      type: error.errorType || error.name,
+      ...(error.attempts && { attempts: error.attempts })
     });
   }
+
+  res.end();
 }
@@ -0,0 +1,179 @@
+/**
+ * AI Provider Keys API Endpoint
+ * Provider API keys stored encrypted in the key vault, scoped to the caller,
+ * a team (owners and admins manage them) or the caller's tenant. Secrets are
+ * write-only: responses only carry the last characters as `key_hint`.
+ *
+ * GET    /api/ai/keys                Query: ?provider=
+ * POST   /api/ai/keys                Body: { provider, api_key, scope?, team_id?, label? }
+ * GET    /api/ai/keys/:id
+ * POST   /api/ai/keys/:id/rotate     Body: { api_key, label? }
+ * DELETE /api/ai/keys/:id
+ */
+
+import {
+  isVaultConfigured,
+  serializeProviderKey,
+  validateProviderKeyInput,
+  canUseProviderKey,
+  canManageScope,
+  canManageProviderKey,
+  listProviderKeys,
+  getProviderKey,
+  createProviderKey,
+  rotateProviderKey,
+  deleteProviderKey
+} from '../../../services/ai/key-vault.js';
+import { requireAuth } from '../../../middleware/auth/index.js';
+import { ensureTenant, logEvent } from '../../../utils/database.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  // Set CORS headers first (before any response)
+  Object.entries(corsHeaders).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ ok: true });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const tenantId = await ensureTenant(user.id);
+    const caller = { userId: user.id, tenantId };
+    const keyId = req.params?.id;
+
+    if (!keyId) {
+      if (req.method === 'GET') {
+        const keys = await listProviderKeys({ ...caller, provider: req.query?.provider });
+        return res.status(200).json({
+          success: true,
+          configured: isVaultConfigured(),
+          keys: keys.map(serializeProviderKey)
+        });
+      }
+
+      if (req.method === 'POST') {
+        return await createKey(req, res, caller);
+      }
+    } else {
+      if (!UUID_PATTERN.test(keyId)) {
+        return res.status(404).json({ success: false, error: 'Provider key not found' });
+      }
+
+      const row = await getProviderKey(keyId);
+      if (!row || !await canUseProviderKey(row, caller)) {
+        return res.status(404).json({ success: false, error: 'Provider key not found' });
+      }
+
+      if (req.method === 'GET') {
+        return res.status(200).json({ success: true, key: serializeProviderKey(row) });
+      }
+
+      if (req.method === 'POST' && req.path.endsWith('/rotate')) {
+        return await rotateKey(req, res, row, caller);
+      }
+
+      if (req.method === 'DELETE') {
+        if (!await canManageProviderKey(row, caller)) {
+          return res.status(403).json({ success: false, error: manageDeniedMessage(row.scope, 'delete') });
+        }
+
+        await deleteProviderKey(row.id);
+        await logKeyEvent('provider_key.deleted', row, caller);
+
+        return res.status(200).json({ success: true, deleted: true, id: row.id });
+      }
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error('Provider keys error:', error);
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.message,
+        type: error.name
+      }
+    });
+  }
+}
+
+// Who may manage keys of a scope, for 403 responses
+function manageDeniedMessage(scope, action) {
+  switch (scope) {
+    case 'team': return `Only team owners and admins can ${action} team keys`;
+    case 'tenant': return `Only tenant admins can ${action} tenant keys`;
+    default: return `Only the key's owner can ${action} it`;
+  }
+}
+
+async function createKey(req, res, caller) {
+  const {
+    provider,
+    api_key: apiKey,
+    scope = 'user',
+    team_id: teamId,
+    label
+  } = req.body || {};
+
+  const validationError = validateProviderKeyInput({ provider, apiKey, scope, teamId });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  const allowed = await canManageScope({ scope, ownerUserId: caller.userId, teamId, tenantId: caller.tenantId }, caller);
+  if (!allowed) {
+    return res.status(403).json({ success: false, error: manageDeniedMessage(scope, 'store') });
+  }
+
+  const row = await createProviderKey({ scope, provider, apiKey, label, teamId, ...caller });
+  await logKeyEvent('provider_key.created', row, caller);
+
+  return res.status(201).json({ success: true, key: serializeProviderKey(row) });
+}
+
+async function rotateKey(req, res, row, caller) {
+  const { api_key: apiKey, label } = req.body || {};
+
+  if (typeof apiKey !== 'string' || !apiKey.trim()) {
+    return res.status(400).json({ success: false, error: 'api_key must be a non-empty string' });
+  }
+
+  if (!await canManageProviderKey(row, caller)) {
+    return res.status(403).json({ success: false, error: manageDeniedMessage(row.scope, 'rotate') });
+  }
+
+  const rotated = await rotateProviderKey(row.id, apiKey, { label });
+  await logKeyEvent('provider_key.rotated', rotated, caller);
+
+  return res.status(200).json({ success: true, key: serializeProviderKey(rotated) });
+}
+
+function logKeyEvent(eventType, row, caller) {
+  return logEvent({
+    tenantId: caller.tenantId,
+    eventType,
+    aggregateType: 'provider_key',
+    aggregateId: row.id,
+    actorId: caller.userId,
+    payload: { scope: row.scope, provider: row.provider, teamId: row.team_id, keyHint: row.key_hint }
+  });
+}
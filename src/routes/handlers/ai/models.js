@@ -0,0 +1,253 @@
+/**
+ * Model Catalog API Endpoint
+ * Models, prices, capabilities and limits used by /ai/providers, cost
+ * calculation and request validation. Global entries are managed by catalog
+ * admins (MODEL_CATALOG_ADMINS); any tenant member can add tenant models or
+ * override a global entry for the tenant.
+ *
+ * GET    /api/ai/models              Query: ?provider=&include_disabled=true
+ * POST   /api/ai/models              Body: { provider, model_id, display_name?, context_window?, max_output_tokens?,
+ *                                            capabilities?: { vision, tools, json_mode, streaming }, speed?, tokenizer?, status?,
+ *                                            price?: { input_per_1k, output_per_1k, effective_from? }, scope? }
+ * GET    /api/ai/models/:id
+ * PUT    /api/ai/models/:id          Body: any field of POST except provider, model_id, scope and price
+ * DELETE /api/ai/models/:id          Tenant entries are removed, global entries disabled
+ * GET    /api/ai/models/:id/prices
+ * POST   /api/ai/models/:id/prices   Body: { input_per_1k, output_per_1k, effective_from? }
+ */
+
+import {
+  isCatalogAdmin,
+  validateModelInput,
+  validatePriceInput,
+  listCatalogModels,
+  getCatalogModel,
+  getModelRow,
+  canManageModelRow,
+  createCatalogModel,
+  updateCatalogModel,
+  deleteCatalogModel,
+  addModelPrice,
+  getModelPriceHistory,
+  serializeCatalogModel
+} from '../../../services/ai/catalog.js';
+import { requireAuth } from '../../../middleware/auth/index.js';
+import { ensureTenant, logEvent } from '../../../utils/database.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  // Set CORS headers first (before any response)
+  Object.entries(corsHeaders).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ ok: true });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const tenantId = await ensureTenant(user.id);
+    const caller = { user, userId: user.id, tenantId };
+    const modelRef = req.params?.id;
+
+    if (!modelRef) {
+      if (req.method === 'GET') {
+        const models = await listCatalogModels({
+          tenantId,
+          provider: req.query?.provider,
+          includeDisabled: req.query?.include_disabled === 'true'
+        });
+
+        return res.status(200).json({
+          success: true,
+          models: models.map(serializeCatalogModel),
+          canManageGlobal: isCatalogAdmin(user)
+        });
+      }
+
+      if (req.method === 'POST') {
+        return await createModel(req, res, caller);
+      }
+    } else {
+      const row = UUID_PATTERN.test(modelRef) ? await getModelRow(modelRef) : null;
+      if (!row || (row.tenant_id && row.tenant_id !== tenantId)) {
+        return res.status(404).json({ success: false, error: 'Model not found' });
+      }
+
+      if (req.path.endsWith('/prices')) {
+        if (req.method === 'GET') {
+          return res.status(200).json({ success: true, prices: await getModelPriceHistory(row.id) });
+        }
+
+        if (req.method === 'POST') {
+          return await addPrice(req, res, row, caller);
+        }
+      } else {
+        if (req.method === 'GET') {
+          const effective = await getCatalogModel(row.provider, row.model_id, { tenantId });
+          return res.status(200).json({
+            success: true,
+            model: mapRow(row),
+            effective: effective ? serializeCatalogModel(effective) : null
+          });
+        }
+
+        if (req.method === 'PUT') {
+          return await updateModel(req, res, row, caller);
+        }
+
+        if (req.method === 'DELETE') {
+          if (!canManageModelRow(row, caller)) {
+            return res.status(403).json({ success: false, error: 'Only catalog admins can change global models' });
+          }
+
+          const outcome = await deleteCatalogModel(row);
+          await logModelEvent('ai_model.deleted', row, caller, outcome);
+
+          return res.status(200).json({ success: true, id: row.id, ...outcome });
+        }
+      }
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error('Model catalog error:', error);
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.message,
+        type: error.name
+      }
+    });
+  }
+}
+
+async function createModel(req, res, caller) {
+  const input = req.body || {};
+  const scope = input.scope || 'tenant';
+
+  const validationError = validateModelInput(input);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  if (scope === 'global' && !isCatalogAdmin(caller.user)) {
+    return res.status(403).json({ success: false, error: 'Only catalog admins can add global models' });
+  }
+
+  const row = await createCatalogModel(input, {
+    tenantId: scope === 'global' ? null : caller.tenantId,
+    userId: caller.userId
+  });
+  await logModelEvent('ai_model.created', row, caller, { price: input.price || null });
+
+  return res.status(201).json({ success: true, model: mapRow(row) });
+}
+
+async function updateModel(req, res, row, caller) {
+  const input = req.body || {};
+
+  if (['provider', 'model_id', 'scope'].some(field => input[field] !== undefined)) {
+    return res.status(400).json({ success: false, error: 'provider, model_id and scope cannot be changed; create a new model instead' });
+  }
+
+  if (input.price !== undefined) {
+    return res.status(400).json({ success: false, error: `Prices are never edited; add one with POST /api/ai/models/${row.id}/prices` });
+  }
+
+  const validationError = validateModelInput(input, { partial: true });
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  // Clearing a field only makes sense on overrides, which then inherit it
+  const values = [...Object.values(input), ...Object.values(input.capabilities || {})];
+  if (!row.tenant_id && values.some(value => value === null)) {
+    return res.status(400).json({ success: false, error: 'Fields of global models cannot be cleared' });
+  }
+
+  if (!canManageModelRow(row, caller)) {
+    return res.status(403).json({ success: false, error: 'Only catalog admins can change global models' });
+  }
+
+  const updated = await updateCatalogModel(row.id, input);
+  await logModelEvent('ai_model.updated', updated, caller, { fields: Object.keys(input) });
+
+  return res.status(200).json({ success: true, model: mapRow(updated) });
+}
+
+async function addPrice(req, res, row, caller) {
+  const price = req.body || {};
+
+  const validationError = validatePriceInput(price);
+  if (validationError) {
+    return res.status(400).json({ success: false, error: validationError });
+  }
+
+  if (!canManageModelRow(row, caller)) {
+    return res.status(403).json({ success: false, error: 'Only catalog admins can change global models' });
+  }
+
+  const added = await addModelPrice(row.id, price, caller.userId);
+  await logModelEvent('ai_model.price_added', row, caller, {
+    inputPer1k: price.input_per_1k,
+    outputPer1k: price.output_per_1k,
+    effectiveFrom: added.effective_from
+  });
+
+  return res.status(201).json({
+    success: true,
+    price: { ...added, input_per_1k: Number(added.input_per_1k), output_per_1k: Number(added.output_per_1k) }
+  });
+}
+
+function mapRow(row) {
+  return {
+    id: row.id,
+    scope: row.tenant_id ? 'tenant' : 'global',
+    provider: row.provider,
+    model_id: row.model_id,
+    display_name: row.display_name,
+    context_window: row.context_window,
+    max_output_tokens: row.max_output_tokens,
+    capabilities: {
+      vision: row.supports_vision,
+      tools: row.supports_tools,
+      json_mode: row.supports_json_mode,
+      streaming: row.supports_streaming
+    },
+    speed: row.speed,
+    tokenizer: row.tokenizer,
+    status: row.status,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function logModelEvent(eventType, row, caller, details = {}) {
+  return logEvent({
+    tenantId: caller.tenantId,
+    eventType,
+    aggregateType: 'ai_model',
+    aggregateId: row.id,
+    actorId: caller.userId,
+    payload: { scope: row.tenant_id ? 'tenant' : 'global', provider: row.provider, modelId: row.model_id, ...details }
+  });
+}
@@ -0,0 +1,118 @@
+/**
+ * AI Provider Settings API Endpoint
+ * Per-tenant base URLs for self-hosted providers (Ollama, OpenAI-compatible)
+ *
+ * GET /api/ai/providers/settings
+ * PUT /api/ai/providers/:provider/settings  Body: { base_url } (null resets to the default)
+ *
+ * Base URLs are changed by tenant admins (and catalog admins) and must point at
+ * a public host (see endpoints.js).
+ */
+
+import { PROVIDER_CONFIGS } from '../../../services/ai/config.js';
+import { discoverProviderModels } from '../../../services/ai/generate.js';
+import { isCatalogAdmin } from '../../../services/ai/catalog.js';
+import {
+  isSelfHostedProvider,
+  validateBaseUrl,
+  checkBaseUrlHost,
+  resolveProviderBaseUrl,
+  setTenantProviderBaseUrl
+} from '../../../services/ai/endpoints.js';
+import { requireAuth } from '../../../middleware/auth/index.js';
+import { ensureTenant, isTenantAdmin } from '../../../utils/database.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+export default async function handler(req, res) {
+  // Set CORS headers first (before any response)
+  Object.entries(corsHeaders).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ ok: true });
+  }
+
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const tenantId = await ensureTenant(user.id);
+
+    if (req.method === 'GET') {
+      const settings = await Promise.all(
+        Object.keys(PROVIDER_CONFIGS).filter(isSelfHostedProvider).map(async provider => {
+          const { baseUrl, source } = await resolveProviderBaseUrl(provider, tenantId);
+          return { provider, base_url: baseUrl, source };
+        })
+      );
+
+      return res.status(200).json({ success: true, settings });
+    }
+
+    if (req.method === 'PUT') {
+      const provider = req.params?.provider;
+
+      if (!isSelfHostedProvider(provider)) {
+        return res.status(400).json({
+          success: false,
+          error: `Base URL can only be configured for self-hosted providers: ${Object.keys(PROVIDER_CONFIGS).filter(isSelfHostedProvider).join(', ')}`
+        });
+      }
+
+      if (!isCatalogAdmin(user) && !await isTenantAdmin(user.id, tenantId)) {
+        return res.status(403).json({
+          success: false,
+          error: 'Only tenant admins can change provider base URLs'
+        });
+      }
+
+      const { base_url: baseUrl } = req.body || {};
+
+      if (baseUrl !== null) {
+        const validationError = validateBaseUrl(baseUrl) || await checkBaseUrlHost(baseUrl);
+        if (validationError) {
+          return res.status(400).json({ success: false, error: validationError });
+        }
+      }
+
+      await setTenantProviderBaseUrl(tenantId, provider, baseUrl);
+
+      // Report whether the new endpoint answers so misconfigurations show up immediately
+      const discovery = await discoverProviderModels(provider, { tenantId });
+
+      return res.status(200).json({
+        success: true,
+        provider,
+        base_url: discovery.baseUrl,
+        source: discovery.source,
+        reachable: discovery.reachable,
+        ...(discovery.error && { error: discovery.error }),
+        models: discovery.models
+      });
+    }
+
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+
+  } catch (error) {
+    console.error('Provider settings error:', error);
+
+    return res.status(500).json({
+      success: false,
+      error: {
+        message: error.message,
+        type: error.name
+      }
+    });
+  }
+}
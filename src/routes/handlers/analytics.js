@@ -3,7 +3,8 @@
  * Provides usage analytics and dashboard stats
  */
 
-import { db } from '../../utils/database.js';
+import { db, ensureTenant } from '../../utils/database.js';
+import { getCacheSavings } from '../../services/ai/cache.js';
 import { getUserId } from '../../middleware/auth/index.js';
 import { success, error, handleCors } from '../../utils/responses.js';
 
@@ -35,11 +36,20 @@ export default async function handler(req, res) {
     // GET /analytics/usage - Detailed usage stats
     if (method === 'GET' && url.includes('/analytics/usage')) {
       // Return placeholder data - implement actual analytics later
+      // Generation cache savings over the last 30 days are real
+      const cache = await getCacheSavings(await ensureTenant(userId));
+
       return res.json(success({
         daily: [],
         weekly: [],
         monthly: [],
-        total: 0
+        total: 0,
+        cache: {
+          hits: cache.hits,
+          saved_tokens: cache.savedTokens,
+          saved_cost_usd: cache.savedCostUsd,
+          by_model: cache.byModel
+        }
       }));
     }
 
@@ -12,25 +12,14 @@
  * @module handlers/contexts/compression
  */
 
-import { db } from '../../../utils/database.js';
+import { db, ensureTenant } from '../../../utils/database.js';
 import { getUserId } from '../../../utils/auth.js';
 import { success, error } from '../../../utils/responses.js';
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
+import { getRouteCandidates } from '../../../services/ai/router.js';
+import { meteredGeneration, isBudgetError } from '../../../services/ai/metering.js';
+import { countTokens } from '../../../services/ai/tokenizer.js';
 import { generateEmbedding } from '../../../services/localEmbeddingService.js';
 
-// Initialize AI clients
-const openai = process.env.OPENAI_API_KEY
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
-
-const anthropic = process.env.ANTHROPIC_API_KEY
-  ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY })
-  : null;
-
-// Token estimation (rough: 1 token ≈ 4 characters)
-const estimateTokens = (text) => Math.ceil(text.length / 4);
-
 // Cost per 1M tokens (approximate)
 const COST_PER_MILLION_TOKENS = 0.50;
 
@@ -70,6 +59,7 @@ export async function compressContexts(req, res) {
 
     const startTime = Date.now();
     const results = [];
+    const tenantId = await ensureTenant(userId);
 
     // Compress each context
     for (const context of contexts) {
@@ -79,11 +69,16 @@ export async function compressContexts(req, res) {
           mode,
           target_preservation,
           preserve_structure,
-          preserve_examples
+          preserve_examples,
+          userId,
+          tenantId
         );
 
         results.push(compressed);
       } catch (err) {
+        // Out of budget: the remaining contexts would fail the same way
+        if (isBudgetError(err)) throw err;
+
         console.error(`Failed to compress context ${context.id}:`, err);
         results.push({
           context_id: context.id,
@@ -120,7 +115,7 @@ export async function compressContexts(req, res) {
 
   } catch (err) {
     console.error('Compress contexts error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500, err.details || null));
   }
 }
 
@@ -182,7 +177,7 @@ export async function applyCompressions(req, res) {
             [
               context_id,
               original.content,
-              estimateTokens(original.content)
+              await countTokens(original.content)
             ]
           );
         }
@@ -195,7 +190,7 @@ export async function applyCompressions(req, res) {
                updated_at = NOW(),
                metadata = COALESCE(metadata, '{}'::jsonb) || '{"compressed": true, "compression_date": "' || NOW() || '"}'::jsonb
            WHERE id = $3`,
-          [compressed_content, estimateTokens(compressed_content), context_id]
+          [compressed_content, await countTokens(compressed_content), context_id]
         );
 
         // Queue embedding regeneration
@@ -319,10 +314,10 @@ export async function getCompressionAnalytics(req, res) {
 /**
  * Compress a single context
  */
-async function compressContext(context, mode, targetPreservation, preserveStructure, preserveExamples) {
+async function compressContext(context, mode, targetPreservation, preserveStructure, preserveExamples, userId, tenantId) {
   const { id, content, name } = context;
 
-  const originalTokens = estimateTokens(content);
+  const originalTokens = await countTokens(content);
 
   // Build compression prompt
   const prompt = buildCompressionPrompt(
@@ -333,22 +328,23 @@ async function compressContext(context, mode, targetPreservation, preserveStruct
     preserveExamples
   );
 
-  // Compress using AI
-  let compressedContent;
+  // Compress using the first provider on the compression route that answers
+  let generation;
 
   try {
-    if (anthropic) {
-      compressedContent = await compressWithClaude(prompt, content);
-    } else if (openai) {
-      compressedContent = await compressWithOpenAI(prompt, content);
-    } else {
-      throw new Error('No AI provider configured');
-    }
+    generation = await meteredGeneration('compression', getRouteCandidates('compression'), {
+      prompt,
+      maxTokens: 4000,
+      temperature: 0.3
+    }, { userId, tenantId });
   } catch (err) {
+    if (isBudgetError(err)) throw err;
     throw new Error(`Compression failed: ${err.message}`);
   }
 
-  const compressedTokens = estimateTokens(compressedContent);
+  const compressedContent = (generation.output || '').trim();
+
+  const compressedTokens = await countTokens(compressedContent);
   const tokensSaved = originalTokens - compressedTokens;
   const savingsPercent = ((tokensSaved / originalTokens) * 100).toFixed(1);
 
@@ -368,7 +364,9 @@ async function compressContext(context, mode, targetPreservation, preserveStruct
     savings_percent: parseFloat(savingsPercent),
     quality_score: qualityScore,
     cost_savings: parseFloat(costSavings.toFixed(6)),
-    mode
+    mode,
+    provider: generation.routing.provider,
+    model: generation.routing.model
   };
 }
 
@@ -404,38 +402,6 @@ ${content}
 COMPRESSED CONTENT:`;
 }
 
-/**
- * Compress using Claude
- */
-async function compressWithClaude(prompt, content) {
-  const response = await anthropic.messages.create({
-    model: 'claude-3-5-sonnet-20241022',
-    max_tokens: 4000,
-    messages: [{
-      role: 'user',
-      content: prompt
-    }]
-  });
-
-  return response.content[0].text.trim();
-}
-
-/**
- * Compress using OpenAI
- */
-async function compressWithOpenAI(prompt, content) {
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4-turbo-preview',
-    messages: [{
-      role: 'user',
-      content: prompt
-    }],
-    temperature: 0.3
-  });
-
-  return response.choices[0].message.content.trim();
-}
-
 /**
  * Calculate quality score using semantic similarity
  */
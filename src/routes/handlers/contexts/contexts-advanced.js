@@ -36,8 +36,8 @@ import {
 } from './versions.js';
 
 // Import search handlers
+import { semanticSearchContexts, hybridSearchContexts } from './semantic_search.js';
 import {
-  semanticSearch,
   getRecommendations,
   findSimilar,
   getEffectivenessMetrics,
@@ -193,7 +193,12 @@ router.get('/layers/:id/branches', asyncHandler(async (req, res) => {
 
 // POST /api/contexts/search
 router.post('/search', asyncHandler(async (req, res) => {
-  return await semanticSearch(req, res);
+  return await semanticSearchContexts(req, res);
+}));
+
+// POST /api/contexts/hybrid-search
+router.post('/hybrid-search', asyncHandler(async (req, res) => {
+  return await hybridSearchContexts(req, res);
 }));
 
 // POST /api/contexts/recommend
@@ -6,20 +6,12 @@
  * @module handlers/contexts/conversational_builder
  */
 
-import { db } from '../../../utils/database.js';
+import { db, ensureTenant } from '../../../utils/database.js';
 import { getUserId } from '../../../utils/auth.js';
 import { success, error } from '../../../utils/responses.js';
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
-
-// Initialize AI clients
-const openai = process.env.OPENAI_API_KEY
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
-
-const anthropic = process.env.ANTHROPIC_API_KEY
-  ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY })
-  : null;
+import { getRouteCandidates } from '../../../services/ai/router.js';
+import { meteredGeneration, isBudgetError } from '../../../services/ai/metering.js';
+import { parseJsonOutput } from '../../../utils/json-schema.js';
 
 /**
  * POST /api/contexts/conversation/start
@@ -94,7 +86,7 @@ export async function startConversation(req, res) {
 
   } catch (err) {
     console.error('Start conversation error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500, err.details || null));
   }
 }
 
@@ -177,12 +169,13 @@ export async function sendMessage(req, res) {
       message: aiResponse.message,
       contexts: aiResponse.contexts,
       suggestions: aiResponse.suggestions,
-      is_complete: aiResponse.is_complete
+      is_complete: aiResponse.is_complete,
+      ai: aiResponse.ai
     }));
 
   } catch (err) {
     console.error('Send message error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500, err.details || null));
   }
 }
 
@@ -342,7 +335,7 @@ export async function getConversationHistory(req, res) {
 }
 
 /**
- * Generate AI response using OpenAI or Anthropic
+ * Generate AI response through the conversational builder route
  */
 async function generateAIResponse(sessionId, userId, userMessage, stage, currentContexts = []) {
   try {
@@ -363,20 +356,24 @@ async function generateAIResponse(sessionId, userId, userMessage, stage, current
     // Build system prompt
     const systemPrompt = buildSystemPrompt(stage, currentContexts);
 
-    // Try Claude first (better at structured output)
-    if (anthropic) {
-      return await generateClaudeResponse(systemPrompt, conversationHistory, userMessage);
-    }
-
-    // Fallback to OpenAI
-    if (openai) {
-      return await generateOpenAIResponse(systemPrompt, conversationHistory, userMessage);
-    }
+    const generation = await meteredGeneration('conversational_builder', getRouteCandidates('conversational_builder'), {
+      systemPrompt,
+      messages: [...conversationHistory, { role: 'user', content: userMessage }],
+      // Providers without chat history support only see the latest message
+      prompt: userMessage,
+      maxTokens: 2000,
+      temperature: 0.7,
+      responseFormat: 'json'
+    }, { userId, tenantId: await ensureTenant(userId) });
 
-    // No AI provider available
-    throw new Error('No AI provider configured. Please set OPENAI_API_KEY or ANTHROPIC_API_KEY');
+    return {
+      ...parseAIResponse(generation.output || ''),
+      ai: { provider: generation.routing.provider, model: generation.routing.model }
+    };
 
   } catch (err) {
+    if (isBudgetError(err)) throw err;
+
     console.error('Generate AI response error:', err);
     // Return fallback response
     return {
@@ -389,24 +386,11 @@ async function generateAIResponse(sessionId, userId, userMessage, stage, current
 }
 
 /**
- * Generate response using Claude (Anthropic)
+ * Parse the model's JSON reply; plain text becomes the message
  */
-async function generateClaudeResponse(systemPrompt, history, userMessage) {
-  const response = await anthropic.messages.create({
-    model: 'claude-3-5-sonnet-20241022',
-    max_tokens: 2000,
-    system: systemPrompt,
-    messages: [
-      ...history,
-      { role: 'user', content: userMessage }
-    ]
-  });
-
-  const content = response.content[0].text;
-
-  // Parse response (expecting JSON)
+function parseAIResponse(content) {
   try {
-    const parsed = JSON.parse(content);
+    const parsed = parseJsonOutput(content);
     return {
       message: parsed.message || content,
       contexts: parsed.contexts || [],
@@ -414,7 +398,6 @@ async function generateClaudeResponse(systemPrompt, history, userMessage) {
       is_complete: parsed.is_complete || false
     };
   } catch (e) {
-    // If not JSON, treat as plain message
     return {
       message: content,
       contexts: [],
@@ -424,32 +407,6 @@ async function generateClaudeResponse(systemPrompt, history, userMessage) {
   }
 }
 
-/**
- * Generate response using OpenAI
- */
-async function generateOpenAIResponse(systemPrompt, history, userMessage) {
-  const response = await openai.chat.completions.create({
-    model: 'gpt-4-turbo-preview',
-    messages: [
-      { role: 'system', content: systemPrompt },
-      ...history,
-      { role: 'user', content: userMessage }
-    ],
-    response_format: { type: 'json_object' },
-    temperature: 0.7
-  });
-
-  const content = response.choices[0].message.content;
-  const parsed = JSON.parse(content);
-
-  return {
-    message: parsed.message || '',
-    contexts: parsed.contexts || [],
-    suggestions: parsed.suggestions || [],
-    is_complete: parsed.is_complete || false
-  };
-}
-
 /**
  * Build system prompt based on conversation stage
  */
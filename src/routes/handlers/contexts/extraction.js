@@ -10,22 +10,14 @@
  * @module handlers/contexts/extraction
  */
 
-import { db } from '../../../utils/database.js';
+import { db, ensureTenant } from '../../../utils/database.js';
 import { getUserId } from '../../../utils/auth.js';
 import { success, error } from '../../../utils/responses.js';
-import OpenAI from 'openai';
-import Anthropic from '@anthropic-ai/sdk';
+import { getRouteCandidates } from '../../../services/ai/router.js';
+import { meteredGeneration, isBudgetError } from '../../../services/ai/metering.js';
+import { parseJsonOutput } from '../../../utils/json-schema.js';
 import axios from 'axios';
 
-// Initialize AI clients
-const openai = process.env.OPENAI_API_KEY
-  ? new OpenAI({ apiKey: process.env.OPENAI_API_KEY })
-  : null;
-
-const anthropic = process.env.ANTHROPIC_API_KEY
-  ? new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY })
-  : null;
-
 /**
  * POST /api/extraction/from-file
  * Extract contexts from uploaded file
@@ -77,7 +69,8 @@ export async function extractFromFile(req, res) {
       mode,
       max_contexts,
       'file',
-      { file_name, file_type }
+      { file_name, file_type },
+      userId
     );
 
     // Filter by quality threshold
@@ -93,13 +86,14 @@ export async function extractFromFile(req, res) {
         original_count: extracted.contexts.length,
         filtered_count: filtered.length,
         file_type,
-        extraction_time_ms: extracted.extraction_time_ms
+        extraction_time_ms: extracted.extraction_time_ms,
+        ai: extracted.ai
       }
     }));
 
   } catch (err) {
     console.error('Extract from file error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500, err.details || null));
   }
 }
 
@@ -138,7 +132,9 @@ export async function extractFromText(req, res) {
       text,
       mode,
       max_contexts,
-      'text'
+      'text',
+      {},
+      userId
     );
 
     // Filter by quality threshold
@@ -153,13 +149,14 @@ export async function extractFromText(req, res) {
         original_count: extracted.contexts.length,
         filtered_count: filtered.length,
         text_length: text.length,
-        extraction_time_ms: extracted.extraction_time_ms
+        extraction_time_ms: extracted.extraction_time_ms,
+        ai: extracted.ai
       }
     }));
 
   } catch (err) {
     console.error('Extract from text error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500, err.details || null));
   }
 }
 
@@ -223,7 +220,8 @@ export async function extractFromURL(req, res) {
       mode,
       max_contexts,
       'url',
-      { url }
+      { url },
+      userId
     );
 
     // Filter by quality threshold
@@ -239,13 +237,14 @@ export async function extractFromURL(req, res) {
         original_count: extracted.contexts.length,
         filtered_count: filtered.length,
         content_length: cleanedContent.length,
-        extraction_time_ms: extracted.extraction_time_ms
+        extraction_time_ms: extracted.extraction_time_ms,
+        ai: extracted.ai
       }
     }));
 
   } catch (err) {
     console.error('Extract from URL error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500, err.details || null));
   }
 }
 
@@ -308,7 +307,8 @@ export async function extractFromRepo(req, res) {
       mode,
       max_contexts,
       'repository',
-      { repo_url, ...repoInfo }
+      { repo_url, ...repoInfo },
+      userId
     );
 
     // Filter by quality threshold
@@ -325,20 +325,21 @@ export async function extractFromRepo(req, res) {
         filtered_count: filtered.length,
         files_scanned: repoContents.files.length,
         repository: repoInfo,
-        extraction_time_ms: extracted.extraction_time_ms
+        extraction_time_ms: extracted.extraction_time_ms,
+        ai: extracted.ai
       }
     }));
 
   } catch (err) {
     console.error('Extract from repo error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500, err.details || null));
   }
 }
 
 /**
- * Extract contexts using AI (OpenAI or Anthropic)
+ * Extract contexts using AI through the extraction route
  */
-async function extractContextsWithAI(content, mode, maxContexts, sourceType, metadata = {}) {
+async function extractContextsWithAI(content, mode, maxContexts, sourceType, metadata = {}, userId) {
   const startTime = Date.now();
 
   const systemPrompt = buildExtractionPrompt(mode, maxContexts, sourceType);
@@ -347,46 +348,25 @@ async function extractContextsWithAI(content, mode, maxContexts, sourceType, met
   const limitedContent = content.slice(0, 50000);
 
   try {
-    let result;
-
-    // Try Claude first (better at extraction)
-    if (anthropic) {
-      const response = await anthropic.messages.create({
-        model: 'claude-3-5-sonnet-20241022',
-        max_tokens: 4000,
-        system: systemPrompt,
-        messages: [{
-          role: 'user',
-          content: `Extract contexts from the following content:\n\n${limitedContent}`
-        }]
-      });
-
-      result = JSON.parse(response.content[0].text);
-    }
-    // Fallback to OpenAI
-    else if (openai) {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: `Extract contexts from the following content:\n\n${limitedContent}` }
-        ],
-        response_format: { type: 'json_object' },
-        temperature: 0.3
-      });
+    const generation = await meteredGeneration('extraction', getRouteCandidates('extraction'), {
+      systemPrompt,
+      prompt: `Extract contexts from the following content:\n\n${limitedContent}`,
+      maxTokens: 4000,
+      temperature: 0.3,
+      responseFormat: 'json'
+    }, { userId, tenantId: userId ? await ensureTenant(userId) : undefined });
 
-      result = JSON.parse(response.choices[0].message.content);
-    }
-    else {
-      throw new Error('No AI provider configured');
-    }
+    const result = parseJsonOutput(generation.output);
 
     return {
       contexts: result.contexts || [],
-      extraction_time_ms: Date.now() - startTime
+      extraction_time_ms: Date.now() - startTime,
+      ai: { provider: generation.routing.provider, model: generation.routing.model }
     };
 
   } catch (err) {
+    if (isBudgetError(err)) throw err;
+
     console.error('AI extraction error:', err);
     return {
       contexts: [],
@@ -35,15 +35,14 @@ import {
 } from './versions.js';
 
 // Import search handlers
+import { semanticSearchContexts, hybridSearchContexts } from './semantic_search.js';
 import {
-  semanticSearch,
   getRecommendations,
   findSimilar,
   getEffectivenessMetrics,
   trackUsage,
   getAssociations,
-  queueEmbeddingGeneration,
-  hybridSearch
+  queueEmbeddingGeneration
 } from './search.js';
 
 /**
@@ -150,12 +149,12 @@ export default async function contextsRouter(req, res, pathParts) {
 
     // POST /api/contexts/search
     if (method === 'POST' && pathParts.length === 3 && pathParts[2] === 'search') {
-      return await semanticSearch(req, res);
+      return await semanticSearchContexts(req, res);
     }
 
     // POST /api/contexts/hybrid-search
     if (method === 'POST' && pathParts.length === 3 && pathParts[2] === 'hybrid-search') {
-      return await hybridSearch(req, res);
+      return await hybridSearchContexts(req, res);
     }
 
     // POST /api/contexts/recommend
@@ -1,61 +1,16 @@
 /**
  * Context Semantic Search API
  * AI-powered context discovery and recommendations
+ * Legacy context_embeddings vectors are 384-dim local MiniLM vectors, so query
+ * text is embedded with the local default model. POST /api/contexts/search
+ * and POST /api/contexts/hybrid-search run on the embedding registry (see
+ * semantic_search.js).
  */
 
-import { db } from '../../../utils/database.js';
+import { db, enqueueEmbedding, EMBEDDING_PRIORITIES, parseEmbeddingPriority } from '../../../utils/database.js';
 import { getUserId } from '../../../utils/auth.js';
 import { success, error } from '../../../utils/responses.js';
-import { generateEmbedding } from '../../../services/embeddingService.js';
-
-/**
- * POST /api/contexts/search
- * Semantic search for contexts using vector similarity
- */
-export async function semanticSearch(req, res) {
-  try {
-    const userId = await getUserId(req);
-    if (!userId) {
-      return res.status(401).json(error('Unauthorized', 401));
-    }
-
-    const {
-      query_text,
-      query_embedding = null,
-      limit = 10,
-      min_similarity = 0.7,
-      exclude_ids = []
-    } = req.body;
-
-    if (!query_text && !query_embedding) {
-      return res.status(400).json(error('query_text or query_embedding is required'));
-    }
-
-    // Generate embedding from query_text if not provided
-    let embedding = query_embedding;
-    if (!embedding && query_text) {
-      console.log(`🔍 [Search] Generating embedding for query: "${query_text.substring(0, 50)}..."`);
-      embedding = await generateEmbedding(query_text);
-    }
-
-    // Use the find_similar_contexts function from migration 013
-    const result = await db.query(
-      `SELECT * FROM find_similar_contexts(
-        $1::vector(384),
-        $2::UUID,
-        $3::INT,
-        $4::DECIMAL,
-        $5::UUID[]
-      )`,
-      [`[${embedding.join(',')}]`, userId, limit, min_similarity, exclude_ids]
-    );
-
-    return res.json(success({ contexts: result.rows }));
-  } catch (err) {
-    console.error('Semantic search error:', err);
-    return res.status(500).json(error(err.message, 500));
-  }
-}
+import { generateEmbedding } from '../../../services/localEmbeddingService.js';
 
 /**
  * POST /api/contexts/recommend
@@ -82,7 +37,7 @@ export async function getRecommendations(req, res) {
     let embedding = prompt_embedding;
     if (!embedding && prompt_text) {
       console.log(`🤖 [Recommendations] Generating embedding for prompt: "${prompt_text.substring(0, 50)}..."`);
-      embedding = await generateEmbedding(prompt_text);
+      ({ embedding } = await generateEmbedding(prompt_text));
     }
 
     // Use find_similar_contexts as fallback if get_learned_recommendations doesn't exist
@@ -246,7 +201,7 @@ export async function trackUsage(req, res) {
     let embedding = prompt_embedding;
     if (!embedding && prompt_text) {
       try {
-        embedding = await generateEmbedding(prompt_text);
+        ({ embedding } = await generateEmbedding(prompt_text));
       } catch (err) {
         console.warn('⚠️  [Track Usage] Failed to generate prompt embedding:', err.message);
         embedding = null;
@@ -321,6 +276,8 @@ export async function getAssociations(req, res) {
 /**
  * POST /api/contexts/layers/:id/generate-embedding
  * Queue context for embedding generation
+ * Layers are queued automatically when saved; this moves one up the queue
+ * (or re-queues it, e.g. after a failure).
  */
 export async function queueEmbeddingGeneration(req, res, contextId) {
   try {
@@ -329,11 +286,13 @@ export async function queueEmbeddingGeneration(req, res, contextId) {
       return res.status(401).json(error('Unauthorized', 401));
     }
 
-    const { priority = 5 } = req.body;
+    const { priority = 'interactive' } = req.body;
 
     // Verify ownership
     const ownerCheck = await db.query(
-      'SELECT id FROM context_layers WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL',
+      `SELECT * FROM entity
+       WHERE id = $1 AND owner_id = $2 AND entity_type = 'context'
+         AND valid_to IS NULL AND deleted_at IS NULL`,
       [contextId, userId]
     );
 
@@ -341,74 +300,17 @@ export async function queueEmbeddingGeneration(req, res, contextId) {
       return res.status(404).json(error('Context not found', 404));
     }
 
-    // Add to queue using the migration table name
-    const result = await db.query(
-      `INSERT INTO embedding_queue (resource_type, resource_id, priority, status)
-       VALUES ('context', $1, $2, 'pending')
-       ON CONFLICT (resource_type, resource_id, status)
-       DO UPDATE SET priority = $2, retry_count = 0
-       RETURNING *`,
-      [contextId, priority]
-    );
+    const queueItem = await enqueueEmbedding({
+      entity: ownerCheck.rows[0],
+      priority: parseEmbeddingPriority(priority, EMBEDDING_PRIORITIES.interactive)
+    });
 
     return res.status(201).json(success({
       queued: true,
-      queue_item: result.rows[0]
+      queue_item: queueItem
     }));
   } catch (err) {
     console.error('Queue embedding generation error:', err);
     return res.status(500).json(error(err.message, 500));
   }
 }
-
-/**
- * POST /api/contexts/hybrid-search
- * Hybrid search combining full-text and semantic similarity
- */
-export async function hybridSearch(req, res) {
-  try {
-    const userId = await getUserId(req);
-    if (!userId) {
-      return res.status(401).json(error('Unauthorized', 401));
-    }
-
-    const {
-      query_text,
-      query_embedding = null,
-      limit = 10,
-      semantic_weight = 0.7
-    } = req.body;
-
-    if (!query_text) {
-      return res.status(400).json(error('query_text is required'));
-    }
-
-    // Generate embedding from query_text if not provided
-    let embedding = query_embedding;
-    if (!embedding && query_text) {
-      console.log(`🔍 [Hybrid Search] Generating embedding for query: "${query_text.substring(0, 50)}..."`);
-      embedding = await generateEmbedding(query_text);
-    }
-
-    if (!embedding) {
-      return res.status(500).json(error('Failed to generate embedding'));
-    }
-
-    // Use the hybrid_search_contexts function from migration
-    const result = await db.query(
-      `SELECT * FROM hybrid_search_contexts(
-        $1::TEXT,
-        $2::vector(384),
-        $3::UUID,
-        $4::INT,
-        $5::DECIMAL
-      )`,
-      [query_text, `[${embedding.join(',')}]`, userId, limit, semantic_weight]
-    );
-
-    return res.json(success({ results: result.rows }));
-  } catch (err) {
-    console.error('Hybrid search error:', err);
-    return res.status(500).json(error(err.message, 500));
-  }
-}
@@ -1,6 +1,10 @@
 /**
  * Semantic Search Handler for Contexts - Updated for Enterprise Schema
- * Uses unified embedding table with pgvector
+ * Uses unified embedding table with pgvector, searching the vectors of the
+ * tenant's embedding model. With `passages: true` the search runs on chunk
+ * vectors and returns the best matching passages of each context. With
+ * `rerank: true` (or `{ top_n }`) the top candidates are rescored by the local
+ * cross-encoder (see localRerankService).
  *
  * @module handlers/contexts/semantic_search
  */
@@ -8,7 +12,49 @@
 import { db, ensureTenant } from '../../../utils/database.js';
 import { getUserId } from '../../../utils/auth.js';
 import { success, error } from '../../../utils/responses.js';
-import { generateEmbedding } from '../../../services/localEmbeddingService.js';
+import {
+  getTenantEmbeddingModel,
+  resolveQueryVector,
+  toVectorLiteral,
+  vectorDistanceSql
+} from '../../../services/embeddings/registry.js';
+import { searchPassages, attachPassageText } from '../../../services/embeddings/passages.js';
+import { entityContentText } from '../../../services/embeddings/chunking.js';
+import { parseRerankOption, rerankResults } from '../../../services/localRerankService.js';
+
+/**
+ * What the reranker reads of a context result: its passages when the search
+ * returned passages, else its name, description and content
+ */
+function contextRerankText(context) {
+  const body = context.passages
+    ? context.passages.map(passage => passage.text).join('\n')
+    : context.content_text;
+  return [context.context_name, context.description, body].filter(Boolean).join('\n');
+}
+
+/**
+ * Rerank context results when requested and cut them to `limit`
+ * `content_text` is only there for the reranker and is dropped.
+ *
+ * @returns {Promise<{contexts: Object[], rerank: Object|null}>}
+ */
+async function finishContextResults(queryText, contexts, limit, rerankOption) {
+  let results = contexts;
+  let rerank = null;
+
+  if (rerankOption) {
+    ({ results, rerank } = await rerankResults(queryText, contexts, {
+      topN: rerankOption.topN,
+      textOf: contextRerankText
+    }));
+  }
+
+  return {
+    contexts: results.slice(0, limit).map(({ content_text, ...context }) => context),
+    rerank
+  };
+}
 
 /**
  * POST /api/contexts/search
@@ -25,40 +71,74 @@ export async function semanticSearchContexts(req, res) {
 
     const {
       query_text,
+      query_embedding = null,
       limit = 10,
       min_similarity = 0.7,
-      exclude_ids = []
+      exclude_ids = [],
+      passages = false,
+      passages_per_context = 3,
+      rerank = false
     } = req.body;
 
-    if (!query_text || query_text.trim().length === 0) {
-      return res.status(400).json(error('query_text is required'));
+    if ((!query_text || query_text.trim().length === 0) && !query_embedding) {
+      return res.status(400).json(error('query_text or query_embedding is required'));
     }
 
-    // Generate embedding for the query
+    const rerankOption = parseRerankOption(rerank);
+    if (rerankOption && !query_text?.trim()) {
+      return res.status(400).json(error('rerank requires query_text'));
+    }
+
+    // The reranker picks from its top_n candidates
+    const candidateLimit = rerankOption ? Math.max(limit, rerankOption.topN) : limit;
+
+    // Embed the query with the tenant's model, or match query_embedding to a model
     const startTime = Date.now();
-    const { embedding } = await generateEmbedding(query_text);
+    const { model, vector } = await resolveQueryVector(tenantId, {
+      text: query_text,
+      vector: query_embedding,
+      userId
+    });
     const embeddingTime = Date.now() - startTime;
 
-    // Convert embedding to pgvector format
-    const vectorString = `[${embedding.join(',')}]`;
+    let searchResults;
+    let passagesById = null;
 
-    // Search contexts using the enterprise schema search function
-    const searchResults = await db.query(
-      `SELECT * FROM search_similar_entities(
-        $1::UUID,
-        $2::vector(1536),
-        'context',
-        $3::INTEGER
-      ) WHERE similarity >= $4
-        AND entity_id != ALL($5::UUID[])`,
-      [
+    if (passages) {
+      // Rank by chunk hits; similarity is the aggregated document score
+      const documents = await searchPassages({
+        model,
+        vector,
+        entityType: 'context',
         tenantId,
-        vectorString,
-        limit * 2, // Get more results to filter
-        min_similarity,
-        exclude_ids.length > 0 ? exclude_ids : ['00000000-0000-0000-0000-000000000000']
-      ]
-    );
+        excludeIds: exclude_ids,
+        limit: candidateLimit,
+        passagesPerDocument: Math.min(Math.max(parseInt(passages_per_context) || 3, 1), 10),
+        minSimilarity: min_similarity
+      });
+      searchResults = { rows: documents.map(doc => ({ entity_id: doc.entity_id, similarity: doc.score })) };
+      passagesById = new Map(documents.map(doc => [doc.entity_id, doc.passages]));
+    } else {
+      // Search contexts using the enterprise schema search function
+      searchResults = await db.query(
+        `SELECT * FROM search_similar_entities(
+          $1::UUID,
+          $2::vector,
+          $6,
+          'context',
+          $3::INTEGER
+        ) WHERE similarity >= $4
+          AND entity_id != ALL($5::UUID[])`,
+        [
+          tenantId,
+          toVectorLiteral(vector),
+          candidateLimit * 2, // Get more results to filter
+          min_similarity,
+          exclude_ids.length > 0 ? exclude_ids : ['00000000-0000-0000-0000-000000000000'],
+          model.model_id
+        ]
+      );
+    }
 
     // Get full entity details for results
     const entityIds = searchResults.rows.map(r => r.entity_id);
@@ -67,6 +147,7 @@ export async function semanticSearchContexts(req, res) {
         query: query_text,
         contexts: [],
         count: 0,
+        embedding_model: { provider: model.provider, model_id: model.model_id, dimensions: model.dimensions },
         timing: { embedding_ms: embeddingTime }
       }));
     }
@@ -79,9 +160,8 @@ export async function semanticSearchContexts(req, res) {
        WHERE e.id = ANY($1::UUID[])
          AND e.entity_type = 'context'
          AND e.valid_to IS NULL
-         AND e.deleted_at IS NULL
-       LIMIT $2`,
-      [entityIds, limit]
+         AND e.deleted_at IS NULL`,
+      [entityIds]
     );
 
     // Merge similarity scores with entity data
@@ -96,26 +176,204 @@ export async function semanticSearchContexts(req, res) {
         : JSON.stringify(row.content).substring(0, 200),
       tags: row.tags,
       similarity: resultsMap.get(row.id) || 0,
+      ...(passagesById && {
+        passages: attachPassageText(passagesById.get(row.id) || [], { ...row, entity_type: 'context' })
+      }),
+      content_text: rerankOption ? entityContentText({ ...row, entity_type: 'context' }) : undefined,
       created_at: row.created_at,
       updated_at: row.updated_at
     }));
 
-    // Sort by similarity
+    // Sort by similarity, then rerank the top candidates when asked
     contexts.sort((a, b) => b.similarity - a.similarity);
+    const { contexts: results, rerank: rerankInfo } = await finishContextResults(
+      query_text, contexts, limit, rerankOption
+    );
 
     return res.json(success({
       query: query_text,
-      contexts,
-      count: contexts.length,
+      contexts: results,
+      count: results.length,
+      embedding_model: { provider: model.provider, model_id: model.model_id, dimensions: model.dimensions },
+      ...(rerankInfo && { rerank: rerankInfo }),
       timing: {
         embedding_ms: embeddingTime,
+        ...(rerankInfo && { rerank_ms: rerankInfo.latency_ms }),
         total_ms: Date.now() - startTime
       }
     }));
 
   } catch (err) {
     console.error('Context semantic search error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
+  }
+}
+
+/**
+ * POST /api/contexts/hybrid-search
+ * Vector similarity combined with full-text keyword matching
+ * Candidates are the vector top-K and the keyword top-K of the tenant's
+ * contexts; each is scored `semantic_weight × similarity + (1 - semantic_weight)
+ * × keyword score`, where the keyword score is ts_rank_cd relative to the best
+ * keyword match. Keyword matching runs on title, description and content
+ * without an index, so it scans the tenant's contexts.
+ */
+export async function hybridSearchContexts(req, res) {
+  try {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json(error('Unauthorized', 401));
+    }
+
+    const tenantId = await ensureTenant(userId);
+
+    const {
+      query_text,
+      query_embedding = null,
+      limit = 10,
+      semantic_weight = 0.7,
+      exclude_ids = [],
+      rerank = false
+    } = req.body;
+
+    if (!query_text || query_text.trim().length === 0) {
+      return res.status(400).json(error('query_text is required'));
+    }
+
+    const weight = Math.min(Math.max(parseFloat(semantic_weight), 0), 1);
+    if (Number.isNaN(weight)) {
+      return res.status(400).json(error('semantic_weight must be a number between 0 and 1'));
+    }
+
+    const rerankOption = parseRerankOption(rerank);
+    const candidateLimit = rerankOption ? Math.max(limit, rerankOption.topN) : limit;
+
+    const startTime = Date.now();
+    const { model, vector } = await resolveQueryVector(tenantId, {
+      text: query_text,
+      vector: query_embedding,
+      userId
+    });
+    const embeddingTime = Date.now() - startTime;
+
+    const distance = vectorDistanceSql('emb.vector', '$1', model.dimensions);
+    const candidates = await db.query(
+      `WITH semantic AS (
+         SELECT e.id, 1 - ${distance} AS similarity
+         FROM embedding emb
+         JOIN entity e ON emb.entity_id = e.id
+         WHERE e.tenant_id = $2
+           AND e.entity_type = 'context'
+           AND e.valid_to IS NULL
+           AND e.deleted_at IS NULL
+           AND emb.status = 'completed'
+           AND emb.model = $3
+           AND emb.dimensions = $4
+           AND e.id != ALL($5::UUID[])
+         ORDER BY ${distance}
+         LIMIT $6
+       ),
+       keyword AS (
+         SELECT e.id, ts_rank_cd(document, query) AS rank
+         FROM entity e,
+              websearch_to_tsquery('english', $7) query,
+              to_tsvector('english', e.title || ' ' || COALESCE(e.description, '') || ' ' ||
+                COALESCE(e.content->>'text', e.content #>> '{}', '')) document
+         WHERE e.tenant_id = $2
+           AND e.entity_type = 'context'
+           AND e.valid_to IS NULL
+           AND e.deleted_at IS NULL
+           AND e.id != ALL($5::UUID[])
+           AND document @@ query
+         ORDER BY rank DESC
+         LIMIT $6
+       )
+       SELECT COALESCE(s.id, k.id) AS entity_id,
+              COALESCE(s.similarity, 0) AS similarity,
+              COALESCE(k.rank, 0) AS keyword_rank
+       FROM semantic s
+       FULL OUTER JOIN keyword k ON k.id = s.id`,
+      [
+        toVectorLiteral(vector),
+        tenantId,
+        model.model_id,
+        model.dimensions,
+        exclude_ids,
+        candidateLimit * 2,
+        query_text
+      ]
+    );
+
+    const maxRank = Math.max(0, ...candidates.rows.map(row => parseFloat(row.keyword_rank)));
+    const scored = candidates.rows
+      .map(row => {
+        const similarity = parseFloat(row.similarity);
+        const keywordScore = maxRank > 0 ? parseFloat(row.keyword_rank) / maxRank : 0;
+        return {
+          entity_id: row.entity_id,
+          similarity,
+          keyword_score: keywordScore,
+          score: weight * similarity + (1 - weight) * keywordScore
+        };
+      })
+      .sort((a, b) => b.score - a.score)
+      .slice(0, candidateLimit);
+
+    const entities = scored.length > 0
+      ? await db.query(
+        `SELECT e.id, e.title as name, e.description,
+                e.metadata->>'layer_type' as layer_type,
+                e.content, e.tags, e.created_at, e.updated_at
+         FROM entity e
+         WHERE e.id = ANY($1::UUID[])`,
+        [scored.map(r => r.entity_id)]
+      )
+      : { rows: [] };
+
+    const rowsById = new Map(entities.rows.map(row => [row.id, row]));
+    const contexts = scored
+      .filter(r => rowsById.has(r.entity_id))
+      .map(r => {
+        const row = rowsById.get(r.entity_id);
+        return {
+          context_id: row.id,
+          context_name: row.name,
+          layer_type: row.layer_type || 'adhoc',
+          description: row.description,
+          content_preview: typeof row.content === 'string'
+            ? row.content.substring(0, 200)
+            : JSON.stringify(row.content).substring(0, 200),
+          tags: row.tags,
+          score: r.score,
+          similarity: r.similarity,
+          keyword_score: r.keyword_score,
+          content_text: rerankOption ? entityContentText({ ...row, entity_type: 'context' }) : undefined,
+          created_at: row.created_at,
+          updated_at: row.updated_at
+        };
+      });
+
+    const { contexts: results, rerank: rerankInfo } = await finishContextResults(
+      query_text, contexts, limit, rerankOption
+    );
+
+    return res.json(success({
+      query: query_text,
+      contexts: results,
+      count: results.length,
+      semantic_weight: weight,
+      embedding_model: { provider: model.provider, model_id: model.model_id, dimensions: model.dimensions },
+      ...(rerankInfo && { rerank: rerankInfo }),
+      timing: {
+        embedding_ms: embeddingTime,
+        ...(rerankInfo && { rerank_ms: rerankInfo.latency_ms }),
+        total_ms: Date.now() - startTime
+      }
+    }));
+
+  } catch (err) {
+    console.error('Context hybrid search error:', err);
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
   }
 }
 
@@ -138,6 +396,7 @@ export async function findSimilarContexts(req, res, contextId) {
     } = req.query;
 
     // Verify context exists and get its embedding
+    const model = await getTenantEmbeddingModel(tenantId);
     const embeddingResult = await db.query(
       `SELECT emb.vector, e.title
        FROM embedding emb
@@ -148,8 +407,9 @@ export async function findSimilarContexts(req, res, contextId) {
          AND e.valid_to IS NULL
          AND e.deleted_at IS NULL
          AND emb.status = 'completed'
+         AND emb.model = $3
        LIMIT 1`,
-      [contextId, userId]
+      [contextId, userId, model.model_id]
     );
 
     if (embeddingResult.rows.length === 0) {
@@ -163,12 +423,13 @@ export async function findSimilarContexts(req, res, contextId) {
     const similarResults = await db.query(
       `SELECT * FROM search_similar_entities(
         $1::UUID,
-        $2::vector(1536),
+        $2::vector,
+        $6,
         'context',
         $3::INTEGER
       ) WHERE similarity >= $4
         AND entity_id != $5`,
-      [tenantId, queryVector, limit + 1, min_similarity, contextId]
+      [tenantId, queryVector, limit + 1, min_similarity, contextId, model.model_id]
     );
 
     // Get full entity details
@@ -225,5 +486,6 @@ export async function findSimilarContexts(req, res, contextId) {
 
 export default {
   semanticSearchContexts,
+  hybridSearchContexts,
   findSimilarContexts
 };
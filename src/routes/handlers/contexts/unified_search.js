@@ -3,14 +3,131 @@
  *
  * Provides a single endpoint for searching across all resource types
  * with semantic similarity. Designed for the command palette.
+ * Queries run against the vectors of the caller's tenant embedding model:
+ * templates of the caller and public ones, and the tenant's contexts. With
+ * `rerank: true` (or `{ top_n }`) each type's top candidates are rescored by
+ * the local cross-encoder (see localRerankService).
  *
  * @module handlers/search/unified
  */
 
-import { db } from '../../utils/database.js';
-import { getUserId } from '../../utils/auth.js';
-import { success, error } from '../../utils/responses.js';
-import { generateEmbedding } from '../../services/localEmbeddingService.js';
+import { db, ensureTenant } from '../../../utils/database.js';
+import { getUserId } from '../../../utils/auth.js';
+import { success, error } from '../../../utils/responses.js';
+import { resolveQueryVector, toVectorLiteral, vectorDistanceSql } from '../../../services/embeddings/registry.js';
+import { entityContentText } from '../../../services/embeddings/chunking.js';
+import { parseRerankOption, rerankResults } from '../../../services/localRerankService.js';
+
+// Access per resource type: templates of the caller or public, contexts of the tenant
+const RESOURCE_TYPES = {
+  templates: {
+    entityType: 'template',
+    access: `(e.owner_id = $3 OR e.visibility = 'public')`,
+    accessParam: ({ userId }) => userId,
+    toResult: row => ({ category: row.metadata?.category || null })
+  },
+  contexts: {
+    entityType: 'context',
+    access: 'e.tenant_id = $3',
+    accessParam: ({ tenantId }) => tenantId,
+    toResult: row => ({ layer_type: row.metadata?.layer_type || 'adhoc' })
+  }
+};
+
+/**
+ * Search one resource type, reranking its candidates when asked
+ *
+ * @returns {Promise<{results: Object[], rerank: Object|null}>}
+ */
+async function searchResourceType(resourceType, { query, model, vector, userId, tenantId, limit, minSimilarity, rerankOption }) {
+  const { entityType, access, accessParam, toResult } = RESOURCE_TYPES[resourceType];
+  const distance = vectorDistanceSql('emb.vector', '$1', model.dimensions);
+  const candidateLimit = rerankOption ? Math.max(limit, rerankOption.topN) : limit;
+
+  const rows = await db.query(
+    `SELECT e.id, e.entity_type, e.title, e.description, e.content, e.metadata, e.tags, e.visibility,
+            1 - ${distance} AS similarity
+     FROM embedding emb
+     JOIN entity e ON emb.entity_id = e.id
+     WHERE e.entity_type = $2
+       AND e.valid_to IS NULL
+       AND e.deleted_at IS NULL
+       AND emb.status = 'completed'
+       AND emb.model = $4
+       AND emb.dimensions = $5
+       AND ${access}
+       AND (1 - ${distance}) >= $6
+     ORDER BY ${distance}
+     LIMIT $7`,
+    [
+      toVectorLiteral(vector),
+      entityType,
+      accessParam({ userId, tenantId }),
+      model.model_id,
+      model.dimensions,
+      minSimilarity,
+      candidateLimit
+    ]
+  );
+
+  let results = rows.rows.map(row => ({
+    id: row.id,
+    type: entityType,
+    name: row.title,
+    description: row.description,
+    ...toResult(row),
+    tags: row.tags || [],
+    similarity: parseFloat(row.similarity),
+    metadata: {
+      visibility: row.visibility
+    },
+    text: rerankOption ? [row.title, row.description, entityContentText(row)].filter(Boolean).join('\n') : undefined
+  }));
+
+  let rerank = null;
+  if (rerankOption) {
+    ({ results, rerank } = await rerankResults(query, results, {
+      topN: rerankOption.topN,
+      textOf: result => result.text
+    }));
+  }
+
+  return {
+    results: results.slice(0, limit).map(({ text, ...result }) => result),
+    rerank
+  };
+}
+
+/**
+ * Search several resource types with one query vector
+ *
+ * @returns {Promise<{results: Object, rerank: Object|null, model: Object}>} `rerank` per type
+ */
+async function searchResourceTypes(userId, query, { resourceTypes, limit, minSimilarity, rerankOption }) {
+  const tenantId = await ensureTenant(userId);
+  const { model, vector } = await resolveQueryVector(tenantId, { text: query, userId });
+
+  const types = resourceTypes.filter(type => RESOURCE_TYPES[type]);
+  const searches = await Promise.all(types.map(type => searchResourceType(type, {
+    query,
+    model,
+    vector,
+    userId,
+    tenantId,
+    limit,
+    minSimilarity,
+    rerankOption
+  })));
+
+  const results = {};
+  const rerank = rerankOption ? {} : null;
+  types.forEach((type, index) => {
+    results[type] = searches[index].results;
+    if (rerank) rerank[type] = searches[index].rerank;
+  });
+
+  return { results, rerank, model };
+}
 
 /**
  * POST /api/search/unified
@@ -30,114 +147,40 @@ export async function unifiedSearch(req, res) {
       resource_types = ['templates', 'contexts'], // Which types to search
       limit_per_type = 5, // Results per type
       min_similarity = 0.6, // Lower threshold for broader results
+      rerank = false
     } = req.body;
 
     if (!query || query.trim().length === 0) {
       return res.status(400).json(error('query is required'));
     }
 
-    // Generate embedding for the query
     const startTime = Date.now();
-    const { embedding } = await generateEmbedding(query);
-    const embeddingTime = Date.now() - startTime;
-
-    const results = {
-      query,
-      embedding_time_ms: embeddingTime,
-      results: {},
-    };
-
-    // Search templates if requested
-    if (resource_types.includes('templates')) {
-      const templateResults = await db.query(
-        `SELECT
-           template_id,
-           name,
-           description,
-           category,
-           tags,
-           similarity,
-           likes_count,
-           usage_count,
-           visibility
-         FROM find_similar_templates(
-           $1::vector(384),
-           $2::UUID,
-           $3::INT,
-           $4::DECIMAL,
-           ARRAY[]::UUID[]
-         )`,
-        [`[${embedding.join(',')}]`, userId, limit_per_type, min_similarity]
-      );
-
-      results.results.templates = templateResults.rows.map(row => ({
-        id: row.template_id,
-        type: 'template',
-        name: row.name,
-        description: row.description,
-        category: row.category,
-        tags: row.tags || [],
-        similarity: parseFloat(row.similarity),
-        metadata: {
-          likes_count: row.likes_count,
-          usage_count: row.usage_count,
-          visibility: row.visibility,
-        },
-      }));
-    }
-
-    // Search contexts if requested
-    if (resource_types.includes('contexts')) {
-      const contextResults = await db.query(
-        `SELECT
-           context_id,
-           name,
-           description,
-           layer_type,
-           tags,
-           similarity,
-           visibility
-         FROM find_similar_contexts(
-           $1::vector(384),
-           $2::UUID,
-           $3::INT,
-           $4::DECIMAL,
-           ARRAY[]::UUID[]
-         )`,
-        [`[${embedding.join(',')}]`, userId, limit_per_type, min_similarity]
-      );
-
-      results.results.contexts = contextResults.rows.map(row => ({
-        id: row.context_id,
-        type: 'context',
-        name: row.name,
-        description: row.description,
-        layer_type: row.layer_type,
-        tags: row.tags || [],
-        similarity: parseFloat(row.similarity),
-        metadata: {
-          visibility: row.visibility,
-        },
-      }));
-    }
+    const rerankOption = parseRerankOption(rerank);
+    const { results, rerank: rerankInfo, model } = await searchResourceTypes(userId, query, {
+      resourceTypes: resource_types,
+      limit: Math.min(Math.max(parseInt(limit_per_type) || 5, 1), 50),
+      minSimilarity: min_similarity,
+      rerankOption
+    });
 
     // Search saved compositions if requested
     if (resource_types.includes('compositions')) {
       // TODO: Implement when compositions are stored
-      results.results.compositions = [];
+      results.compositions = [];
     }
 
-    // Calculate total results
-    results.total_results = Object.values(results.results)
-      .reduce((sum, arr) => sum + arr.length, 0);
-
-    // Total query time
-    results.total_time_ms = Date.now() - startTime;
-
-    return res.json(success(results));
+    return res.json(success({
+      query,
+      results,
+      // Calculate total results
+      total_results: Object.values(results).reduce((sum, arr) => sum + arr.length, 0),
+      embedding_model: { provider: model.provider, model_id: model.model_id, dimensions: model.dimensions },
+      ...(rerankInfo && { rerank: rerankInfo }),
+      total_time_ms: Date.now() - startTime
+    }));
   } catch (err) {
     console.error('Unified search error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
   }
 }
 
@@ -145,7 +188,8 @@ export async function unifiedSearch(req, res) {
  * GET /api/search/quick
  * Quick search with minimal results (optimized for command palette)
  *
- * Faster than unified search - only returns top 3 per category
+ * Faster than unified search - only returns top 3 per category.
+ * `rerank=true` reranks them (from the top RERANK_TOP_N candidates).
  */
 export async function quickSearch(req, res) {
   try {
@@ -154,7 +198,7 @@ export async function quickSearch(req, res) {
       return res.status(401).json(error('Unauthorized', 401));
     }
 
-    const { q: query } = req.query;
+    const { q: query, rerank } = req.query;
 
     if (!query || query.trim().length === 0) {
       return res.status(400).json(error('q parameter is required'));
@@ -170,74 +214,23 @@ export async function quickSearch(req, res) {
       }));
     }
 
-    // Generate embedding
-    const { embedding } = await generateEmbedding(query);
-
-    // Quick parallel search
-    const [templateResults, contextResults] = await Promise.all([
-      db.query(
-        `SELECT
-           template_id,
-           name,
-           description,
-           category,
-           similarity
-         FROM find_similar_templates(
-           $1::vector(384),
-           $2::UUID,
-           3, -- Top 3 only
-           0.5, -- Lower threshold for command palette
-           ARRAY[]::UUID[]
-         )`,
-        [`[${embedding.join(',')}]`, userId]
-      ),
-      db.query(
-        `SELECT
-           context_id,
-           name,
-           description,
-           layer_type,
-           similarity
-         FROM find_similar_contexts(
-           $1::vector(384),
-           $2::UUID,
-           3, -- Top 3 only
-           0.5,
-           ARRAY[]::UUID[]
-         )`,
-        [`[${embedding.join(',')}]`, userId]
-      ),
-    ]);
-
-    const results = {
+    const { results, rerank: rerankInfo } = await searchResourceTypes(userId, query, {
+      resourceTypes: ['templates', 'contexts'],
+      limit: 3, // Top 3 only
+      minSimilarity: 0.5, // Lower threshold for command palette
+      rerankOption: parseRerankOption(rerank === 'true')
+    });
+
+    return res.json(success({
       query,
-      results: {
-        templates: templateResults.rows.map(row => ({
-          id: row.template_id,
-          type: 'template',
-          name: row.name,
-          description: row.description,
-          category: row.category,
-          similarity: parseFloat(row.similarity),
-        })),
-        contexts: contextResults.rows.map(row => ({
-          id: row.context_id,
-          type: 'context',
-          name: row.name,
-          description: row.description,
-          layer_type: row.layer_type,
-          similarity: parseFloat(row.similarity),
-        })),
-      },
-      total_results:
-        templateResults.rows.length + contextResults.rows.length,
-      method: 'semantic',
-    };
-
-    return res.json(success(results));
+      results,
+      total_results: results.templates.length + results.contexts.length,
+      method: rerankInfo ? 'semantic+rerank' : 'semantic',
+      ...(rerankInfo && { rerank: rerankInfo })
+    }));
   } catch (err) {
     console.error('Quick search error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
   }
 }
 
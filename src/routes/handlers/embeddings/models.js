@@ -0,0 +1,271 @@
+/**
+ * Embedding Models API
+ * Registry of embedding models, the model the tenant searches with, and
+ * re-index jobs moving the tenant to another model. Registering models is
+ * limited to catalog admins (MODEL_CATALOG_ADMINS).
+ *
+ * GET    /api/embeddings/models           Registry, active model and coverage per model
+ * POST   /api/embeddings/models           Body: { provider, model_id, dimensions, display_name? }
+ * POST   /api/embeddings/reindex          Body: { model_ref } or { provider, model_id }
+ * GET    /api/embeddings/reindex          Recent jobs of the tenant
+ * GET    /api/embeddings/reindex/:id
+ * DELETE /api/embeddings/reindex/:id      Cancel a pending or running job
+ */
+
+import { db, ensureTenant, logEvent } from '../../../utils/database.js';
+import { requireAuth } from '../../../middleware/auth/index.js';
+import { success, error } from '../../../utils/responses.js';
+import { isCatalogAdmin } from '../../../services/ai/catalog.js';
+import {
+  EMBEDDED_ENTITY_TYPES,
+  listEmbeddingModels,
+  getEmbeddingModel,
+  getEmbeddingModelById,
+  getTenantEmbeddingModel,
+  validateEmbeddingModelInput,
+  registerEmbeddingModel,
+  serializeEmbeddingModel
+} from '../../../services/embeddings/registry.js';
+import { startReindex, cancelReindex } from '../../../services/embeddings/reindex.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Public shape of a re-index job
+ */
+function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    from_model_ref: job.from_model_ref,
+    to_model_ref: job.to_model_ref,
+    pass: job.pass,
+    total_entities: job.total_entities,
+    processed_entities: job.processed_entities,
+    failed_entities: job.failed_entities,
+    error_message: job.error_message,
+    created_at: job.created_at,
+    started_at: job.started_at,
+    completed_at: job.completed_at
+  };
+}
+
+/**
+ * GET /api/embeddings/models
+ * List registered models with how many of the tenant's entities each covers
+ */
+export async function listModels(req, res) {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    const tenantId = await ensureTenant(user.id);
+    const [models, active] = await Promise.all([
+      listEmbeddingModels(),
+      getTenantEmbeddingModel(tenantId)
+    ]);
+
+    const [totals, coverage] = await Promise.all([
+      db.query(
+        `SELECT COUNT(*)::int AS count FROM entity
+         WHERE tenant_id = $1 AND entity_type = ANY($2)
+           AND valid_to IS NULL AND deleted_at IS NULL`,
+        [tenantId, EMBEDDED_ENTITY_TYPES]
+      ),
+      db.query(
+        `SELECT emb.model, COUNT(*)::int AS count
+         FROM embedding emb
+         JOIN entity e ON e.id = emb.entity_id
+         WHERE emb.tenant_id = $1 AND emb.status = 'completed'
+           AND e.entity_type = ANY($2) AND e.valid_to IS NULL AND e.deleted_at IS NULL
+         GROUP BY emb.model`,
+        [tenantId, EMBEDDED_ENTITY_TYPES]
+      )
+    ]);
+
+    const embedded = new Map(coverage.rows.map(row => [row.model, row.count]));
+
+    return res.json(success({
+      active: serializeEmbeddingModel(active),
+      total_entities: totals.rows[0].count,
+      models: models.map(model => ({
+        ...serializeEmbeddingModel(model),
+        active: model.id === active.id,
+        embedded_entities: embedded.get(model.model_id) || 0
+      })),
+      can_register: isCatalogAdmin(user)
+    }));
+  } catch (err) {
+    console.error('List embedding models error:', err);
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
+  }
+}
+
+/**
+ * POST /api/embeddings/models
+ * Register an embedding model (catalog admins only)
+ */
+export async function registerModel(req, res) {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    if (!isCatalogAdmin(user)) {
+      return res.status(403).json(error('Only catalog admins can register embedding models', 403));
+    }
+
+    const input = req.body || {};
+    const validationError = validateEmbeddingModelInput(input);
+    if (validationError) {
+      return res.status(400).json(error(validationError, 400));
+    }
+
+    const model = await registerEmbeddingModel(input, user.id);
+    if (!model) {
+      return res.status(409).json(error(`${input.provider}:${input.model_id} is already registered`, 409));
+    }
+
+    return res.status(201).json(success(serializeEmbeddingModel(model), 'Embedding model registered'));
+  } catch (err) {
+    console.error('Register embedding model error:', err);
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
+  }
+}
+
+/**
+ * POST /api/embeddings/reindex
+ * Queue a re-index of the tenant to another model; searches keep using the
+ * current model until every entity has a vector of the new one. A re-index to
+ * the active model backfills missing vectors and chunks.
+ */
+export async function createReindexJob(req, res) {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    const tenantId = await ensureTenant(user.id);
+    const { model_ref: modelRef, provider, model_id: modelId } = req.body || {};
+
+    let model = null;
+    if (modelRef) {
+      model = UUID_PATTERN.test(modelRef) ? await getEmbeddingModelById(modelRef) : null;
+    } else if (provider && modelId) {
+      model = await getEmbeddingModel(provider, modelId);
+    } else {
+      return res.status(400).json(error('Send model_ref or provider and model_id', 400));
+    }
+
+    if (!model) {
+      return res.status(404).json(error('Embedding model not found', 404));
+    }
+
+    const job = await startReindex(tenantId, model, user.id);
+
+    await logEvent({
+      tenantId,
+      eventType: 'embedding.reindex_started',
+      aggregateType: 'embedding_reindex_job',
+      aggregateId: job.id,
+      actorId: user.id,
+      payload: { fromModelRef: job.from_model_ref, toModelRef: job.to_model_ref }
+    });
+
+    return res.status(202).json(success(serializeJob(job), 'Re-index queued'));
+  } catch (err) {
+    console.error('Create re-index job error:', err);
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
+  }
+}
+
+/**
+ * GET /api/embeddings/reindex
+ * Recent re-index jobs of the tenant
+ */
+export async function listReindexJobs(req, res) {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    const tenantId = await ensureTenant(user.id);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const result = await db.query(
+      `SELECT * FROM embedding_reindex_job
+       WHERE tenant_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [tenantId, limit]
+    );
+
+    return res.json(success(result.rows.map(serializeJob)));
+  } catch (err) {
+    console.error('List re-index jobs error:', err);
+    return res.status(500).json(error(err.message, 500));
+  }
+}
+
+/**
+ * GET /api/embeddings/reindex/:id
+ * A re-index job and its progress
+ */
+export async function getReindexJob(req, res, jobId) {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    if (!UUID_PATTERN.test(jobId)) {
+      return res.status(404).json(error('Re-index job not found', 404));
+    }
+
+    const tenantId = await ensureTenant(user.id);
+    const result = await db.query(
+      'SELECT * FROM embedding_reindex_job WHERE id = $1 AND tenant_id = $2',
+      [jobId, tenantId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json(error('Re-index job not found', 404));
+    }
+
+    return res.json(success(serializeJob(result.rows[0])));
+  } catch (err) {
+    console.error('Get re-index job error:', err);
+    return res.status(500).json(error(err.message, 500));
+  }
+}
+
+/**
+ * DELETE /api/embeddings/reindex/:id
+ * Cancel a re-index; the tenant keeps searching with its current model
+ */
+export async function cancelReindexJob(req, res, jobId) {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    if (!UUID_PATTERN.test(jobId)) {
+      return res.status(404).json(error('Re-index job not found', 404));
+    }
+
+    const tenantId = await ensureTenant(user.id);
+    const job = await cancelReindex(tenantId, jobId);
+
+    if (!job) {
+      return res.status(404).json(error('No pending or running re-index job with this id', 404));
+    }
+
+    await logEvent({
+      tenantId,
+      eventType: 'embedding.reindex_cancelled',
+      aggregateType: 'embedding_reindex_job',
+      aggregateId: job.id,
+      actorId: user.id,
+      payload: { processedEntities: job.processed_entities }
+    });
+
+    return res.json(success(serializeJob(job), 'Re-index cancelled'));
+  } catch (err) {
+    console.error('Cancel re-index job error:', err);
+    return res.status(500).json(error(err.message, 500));
+  }
+}
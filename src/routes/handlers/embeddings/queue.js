@@ -1,11 +1,23 @@
 /**
  * Embedding Queue Management API
- * Monitor and manage embedding generation queue
+ * Monitor and manage the tenant's embedding generation queue. Jobs that ran
+ * out of retries are kept as `dead_letter` with their last error until they
+ * are retried or cleared.
  */
 
-import { db } from '../../../utils/database.js';
+import {
+  db,
+  ensureTenant,
+  EMBEDDED_ENTITY_TYPES,
+  EMBEDDING_PRIORITIES,
+  parseEmbeddingPriority
+} from '../../../utils/database.js';
 import { getUserId } from '../../../utils/auth.js';
+import { requireAuth } from '../../../middleware/auth/index.js';
 import { success, error } from '../../../utils/responses.js';
+import { isCatalogAdmin } from '../../../services/ai/catalog.js';
+import { getQueueMetrics, processPendingJobs } from '../../../services/embeddingWorker.js';
+import { getIndexingModels } from '../../../services/embeddings/registry.js';
 
 /**
  * GET /api/embeddings/queue
@@ -18,6 +30,8 @@ export async function getQueueStatus(req, res) {
       return res.status(401).json(error('Unauthorized', 401));
     }
 
+    const tenantId = await ensureTenant(userId);
+
     const {
       resource_type = null,
       status = null,
@@ -27,17 +41,13 @@ export async function getQueueStatus(req, res) {
     let query = `
       SELECT
         eq.*,
-        CASE
-          WHEN eq.resource_type = 'context' THEN cl.name
-          WHEN eq.resource_type = 'template' THEN t.name
-        END as resource_name
+        e.title as resource_name
       FROM embedding_queue eq
-      LEFT JOIN context_layers cl ON eq.resource_type = 'context' AND eq.resource_id = cl.id
-      LEFT JOIN templates t ON eq.resource_type = 'template' AND eq.resource_id = t.id
-      WHERE 1=1
+      JOIN entity e ON e.id = eq.resource_id
+      WHERE eq.tenant_id = $1
     `;
-    const params = [];
-    let paramCount = 0;
+    const params = [tenantId];
+    let paramCount = 1;
 
     if (resource_type) {
       paramCount++;
@@ -56,20 +66,23 @@ export async function getQueueStatus(req, res) {
 
     const result = await db.query(query, params);
 
-    // Get queue statistics
+    // Get queue statistics and lag
+    const { lag } = await getQueueMetrics({ tenantId });
     const statsResult = await db.query(`
       SELECT
         status,
         resource_type,
         COUNT(*) as count
       FROM embedding_queue
+      WHERE tenant_id = $1
       GROUP BY status, resource_type
       ORDER BY status, resource_type
-    `);
+    `, [tenantId]);
 
     return res.json(success({
       queue: result.rows,
-      statistics: statsResult.rows
+      statistics: statsResult.rows,
+      lag
     }));
   } catch (err) {
     console.error('Get queue status error:', err);
@@ -77,6 +90,94 @@ export async function getQueueStatus(req, res) {
   }
 }
 
+/**
+ * GET /api/embeddings/queue/workers
+ * Workers sharing the queue with their throughput over a window, and queue lag
+ * Counts cover the tenant's jobs; catalog admins can pass `scope=all`.
+ */
+export async function getQueueWorkers(req, res) {
+  try {
+    const user = await requireAuth(req, res);
+    if (!user) return;
+
+    const { scope = 'tenant', window_minutes = 15 } = req.query;
+
+    if (!['tenant', 'all'].includes(scope)) {
+      return res.status(400).json(error('scope must be "tenant" or "all"', 400));
+    }
+    if (scope === 'all' && !isCatalogAdmin(user)) {
+      return res.status(403).json(error('Only catalog admins can see all tenants\' jobs', 403));
+    }
+
+    const tenantId = scope === 'all' ? null : await ensureTenant(user.id);
+    const windowMinutes = Math.min(Math.max(parseInt(window_minutes) || 15, 1), 1440);
+
+    const metrics = await getQueueMetrics({ tenantId, windowMinutes });
+
+    return res.json(success({ scope, ...metrics }));
+  } catch (err) {
+    console.error('Get queue workers error:', err);
+    return res.status(500).json(error(err.message, 500));
+  }
+}
+
+/**
+ * POST /api/embeddings/queue/backfill
+ * Queue the tenant's current entities that have no vectors (or chunks) of the
+ * models it indexes with, behind interactive work and saves
+ */
+export async function backfillQueue(req, res) {
+  try {
+    const userId = await getUserId(req);
+    if (!userId) {
+      return res.status(401).json(error('Unauthorized', 401));
+    }
+
+    const tenantId = await ensureTenant(userId);
+    const { resource_type = null } = req.body || {};
+
+    if (resource_type && !EMBEDDED_ENTITY_TYPES.includes(resource_type)) {
+      return res.status(400).json(error(`resource_type must be one of: ${EMBEDDED_ENTITY_TYPES.join(', ')}`, 400));
+    }
+
+    const models = await getIndexingModels(tenantId);
+
+    const result = await db.query(
+      `INSERT INTO embedding_queue (tenant_id, resource_type, resource_id, priority)
+       SELECT e.tenant_id, e.entity_type, e.id, $4
+       FROM entity e
+       WHERE e.tenant_id = $1
+         AND e.entity_type = ANY($2)
+         AND e.valid_to IS NULL AND e.deleted_at IS NULL
+         AND EXISTS (
+           SELECT 1 FROM unnest($3::text[]) AS m(model_id)
+           WHERE NOT EXISTS (
+             SELECT 1 FROM embedding emb
+             WHERE emb.entity_id = e.id AND emb.model = m.model_id
+               AND emb.status = 'completed' AND emb.chunk_count IS NOT NULL
+           )
+         )
+       ON CONFLICT (resource_id) WHERE status IN ('pending', 'processing') DO NOTHING
+       RETURNING id`,
+      [
+        tenantId,
+        resource_type ? [resource_type] : EMBEDDED_ENTITY_TYPES,
+        models.map(model => model.model_id),
+        EMBEDDING_PRIORITIES.backfill
+      ]
+    );
+
+    return res.status(202).json(success({
+      message: `Queued ${result.rowCount} items for backfill`,
+      queued: result.rowCount,
+      priority: EMBEDDING_PRIORITIES.backfill
+    }));
+  } catch (err) {
+    console.error('Backfill queue error:', err);
+    return res.status(500).json(error(err.message, 500));
+  }
+}
+
 /**
  * POST /api/embeddings/queue/process
  * Process next pending items from queue
@@ -88,37 +189,25 @@ export async function processQueue(req, res) {
       return res.status(401).json(error('Unauthorized', 401));
     }
 
+    const tenantId = await ensureTenant(userId);
     const { batch_size = 10 } = req.body;
 
-    // Get pending items
-    const pendingResult = await db.query(
-      `SELECT * FROM embedding_queue
-       WHERE status = 'pending'
-       ORDER BY priority ASC, created_at ASC
-       LIMIT $1`,
-      [batch_size]
-    );
+    // Embed the tenant's next pending items now
+    const result = await processPendingJobs({
+      limit: Math.min(parseInt(batch_size) || 10, 100),
+      tenantId
+    });
 
-    if (pendingResult.rows.length === 0) {
+    if (result.processed === 0) {
       return res.json(success({
         message: 'No pending items in queue',
         processed: 0
       }));
     }
 
-    // Mark as processing
-    const ids = pendingResult.rows.map(row => row.id);
-    await db.query(
-      `UPDATE embedding_queue
-       SET status = 'processing', started_at = NOW()
-       WHERE id = ANY($1)`,
-      [ids]
-    );
-
     return res.json(success({
-      message: 'Items marked for processing',
-      processed: pendingResult.rows.length,
-      items: pendingResult.rows
+      message: 'Items processed',
+      ...result
     }));
   } catch (err) {
     console.error('Process queue error:', err);
@@ -137,9 +226,11 @@ export async function removeFromQueue(req, res, queueId) {
       return res.status(401).json(error('Unauthorized', 401));
     }
 
+    const tenantId = await ensureTenant(userId);
+
     const result = await db.query(
-      'DELETE FROM embedding_queue WHERE id = $1 RETURNING *',
-      [queueId]
+      'DELETE FROM embedding_queue WHERE id = $1 AND tenant_id = $2 RETURNING *',
+      [queueId, tenantId]
     );
 
     if (result.rows.length === 0) {
@@ -158,7 +249,7 @@ export async function removeFromQueue(req, res, queueId) {
 
 /**
  * POST /api/embeddings/queue/:id/retry
- * Retry failed embedding generation
+ * Retry a dead-lettered job, optionally at another priority
  */
 export async function retryQueueItem(req, res, queueId) {
   try {
@@ -167,19 +258,34 @@ export async function retryQueueItem(req, res, queueId) {
       return res.status(401).json(error('Unauthorized', 401));
     }
 
-    const result = await db.query(
-      `UPDATE embedding_queue
-       SET status = 'pending',
-           error_message = NULL,
-           started_at = NULL,
-           completed_at = NULL
-       WHERE id = $1
-       RETURNING *`,
-      [queueId]
-    );
+    const tenantId = await ensureTenant(userId);
+    const { priority = null } = req.body || {};
+
+    let result;
+    try {
+      result = await db.query(
+        `UPDATE embedding_queue
+         SET status = 'pending',
+             priority = COALESCE($3, priority),
+             retry_count = 0,
+             error_message = NULL,
+             available_at = NOW(),
+             started_at = NULL,
+             completed_at = NULL
+         WHERE id = $1 AND tenant_id = $2 AND status = 'dead_letter'
+         RETURNING *`,
+        [queueId, tenantId, priority === null ? null : parseEmbeddingPriority(priority)]
+      );
+    } catch (err) {
+      // idx_embedding_queue_active: the version is queued again already
+      if (err.code === '23505') {
+        return res.status(409).json(error('This version is already queued', 409));
+      }
+      throw err;
+    }
 
     if (result.rows.length === 0) {
-      return res.status(404).json(error('Queue item not found', 404));
+      return res.status(404).json(error('Dead-lettered queue item not found', 404));
     }
 
     return res.json(success({
@@ -194,7 +300,7 @@ export async function retryQueueItem(req, res, queueId) {
 
 /**
  * POST /api/embeddings/queue/clear
- * Clear completed or failed items from queue
+ * Clear completed, skipped or dead-lettered items from queue
  */
 export async function clearQueue(req, res) {
   try {
@@ -203,15 +309,16 @@ export async function clearQueue(req, res) {
       return res.status(401).json(error('Unauthorized', 401));
     }
 
+    const tenantId = await ensureTenant(userId);
     const { status = 'completed' } = req.body;
 
-    if (!['completed', 'failed'].includes(status)) {
-      return res.status(400).json(error('status must be "completed" or "failed"'));
+    if (!['completed', 'skipped', 'dead_letter'].includes(status)) {
+      return res.status(400).json(error('status must be "completed", "skipped" or "dead_letter"'));
     }
 
     const result = await db.query(
-      'DELETE FROM embedding_queue WHERE status = $1 RETURNING id',
-      [status]
+      'DELETE FROM embedding_queue WHERE status = $1 AND tenant_id = $2 RETURNING id',
+      [status, tenantId]
     );
 
     return res.json(success({
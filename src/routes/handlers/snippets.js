@@ -6,6 +6,7 @@
 import { db } from '../../utils/database.js';
 import { getUserId } from '../../middleware/auth/index.js';
 import { success, error, handleCors } from '../../utils/responses.js';
+import { countTokens } from '../../services/ai/tokenizer.js';
 
 export default async function handler(req, res) {
   if (handleCors(req, res)) return;
@@ -109,7 +110,7 @@ export default async function handler(req, res) {
       }
 
       // Calculate token count
-      const token_count = Math.ceil(content.length / 4);
+      const token_count = await countTokens(content);
 
       const result = await db.query(
         `INSERT INTO context_snippets (
@@ -160,7 +161,7 @@ export default async function handler(req, res) {
         // Recalculate token count
         paramCount++;
         updates.push(`token_count = $${paramCount}`);
-        params.push(Math.ceil(content.length / 4));
+        params.push(await countTokens(content));
       }
 
       if (category !== undefined) {
@@ -88,7 +88,7 @@ export default async function handler(req, res) {
       const { month } = req.query;
       const targetMonth = month ? new Date(month) : new Date();
       const monthStart = new Date(targetMonth.getFullYear(), targetMonth.getMonth(), 1);
-      const monthEnd = new Date(targetMonth.getFullYear(), targetMonth.getMonth() + 1, 0);
+      const nextMonthStart = new Date(targetMonth.getFullYear(), targetMonth.getMonth() + 1, 1);
 
       // Get token usage breakdown
       const usageResult = await db.query(
@@ -104,10 +104,30 @@ export default async function handler(req, res) {
         FROM token_usage
         WHERE user_id = $1
           AND created_at >= $2
-          AND created_at <= $3
+          AND created_at < $3
         GROUP BY operation_type
         ORDER BY total_tokens DESC`,
-        [userId, monthStart, monthEnd]
+        [userId, monthStart, nextMonthStart]
+      );
+
+      // Same usage per feature (metered AI calls tag metadata.feature, older rows metadata.source)
+      const featureResult = await db.query(
+        `SELECT
+          COALESCE(metadata->>'feature', metadata->>'source', operation_type) as feature,
+          COUNT(*) as operation_count,
+          SUM(input_tokens) as total_input_tokens,
+          SUM(output_tokens) as total_output_tokens,
+          SUM(total_tokens) as total_tokens,
+          SUM(cost_usd) as total_cost,
+          SUM(CASE WHEN (metadata->>'cached')::boolean THEN 1 ELSE 0 END) as cached_count,
+          SUM(CASE WHEN NOT success THEN 1 ELSE 0 END) as failure_count
+        FROM token_usage
+        WHERE user_id = $1
+          AND created_at >= $2
+          AND created_at < $3
+        GROUP BY 1
+        ORDER BY total_cost DESC NULLS LAST, total_tokens DESC`,
+        [userId, monthStart, nextMonthStart]
       );
 
       // Get summary
@@ -128,6 +148,7 @@ export default async function handler(req, res) {
       return res.json(success({
         month: monthStart.toISOString().substring(0, 7),
         usage_breakdown: usageResult.rows,
+        feature_breakdown: featureResult.rows,
         summary: summaryResult.rows[0] || null,
         counts: countsResult.rows[0] || { layer_count: 0, template_count: 0, combination_count: 0 }
       }));
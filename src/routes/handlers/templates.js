@@ -29,6 +29,37 @@ import {
   findSimilarTemplates,
   queueTemplateEmbeddingGeneration
 } from './templates/search.js';
+import { batchRenderTemplate } from './templates/batch-render.js';
+import {
+  listEvalSuites,
+  createEvalSuite,
+  getEvalSuite,
+  updateEvalSuite,
+  deleteEvalSuite,
+  runEvalSuiteHandler,
+  listEvalRuns,
+  getEvalRun,
+  compareEvalRuns
+} from './templates/evals.js';
+import {
+  listExperiments,
+  createExperiment,
+  getExperimentHandler,
+  updateExperiment,
+  deleteExperiment,
+  getExperimentResultsHandler,
+  reportRenderOutcome
+} from './templates/experiments.js';
+import { extractTemplateVariables, describeTemplateErrors } from '../../services/templates/engine.js';
+import { canAccessTemplate, getTemplateContent, renderTemplateEntity } from '../../services/templates/render.js';
+import {
+  checkTemplateIncludes,
+  getTemplateLineage,
+  moveTemplateDependencies,
+  syncTemplateDependencies
+} from '../../services/templates/dependencies.js';
+import { findRunningExperiment, assignVariant, recordExposure } from '../../services/templates/experiments.js';
+import { measureTokens } from '../../services/ai/tokenizer.js';
 
 export default async function handler(req, res) {
   // Handle CORS
@@ -150,6 +181,73 @@ export default async function handler(req, res) {
       return await trackTemplateUsage(req, res, pathParts[0]);
     }
 
+    // /templates/:id/evals/... - Evaluation suites, runs and version comparison
+    if (pathParts.length >= 2 && pathParts[1] === 'evals') {
+      const [templateId, , suiteId, action, runId] = pathParts;
+
+      if (pathParts.length === 2 && method === 'GET') {
+        return await listEvalSuites(req, res, templateId);
+      }
+      if (pathParts.length === 2 && method === 'POST') {
+        return await createEvalSuite(req, res, templateId);
+      }
+      if (pathParts.length === 3 && method === 'GET') {
+        return await getEvalSuite(req, res, templateId, suiteId);
+      }
+      if (pathParts.length === 3 && method === 'PUT') {
+        return await updateEvalSuite(req, res, templateId, suiteId);
+      }
+      if (pathParts.length === 3 && method === 'DELETE') {
+        return await deleteEvalSuite(req, res, templateId, suiteId);
+      }
+      if (pathParts.length === 4 && action === 'run' && method === 'POST') {
+        return await runEvalSuiteHandler(req, res, templateId, suiteId);
+      }
+      if (pathParts.length === 4 && action === 'runs' && method === 'GET') {
+        return await listEvalRuns(req, res, templateId, suiteId);
+      }
+      if (pathParts.length === 5 && action === 'runs' && method === 'GET') {
+        return await getEvalRun(req, res, templateId, suiteId, runId);
+      }
+      if (pathParts.length === 4 && action === 'compare' && method === 'GET') {
+        return await compareEvalRuns(req, res, templateId, suiteId);
+      }
+    }
+
+    // /templates/:id/experiments/... - A/B experiments between template versions
+    if (pathParts.length >= 2 && pathParts[1] === 'experiments') {
+      const [templateId, , experimentId, action] = pathParts;
+
+      if (pathParts.length === 2 && method === 'GET') {
+        return await listExperiments(req, res, templateId);
+      }
+      if (pathParts.length === 2 && method === 'POST') {
+        return await createExperiment(req, res, templateId);
+      }
+      if (pathParts.length === 3 && method === 'GET') {
+        return await getExperimentHandler(req, res, templateId, experimentId);
+      }
+      if (pathParts.length === 3 && method === 'PUT') {
+        return await updateExperiment(req, res, templateId, experimentId);
+      }
+      if (pathParts.length === 3 && method === 'DELETE') {
+        return await deleteExperiment(req, res, templateId, experimentId);
+      }
+      if (pathParts.length === 4 && action === 'results' && method === 'GET') {
+        return await getExperimentResultsHandler(req, res, templateId, experimentId);
+      }
+    }
+
+    // POST /templates/renders/:renderId/outcome - Report an experiment outcome
+    if (method === 'POST' && pathParts.length === 3 && pathParts[0] === 'renders' && pathParts[2] === 'outcome') {
+      return await reportRenderOutcome(req, res, pathParts[1]);
+    }
+
+    // POST /templates/:id/render/batch - Render template for many variable sets
+    if (method === 'POST' && pathParts.length === 3 && pathParts[1] === 'render' && pathParts[2] === 'batch') {
+      return await batchRenderTemplate(req, res, pathParts[0]);
+    }
+
     // POST /templates/:id/render - Render template with variable substitution
     if (method === 'POST' && pathParts.length === 2 && pathParts[1] === 'render') {
       return await renderTemplate(req, res, pathParts[0]);
@@ -814,6 +912,17 @@ async function createTemplate(req, res) {
     // Ensure description defaults to empty string if not provided
     const normalizedDescription = description || '';
 
+    // Included templates must exist and be visible to the author
+    const includeCheck = await checkTemplateIncludes(content, {
+      templateId: null,
+      templateTitle: name,
+      canAccess: (included) => canAccessTemplate(included, user.id)
+    });
+
+    if (includeCheck.errors.length > 0) {
+      return res.status(400).json(error(includeCheck.errors[0], 400, { errors: includeCheck.errors }));
+    }
+
     // Ensure tenant
     const tenantId = await ensureTenant(user.id);
 
@@ -835,6 +944,9 @@ async function createTemplate(req, res) {
       status: 'published'
     });
 
+    // Record included templates as dependencies
+    await syncTemplateDependencies(entity, includeCheck.includes, { userId: user.id });
+
     // Log event
     await logEvent({
       tenantId,
@@ -912,6 +1024,17 @@ async function updateTemplate(req, res, templateId) {
   // Ensure description defaults to empty string if not provided
   const normalizedDescription = description || '';
 
+  // Included templates must exist, be visible and not include this template back
+  const includeCheck = await checkTemplateIncludes(content, {
+    templateId,
+    templateTitle: name,
+    canAccess: (included) => canAccessTemplate(included, user.id)
+  });
+
+  if (includeCheck.errors.length > 0) {
+    return res.status(400).json(error(includeCheck.errors[0], 400, { errors: includeCheck.errors }));
+  }
+
   // Build updates object
   const updates = {
     title: name,
@@ -930,6 +1053,9 @@ async function updateTemplate(req, res, templateId) {
   // Update entity (creates new version)
   const updated = await updateEntity(templateId, updates, user.id);
 
+  // Move dependency rows to the new version and refresh its includes
+  await syncTemplateDependencies(updated, includeCheck.includes, { userId: user.id, previousId: templateId });
+
   // Log event
   const tenantId = await ensureTenant(user.id);
   await logEvent({
@@ -1134,6 +1260,7 @@ async function shareTemplate(req, res, templateId) {
     };
 
     const updated = await updateEntity(templateId, updates, user.id);
+    await moveTemplateDependencies(templateId, updated.id);
 
     // Log event
     const tenantId = await ensureTenant(user.id);
@@ -1180,6 +1307,7 @@ async function unshareTemplate(req, res, templateId) {
     };
 
     const updated = await updateEntity(templateId, updates, user.id);
+    await moveTemplateDependencies(templateId, updated.id);
 
     // Log event
     const tenantId = await ensureTenant(user.id);
@@ -1282,6 +1410,16 @@ async function revertTemplateVersion(req, res, templateId, versionId) {
 
     const oldVersion = versionResult.rows[0];
 
+    const includeCheck = await checkTemplateIncludes(getTemplateContent(oldVersion), {
+      templateId,
+      templateTitle: oldVersion.title,
+      canAccess: (included) => canAccessTemplate(included, user.id)
+    });
+
+    if (includeCheck.errors.length > 0) {
+      return res.status(400).json(error(includeCheck.errors[0], 400, { errors: includeCheck.errors }));
+    }
+
     // Create a new version with the old content
     const updates = {
       title: oldVersion.title,
@@ -1294,6 +1432,8 @@ async function revertTemplateVersion(req, res, templateId, versionId) {
 
     const updated = await updateEntity(templateId, updates, user.id);
 
+    await syncTemplateDependencies(updated, includeCheck.includes, { userId: user.id, previousId: templateId });
+
     // Log event
     const tenantId = await ensureTenant(user.id);
     await logEvent({
@@ -1337,6 +1477,7 @@ async function createManualTemplateVersion(req, res, templateId) {
         change_summary: change_summary || 'Manual snapshot'
       }
     }, user.id);
+    await moveTemplateDependencies(templateId, updated.id);
 
     // Log event
     const tenantId = await ensureTenant(user.id);
@@ -1581,15 +1722,30 @@ async function cloneTemplate(req, res, templateId) {
 }
 
 /**
- * Render template with variable substitution
+ * Render template with the template engine
  * POST /api/templates/:id/render
  * Body: { variables: { var1: "value1", var2: "value2" } }
  * Returns: { rendered: "final prompt text", metadata: {...} }
+ *
+ * Supports defaults, optional variables, {{#if}}/{{#each}} blocks, filters,
+ * typed validation and {{> template:<id>}} includes. Render errors are
+ * returned as 400 with structured `errors` (code, message, position).
+ *
+ * While an experiment is running for the template, the caller is assigned a
+ * variant (by user, or by `experiment_key`) and that variant's version is
+ * rendered. The response then carries a `render_id` for reporting outcomes.
+ * Pass `experiment: false` to always render the current version.
  */
 async function renderTemplate(req, res, templateId) {
   try {
     const userId = await getUserId(req);
-    const { variables = {} } = req.body;
+    const {
+      variables = {},
+      experiment_key: experimentKey = null,
+      experiment: useExperiment = true,
+      provider = null, // Optional target model for the token count
+      model_id: modelId = null
+    } = req.body;
 
     // Validate input
     if (typeof variables !== 'object' || Array.isArray(variables)) {
@@ -1604,66 +1760,53 @@ async function renderTemplate(req, res, templateId) {
     }
 
     // Check access permissions
-    if (template.visibility === 'private' && template.owner_id !== userId) {
+    if (!(await canAccessTemplate(template, userId))) {
       return res.status(403).json(error('Access denied', 403));
     }
 
-    if (template.visibility === 'team') {
-      const teamId = template.metadata?.team_id;
-      if (teamId && userId) {
-        const teamAccessResult = await db.query(
-          `SELECT user_has_team_access($1, $2) as has_access`,
-          [userId, teamId]
-        );
-        if (!teamAccessResult.rows[0]?.has_access) {
-          return res.status(403).json(error('Access denied', 403));
+    // Serve the assigned variant's version while an experiment is running
+    let renderedTemplate = template;
+    let assignment = null;
+
+    if (useExperiment !== false) {
+      let lineage = null;
+      const experiment = await findRunningExperiment(template, async () => {
+        lineage = await getTemplateLineage(templateId);
+        return lineage.rootId;
+      });
+
+      if (experiment) {
+        const subjectKey = experiment.assignment_unit === 'key'
+          ? (experimentKey ?? userId)
+          : (userId ?? experimentKey);
+        const variant = assignVariant(experiment, subjectKey ? String(subjectKey) : null);
+        const versionRow = lineage.versions.find(row => row.version === variant.version);
+
+        if (versionRow) {
+          renderedTemplate = versionRow;
+          assignment = { experiment, variant, subjectKey: subjectKey ? String(subjectKey) : null };
         }
-      } else {
-        return res.status(403).json(error('Access denied', 403));
       }
     }
 
-    // Extract content
-    const content = template.content?.text || (typeof template.content === 'string' ? template.content : JSON.stringify(template.content));
-
     // Extract variables from template content
-    const templateVars = extractTemplateVariables(content);
+    const templateVars = extractTemplateVariables(getTemplateContent(renderedTemplate));
 
-    // Check for required variables
-    const missingVars = [];
-    for (const varInfo of templateVars) {
-      if (varInfo.required && !(varInfo.name in variables)) {
-        missingVars.push(varInfo.name);
-      }
-    }
+    const result = await renderTemplateEntity(renderedTemplate, variables, { userId });
+    const { rendered, content } = result;
 
-    if (missingVars.length > 0) {
+    if (result.errors.length > 0) {
       return res.status(400).json(error(
-        `Missing required variables: ${missingVars.join(', ')}`,
+        describeTemplateErrors(result.errors),
         400,
-        { missingVariables: missingVars, requiredVariables: templateVars.filter(v => v.required) }
+        {
+          errors: result.errors,
+          missingVariables: [...new Set(result.errors.filter(e => e.code === 'MISSING_VARIABLE').map(e => e.variable))],
+          requiredVariables: templateVars.filter(v => v.required)
+        }
       ));
     }
 
-    // Substitute variables in template content
-    let rendered = content;
-
-    for (const [varName, varValue] of Object.entries(variables)) {
-      // Support multiple variable formats:
-      // {{varName}}
-      // {{varName:type}}
-      // {{varName:type:description}}
-      const patterns = [
-        new RegExp(`\\{\\{${escapeRegExp(varName)}\\}\\}`, 'g'),
-        new RegExp(`\\{\\{${escapeRegExp(varName)}:[^:}]+\\}\\}`, 'g'),
-        new RegExp(`\\{\\{${escapeRegExp(varName)}:[^:}]+:[^}]+\\}\\}`, 'g'),
-      ];
-
-      for (const pattern of patterns) {
-        rendered = rendered.replace(pattern, String(varValue));
-      }
-    }
-
     // Track template usage
     if (userId) {
       const tenantId = await ensureTenant(userId);
@@ -1684,20 +1827,46 @@ async function renderTemplate(req, res, templateId) {
       });
     }
 
-    // Calculate token count (rough estimate: 4 chars ≈ 1 token)
-    const estimatedTokens = Math.ceil(rendered.length / 4);
+    let renderId = null;
+    if (assignment) {
+      renderId = await recordExposure({
+        experiment: assignment.experiment,
+        variant: assignment.variant,
+        template: renderedTemplate,
+        tenantId: assignment.experiment.tenant_id,
+        userId,
+        subjectKey: assignment.subjectKey
+      });
+    }
+
+    // Token count with the target model's tokenizer (default tokenizer without one)
+    const tokenCount = await measureTokens(rendered, {
+      provider,
+      modelId,
+      tenantId: userId ? await ensureTenant(userId) : undefined
+    });
 
     return res.json(success({
       rendered,
       template_id: templateId,
       template_name: template.title,
+      ...(assignment && {
+        render_id: renderId,
+        experiment: {
+          id: assignment.experiment.id,
+          variant_id: assignment.variant.id,
+          version: assignment.variant.version
+        }
+      }),
       metadata: {
         original_length: content.length,
         rendered_length: rendered.length,
-        estimated_tokens: estimatedTokens,
-        variables_used: Object.keys(variables),
+        estimated_tokens: tokenCount.tokens,
+        tokenizer: tokenCount.tokenizer,
+        variables_used: result.variablesUsed,
         variables_required: templateVars.filter(v => v.required).map(v => v.name),
-        variables_optional: templateVars.filter(v => !v.required).map(v => v.name)
+        variables_optional: templateVars.filter(v => !v.required).map(v => v.name),
+        includes: result.includes
       }
     }));
 
@@ -1707,45 +1876,6 @@ async function renderTemplate(req, res, templateId) {
   }
 }
 
-/**
- * Extract variables from template content
- * Returns array of { name, type, description, required }
- */
-function extractTemplateVariables(content) {
-  if (!content) return [];
-
-  const regex = /\{\{([^}]+)\}\}/g;
-  const matches = [...content.matchAll(regex)];
-  const variables = [];
-  const seen = new Set();
-
-  for (const match of matches) {
-    const fullMatch = match[1].trim();
-    const parts = fullMatch.split(':').map(p => p.trim());
-
-    const name = parts[0];
-    if (seen.has(name)) continue;
-
-    seen.add(name);
-
-    variables.push({
-      name,
-      type: parts[1] || 'text',
-      description: parts[2] || '',
-      required: true // Default to required unless explicitly optional
-    });
-  }
-
-  return variables;
-}
-
-/**
- * Escape special regex characters
- */
-function escapeRegExp(string) {
-  return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-}
-
 // Debug function to check database schema
 async function getTableSchema(req, res) {
   try {
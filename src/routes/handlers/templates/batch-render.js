@@ -0,0 +1,285 @@
+/**
+ * Template Batch Rendering API
+ * Renders one template for many variable sets and streams the results
+ */
+
+import { getCurrentEntity, ensureTenant, trackUsage, logEvent } from '../../../utils/database.js';
+import { getUserId } from '../../../middleware/auth/index.js';
+import { error } from '../../../utils/responses.js';
+import { parseCsvRecords, formatCsvRow } from '../../../utils/csv.js';
+import { extractTemplateVariables, hasVariableValue, createRenderBudget } from '../../../services/templates/engine.js';
+import { canAccessTemplate, getTemplateContent, renderTemplateEntity } from '../../../services/templates/render.js';
+
+// Maximum variable sets per request
+const MAX_BATCH_ROWS = 1000;
+
+// Shared by all rows, so a batch cannot multiply a template's per-render limits
+const BATCH_RENDER_LIMITS = { maxOperations: 2000000, maxRenderMs: 30000 };
+
+const JSONL_CONTENT_TYPES = ['application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'];
+const OUTPUT_FORMATS = ['jsonl', 'csv'];
+
+/**
+ * Parse JSONL into rows; unparseable lines become per-row errors
+ */
+function parseJsonlRows(text) {
+  return text
+    .split(/\r?\n/)
+    .filter(line => line.trim())
+    .map((line, index) => {
+      try {
+        return { variables: JSON.parse(line) };
+      } catch (err) {
+        return { parseError: `Invalid JSON on line ${index + 1}: ${err.message}` };
+      }
+    });
+}
+
+/**
+ * Read variable sets from the request
+ * Accepts a JSON array, `{ rows: [...] }`, `{ csv: "..." }`, `{ jsonl: "..." }`,
+ * or a raw text/csv or application/x-ndjson body.
+ *
+ * @returns {{rows: Array<{variables?: Object, parseError?: string}>, inputFormat: string}}
+ * @throws {Error} If the body is not in a supported format
+ */
+function readBatchInput(req) {
+  const contentType = (req.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const body = req.body;
+
+  // CSV cells are strings; empty cells count as not provided so defaults apply
+  const fromCsv = (text) => parseCsvRecords(text).map(record => ({
+    variables: Object.fromEntries(Object.entries(record).filter(([, value]) => value !== ''))
+  }));
+
+  if (typeof body === 'string') {
+    if (contentType === 'text/csv') {
+      return { rows: fromCsv(body), inputFormat: 'csv' };
+    }
+    if (JSONL_CONTENT_TYPES.includes(contentType)) {
+      return { rows: parseJsonlRows(body), inputFormat: 'jsonl' };
+    }
+  }
+
+  if (Array.isArray(body)) {
+    return { rows: body.map(variables => ({ variables })), inputFormat: 'json' };
+  }
+
+  if (body && typeof body === 'object') {
+    if (Array.isArray(body.rows)) {
+      return { rows: body.rows.map(variables => ({ variables })), inputFormat: 'json' };
+    }
+    if (typeof body.csv === 'string') {
+      return { rows: fromCsv(body.csv), inputFormat: 'csv' };
+    }
+    if (typeof body.jsonl === 'string') {
+      return { rows: parseJsonlRows(body.jsonl), inputFormat: 'jsonl' };
+    }
+  }
+
+  throw new Error('Body must be a JSON array, { rows }, { csv }, { jsonl }, or a text/csv or application/x-ndjson upload');
+}
+
+/**
+ * Write to the response, waiting for the socket to drain when buffered
+ */
+async function writeChunk(res, chunk) {
+  if (!res.write(chunk)) {
+    await new Promise(resolve => {
+      const done = () => {
+        res.off('drain', done);
+        res.off('close', done);
+        resolve();
+      };
+      res.on('drain', done);
+      res.on('close', done);
+    });
+  }
+}
+
+/**
+ * POST /api/templates/:id/render/batch
+ * Render a template for each variable set and stream per-row results
+ * Query: ?format=jsonl (default) | csv
+ */
+export async function batchRenderTemplate(req, res, templateId) {
+  const startTime = Date.now();
+
+  let userId;
+  let template;
+  let input;
+  let outputFormat;
+
+  try {
+    userId = await getUserId(req);
+
+    outputFormat = (req.query?.format || req.body?.format || 'jsonl').toLowerCase();
+    if (!OUTPUT_FORMATS.includes(outputFormat)) {
+      return res.status(400).json(error(`format must be one of: ${OUTPUT_FORMATS.join(', ')}`, 400));
+    }
+
+    try {
+      input = readBatchInput(req);
+    } catch (err) {
+      return res.status(400).json(error(err.message, 400));
+    }
+
+    if (input.rows.length === 0) {
+      return res.status(400).json(error('No rows to render', 400));
+    }
+
+    if (input.rows.length > MAX_BATCH_ROWS) {
+      return res.status(400).json(error(`Batch exceeds ${MAX_BATCH_ROWS} rows (got ${input.rows.length})`, 400));
+    }
+
+    template = await getCurrentEntity(templateId);
+
+    if (!template || template.entity_type !== 'template') {
+      return res.status(404).json(error('Template not found', 404));
+    }
+
+    if (!(await canAccessTemplate(template, userId))) {
+      return res.status(403).json(error('Access denied', 403));
+    }
+  } catch (err) {
+    console.error('Error preparing batch render:', err);
+    return res.status(500).json(error('Failed to render template batch', 500));
+  }
+
+  const requiredVariables = extractTemplateVariables(getTemplateContent(template)).filter(v => v.required);
+  const includeCache = new Map();
+  const budget = createRenderBudget(BATCH_RENDER_LIMITS);
+  const summary = { total: input.rows.length, succeeded: 0, failed: 0 };
+
+  let clientGone = false;
+  res.on('close', () => {
+    clientGone = !res.writableFinished;
+  });
+
+  res.status(200);
+  res.setHeader('Content-Type', outputFormat === 'csv' ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('X-Batch-Total', String(summary.total));
+
+  if (outputFormat === 'csv') {
+    await writeChunk(res, formatCsvRow(['row', 'success', 'rendered', 'error']));
+  }
+
+  for (const [index, entry] of input.rows.entries()) {
+    if (clientGone) break;
+
+    const rowNumber = index + 1;
+    let result;
+
+    try {
+      result = await renderBatchRow(template, entry, { userId, requiredVariables, includeCache, budget });
+    } catch (err) {
+      console.error(`Error rendering batch row ${rowNumber}:`, err);
+      result = { success: false, errors: [{ code: 'RENDER_FAILED', message: 'Failed to render row', position: null }] };
+    }
+
+    if (result.success) {
+      summary.succeeded++;
+    } else {
+      summary.failed++;
+    }
+
+    if (outputFormat === 'csv') {
+      await writeChunk(res, formatCsvRow([
+        rowNumber,
+        result.success,
+        result.rendered ?? '',
+        result.success ? '' : result.errors.map(e => e.message).join('; ')
+      ]));
+    } else {
+      await writeChunk(res, JSON.stringify({
+        row: rowNumber,
+        success: result.success,
+        ...(result.success
+          ? { rendered: result.rendered, variables_used: result.variablesUsed }
+          : { error: result.errors[0].message, errors: result.errors })
+      }) + '\n');
+    }
+  }
+
+  summary.duration_ms = Date.now() - startTime;
+
+  if (outputFormat === 'jsonl' && !clientGone) {
+    await writeChunk(res, JSON.stringify({ summary }) + '\n');
+  }
+
+  res.end();
+
+  // Track usage once for the whole batch
+  if (userId) {
+    try {
+      const tenantId = await ensureTenant(userId);
+      const rendered = summary.succeeded + summary.failed;
+
+      await trackUsage({
+        tenantId,
+        userId,
+        entityId: templateId,
+        eventType: 'entity.used',
+        durationMs: summary.duration_ms,
+        metadata: { batch: true, rows: rendered, succeeded: summary.succeeded, failed: summary.failed }
+      });
+
+      await logEvent({
+        tenantId,
+        eventType: 'template.batch_rendered',
+        aggregateType: 'entity',
+        aggregateId: templateId,
+        actorId: userId,
+        payload: {
+          entityType: 'template',
+          rows: rendered,
+          succeeded: summary.succeeded,
+          failed: summary.failed,
+          inputFormat: input.inputFormat,
+          outputFormat,
+          ...(clientGone && { aborted: true })
+        }
+      });
+    } catch (err) {
+      console.error('Error tracking batch render usage:', err);
+    }
+  }
+}
+
+/**
+ * Validate one variable set against the template's required variables and render it
+ *
+ * @returns {Promise<{success: boolean, rendered?: string, variablesUsed?: string[], errors?: Object[]}>}
+ */
+async function renderBatchRow(template, entry, { userId, requiredVariables, includeCache, budget }) {
+  if (entry.parseError) {
+    return { success: false, errors: [{ code: 'INVALID_ROW', message: entry.parseError, position: null }] };
+  }
+
+  const { variables } = entry;
+  if (!variables || typeof variables !== 'object' || Array.isArray(variables)) {
+    return { success: false, errors: [{ code: 'INVALID_ROW', message: 'Row must be an object of variables', position: null }] };
+  }
+
+  const missing = requiredVariables.filter(v => !hasVariableValue(variables, v.name));
+  if (missing.length > 0) {
+    return {
+      success: false,
+      errors: missing.map(v => ({
+        code: 'MISSING_VARIABLE',
+        message: `Missing required variable '${v.name}'`,
+        position: v.position,
+        variable: v.name
+      }))
+    };
+  }
+
+  const result = await renderTemplateEntity(template, variables, { userId, includeCache, budget });
+
+  if (result.errors.length > 0) {
+    return { success: false, errors: result.errors };
+  }
+
+  return { success: true, rendered: result.rendered, variablesUsed: result.variablesUsed };
+}
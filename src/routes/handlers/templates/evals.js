@@ -0,0 +1,544 @@
+/**
+ * Template Evaluation API
+ * Test suites stored with a template, suite runs against a provider/model,
+ * and pass/fail + cost comparison across template versions
+ */
+
+import { db, ensureTenant, trackUsage, logEvent } from '../../../utils/database.js';
+import { requireAuth } from '../../../middleware/auth/index.js';
+import { success, error } from '../../../utils/responses.js';
+import { isServerProvider } from '../../../services/ai/generate.js';
+import { canAccessTemplate } from '../../../services/templates/render.js';
+import { getTemplateLineage } from '../../../services/templates/dependencies.js';
+import { validateEvalCases, runEvalSuite } from '../../../services/templates/evals.js';
+import { isBudgetError } from '../../../services/ai/metering.js';
+
+/**
+ * Load a template's lineage and check the user may see it (and edit it, if required)
+ *
+ * @returns {Promise<Object|null>} Lineage, or null after sending an error response
+ */
+async function loadTemplateForEvals(res, templateId, user, { requireOwner = false } = {}) {
+  const lineage = await getTemplateLineage(templateId);
+
+  if (!lineage?.current) {
+    res.status(404).json(error('Template not found', 404));
+    return null;
+  }
+
+  const allowed = requireOwner
+    ? lineage.current.owner_id === user.id
+    : await canAccessTemplate(lineage.current, user.id);
+
+  if (!allowed) {
+    res.status(requireOwner ? 404 : 403).json(error(requireOwner ? 'Template not found' : 'Access denied', requireOwner ? 404 : 403));
+    return null;
+  }
+
+  return lineage;
+}
+
+async function getSuite(suiteId, rootId) {
+  const result = await db.query(
+    `SELECT * FROM template_eval_suite WHERE id = $1 AND template_root_id = $2`,
+    [suiteId, rootId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Give each case a stable id so results can be compared across runs
+ */
+function normalizeCases(cases) {
+  return cases.map((testCase, index) => ({
+    id: testCase.id ? String(testCase.id) : String(index + 1),
+    name: testCase.name || `Case ${index + 1}`,
+    variables: testCase.variables || {},
+    assertions: testCase.assertions
+  }));
+}
+
+function mapEvalRun(run, { includeResults = false } = {}) {
+  const mapped = {
+    id: run.id,
+    suite_id: run.suite_id,
+    template_id: run.template_id,
+    template_version: run.template_version,
+    provider: run.provider,
+    model: run.model,
+    status: run.status,
+    total_cases: run.total_cases,
+    passed_cases: run.passed_cases,
+    failed_cases: run.failed_cases,
+    pass_rate: run.total_cases > 0 ? run.passed_cases / run.total_cases : null,
+    input_tokens: run.input_tokens,
+    output_tokens: run.output_tokens,
+    cost_usd: parseFloat(run.cost_usd) || 0,
+    error_message: run.error_message,
+    started_at: run.started_at,
+    completed_at: run.completed_at,
+    duration_ms: run.duration_ms
+  };
+
+  if (includeResults) {
+    mapped.results = run.results;
+  }
+
+  return mapped;
+}
+
+/**
+ * GET /api/templates/:id/evals
+ * List evaluation suites of a template
+ */
+export async function listEvalSuites(req, res, templateId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user);
+    if (!lineage) return;
+
+    const result = await db.query(
+      `SELECT s.*,
+              (SELECT row_to_json(r) FROM (
+                 SELECT id, template_version, status, passed_cases, failed_cases, total_cases, cost_usd, started_at
+                 FROM template_eval_run
+                 WHERE suite_id = s.id
+                 ORDER BY started_at DESC
+                 LIMIT 1
+               ) r) AS last_run
+       FROM template_eval_suite s
+       WHERE s.template_root_id = $1
+       ORDER BY s.created_at ASC`,
+      [lineage.rootId]
+    );
+
+    return res.json(success({
+      template_id: lineage.current.id,
+      suites: result.rows.map(suite => ({ ...suite, case_count: suite.cases.length }))
+    }));
+  } catch (err) {
+    console.error('Error listing eval suites:', err);
+    return res.status(500).json(error('Failed to list evaluation suites', 500));
+  }
+}
+
+/**
+ * POST /api/templates/:id/evals
+ * Create an evaluation suite
+ * Body: { name, description, system_prompt, cases: [{ name, variables, assertions }], default_provider, default_model }
+ */
+export async function createEvalSuite(req, res, templateId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user, { requireOwner: true });
+    if (!lineage) return;
+
+    const { name, description = null, system_prompt = null, cases = [], default_provider = null, default_model = null } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json(error('name is required', 400));
+    }
+
+    const caseErrors = validateEvalCases(cases);
+    if (caseErrors.length > 0) {
+      return res.status(400).json(error('Invalid test cases', 400, { errors: caseErrors }));
+    }
+
+    if (default_provider && !isServerProvider(default_provider)) {
+      return res.status(400).json(error(`Unsupported provider: ${default_provider}`, 400));
+    }
+
+    const result = await db.query(
+      `INSERT INTO template_eval_suite (
+         tenant_id, template_root_id, created_by, name, description, system_prompt,
+         cases, default_provider, default_model
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        lineage.current.tenant_id,
+        lineage.rootId,
+        user.id,
+        name,
+        description,
+        system_prompt,
+        JSON.stringify(normalizeCases(cases)),
+        default_provider,
+        default_model
+      ]
+    );
+
+    return res.status(201).json(success({ suite: result.rows[0] }, 'Evaluation suite created'));
+  } catch (err) {
+    console.error('Error creating eval suite:', err);
+    return res.status(500).json(error('Failed to create evaluation suite', 500));
+  }
+}
+
+/**
+ * GET /api/templates/:id/evals/:suiteId
+ */
+export async function getEvalSuite(req, res, templateId, suiteId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user);
+    if (!lineage) return;
+
+    const suite = await getSuite(suiteId, lineage.rootId);
+    if (!suite) {
+      return res.status(404).json(error('Evaluation suite not found', 404));
+    }
+
+    return res.json(success({ suite }));
+  } catch (err) {
+    console.error('Error fetching eval suite:', err);
+    return res.status(500).json(error('Failed to fetch evaluation suite', 500));
+  }
+}
+
+/**
+ * PUT /api/templates/:id/evals/:suiteId
+ * Body: any of { name, description, system_prompt, cases, default_provider, default_model }
+ */
+export async function updateEvalSuite(req, res, templateId, suiteId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user, { requireOwner: true });
+    if (!lineage) return;
+
+    const suite = await getSuite(suiteId, lineage.rootId);
+    if (!suite) {
+      return res.status(404).json(error('Evaluation suite not found', 404));
+    }
+
+    const { name, description, system_prompt, cases, default_provider, default_model } = req.body;
+
+    if (cases !== undefined) {
+      const caseErrors = validateEvalCases(cases);
+      if (caseErrors.length > 0) {
+        return res.status(400).json(error('Invalid test cases', 400, { errors: caseErrors }));
+      }
+    }
+
+    if (default_provider && !isServerProvider(default_provider)) {
+      return res.status(400).json(error(`Unsupported provider: ${default_provider}`, 400));
+    }
+
+    const result = await db.query(
+      `UPDATE template_eval_suite
+       SET name = $2, description = $3, system_prompt = $4, cases = $5,
+           default_provider = $6, default_model = $7, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        suiteId,
+        name ?? suite.name,
+        description !== undefined ? description : suite.description,
+        system_prompt !== undefined ? system_prompt : suite.system_prompt,
+        JSON.stringify(cases !== undefined ? normalizeCases(cases) : suite.cases),
+        default_provider !== undefined ? default_provider : suite.default_provider,
+        default_model !== undefined ? default_model : suite.default_model
+      ]
+    );
+
+    return res.json(success({ suite: result.rows[0] }, 'Evaluation suite updated'));
+  } catch (err) {
+    console.error('Error updating eval suite:', err);
+    return res.status(500).json(error('Failed to update evaluation suite', 500));
+  }
+}
+
+/**
+ * DELETE /api/templates/:id/evals/:suiteId
+ * Deletes the suite and its runs
+ */
+export async function deleteEvalSuite(req, res, templateId, suiteId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user, { requireOwner: true });
+    if (!lineage) return;
+
+    const result = await db.query(
+      `DELETE FROM template_eval_suite WHERE id = $1 AND template_root_id = $2 RETURNING id`,
+      [suiteId, lineage.rootId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json(error('Evaluation suite not found', 404));
+    }
+
+    return res.json(success({ deleted: true, suite_id: suiteId }));
+  } catch (err) {
+    console.error('Error deleting eval suite:', err);
+    return res.status(500).json(error('Failed to delete evaluation suite', 500));
+  }
+}
+
+/**
+ * POST /api/templates/:id/evals/:suiteId/run
+ * Render every case, call the provider and check assertions
+ * Body: { provider, model, version, temperature, max_tokens, api_key }
+ */
+export async function runEvalSuiteHandler(req, res, templateId, suiteId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  let runId = null;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user);
+    if (!lineage) return;
+
+    const suite = await getSuite(suiteId, lineage.rootId);
+    if (!suite) {
+      return res.status(404).json(error('Evaluation suite not found', 404));
+    }
+
+    if (suite.cases.length === 0) {
+      return res.status(400).json(error('Evaluation suite has no cases', 400));
+    }
+
+    const {
+      provider = suite.default_provider,
+      model = suite.default_model,
+      version,
+      temperature = 0,
+      max_tokens = 1024,
+      api_key,
+      key_id
+    } = req.body;
+
+    if (!provider || !model) {
+      return res.status(400).json(error('provider and model are required (or set defaults on the suite)', 400));
+    }
+
+    if (!isServerProvider(provider)) {
+      return res.status(400).json(error(`Unsupported provider: ${provider}`, 400));
+    }
+
+    const template = version !== undefined
+      ? lineage.versions.find(v => v.version === parseInt(version))
+      : lineage.current;
+
+    if (!template) {
+      return res.status(404).json(error(`Version ${version} not found`, 404));
+    }
+
+    const tenantId = await ensureTenant(user.id);
+    const startTime = Date.now();
+
+    const inserted = await db.query(
+      `INSERT INTO template_eval_run (
+         tenant_id, suite_id, template_id, template_root_id, template_version,
+         user_id, provider, model, status, total_cases
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'running', $9)
+       RETURNING id`,
+      [tenantId, suiteId, template.id, lineage.rootId, template.version, user.id, provider, model, suite.cases.length]
+    );
+    runId = inserted.rows[0].id;
+
+    const { results, totals } = await runEvalSuite({
+      suite,
+      template,
+      provider,
+      model,
+      userId: user.id,
+      tenantId,
+      apiKey: api_key,
+      keyId: key_id,
+      temperature,
+      maxTokens: max_tokens
+    });
+
+    const durationMs = Date.now() - startTime;
+
+    const updated = await db.query(
+      `UPDATE template_eval_run
+       SET status = 'completed', passed_cases = $2, failed_cases = $3,
+           input_tokens = $4, output_tokens = $5, cost_usd = $6, results = $7,
+           completed_at = NOW(), duration_ms = $8
+       WHERE id = $1
+       RETURNING *`,
+      [runId, totals.passed, totals.failed, totals.inputTokens, totals.outputTokens, totals.cost, JSON.stringify(results), durationMs]
+    );
+
+    await trackUsage({
+      tenantId,
+      userId: user.id,
+      entityId: template.id,
+      eventType: 'template.evaluated',
+      tokensUsed: totals.inputTokens + totals.outputTokens,
+      costUsd: totals.cost,
+      durationMs,
+      metadata: { suiteId, runId, provider, model, passed: totals.passed, failed: totals.failed }
+    });
+
+    await logEvent({
+      tenantId,
+      eventType: 'template.eval_run',
+      aggregateType: 'entity',
+      aggregateId: template.id,
+      actorId: user.id,
+      payload: { entityType: 'template', suiteId, runId, version: template.version, passed: totals.passed, failed: totals.failed }
+    });
+
+    return res.json(success({ run: mapEvalRun(updated.rows[0], { includeResults: true }) }));
+  } catch (err) {
+    console.error('Error running eval suite:', err);
+
+    if (runId) {
+      await db.query(
+        `UPDATE template_eval_run SET status = 'failed', error_message = $2, completed_at = NOW() WHERE id = $1`,
+        [runId, err.message]
+      ).catch(() => {});
+    }
+
+    if (isBudgetError(err)) {
+      return res.status(err.status).json(error(err.message, err.status, err.details || null));
+    }
+
+    return res.status(500).json(error('Failed to run evaluation suite', 500));
+  }
+}
+
+/**
+ * GET /api/templates/:id/evals/:suiteId/runs
+ * Query: ?version=N&limit=20
+ */
+export async function listEvalRuns(req, res, templateId, suiteId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user);
+    if (!lineage) return;
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const params = [suiteId, lineage.rootId, limit];
+    let versionFilter = '';
+
+    if (req.query.version) {
+      params.push(parseInt(req.query.version));
+      versionFilter = `AND template_version = $${params.length}`;
+    }
+
+    const result = await db.query(
+      `SELECT * FROM template_eval_run
+       WHERE suite_id = $1 AND template_root_id = $2 ${versionFilter}
+       ORDER BY started_at DESC
+       LIMIT $3`,
+      params
+    );
+
+    return res.json(success({ runs: result.rows.map(run => mapEvalRun(run)) }));
+  } catch (err) {
+    console.error('Error listing eval runs:', err);
+    return res.status(500).json(error('Failed to list evaluation runs', 500));
+  }
+}
+
+/**
+ * GET /api/templates/:id/evals/:suiteId/runs/:runId
+ */
+export async function getEvalRun(req, res, templateId, suiteId, runId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user);
+    if (!lineage) return;
+
+    const result = await db.query(
+      `SELECT * FROM template_eval_run WHERE id = $1 AND suite_id = $2 AND template_root_id = $3`,
+      [runId, suiteId, lineage.rootId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json(error('Evaluation run not found', 404));
+    }
+
+    return res.json(success({ run: mapEvalRun(result.rows[0], { includeResults: true }) }));
+  } catch (err) {
+    console.error('Error fetching eval run:', err);
+    return res.status(500).json(error('Failed to fetch evaluation run', 500));
+  }
+}
+
+/**
+ * GET /api/templates/:id/evals/:suiteId/compare
+ * Latest completed run per template version, with per-case pass/fail
+ * Query: ?provider=&model= to compare like for like
+ */
+export async function compareEvalRuns(req, res, templateId, suiteId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadTemplateForEvals(res, templateId, user);
+    if (!lineage) return;
+
+    const suite = await getSuite(suiteId, lineage.rootId);
+    if (!suite) {
+      return res.status(404).json(error('Evaluation suite not found', 404));
+    }
+
+    const versions = await db.query(
+      'SELECT * FROM get_entity_history($1) ORDER BY version DESC LIMIT 50',
+      [lineage.current.id]
+    );
+
+    const params = [suiteId];
+    const filters = [];
+    if (req.query.provider) {
+      params.push(req.query.provider);
+      filters.push(`AND provider = $${params.length}`);
+    }
+    if (req.query.model) {
+      params.push(req.query.model);
+      filters.push(`AND model = $${params.length}`);
+    }
+
+    const runs = await db.query(
+      `SELECT DISTINCT ON (template_version) *,
+              COUNT(*) OVER (PARTITION BY template_version) AS run_count
+       FROM template_eval_run
+       WHERE suite_id = $1 AND status = 'completed' ${filters.join(' ')}
+       ORDER BY template_version, started_at DESC`,
+      params
+    );
+
+    const runByVersion = new Map(runs.rows.map(run => [run.template_version, run]));
+
+    const comparison = versions.rows.map(version => {
+      const run = runByVersion.get(version.version);
+      return {
+        version: version.version,
+        valid_from: version.valid_from,
+        is_current: version.valid_to === null,
+        run_count: run ? parseInt(run.run_count) : 0,
+        latest_run: run ? mapEvalRun(run) : null,
+        cases: run
+          ? Object.fromEntries(run.results.map(result => [result.case_id, result.passed]))
+          : null
+      };
+    });
+
+    return res.json(success({
+      template_id: lineage.current.id,
+      suite_id: suiteId,
+      versions: comparison
+    }));
+  } catch (err) {
+    console.error('Error comparing eval runs:', err);
+    return res.status(500).json(error('Failed to compare evaluation runs', 500));
+  }
+}
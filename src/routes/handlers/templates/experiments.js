@@ -0,0 +1,343 @@
+/**
+ * Template Experiments API
+ * A/B experiments between template versions and outcome reporting
+ */
+
+import { db, logEvent } from '../../../utils/database.js';
+import { requireAuth, getUserId } from '../../../middleware/auth/index.js';
+import { success, error } from '../../../utils/responses.js';
+import { getTemplateLineage } from '../../../services/templates/dependencies.js';
+import {
+  ASSIGNMENT_UNITS,
+  EXPERIMENT_STATUSES,
+  normalizeVariants,
+  canTransition,
+  normalizeOutcome,
+  recordOutcome,
+  getExperimentResults
+} from '../../../services/templates/experiments.js';
+
+/**
+ * Load a template's lineage for the template owner
+ *
+ * @returns {Promise<Object|null>} Lineage, or null after sending a 404
+ */
+async function loadOwnedTemplate(res, templateId, user) {
+  const lineage = await getTemplateLineage(templateId);
+
+  if (!lineage?.current || lineage.current.owner_id !== user.id) {
+    res.status(404).json(error('Template not found', 404));
+    return null;
+  }
+
+  return lineage;
+}
+
+async function getExperiment(experimentId, rootId) {
+  const result = await db.query(
+    `SELECT * FROM template_experiment WHERE id = $1 AND template_root_id = $2`,
+    [experimentId, rootId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * GET /api/templates/:id/experiments
+ */
+export async function listExperiments(req, res, templateId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadOwnedTemplate(res, templateId, user);
+    if (!lineage) return;
+
+    const result = await db.query(
+      `SELECT * FROM template_experiment WHERE template_root_id = $1 ORDER BY created_at DESC`,
+      [lineage.rootId]
+    );
+
+    return res.json(success({ template_id: lineage.current.id, experiments: result.rows }));
+  } catch (err) {
+    console.error('Error listing experiments:', err);
+    return res.status(500).json(error('Failed to list experiments', 500));
+  }
+}
+
+/**
+ * POST /api/templates/:id/experiments
+ * Body: { name, description, assignment_unit: 'user'|'key', variants: [{ id, version, weight }], status }
+ */
+export async function createExperiment(req, res, templateId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadOwnedTemplate(res, templateId, user);
+    if (!lineage) return;
+
+    const { name, description = null, assignment_unit = 'user', variants, status = 'draft' } = req.body;
+
+    if (!name || typeof name !== 'string') {
+      return res.status(400).json(error('name is required', 400));
+    }
+
+    if (!ASSIGNMENT_UNITS.includes(assignment_unit)) {
+      return res.status(400).json(error(`assignment_unit must be one of: ${ASSIGNMENT_UNITS.join(', ')}`, 400));
+    }
+
+    if (!['draft', 'running'].includes(status)) {
+      return res.status(400).json(error("status must be 'draft' or 'running'", 400));
+    }
+
+    const normalized = normalizeVariants(variants, lineage.versions);
+    if (normalized.errors.length > 0) {
+      return res.status(400).json(error(normalized.errors[0], 400, { errors: normalized.errors }));
+    }
+
+    if (status === 'running' && await hasRunningExperiment(lineage.rootId)) {
+      return res.status(409).json(error('Another experiment is already running for this template', 409));
+    }
+
+    const result = await db.query(
+      `INSERT INTO template_experiment (
+         tenant_id, template_root_id, created_by, name, description, status,
+         assignment_unit, variants, started_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        lineage.current.tenant_id,
+        lineage.rootId,
+        user.id,
+        name,
+        description,
+        status,
+        assignment_unit,
+        JSON.stringify(normalized.variants),
+        status === 'running' ? new Date() : null
+      ]
+    );
+
+    await logEvent({
+      tenantId: lineage.current.tenant_id,
+      eventType: 'template.experiment_created',
+      aggregateType: 'entity',
+      aggregateId: lineage.current.id,
+      actorId: user.id,
+      payload: { entityType: 'template', experimentId: result.rows[0].id, variants: normalized.variants }
+    });
+
+    return res.status(201).json(success({ experiment: result.rows[0] }, 'Experiment created'));
+  } catch (err) {
+    console.error('Error creating experiment:', err);
+    return res.status(500).json(error('Failed to create experiment', 500));
+  }
+}
+
+async function hasRunningExperiment(rootId, excludeId = null) {
+  const result = await db.query(
+    `SELECT 1 FROM template_experiment
+     WHERE template_root_id = $1 AND status = 'running' AND ($2::uuid IS NULL OR id <> $2)`,
+    [rootId, excludeId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * GET /api/templates/:id/experiments/:experimentId
+ */
+export async function getExperimentHandler(req, res, templateId, experimentId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadOwnedTemplate(res, templateId, user);
+    if (!lineage) return;
+
+    const experiment = await getExperiment(experimentId, lineage.rootId);
+    if (!experiment) {
+      return res.status(404).json(error('Experiment not found', 404));
+    }
+
+    return res.json(success({ experiment }));
+  } catch (err) {
+    console.error('Error fetching experiment:', err);
+    return res.status(500).json(error('Failed to fetch experiment', 500));
+  }
+}
+
+/**
+ * PUT /api/templates/:id/experiments/:experimentId
+ * Body: { name, description, status, assignment_unit, variants }
+ * Variants and assignment unit can only change while the experiment is a draft,
+ * so assignments stay sticky once it has started.
+ */
+export async function updateExperiment(req, res, templateId, experimentId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadOwnedTemplate(res, templateId, user);
+    if (!lineage) return;
+
+    const experiment = await getExperiment(experimentId, lineage.rootId);
+    if (!experiment) {
+      return res.status(404).json(error('Experiment not found', 404));
+    }
+
+    const { name, description, status = experiment.status, assignment_unit, variants } = req.body;
+
+    if (!EXPERIMENT_STATUSES.includes(status) || !canTransition(experiment.status, status)) {
+      return res.status(400).json(error(`Cannot change status from ${experiment.status} to ${status}`, 400));
+    }
+
+    if ((variants !== undefined || assignment_unit !== undefined) && experiment.status !== 'draft') {
+      return res.status(400).json(error('Variants and assignment unit can only be changed while the experiment is a draft', 400));
+    }
+
+    if (assignment_unit !== undefined && !ASSIGNMENT_UNITS.includes(assignment_unit)) {
+      return res.status(400).json(error(`assignment_unit must be one of: ${ASSIGNMENT_UNITS.join(', ')}`, 400));
+    }
+
+    let nextVariants = experiment.variants;
+    if (variants !== undefined) {
+      const normalized = normalizeVariants(variants, lineage.versions);
+      if (normalized.errors.length > 0) {
+        return res.status(400).json(error(normalized.errors[0], 400, { errors: normalized.errors }));
+      }
+      nextVariants = normalized.variants;
+    }
+
+    if (status === 'running' && experiment.status !== 'running' && await hasRunningExperiment(lineage.rootId, experimentId)) {
+      return res.status(409).json(error('Another experiment is already running for this template', 409));
+    }
+
+    const result = await db.query(
+      `UPDATE template_experiment
+       SET name = $2, description = $3, status = $4, assignment_unit = $5, variants = $6,
+           started_at = CASE WHEN $4 = 'running' AND started_at IS NULL THEN NOW() ELSE started_at END,
+           ended_at = CASE WHEN $4 = 'completed' THEN NOW() ELSE ended_at END,
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [
+        experimentId,
+        name ?? experiment.name,
+        description !== undefined ? description : experiment.description,
+        status,
+        assignment_unit ?? experiment.assignment_unit,
+        JSON.stringify(nextVariants)
+      ]
+    );
+
+    if (status !== experiment.status) {
+      await logEvent({
+        tenantId: experiment.tenant_id,
+        eventType: 'template.experiment_status_changed',
+        aggregateType: 'entity',
+        aggregateId: lineage.current.id,
+        actorId: user.id,
+        payload: { entityType: 'template', experimentId, from: experiment.status, to: status }
+      });
+    }
+
+    return res.json(success({ experiment: result.rows[0] }, 'Experiment updated'));
+  } catch (err) {
+    console.error('Error updating experiment:', err);
+    return res.status(500).json(error('Failed to update experiment', 500));
+  }
+}
+
+/**
+ * DELETE /api/templates/:id/experiments/:experimentId
+ * Recorded exposures and outcomes stay in usage_event
+ */
+export async function deleteExperiment(req, res, templateId, experimentId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadOwnedTemplate(res, templateId, user);
+    if (!lineage) return;
+
+    const result = await db.query(
+      `DELETE FROM template_experiment WHERE id = $1 AND template_root_id = $2 RETURNING id`,
+      [experimentId, lineage.rootId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json(error('Experiment not found', 404));
+    }
+
+    return res.json(success({ deleted: true, experiment_id: experimentId }));
+  } catch (err) {
+    console.error('Error deleting experiment:', err);
+    return res.status(500).json(error('Failed to delete experiment', 500));
+  }
+}
+
+/**
+ * GET /api/templates/:id/experiments/:experimentId/results
+ * Per-variant exposures, thumbs, conversions and scores, with significance
+ * versus the first variant
+ */
+export async function getExperimentResultsHandler(req, res, templateId, experimentId) {
+  const user = await requireAuth(req, res);
+  if (!user) return;
+
+  try {
+    const lineage = await loadOwnedTemplate(res, templateId, user);
+    if (!lineage) return;
+
+    const experiment = await getExperiment(experimentId, lineage.rootId);
+    if (!experiment) {
+      return res.status(404).json(error('Experiment not found', 404));
+    }
+
+    const results = await getExperimentResults(experiment);
+
+    return res.json(success({
+      experiment_id: experiment.id,
+      name: experiment.name,
+      status: experiment.status,
+      started_at: experiment.started_at,
+      ended_at: experiment.ended_at,
+      ...results
+    }));
+  } catch (err) {
+    console.error('Error computing experiment results:', err);
+    return res.status(500).json(error('Failed to compute experiment results', 500));
+  }
+}
+
+/**
+ * POST /api/templates/renders/:renderId/outcome
+ * Report an outcome for an experiment render
+ * Body: { type: 'thumbs'|'score'|'conversion', value }
+ */
+export async function reportRenderOutcome(req, res, renderId) {
+  try {
+    const userId = await getUserId(req);
+    const { type, value } = req.body;
+
+    const normalized = normalizeOutcome(type, value);
+    if (normalized.error) {
+      return res.status(400).json(error(normalized.error, 400));
+    }
+
+    const exposure = await recordOutcome(renderId, { type, value: normalized.value, userId });
+    if (!exposure) {
+      return res.status(404).json(error('Render not found', 404));
+    }
+
+    return res.json(success({
+      render_id: renderId,
+      experiment_id: exposure.experimentId,
+      variant_id: exposure.variantId,
+      outcome: { type, value: normalized.value }
+    }, 'Outcome recorded'));
+  } catch (err) {
+    console.error('Error recording outcome:', err);
+    return res.status(500).json(error('Failed to record outcome', 500));
+  }
+}
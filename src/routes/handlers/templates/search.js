@@ -1,12 +1,40 @@
 /**
  * Template Semantic Search API - Updated for Enterprise Schema
- * Uses unified embedding table with pgvector
+ * Uses unified embedding table with pgvector. Queries run against the vectors
+ * of the caller's tenant embedding model (the default model when signed out);
+ * public templates of other tenants match when they have vectors of that model.
+ * With `passages: true` searches run on chunk vectors and return the best
+ * matching passages of each template. With `rerank: true` (or `{ top_n }`) the
+ * top candidates are rescored by the local cross-encoder (see
+ * localRerankService).
  */
 
 import { db, ensureTenant } from '../../../utils/database.js';
 import { getUserId } from '../../../utils/auth.js';
 import { success, error } from '../../../utils/responses.js';
-import { generateEmbedding } from '../../../services/embeddingService.js';
+import {
+  embedEntity,
+  embedText,
+  entityEmbeddingText,
+  getIndexingModels,
+  getTenantEmbeddingModel,
+  resolveQueryVector,
+  toVectorLiteral,
+  vectorDistanceSql
+} from '../../../services/embeddings/registry.js';
+import { searchPassages, attachPassageText } from '../../../services/embeddings/passages.js';
+import { parseRerankOption, rerankResults } from '../../../services/localRerankService.js';
+
+/**
+ * What the reranker reads of a template result: its passages when the search
+ * returned passages, else its name, description and content
+ */
+function templateRerankText(template) {
+  const body = template.passages
+    ? template.passages.map(passage => passage.text).join('\n')
+    : template.content;
+  return [template.name, template.description, body].filter(Boolean).join('\n');
+}
 
 /**
  * POST /api/templates/search
@@ -23,46 +51,75 @@ export async function semanticTemplateSearch(req, res) {
       limit = 10,
       min_similarity = 0.7,
       exclude_ids = [],
-      include_public = true
+      include_public = true,
+      passages = false,
+      passages_per_template = 3,
+      rerank = false
     } = req.body;
 
     if (!query_text && !query_embedding) {
       return res.status(400).json(error('query_text or query_embedding is required'));
     }
 
-    // Generate embedding from query_text if not provided
-    let embedding = query_embedding;
-    if (!embedding && query_text) {
-      console.log(`🔍 [Template Search] Generating embedding for query: "${query_text.substring(0, 50)}..."`);
-      const result = await generateEmbedding(query_text);
-      embedding = result.embedding || result;
+    const rerankOption = parseRerankOption(rerank);
+    if (rerankOption && !query_text?.trim()) {
+      return res.status(400).json(error('rerank requires query_text'));
     }
 
-    if (!embedding || !Array.isArray(embedding)) {
-      return res.status(500).json(error('Failed to generate embedding'));
+    // The reranker picks from its top_n candidates
+    const candidateLimit = rerankOption ? Math.max(limit, rerankOption.topN) : limit;
+
+    // Embed query_text with the tenant's model, or match query_embedding to a model
+    if (!query_embedding) {
+      console.log(`🔍 [Template Search] Generating embedding for query: "${query_text.substring(0, 50)}..."`);
     }
+    const { model, vector } = await resolveQueryVector(tenantId, {
+      text: query_text,
+      vector: query_embedding,
+      userId
+    });
 
-    const vectorString = `[${embedding.join(',')}]`;
+    const vectorString = toVectorLiteral(vector);
+    const distance = vectorDistanceSql('emb.vector', '$1', model.dimensions);
 
     // Build query for templates (can be user's own or public)
     let searchQuery;
     let params;
-
-    if (userId && tenantId) {
+    let searchResults;
+    let passagesById = null;
+
+    if (passages) {
+      // Rank by chunk hits; similarity is the aggregated document score
+      const documents = await searchPassages({
+        model,
+        vector,
+        entityType: 'template',
+        ownerId: userId,
+        includePublic: !userId || include_public,
+        excludeIds: exclude_ids,
+        limit: candidateLimit,
+        passagesPerDocument: Math.min(Math.max(parseInt(passages_per_template) || 3, 1), 10),
+        minSimilarity: min_similarity
+      });
+      searchResults = { rows: documents.map(doc => ({ entity_id: doc.entity_id, similarity: doc.score })) };
+      passagesById = new Map(documents.map(doc => [doc.entity_id, doc.passages]));
+    } else if (userId && tenantId) {
       // Authenticated: search user's templates and public ones
       searchQuery = `
         SELECT e.id as entity_id, e.title,
-               1 - (emb.vector <=> $1::vector(1536)) as similarity
+               1 - ${distance} as similarity
         FROM embedding emb
         JOIN entity e ON emb.entity_id = e.id
         WHERE e.entity_type = 'template'
           AND e.valid_to IS NULL
           AND e.deleted_at IS NULL
           AND emb.status = 'completed'
+          AND emb.model = $7
+          AND emb.dimensions = $8
           AND (e.owner_id = $2 OR (e.visibility = 'public' AND $3::boolean))
-          AND (1 - (emb.vector <=> $1::vector(1536))) >= $4
+          AND (1 - ${distance}) >= $4
           AND e.id != ALL($5::UUID[])
-        ORDER BY similarity DESC
+        ORDER BY ${distance}
         LIMIT $6
       `;
       params = [
@@ -71,13 +128,15 @@ export async function semanticTemplateSearch(req, res) {
         include_public,
         min_similarity,
         exclude_ids.length > 0 ? exclude_ids : ['00000000-0000-0000-0000-000000000000'],
-        limit
+        candidateLimit,
+        model.model_id,
+        model.dimensions
       ];
     } else {
       // Unauthenticated: only public templates
       searchQuery = `
         SELECT e.id as entity_id, e.title,
-               1 - (emb.vector <=> $1::vector(1536)) as similarity
+               1 - ${distance} as similarity
         FROM embedding emb
         JOIN entity e ON emb.entity_id = e.id
         WHERE e.entity_type = 'template'
@@ -85,24 +144,33 @@ export async function semanticTemplateSearch(req, res) {
           AND e.deleted_at IS NULL
           AND e.visibility = 'public'
           AND emb.status = 'completed'
-          AND (1 - (emb.vector <=> $1::vector(1536))) >= $2
+          AND emb.model = $5
+          AND emb.dimensions = $6
+          AND (1 - ${distance}) >= $2
           AND e.id != ALL($3::UUID[])
-        ORDER BY similarity DESC
+        ORDER BY ${distance}
         LIMIT $4
       `;
       params = [
         vectorString,
         min_similarity,
         exclude_ids.length > 0 ? exclude_ids : ['00000000-0000-0000-0000-000000000000'],
-        limit
+        candidateLimit,
+        model.model_id,
+        model.dimensions
       ];
     }
 
-    const searchResults = await db.query(searchQuery, params);
+    if (!passages) {
+      searchResults = await db.query(searchQuery, params);
+    }
 
     // Get full template details
     if (searchResults.rows.length === 0) {
-      return res.json(success({ templates: [] }));
+      return res.json(success({
+        templates: [],
+        embedding_model: { provider: model.provider, model_id: model.model_id, dimensions: model.dimensions }
+      }));
     }
 
     const entityIds = searchResults.rows.map(r => r.entity_id);
@@ -134,18 +202,34 @@ export async function semanticTemplateSearch(req, res) {
       user_id: row.user_id,
       favorite_count: parseInt(row.favorite_count) || 0,
       similarity: resultsMap.get(row.id) || 0,
+      ...(passagesById && {
+        passages: attachPassageText(passagesById.get(row.id) || [], { ...row, entity_type: 'template' })
+      }),
       created_at: row.created_at,
       updated_at: row.updated_at
     }));
 
-    // Sort by similarity
+    // Sort by similarity, then rerank the top candidates when asked
     templatesWithScores.sort((a, b) => b.similarity - a.similarity);
 
-    return res.json(success({ templates: templatesWithScores }));
+    let ranked = templatesWithScores;
+    let rerankInfo = null;
+    if (rerankOption) {
+      ({ results: ranked, rerank: rerankInfo } = await rerankResults(query_text, templatesWithScores, {
+        topN: rerankOption.topN,
+        textOf: templateRerankText
+      }));
+    }
+
+    return res.json(success({
+      templates: ranked.slice(0, limit),
+      embedding_model: { provider: model.provider, model_id: model.model_id, dimensions: model.dimensions },
+      ...(rerankInfo && { rerank: rerankInfo })
+    }));
 
   } catch (err) {
     console.error('Template semantic search error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
   }
 }
 
@@ -163,31 +247,38 @@ export async function findSimilarTemplates(req, res, templateId) {
       min_similarity = 0.7
     } = req.query;
 
-    // Get template embedding
-    const embeddingResult = await db.query(
-      `SELECT emb.vector, e.title as name, e.visibility, e.owner_id
-       FROM embedding emb
-       JOIN entity e ON emb.entity_id = e.id
-       WHERE emb.entity_id = $1
+    // Get the template and its vector of the tenant's model
+    const model = await getTenantEmbeddingModel(tenantId);
+    const templateResult = await db.query(
+      `SELECT e.id, e.title, e.description, e.content, e.visibility, e.owner_id,
+              emb.vector::text as vector
+       FROM entity e
+       LEFT JOIN embedding emb
+         ON emb.entity_id = e.id AND emb.model = $2 AND emb.status = 'completed'
+       WHERE e.id = $1
          AND e.entity_type = 'template'
          AND e.valid_to IS NULL
-         AND e.deleted_at IS NULL
-         AND emb.status = 'completed'
-       LIMIT 1`,
-      [templateId]
+         AND e.deleted_at IS NULL`,
+      [templateId, model.model_id]
     );
 
-    if (embeddingResult.rows.length === 0) {
-      return res.status(404).json(error('Template not found or embedding not available', 404));
+    if (templateResult.rows.length === 0) {
+      return res.status(404).json(error('Template not found', 404));
     }
 
-    const { vector: queryVector, name: templateName, visibility, owner_id } = embeddingResult.rows[0];
+    const template = templateResult.rows[0];
+    const { title: templateName, visibility, owner_id } = template;
 
     // Check permissions
     if (visibility === 'private' && (!userId || userId !== owner_id)) {
       return res.status(403).json(error('Access denied', 403));
     }
 
+    // Not embedded with this model yet: embed it for the query
+    const queryVector = template.vector
+      || toVectorLiteral(await embedText(model, entityEmbeddingText(template), { userId, tenantId }));
+    const distance = vectorDistanceSql('emb.vector', '$1', model.dimensions);
+
     // Find similar templates
     let similarQuery;
     let params;
@@ -197,7 +288,7 @@ export async function findSimilarTemplates(req, res, templateId) {
         SELECT e.id, e.title as name, e.description,
                e.metadata->>'category' as category,
                e.visibility,
-               1 - (emb.vector <=> $1::vector(1536)) as similarity,
+               1 - ${distance} as similarity,
                COALESCE((SELECT COUNT(*) FROM favorite f WHERE f.entity_id = e.id), 0) as favorite_count
         FROM embedding emb
         JOIN entity e ON emb.entity_id = e.id
@@ -206,18 +297,20 @@ export async function findSimilarTemplates(req, res, templateId) {
           AND e.deleted_at IS NULL
           AND e.id != $2
           AND emb.status = 'completed'
+          AND emb.model = $6
+          AND emb.dimensions = $7
           AND (e.owner_id = $3 OR e.visibility = 'public')
-          AND (1 - (emb.vector <=> $1::vector(1536))) >= $4
-        ORDER BY similarity DESC
+          AND (1 - ${distance}) >= $4
+        ORDER BY ${distance}
         LIMIT $5
       `;
-      params = [queryVector, templateId, userId, min_similarity, limit];
+      params = [queryVector, templateId, userId, min_similarity, limit, model.model_id, model.dimensions];
     } else {
       similarQuery = `
         SELECT e.id, e.title as name, e.description,
                e.metadata->>'category' as category,
                e.visibility,
-               1 - (emb.vector <=> $1::vector(1536)) as similarity,
+               1 - ${distance} as similarity,
                COALESCE((SELECT COUNT(*) FROM favorite f WHERE f.entity_id = e.id), 0) as favorite_count
         FROM embedding emb
         JOIN entity e ON emb.entity_id = e.id
@@ -227,11 +320,13 @@ export async function findSimilarTemplates(req, res, templateId) {
           AND e.id != $2
           AND e.visibility = 'public'
           AND emb.status = 'completed'
-          AND (1 - (emb.vector <=> $1::vector(1536))) >= $3
-        ORDER BY similarity DESC
+          AND emb.model = $5
+          AND emb.dimensions = $6
+          AND (1 - ${distance}) >= $3
+        ORDER BY ${distance}
         LIMIT $4
       `;
-      params = [queryVector, templateId, min_similarity, limit];
+      params = [queryVector, templateId, min_similarity, limit, model.model_id, model.dimensions];
     }
 
     const results = await db.query(similarQuery, params);
@@ -239,6 +334,7 @@ export async function findSimilarTemplates(req, res, templateId) {
     return res.json(success({
       template_id: templateId,
       template_name: templateName,
+      embedding_model: { provider: model.provider, model_id: model.model_id, dimensions: model.dimensions },
       similar_templates: results.rows.map(row => ({
         id: row.id,
         name: row.name,
@@ -252,7 +348,7 @@ export async function findSimilarTemplates(req, res, templateId) {
 
   } catch (err) {
     console.error('Find similar templates error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
   }
 }
 
@@ -271,7 +367,7 @@ export async function queueTemplateEmbeddingGeneration(req, res, templateId) {
 
     // Verify template exists and user owns it
     const template = await db.query(
-      `SELECT e.id, e.title, e.content, e.description
+      `SELECT e.*
        FROM entity e
        WHERE e.id = $1
          AND e.owner_id = $2
@@ -285,34 +381,21 @@ export async function queueTemplateEmbeddingGeneration(req, res, templateId) {
       return res.status(404).json(error('Template not found', 404));
     }
 
-    // Generate embedding immediately (or queue for async processing)
-    const templateData = template.rows[0];
-    const textToEmbed = `${templateData.title}\n${templateData.description || ''}\n${
-      typeof templateData.content === 'string' ? templateData.content : templateData.content?.text || JSON.stringify(templateData.content)
-    }`;
-
-    const { embedding } = await generateEmbedding(textToEmbed);
-    const contentHash = require('crypto').createHash('sha256').update(textToEmbed).digest('hex');
-
-    // Store embedding
-    await db.query(
-      `INSERT INTO embedding (tenant_id, entity_id, model, content_hash, vector, status)
-       VALUES ($1, $2, $3, $4, $5, 'completed')
-       ON CONFLICT (entity_id, model)
-       DO UPDATE SET vector = EXCLUDED.vector, content_hash = EXCLUDED.content_hash,
-                     status = 'completed', updated_at = NOW()`,
-      [tenantId, templateId, 'default', contentHash, `[${embedding.join(',')}]`]
-    );
+    // Embed now with the tenant's model, and the target of a running re-index
+    // (unchanged content is skipped)
+    const models = await getIndexingModels(tenantId);
+    const results = await embedEntity(template.rows[0], models);
 
     return res.json(success({
       template_id: templateId,
       embedding_status: 'completed',
+      models: results,
       message: 'Embedding generated successfully'
     }));
 
   } catch (err) {
     console.error('Generate template embedding error:', err);
-    return res.status(500).json(error(err.message, 500));
+    return res.status(err.status || 500).json(error(err.message, err.status || 500));
   }
 }
 
@@ -0,0 +1,113 @@
+/**
+ * Token Count API Endpoint
+ * Counts tokens the way the target model's tokenizer does, so the UI can show
+ * prompt sizes and context window usage before anything is sent.
+ *
+ * POST /api/tokens/count    Body: { text | texts: string[], provider?, modelId? }
+ */
+
+import { AI_PROVIDERS } from '../../services/ai/config.js';
+import { getCatalogModel } from '../../services/ai/catalog.js';
+import { measureTokens, resolveTokenizerFamily } from '../../services/ai/tokenizer.js';
+import { getUserId } from '../../middleware/auth/index.js';
+import { ensureTenant } from '../../utils/database.js';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+};
+
+const LIMITS = {
+  maxTexts: 100,
+  maxCharacters: 2000000 // across all texts
+};
+
+export default async function handler(req, res) {
+  // Set CORS headers first (before any response)
+  Object.entries(corsHeaders).forEach(([key, value]) => {
+    res.setHeader(key, value);
+  });
+
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).json({ ok: true });
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({
+      success: false,
+      error: 'Method not allowed'
+    });
+  }
+
+  try {
+    const { text, texts, provider, modelId } = req.body || {};
+
+    if ((text === undefined) === (texts === undefined)) {
+      return res.status(400).json({ success: false, error: 'Send either text or texts' });
+    }
+
+    const items = texts ?? [text];
+    if (!Array.isArray(items) || items.length > LIMITS.maxTexts || items.some(item => typeof item !== 'string')) {
+      return res.status(400).json({
+        success: false,
+        error: `text must be a string, texts an array of at most ${LIMITS.maxTexts} strings`
+      });
+    }
+
+    const characters = items.reduce((sum, item) => sum + item.length, 0);
+    if (characters > LIMITS.maxCharacters) {
+      return res.status(413).json({
+        success: false,
+        error: `At most ${LIMITS.maxCharacters} characters can be counted per request`
+      });
+    }
+
+    if (provider !== undefined && !Object.values(AI_PROVIDERS).includes(provider)) {
+      return res.status(400).json({ success: false, error: `Invalid provider: ${provider}` });
+    }
+
+    if (modelId !== undefined && (typeof modelId !== 'string' || !modelId)) {
+      return res.status(400).json({ success: false, error: 'modelId must be a non-empty string' });
+    }
+
+    // Tenant catalog overrides apply to signed-in callers
+    const userId = await getUserId(req);
+    const tenantId = userId ? await ensureTenant(userId) : undefined;
+
+    const family = await resolveTokenizerFamily({ provider, modelId, tenantId });
+    const counts = await Promise.all(items.map(item => measureTokens(item, { family })));
+    const tokens = counts.reduce((sum, count) => sum + count.tokens, 0);
+
+    const model = modelId ? await getCatalogModel(provider || null, modelId, { tenantId }) : null;
+
+    return res.status(200).json({
+      success: true,
+      tokens,
+      characters,
+      tokenizer: family,
+      exact: counts.every(count => count.exact),
+      ...(texts !== undefined && { counts: counts.map(count => count.tokens) }),
+      model: model && {
+        provider: model.provider,
+        modelId: model.model_id,
+        contextWindow: model.context_window,
+        maxOutputTokens: model.max_output_tokens,
+        remaining: model.context_window ? model.context_window - tokens : null
+      }
+    });
+
+  } catch (error) {
+    console.error('Token count error:', error);
+
+    return res.status(error.status || 500).json({
+      success: false,
+      error: {
+        message: error.message,
+        type: error.name
+      }
+    });
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Workflow Webhook Triggers
+ * Public endpoint for inbound webhooks that start workflow runs.
+ * Requests are authenticated by the trigger's signing secret, not a user token.
+ *
+ * Endpoints:
+ * - POST /api/workflow-hooks/:triggerId - Queue a run of the trigger's workflow
+ *
+ * Headers:
+ * - X-Workflow-Timestamp: Unix time in seconds
+ * - X-Workflow-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${rawBody}` with the signing secret>
+ *
+ * Bodies must be JSON (`Content-Type: application/json`): only the JSON parser
+ * keeps the raw body the signature covers, so other types are refused with 415.
+ */
+
+import { db } from '../../utils/database.js';
+import { success, error } from '../../utils/responses.js';
+import {
+  verifyWebhookSignature,
+  mapWebhookInput,
+  fireTrigger
+} from '../../services/workflowScheduler.js';
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export default async function handler(req, res) {
+  try {
+    const { triggerId } = req.params;
+
+    if (!UUID_PATTERN.test(triggerId)) {
+      return res.status(404).json(error('Webhook not found', 404));
+    }
+
+    // false when there is a body of another type (null when there is none)
+    if (req.is('application/json') === false) {
+      return res.status(415).json(error('Webhook bodies must be application/json', 415));
+    }
+
+    const result = await db.query(
+      `SELECT * FROM workflow_trigger WHERE id = $1 AND trigger_type = 'webhook'`,
+      [triggerId]
+    );
+
+    const trigger = result.rows[0];
+
+    // Same response for unknown and disabled triggers so ids can't be probed
+    if (!trigger || !trigger.enabled) {
+      return res.status(404).json(error('Webhook not found', 404));
+    }
+
+    const verification = verifyWebhookSignature(trigger.signing_secret, {
+      rawBody: req.rawBody,
+      timestamp: req.get('X-Workflow-Timestamp'),
+      signature: req.get('X-Workflow-Signature')
+    });
+
+    if (!verification.valid) {
+      return res.status(401).json(error(verification.error, 401));
+    }
+
+    let input;
+    try {
+      input = mapWebhookInput(trigger, {
+        body: req.body,
+        query: req.query,
+        headers: req.headers
+      });
+    } catch (err) {
+      return res.status(400).json(error(`Failed to map webhook body to workflow input: ${err.message}`, 400));
+    }
+
+    const { run, error: fireError } = await fireTrigger(trigger, input);
+
+    if (!run) {
+      return res.status(409).json(error(fireError, 409));
+    }
+
+    return res.status(202).json(success({
+      executionId: run.id,
+      workflowId: run.workflow_id,
+      status: run.status
+    }, 'Workflow execution queued'));
+  } catch (err) {
+    console.error('Error handling workflow webhook:', err);
+    return res.status(500).json(error('Failed to process webhook'));
+  }
+}
@@ -3,15 +3,27 @@
  * Uses universal entity table with entity_type = 'workflow'
  * Supports temporal versioning and event sourcing
  *
+ * Steps run as a graph (next / onTrue / onFalse edges, parallel fan-out,
+ * waitFor fan-in, forEach and guarded loops) - see services/workflows/graph.js
+ * Executions are queued and run by the background runner - see services/workflowRunner.js
+ *
  * Endpoints:
  * - POST   /api/workflows              - Create new workflow
  * - GET    /api/workflows              - List user's workflows
  * - GET    /api/workflows/:id          - Get workflow details
  * - PUT    /api/workflows/:id          - Update workflow
  * - DELETE /api/workflows/:id          - Delete workflow
- * - POST   /api/workflows/:id/execute  - Execute workflow
+ * - POST   /api/workflows/:id/execute  - Queue workflow execution
  * - GET    /api/workflows/:id/executions - Get execution history
- * - GET    /api/workflows/:id/executions/:executionId - Get execution details
+ * - GET    /api/workflows/:id/executions/:executionId - Get live execution state
+ * - POST   /api/workflows/:id/executions/:executionId/cancel - Cancel execution
+ * - POST   /api/workflows/:id/executions/:executionId/retry  - Retry failed execution
+ * - POST   /api/workflows/:id/executions/:executionId/resume - Resume interrupted execution
+ * - GET    /api/workflows/:id/triggers - List schedule/webhook triggers
+ * - POST   /api/workflows/:id/triggers - Create trigger
+ * - PUT    /api/workflows/:id/triggers/:triggerId - Update trigger
+ * - DELETE /api/workflows/:id/triggers/:triggerId - Delete trigger
+ * - POST   /api/workflows/:id/triggers/:triggerId/rotate-secret - Rotate webhook signing secret
  */
 
 import { Router } from 'express';
@@ -22,11 +34,20 @@ import {
   updateEntity,
   deleteEntity,
   getCurrentEntity,
-  trackUsage,
   logEvent
 } from '../../utils/database.js';
 import { success, error } from '../../utils/responses.js';
-import axios from 'axios';
+import { validateExpression } from '../../services/workflows/expressions.js';
+import { validateWorkflowGraph } from '../../services/workflows/graph.js';
+import { validateCron, getNextCronRun } from '../../services/workflows/cron.js';
+import { validateToolSpecs } from '../../services/workflows/tools.js';
+import { isServerProvider, supportsTools } from '../../services/ai/generate.js';
+import { generateSigningSecret } from '../../services/workflowScheduler.js';
+import {
+  queueWorkflowRun,
+  cancelWorkflowRun,
+  requeueWorkflowRun
+} from '../../services/workflowRunner.js';
 
 const router = Router();
 
@@ -58,7 +79,7 @@ function validateWorkflowConfig(config) {
       return { valid: false, error: `Step ${i + 1} must have an id` };
     }
 
-    if (!step.type || !['template', 'condition', 'transform', 'api_call', 'delay'].includes(step.type)) {
+    if (!step.type || !['template', 'llm', 'condition', 'transform', 'api_call', 'delay'].includes(step.type)) {
       return { valid: false, error: `Step ${i + 1} has invalid type: ${step.type}` };
     }
 
@@ -69,271 +90,172 @@ function validateWorkflowConfig(config) {
     if (step.type === 'template' && !step.templateId) {
       return { valid: false, error: `Step ${i + 1} is type 'template' but missing templateId` };
     }
-  }
-
-  return { valid: true };
-}
-
-/**
- * Check if user has access to workflow
- */
-async function checkWorkflowAccess(workflowId, userId) {
-  const result = await db.query(
-    `SELECT id, owner_id, visibility FROM entity
-     WHERE id = $1 AND entity_type = 'workflow'
-       AND valid_to IS NULL AND deleted_at IS NULL`,
-    [workflowId]
-  );
 
-  if (result.rows.length === 0) {
-    return { hasAccess: false, workflow: null, reason: 'Workflow not found' };
-  }
+    if (step.type === 'llm') {
+      const llmCheck = validateLlmStep(step);
+      if (llmCheck) {
+        return { valid: false, error: `Step ${i + 1} is type 'llm' but ${llmCheck}`, details: { stepId: step.id } };
+      }
+    }
 
-  const workflow = result.rows[0];
+    if (step.type === 'condition' && (typeof step.condition !== 'string' || !step.condition.trim())) {
+      return { valid: false, error: `Step ${i + 1} is type 'condition' but missing condition expression` };
+    }
 
-  // User owns the workflow
-  if (workflow.owner_id === userId) {
-    return { hasAccess: true, workflow, reason: 'owner' };
-  }
+    // Parse expressions up front so syntax errors surface before anything runs
+    const expression = step.type === 'condition' ? step.condition
+      : step.type === 'transform' ? step.transformExpression
+      : undefined;
 
-  // Workflow is public (read-only access)
-  if (workflow.visibility === 'public') {
-    return { hasAccess: true, workflow, reason: 'public', readOnly: true };
+    if (expression !== undefined) {
+      const check = validateExpression(expression);
+      if (!check.valid) {
+        return { valid: false, error: `Step ${i + 1} has an invalid expression: ${check.error}`, details: { stepId: step.id, position: check.position } };
+      }
+    }
   }
 
-  // No access
-  return { hasAccess: false, workflow: null, reason: 'No access to this workflow' };
+  // Edges, fan-in, forEach and loop guards
+  return validateWorkflowGraph(config);
 }
 
 /**
- * Render template with variables (internal helper)
+ * Validate the settings of an `llm` step
+ * @returns {string|null} Problem description, or null when valid
  */
-async function renderTemplate(templateId, variables, userId) {
-  try {
-    // Get template
-    const templateResult = await db.query(
-      `SELECT id, title, content, metadata, owner_id, visibility
-       FROM entity
-       WHERE id = $1 AND entity_type = 'template'
-         AND valid_to IS NULL AND deleted_at IS NULL`,
-      [templateId]
-    );
-
-    if (templateResult.rows.length === 0) {
-      throw new Error(`Template ${templateId} not found`);
-    }
-
-    const template = templateResult.rows[0];
+function validateLlmStep(step) {
+  if (typeof step.prompt !== 'string' || !step.prompt.trim()) {
+    return 'missing prompt';
+  }
 
-    // Check access
-    if (
-      template.visibility === 'private' &&
-      template.owner_id !== userId
-    ) {
-      throw new Error(`No access to template ${templateId}`);
-    }
+  if (!isServerProvider(step.provider)) {
+    return `has unsupported provider: ${step.provider}`;
+  }
 
-    // Extract content (stored as JSONB)
-    const content = template.content?.text || (typeof template.content === 'string' ? template.content : JSON.stringify(template.content));
+  if (typeof step.model !== 'string' || !step.model) {
+    return 'missing model';
+  }
 
-    // Perform variable substitution
-    let rendered = content;
-    const variablesUsed = [];
+  if (step.temperature !== undefined && !(typeof step.temperature === 'number' && step.temperature >= 0 && step.temperature <= 2)) {
+    return 'temperature must be a number between 0 and 2';
+  }
 
-    // Replace {{variable}} patterns
-    const variableRegex = /\{\{([^}]+)\}\}/g;
-    let match;
+  if (step.maxTokens !== undefined && !(Number.isInteger(step.maxTokens) && step.maxTokens > 0)) {
+    return 'maxTokens must be a positive integer';
+  }
 
-    while ((match = variableRegex.exec(content)) !== null) {
-      const fullMatch = match[0]; // {{varName}}
-      const varDef = match[1].trim(); // varName or varName:type or varName:type:description
-      const varParts = varDef.split(':');
-      const varName = varParts[0].trim();
+  if (step.outputSchema !== undefined && (step.outputSchema === null || typeof step.outputSchema !== 'object' || Array.isArray(step.outputSchema))) {
+    return 'outputSchema must be a JSON schema object';
+  }
 
-      variablesUsed.push(varName);
+  if (step.keyId !== undefined && (typeof step.keyId !== 'string' || !step.keyId)) {
+    return 'keyId must be a stored provider key id';
+  }
 
-      if (variables[varName] !== undefined) {
-        rendered = rendered.replace(fullMatch, variables[varName]);
-      }
+  if (step.tools !== undefined) {
+    const toolsError = validateToolSpecs(step.tools);
+    if (toolsError) {
+      return toolsError;
+    }
+    if (step.tools.length > 0 && !supportsTools(step.provider)) {
+      return `provider ${step.provider} does not support tools`;
     }
+  }
 
-    return {
-      rendered,
-      templateId: template.id,
-      templateName: template.title,
-      variablesUsed: [...new Set(variablesUsed)],
-    };
-  } catch (err) {
-    throw new Error(`Template rendering failed: ${err.message}`);
+  if (step.maxToolRounds !== undefined && !(Number.isInteger(step.maxToolRounds) && step.maxToolRounds >= 1 && step.maxToolRounds <= 10)) {
+    return 'maxToolRounds must be an integer between 1 and 10';
   }
+
+  return null;
 }
 
 /**
- * Execute a single workflow step
+ * Check that the user owns the workflow (triggers are owner-only)
+ * @returns {Promise<{workflow?: Object, status?: number, errorResponse?: Object}>}
  */
-async function executeStep(step, context, userId) {
-  const startTime = Date.now();
+async function checkWorkflowOwner(workflowId, userId) {
+  const workflow = await getCurrentEntity(workflowId);
 
-  try {
-    let output;
-    let metadata = {};
-
-    switch (step.type) {
-      case 'template':
-        // Resolve variables from context
-        const resolvedVariables = {};
-
-        if (step.variables) {
-          for (const [key, value] of Object.entries(step.variables)) {
-            // Replace context references like {{step1.output}} or {{workflow.input.topic}}
-            if (typeof value === 'string' && value.includes('{{')) {
-              resolvedVariables[key] = resolveContextVariable(value, context);
-            } else {
-              resolvedVariables[key] = value;
-            }
-          }
-        }
-
-        // Render template
-        const renderResult = await renderTemplate(step.templateId, resolvedVariables, userId);
-        output = renderResult.rendered;
-        metadata = {
-          templateId: renderResult.templateId,
-          templateName: renderResult.templateName,
-          variablesUsed: renderResult.variablesUsed,
-          renderedLength: output.length,
-        };
-        break;
-
-      case 'transform':
-        // Apply transformation function
-        if (step.transform && typeof step.transform === 'function') {
-          output = step.transform(context);
-        } else if (step.transformExpression) {
-          // Eval is dangerous, but for demo purposes
-          // In production, use a safe expression evaluator like expr-eval
-          output = eval(step.transformExpression);
-        } else {
-          output = context;
-        }
-        break;
-
-      case 'condition':
-        // Evaluate condition
-        const conditionResult = evaluateCondition(step.condition, context);
-        output = conditionResult;
-        metadata = { conditionMet: conditionResult };
-        break;
-
-      case 'api_call':
-        // Make external API call
-        const apiResponse = await axios({
-          method: step.method || 'POST',
-          url: step.url,
-          headers: step.headers || {},
-          data: step.body || {},
-          timeout: step.timeout || 30000,
-        });
-        output = apiResponse.data;
-        metadata = {
-          statusCode: apiResponse.status,
-          headers: apiResponse.headers,
-        };
-        break;
-
-      case 'delay':
-        // Wait for specified duration
-        const delayMs = step.duration || 1000;
-        await new Promise(resolve => setTimeout(resolve, delayMs));
-        output = context;
-        metadata = { delayMs };
-        break;
-
-      default:
-        throw new Error(`Unknown step type: ${step.type}`);
-    }
-
-    const duration = Date.now() - startTime;
-
-    return {
-      stepId: step.id,
-      status: 'completed',
-      output,
-      metadata,
-      duration,
-      error: null,
-    };
-  } catch (err) {
-    const duration = Date.now() - startTime;
-
-    return {
-      stepId: step.id,
-      status: 'failed',
-      output: null,
-      metadata: {},
-      duration,
-      error: {
-        message: err.message,
-        stack: err.stack,
-      },
-    };
+  if (!workflow || workflow.entity_type !== 'workflow') {
+    return { status: 404, errorResponse: error('Workflow not found') };
+  }
+
+  if (workflow.owner_id !== userId) {
+    return { status: 403, errorResponse: error('Only the workflow owner can manage triggers') };
   }
+
+  return { workflow };
 }
 
 /**
- * Resolve context variables like {{step1.output}} or {{workflow.input.topic}}
+ * Validate trigger settings
  */
-function resolveContextVariable(template, context) {
-  let resolved = template;
+function validateTriggerConfig({ type, cron, input, inputMapping }) {
+  if (!['schedule', 'webhook'].includes(type)) {
+    return { valid: false, error: `type must be 'schedule' or 'webhook', got ${type}` };
+  }
 
-  const regex = /\{\{([^}]+)\}\}/g;
-  let match;
+  if (input !== undefined && input !== null && (typeof input !== 'object' || Array.isArray(input))) {
+    return { valid: false, error: 'input must be an object' };
+  }
 
-  while ((match = regex.exec(template)) !== null) {
-    const fullMatch = match[0]; // {{step1.output}}
-    const path = match[1].trim(); // step1.output
-    const value = getNestedValue(context, path);
+  if (type === 'schedule') {
+    const check = validateCron(cron);
+    if (!check.valid) {
+      return { valid: false, error: `invalid cron expression: ${check.error}` };
+    }
+    if (!getNextCronRun(cron)) {
+      return { valid: false, error: 'cron expression never fires' };
+    }
+  }
+
+  if (type === 'webhook' && inputMapping !== undefined && inputMapping !== null) {
+    if (typeof inputMapping !== 'object' || Array.isArray(inputMapping)) {
+      return { valid: false, error: 'inputMapping must be an object of expressions' };
+    }
 
-    if (value !== undefined) {
-      resolved = resolved.replace(fullMatch, value);
+    for (const [key, expression] of Object.entries(inputMapping)) {
+      const check = typeof expression === 'string'
+        ? validateExpression(expression)
+        : { valid: false, error: 'must be a string expression' };
+      if (!check.valid) {
+        return { valid: false, error: `inputMapping.${key} ${check.error}` };
+      }
     }
   }
 
-  return resolved;
+  return { valid: true };
 }
 
 /**
- * Get nested object value by path (e.g., "step1.output" from context)
+ * Check if user has access to workflow
  */
-function getNestedValue(obj, path) {
-  const parts = path.split('.');
-  let current = obj;
+async function checkWorkflowAccess(workflowId, userId) {
+  const result = await db.query(
+    `SELECT id, owner_id, visibility FROM entity
+     WHERE id = $1 AND entity_type = 'workflow'
+       AND valid_to IS NULL AND deleted_at IS NULL`,
+    [workflowId]
+  );
 
-  for (const part of parts) {
-    if (current && typeof current === 'object' && part in current) {
-      current = current[part];
-    } else {
-      return undefined;
-    }
+  if (result.rows.length === 0) {
+    return { hasAccess: false, workflow: null, reason: 'Workflow not found' };
   }
 
-  return current;
-}
+  const workflow = result.rows[0];
 
-/**
- * Evaluate condition expression
- */
-function evaluateCondition(condition, context) {
-  // Simple condition evaluator
-  // In production, use a safe expression evaluator
-  try {
-    // Allow access to context in condition
-    const func = new Function('context', `return ${condition}`);
-    return func(context);
-  } catch (err) {
-    console.error('Condition evaluation error:', err);
-    return false;
+  // User owns the workflow
+  if (workflow.owner_id === userId) {
+    return { hasAccess: true, workflow, reason: 'owner' };
   }
+
+  // Workflow is public (read-only access)
+  if (workflow.visibility === 'public') {
+    return { hasAccess: true, workflow, reason: 'public', readOnly: true };
+  }
+
+  // No access
+  return { hasAccess: false, workflow: null, reason: 'No access to this workflow' };
 }
 
 // ============================================================================
@@ -361,7 +283,7 @@ router.post('/', async (req, res) => {
     // Validate config structure
     const validation = validateWorkflowConfig(config);
     if (!validation.valid) {
-      return res.status(400).json(error(`Invalid workflow config: ${validation.error}`));
+      return res.status(400).json(error(`Invalid workflow config: ${validation.error}`, 400, validation.details || null));
     }
 
     // Ensure tenant
@@ -575,7 +497,7 @@ router.put('/:id', async (req, res) => {
     if (config) {
       const validation = validateWorkflowConfig(config);
       if (!validation.valid) {
-        return res.status(400).json(error(`Invalid workflow config: ${validation.error}`));
+        return res.status(400).json(error(`Invalid workflow config: ${validation.error}`, 400, validation.details || null));
       }
     }
 
@@ -608,6 +530,12 @@ router.put('/:id', async (req, res) => {
     // Update entity (creates new version)
     const updated = await updateEntity(id, updates, userId);
 
+    // Triggers follow the current version
+    await db.query(
+      `UPDATE workflow_trigger SET workflow_id = $2, updated_at = NOW() WHERE workflow_id = $1`,
+      [id, updated.id]
+    );
+
     // Log event
     const tenantId = await ensureTenant(userId);
     await logEvent({
@@ -662,6 +590,12 @@ router.delete('/:id', async (req, res) => {
     // Delete entity (soft delete)
     await deleteEntity(id, userId);
 
+    // Stop triggers from firing for a deleted workflow
+    await db.query(
+      `UPDATE workflow_trigger SET enabled = FALSE, updated_at = NOW() WHERE workflow_id = $1`,
+      [id]
+    );
+
     // Log event
     const tenantId = await ensureTenant(userId);
     await logEvent({
@@ -685,7 +619,8 @@ router.delete('/:id', async (req, res) => {
 
 /**
  * POST /api/workflows/:id/execute
- * Execute workflow with provided input variables
+ * Queue a workflow run with provided input variables.
+ * The background workflow runner executes it; poll the execution for progress.
  */
 router.post('/:id/execute', async (req, res) => {
   try {
@@ -713,138 +648,17 @@ router.post('/:id/execute', async (req, res) => {
       return res.status(404).json(error('Workflow not found'));
     }
 
-    const entity = workflowResult.rows[0];
-    const config = entity.content?.config || {};
-    const steps = entity.content?.steps || [];
-
-    // Generate execution ID for tracking
-    const executionId = `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    const startTime = Date.now();
-
-    // Execute workflow steps
-    const stepResults = [];
-    const context = {
-      workflow: {
-        id: entity.id,
-        name: entity.title,
-        input: variables,
-      },
-    };
-
-    let finalOutput = null;
-    let executionStatus = 'completed';
-    let errorMessage = null;
-    let errorStack = null;
-
-    try {
-      for (const step of steps) {
-        console.log(`Executing step: ${step.id} (${step.type})`);
-
-        const stepResult = await executeStep(step, context, userId);
-        stepResults.push(stepResult);
-
-        // Add step output to context for next steps
-        context[step.id] = {
-          output: stepResult.output,
-          metadata: stepResult.metadata,
-          status: stepResult.status,
-        };
-
-        // Handle step failure
-        if (stepResult.status === 'failed') {
-          const onError = step.onError || 'fail';
-
-          if (onError === 'fail') {
-            executionStatus = 'failed';
-            errorMessage = `Step ${step.id} failed: ${stepResult.error.message}`;
-            errorStack = stepResult.error.stack;
-            break;
-          } else if (onError === 'continue') {
-            console.log(`Step ${step.id} failed but continuing due to onError=continue`);
-            continue;
-          } else if (onError === 'retry') {
-            // TODO: Implement retry logic
-            console.log(`Step ${step.id} failed, retry not yet implemented`);
-            continue;
-          }
-        }
-
-        // Check if this is the last step
-        if (steps.indexOf(step) === steps.length - 1) {
-          finalOutput = stepResult.output;
-        }
-      }
-    } catch (err) {
-      console.error('Workflow execution error:', err);
-      executionStatus = 'failed';
-      errorMessage = err.message;
-      errorStack = err.stack;
-    }
-
-    // Record completion time
-    const completedAt = new Date();
-    const durationMs = completedAt - startTime;
-
-    // Get tenant for event logging
-    const tenantId = await ensureTenant(userId);
-
-    // Log execution event to usage_event table
-    await db.query(
-      `INSERT INTO usage_event (
-        tenant_id, user_id, entity_id, event_type, event_date,
-        metadata, duration_ms
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)`,
-      [
-        tenantId,
-        userId,
-        id,
-        'workflow.executed',
-        completedAt,
-        JSON.stringify({
-          executionId,
-          status: executionStatus,
-          inputVariables: variables,
-          stepCount: steps.length,
-          completedSteps: stepResults.filter(r => r.status === 'completed').length,
-          error: errorMessage || null,
-          finalOutput: finalOutput || null
-        }),
-        durationMs
-      ]
-    );
-
-    // Track usage
-    await trackUsage({
-      tenantId,
+    const run = await queueWorkflowRun({
+      workflow: workflowResult.rows[0],
       userId,
-      entityId: id,
-      eventType: 'workflow.executed'
+      input: variables
     });
 
-    // Log event
-    await logEvent({
-      tenantId,
-      eventType: 'workflow.executed',
-      aggregateType: 'entity',
-      aggregateId: id,
-      actorId: userId,
-      payload: {
-        entityType: 'workflow',
-        executionId,
-        status: executionStatus,
-        durationMs,
-        stepCount: steps.length
-      }
-    });
-
-    return res.json(success({
-      executionId,
-      status: executionStatus,
-      finalOutput,
-      stepResults,
-      durationMs,
-      error: errorMessage ? { message: errorMessage, stack: errorStack } : null,
-    }));
+    return res.status(202).json(success({
+      executionId: run.id,
+      status: run.status,
+      queuedAt: run.queued_at
+    }, 'Workflow execution queued'));
   } catch (err) {
     console.error('Error executing workflow:', err);
     return res.status(500).json(error('Failed to execute workflow'));
@@ -859,7 +673,7 @@ router.get('/:id/executions', async (req, res) => {
   try {
     const userId = req.user.id;
     const { id } = req.params;
-    const { limit = 20, offset = 0 } = req.query;
+    const { limit = 20, offset = 0, status } = req.query;
 
     // Check access
     const accessCheck = await checkWorkflowAccess(id, userId);
@@ -869,52 +683,37 @@ router.get('/:id/executions', async (req, res) => {
       );
     }
 
-    // Get executions from usage_event table
+    const params = [id];
+    let statusFilter = '';
+    if (status) {
+      params.push(status);
+      statusFilter = `AND status = $${params.length}`;
+    }
+
     const result = await db.query(
-      `SELECT
-        id,
-        entity_id as workflow_id,
-        metadata->>'status' as status,
-        event_date as started_at,
-        event_date as completed_at,
-        duration_ms,
-        metadata->>'error' as error_message,
-        metadata
-      FROM usage_event
-      WHERE entity_id = $1 AND event_type = 'workflow.executed'
-      ORDER BY event_date DESC
-      LIMIT $2 OFFSET $3`,
-      [id, parseInt(limit), parseInt(offset)]
+      `SELECT * FROM workflow_run
+       WHERE workflow_id = $1 ${statusFilter}
+       ORDER BY queued_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, parseInt(limit), parseInt(offset)]
     );
 
     // Get total count
     const countResult = await db.query(
-      `SELECT COUNT(*) as total FROM usage_event
-       WHERE entity_id = $1 AND event_type = 'workflow.executed'`,
-      [id]
+      `SELECT COUNT(*) as total FROM workflow_run
+       WHERE workflow_id = $1 ${statusFilter}`,
+      params
     );
 
     const total = parseInt(countResult.rows[0].total);
 
-    // Format execution records
-    const executions = result.rows.map(row => ({
-      id: row.id,
-      workflow_id: row.workflow_id,
-      status: row.status || 'completed',
-      started_at: row.started_at,
-      completed_at: row.completed_at,
-      duration_ms: row.duration_ms,
-      error_message: row.error_message,
-      metadata: row.metadata
-    }));
-
     return res.json(success({
-      executions,
+      executions: result.rows.map(row => mapRunToExecution(row)),
       pagination: {
         total,
         limit: parseInt(limit),
         offset: parseInt(offset),
-        hasMore: offset + result.rows.length < total,
+        hasMore: parseInt(offset) + result.rows.length < total,
       },
     }));
   } catch (err) {
@@ -925,7 +724,7 @@ router.get('/:id/executions', async (req, res) => {
 
 /**
  * GET /api/workflows/:id/executions/:executionId
- * Get detailed execution results
+ * Get live execution state with per-step results
  */
 router.get('/:id/executions/:executionId', async (req, res) => {
   try {
@@ -940,40 +739,402 @@ router.get('/:id/executions/:executionId', async (req, res) => {
       );
     }
 
-    // Get execution from usage_event table
+    const run = await getWorkflowRun(id, executionId);
+    if (!run) {
+      return res.status(404).json(error('Execution not found'));
+    }
+
+    const stepsResult = await db.query(
+      `SELECT * FROM workflow_run_step
+       WHERE run_id = $1
+       ORDER BY started_at ASC, iteration ASC`,
+      [executionId]
+    );
+
+    return res.json(success({
+      execution: {
+        ...mapRunToExecution(run),
+        final_output: run.final_output,
+        pending_steps: run.status === 'completed' ? [] : run.checkpoint?.pending || [],
+        step_results: stepsResult.rows.map(step => ({
+          stepId: step.step_id,
+          type: step.step_type,
+          status: step.status,
+          iteration: step.iteration,
+          attempt: step.attempt,
+          output: step.output,
+          metadata: step.metadata,
+          error: step.error,
+          duration: step.duration_ms,
+          started_at: step.started_at,
+          completed_at: step.completed_at
+        }))
+      }
+    }));
+  } catch (err) {
+    console.error('Error getting execution:', err);
+    return res.status(500).json(error('Failed to get execution'));
+  }
+});
+
+/**
+ * POST /api/workflows/:id/executions/:executionId/cancel
+ * Cancel a queued run, or stop a running one before its next step
+ */
+router.post('/:id/executions/:executionId/cancel', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, executionId } = req.params;
+
+    const accessCheck = await checkWorkflowAccess(id, userId);
+    if (!accessCheck.hasAccess || accessCheck.readOnly) {
+      return res.status(accessCheck.workflow ? 403 : 404).json(
+        error(accessCheck.reason === 'public' ? 'Cannot cancel executions of a workflow you do not own' : accessCheck.reason)
+      );
+    }
+
+    const run = await getWorkflowRun(id, executionId);
+    if (!run) {
+      return res.status(404).json(error('Execution not found'));
+    }
+
+    const updated = await cancelWorkflowRun(executionId);
+    if (!updated) {
+      return res.status(409).json(error(`Cannot cancel an execution that is ${run.status}`));
+    }
+
+    return res.json(success({
+      execution: mapRunToExecution(updated)
+    }, updated.status === 'cancelled' ? 'Execution cancelled' : 'Cancellation requested'));
+  } catch (err) {
+    console.error('Error cancelling execution:', err);
+    return res.status(500).json(error('Failed to cancel execution'));
+  }
+});
+
+/**
+ * POST /api/workflows/:id/executions/:executionId/retry
+ * Re-queue a failed run from the failed step (or body.fromStep)
+ */
+router.post('/:id/executions/:executionId/retry', async (req, res) => {
+  return requeueExecution(req, res, {
+    fromStatuses: ['failed'],
+    action: 'retry',
+    fromStep: req.body?.fromStep
+  });
+});
+
+/**
+ * POST /api/workflows/:id/executions/:executionId/resume
+ * Continue an interrupted or cancelled run from its last checkpoint
+ */
+router.post('/:id/executions/:executionId/resume', async (req, res) => {
+  return requeueExecution(req, res, {
+    fromStatuses: ['interrupted', 'cancelled'],
+    action: 'resume'
+  });
+});
+
+/**
+ * Shared handler for retry/resume
+ */
+async function requeueExecution(req, res, { fromStatuses, action, fromStep }) {
+  try {
+    const userId = req.user.id;
+    const { id, executionId } = req.params;
+
+    const accessCheck = await checkWorkflowAccess(id, userId);
+    if (!accessCheck.hasAccess || accessCheck.readOnly) {
+      return res.status(accessCheck.workflow ? 403 : 404).json(
+        error(accessCheck.reason === 'public' ? `Cannot ${action} executions of a workflow you do not own` : accessCheck.reason)
+      );
+    }
+
+    const run = await getWorkflowRun(id, executionId);
+    if (!run) {
+      return res.status(404).json(error('Execution not found'));
+    }
+
+    if (fromStep !== undefined && !(run.config?.steps || []).some(step => step.id === fromStep)) {
+      return res.status(400).json(error(`Step '${fromStep}' does not exist in this execution`));
+    }
+
+    const updated = await requeueWorkflowRun(executionId, { fromStatuses, fromStep });
+    if (!updated) {
+      return res.status(409).json(error(`Cannot ${action} an execution that is ${run.status}`));
+    }
+
+    return res.status(202).json(success({
+      execution: mapRunToExecution(updated)
+    }, `Workflow execution queued for ${action}`));
+  } catch (err) {
+    console.error(`Error during execution ${action}:`, err);
+    return res.status(500).json(error(`Failed to ${action} execution`));
+  }
+}
+
+/**
+ * Load a run belonging to a workflow
+ */
+async function getWorkflowRun(workflowId, runId) {
+  const result = await db.query(
+    `SELECT * FROM workflow_run WHERE id = $1 AND workflow_id = $2`,
+    [runId, workflowId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * GET /api/workflows/:id/triggers
+ * List triggers attached to a workflow
+ */
+router.get('/:id/triggers', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+
+    const accessCheck = await checkWorkflowOwner(id, userId);
+    if (accessCheck.errorResponse) {
+      return res.status(accessCheck.status).json(accessCheck.errorResponse);
+    }
+
+    const result = await db.query(
+      `SELECT * FROM workflow_trigger WHERE workflow_id = $1 ORDER BY created_at ASC`,
+      [id]
+    );
+
+    return res.json(success({
+      triggers: result.rows.map(row => mapTrigger(row))
+    }));
+  } catch (err) {
+    console.error('Error getting triggers:', err);
+    return res.status(500).json(error('Failed to get triggers'));
+  }
+});
+
+/**
+ * POST /api/workflows/:id/triggers
+ * Attach a schedule or webhook trigger to a workflow
+ */
+router.post('/:id/triggers', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id } = req.params;
+    const { type, name, cron, input = {}, inputMapping = null, enabled = true } = req.body;
+
+    const accessCheck = await checkWorkflowOwner(id, userId);
+    if (accessCheck.errorResponse) {
+      return res.status(accessCheck.status).json(accessCheck.errorResponse);
+    }
+
+    const validation = validateTriggerConfig({ type, cron, input, inputMapping });
+    if (!validation.valid) {
+      return res.status(400).json(error(`Invalid trigger: ${validation.error}`));
+    }
+
+    const tenantId = await ensureTenant(userId);
+
+    const result = await db.query(
+      `INSERT INTO workflow_trigger (
+        tenant_id, workflow_id, created_by, trigger_type, name, enabled,
+        cron_expression, next_run_at, signing_secret, input_mapping, input
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *`,
+      [
+        tenantId,
+        id,
+        userId,
+        type,
+        name || null,
+        Boolean(enabled),
+        type === 'schedule' ? cron : null,
+        type === 'schedule' ? getNextCronRun(cron) : null,
+        type === 'webhook' ? generateSigningSecret() : null,
+        type === 'webhook' && inputMapping ? JSON.stringify(inputMapping) : null,
+        JSON.stringify(input)
+      ]
+    );
+
+    await logEvent({
+      tenantId,
+      eventType: 'workflow.trigger_created',
+      aggregateType: 'entity',
+      aggregateId: id,
+      actorId: userId,
+      payload: { triggerId: result.rows[0].id, triggerType: type }
+    });
+
+    const published = accessCheck.workflow.metadata?.status === 'published';
+
+    return res.status(201).json(success({
+      trigger: mapTrigger(result.rows[0], { includeSecret: true })
+    }, published
+      ? 'Trigger created successfully'
+      : 'Trigger created; it will not fire until the workflow is published'));
+  } catch (err) {
+    console.error('Error creating trigger:', err);
+    return res.status(500).json(error('Failed to create trigger'));
+  }
+});
+
+/**
+ * PUT /api/workflows/:id/triggers/:triggerId
+ * Update a trigger (name, cron, input, inputMapping, enabled)
+ */
+router.put('/:id/triggers/:triggerId', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, triggerId } = req.params;
+    const { name, cron, input, inputMapping, enabled } = req.body;
+
+    const accessCheck = await checkWorkflowOwner(id, userId);
+    if (accessCheck.errorResponse) {
+      return res.status(accessCheck.status).json(accessCheck.errorResponse);
+    }
+
+    const current = await getWorkflowTrigger(id, triggerId);
+    if (!current) {
+      return res.status(404).json(error('Trigger not found'));
+    }
+
+    const validation = validateTriggerConfig({
+      type: current.trigger_type,
+      cron: cron !== undefined ? cron : current.cron_expression,
+      input: input !== undefined ? input : current.input,
+      inputMapping: inputMapping !== undefined ? inputMapping : current.input_mapping
+    });
+    if (!validation.valid) {
+      return res.status(400).json(error(`Invalid trigger: ${validation.error}`));
+    }
+
+    const cronExpression = current.trigger_type === 'schedule' && cron !== undefined ? cron : current.cron_expression;
+    const isEnabled = enabled !== undefined ? Boolean(enabled) : current.enabled;
+
+    // Recompute the next run when the schedule changes or is re-enabled
+    const nextRunAt = current.trigger_type === 'schedule' && (cron !== undefined || (isEnabled && !current.enabled))
+      ? getNextCronRun(cronExpression)
+      : current.next_run_at;
+
     const result = await db.query(
-      `SELECT * FROM usage_event
-       WHERE id = $1 AND entity_id = $2 AND event_type = 'workflow.executed'`,
-      [executionId, id]
+      `UPDATE workflow_trigger
+       SET name = $3, enabled = $4, cron_expression = $5, next_run_at = $6,
+           input = $7, input_mapping = $8, updated_at = NOW()
+       WHERE id = $1 AND workflow_id = $2
+       RETURNING *`,
+      [
+        triggerId,
+        id,
+        name !== undefined ? name : current.name,
+        isEnabled,
+        cronExpression,
+        nextRunAt,
+        JSON.stringify(input !== undefined ? input : current.input || {}),
+        current.trigger_type === 'webhook' && (inputMapping !== undefined ? inputMapping : current.input_mapping)
+          ? JSON.stringify(inputMapping !== undefined ? inputMapping : current.input_mapping)
+          : null
+      ]
+    );
+
+    return res.json(success({
+      trigger: mapTrigger(result.rows[0])
+    }, 'Trigger updated successfully'));
+  } catch (err) {
+    console.error('Error updating trigger:', err);
+    return res.status(500).json(error('Failed to update trigger'));
+  }
+});
+
+/**
+ * DELETE /api/workflows/:id/triggers/:triggerId
+ * Remove a trigger
+ */
+router.delete('/:id/triggers/:triggerId', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, triggerId } = req.params;
+
+    const accessCheck = await checkWorkflowOwner(id, userId);
+    if (accessCheck.errorResponse) {
+      return res.status(accessCheck.status).json(accessCheck.errorResponse);
+    }
+
+    const result = await db.query(
+      `DELETE FROM workflow_trigger WHERE id = $1 AND workflow_id = $2 RETURNING id, trigger_type`,
+      [triggerId, id]
     );
 
     if (result.rows.length === 0) {
-      return res.status(404).json(error('Execution not found'));
+      return res.status(404).json(error('Trigger not found'));
     }
 
-    const row = result.rows[0];
-    const execution = {
-      id: row.id,
-      workflow_id: row.entity_id,
-      status: row.metadata?.status || 'completed',
-      started_at: row.event_date,
-      completed_at: row.event_date,
-      duration_ms: row.duration_ms,
-      metadata: row.metadata,
-      input_variables: row.metadata?.inputVariables || {},
-      final_output: row.metadata?.finalOutput || null,
-      error_message: row.metadata?.error || null
-    };
+    const tenantId = await ensureTenant(userId);
+    await logEvent({
+      tenantId,
+      eventType: 'workflow.trigger_deleted',
+      aggregateType: 'entity',
+      aggregateId: id,
+      actorId: userId,
+      payload: { triggerId, triggerType: result.rows[0].trigger_type }
+    });
 
     return res.json(success({
-      execution,
+      message: 'Trigger deleted successfully',
+      triggerId
     }));
   } catch (err) {
-    console.error('Error getting execution:', err);
-    return res.status(500).json(error('Failed to get execution'));
+    console.error('Error deleting trigger:', err);
+    return res.status(500).json(error('Failed to delete trigger'));
+  }
+});
+
+/**
+ * POST /api/workflows/:id/triggers/:triggerId/rotate-secret
+ * Replace the signing secret of a webhook trigger
+ */
+router.post('/:id/triggers/:triggerId/rotate-secret', async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { id, triggerId } = req.params;
+
+    const accessCheck = await checkWorkflowOwner(id, userId);
+    if (accessCheck.errorResponse) {
+      return res.status(accessCheck.status).json(accessCheck.errorResponse);
+    }
+
+    const result = await db.query(
+      `UPDATE workflow_trigger
+       SET signing_secret = $3, updated_at = NOW()
+       WHERE id = $1 AND workflow_id = $2 AND trigger_type = 'webhook'
+       RETURNING *`,
+      [triggerId, id, generateSigningSecret()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json(error('Webhook trigger not found'));
+    }
+
+    return res.json(success({
+      trigger: mapTrigger(result.rows[0], { includeSecret: true })
+    }, 'Signing secret rotated'));
+  } catch (err) {
+    console.error('Error rotating trigger secret:', err);
+    return res.status(500).json(error('Failed to rotate signing secret'));
   }
 });
 
+/**
+ * Load a trigger belonging to a workflow
+ */
+async function getWorkflowTrigger(workflowId, triggerId) {
+  const result = await db.query(
+    `SELECT * FROM workflow_trigger WHERE id = $1 AND workflow_id = $2`,
+    [triggerId, workflowId]
+  );
+
+  return result.rows[0] || null;
+}
+
 // ============================================================================
 // Helper Function: Map entity to workflow format (backward compatibility)
 // ============================================================================
@@ -1000,4 +1161,46 @@ function mapEntityToWorkflow(entity) {
   };
 }
 
+function mapTrigger(row, { includeSecret = false } = {}) {
+  return {
+    id: row.id,
+    workflow_id: row.workflow_id,
+    type: row.trigger_type,
+    name: row.name,
+    enabled: row.enabled,
+    cron: row.cron_expression,
+    next_run_at: row.next_run_at,
+    webhook_url: row.trigger_type === 'webhook' ? `/api/workflow-hooks/${row.id}` : null,
+    ...(includeSecret && row.signing_secret && { signing_secret: row.signing_secret }),
+    input: row.input || {},
+    input_mapping: row.input_mapping,
+    last_fired_at: row.last_fired_at,
+    last_run_id: row.last_run_id,
+    last_error: row.last_error,
+    fire_count: row.fire_count,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function mapRunToExecution(run) {
+  return {
+    id: run.id,
+    workflow_id: run.workflow_id,
+    workflow_version: run.workflow_version,
+    status: run.status,
+    attempt: run.attempt,
+    trigger_source: run.trigger_source,
+    trigger_id: run.trigger_id,
+    input_variables: run.input || {},
+    queued_at: run.queued_at,
+    started_at: run.started_at,
+    completed_at: run.completed_at,
+    duration_ms: run.duration_ms,
+    error_message: run.error_message,
+    failed_step_id: run.failed_step_id,
+    cancel_requested: Boolean(run.cancel_requested_at)
+  };
+}
+
 export default router;
@@ -18,6 +18,8 @@ import analyticsHandler from './handlers/analytics.js';
 import subscriptionsHandler from './handlers/subscriptions.js';
 import userHandler from './handlers/user.js';
 import workflowsHandler from './handlers/workflows.js';
+import workflowHooksHandler from './handlers/workflow-hooks.js';
+import tokensHandler from './handlers/tokens.js';
 // Auth endpoints
 import signupHandler from './handlers/auth/signup.js';
 import loginHandler from './handlers/auth/login.js';
@@ -54,20 +56,35 @@ import {
 // Context endpoints
 import contextsRouter from './handlers/contexts/index.js';
 import contextsAdvancedRouter from './handlers/contexts/contexts-advanced.js';
+import { unifiedSearch, quickSearch } from './handlers/contexts/unified_search.js';
 
 // AI endpoints
 import aiGenerateHandler from './handlers/ai/generate.js';
 import aiEmbeddingsHandler from './handlers/ai/embeddings.js';
 import aiProvidersHandler from './handlers/ai/providers.js';
+import aiProviderSettingsHandler from './handlers/ai/provider-settings.js';
+import aiKeysHandler from './handlers/ai/keys.js';
+import aiCompareHandler from './handlers/ai/compare.js';
+import aiModelsHandler from './handlers/ai/models.js';
 
 // Embedding queue management
 import {
   getQueueStatus,
+  getQueueWorkers,
+  backfillQueue,
   processQueue,
   removeFromQueue,
   retryQueueItem,
   clearQueue
 } from './handlers/embeddings/queue.js';
+import {
+  listModels as listEmbeddingModels,
+  registerModel as registerEmbeddingModel,
+  createReindexJob,
+  listReindexJobs,
+  getReindexJob,
+  cancelReindexJob
+} from './handlers/embeddings/models.js';
 
 const router = express.Router();
 
@@ -109,7 +126,14 @@ router.use('/contexts/snippets', asyncHandler(snippetsHandler));
 // Advanced context routes (composition, relationships, versions, search)
 // Converted to Express router - now enabled!
 router.use('/contexts', contextsAdvancedRouter);
+
+// Search across templates and contexts (command palette)
+router.post('/search/unified', asyncHandler(unifiedSearch));
+router.get('/search/quick', asyncHandler(quickSearch));
+
 router.use('/workflows', authenticateToken, asyncHandler(workflowsHandler));
+// Inbound workflow webhooks (authenticated by trigger signing secret)
+router.post('/workflow-hooks/:triggerId', asyncHandler(workflowHooksHandler));
 // ============================================
 // Teams Routes
 // ============================================
@@ -151,15 +175,46 @@ router.all('/analytics*', asyncHandler(analyticsHandler));
 router.post('/ai/generate', asyncHandler(aiGenerateHandler));
 router.post('/ai/embeddings', asyncHandler(aiEmbeddingsHandler));
 router.get('/ai/providers', asyncHandler(aiProvidersHandler));
+router.get('/ai/providers/settings', asyncHandler(aiProviderSettingsHandler));
+router.put('/ai/providers/:provider/settings', asyncHandler(aiProviderSettingsHandler));
+router.get('/ai/keys', asyncHandler(aiKeysHandler));
+router.post('/ai/keys', asyncHandler(aiKeysHandler));
+router.get('/ai/keys/:id', asyncHandler(aiKeysHandler));
+router.post('/ai/keys/:id/rotate', asyncHandler(aiKeysHandler));
+router.delete('/ai/keys/:id', asyncHandler(aiKeysHandler));
+router.get('/ai/compare', asyncHandler(aiCompareHandler));
+router.post('/ai/compare', asyncHandler(aiCompareHandler));
+router.get('/ai/compare/:id', asyncHandler(aiCompareHandler));
+router.get('/ai/compare/:id/diff', asyncHandler(aiCompareHandler));
+router.get('/ai/models', asyncHandler(aiModelsHandler));
+router.post('/ai/models', asyncHandler(aiModelsHandler));
+router.get('/ai/models/:id', asyncHandler(aiModelsHandler));
+router.put('/ai/models/:id', asyncHandler(aiModelsHandler));
+router.delete('/ai/models/:id', asyncHandler(aiModelsHandler));
+router.get('/ai/models/:id/prices', asyncHandler(aiModelsHandler));
+router.post('/ai/models/:id/prices', asyncHandler(aiModelsHandler));
+
+// ============================================
+// Token Counting Routes
+// ============================================
+router.post('/tokens/count', asyncHandler(tokensHandler));
 
 // ============================================
 // Embedding Queue Management Routes
 // ============================================
 router.get('/embeddings/queue', asyncHandler(getQueueStatus));
+router.get('/embeddings/queue/workers', asyncHandler(getQueueWorkers));
+router.post('/embeddings/queue/backfill', asyncHandler(backfillQueue));
 router.post('/embeddings/queue/process', asyncHandler(processQueue));
 router.post('/embeddings/queue/clear', asyncHandler(clearQueue));
 router.delete('/embeddings/queue/:id', asyncHandler((req, res) => removeFromQueue(req, res, req.params.id)));
 router.post('/embeddings/queue/:id/retry', asyncHandler((req, res) => retryQueueItem(req, res, req.params.id)));
+router.get('/embeddings/models', asyncHandler(listEmbeddingModels));
+router.post('/embeddings/models', asyncHandler(registerEmbeddingModel));
+router.post('/embeddings/reindex', asyncHandler(createReindexJob));
+router.get('/embeddings/reindex', asyncHandler(listReindexJobs));
+router.get('/embeddings/reindex/:id', asyncHandler((req, res) => getReindexJob(req, res, req.params.id)));
+router.delete('/embeddings/reindex/:id', asyncHandler((req, res) => cancelReindexJob(req, res, req.params.id)));
 
 // ============================================
 // Root API Info
@@ -200,14 +255,43 @@ router.get('/', (req, res) => {
       ai: [
         'POST /api/ai/generate',
         'POST /api/ai/embeddings',
-        'GET /api/ai/providers'
+        'GET /api/ai/providers',
+        'GET /api/ai/providers/settings',
+        'PUT /api/ai/providers/:provider/settings',
+        'GET /api/ai/keys',
+        'POST /api/ai/keys',
+        'GET /api/ai/keys/:id',
+        'POST /api/ai/keys/:id/rotate',
+        'DELETE /api/ai/keys/:id',
+        'GET /api/ai/compare',
+        'POST /api/ai/compare',
+        'GET /api/ai/compare/:id',
+        'GET /api/ai/compare/:id/diff',
+        'GET /api/ai/models',
+        'POST /api/ai/models',
+        'GET /api/ai/models/:id',
+        'PUT /api/ai/models/:id',
+        'DELETE /api/ai/models/:id',
+        'GET /api/ai/models/:id/prices',
+        'POST /api/ai/models/:id/prices'
+      ],
+      tokens: [
+        'POST /api/tokens/count'
       ],
       embeddings: [
         'GET /api/embeddings/queue',
+        'GET /api/embeddings/queue/workers',
+        'POST /api/embeddings/queue/backfill',
         'POST /api/embeddings/queue/process',
         'POST /api/embeddings/queue/clear',
         'DELETE /api/embeddings/queue/:id',
-        'POST /api/embeddings/queue/:id/retry'
+        'POST /api/embeddings/queue/:id/retry',
+        'GET /api/embeddings/models',
+        'POST /api/embeddings/models',
+        'POST /api/embeddings/reindex',
+        'GET /api/embeddings/reindex',
+        'GET /api/embeddings/reindex/:id',
+        'DELETE /api/embeddings/reindex/:id'
       ],
       search: [
         'POST /api/contexts/search',
@@ -217,7 +301,9 @@ router.get('/', (req, res) => {
         'POST /api/contexts/layers/:id/generate-embedding',
         'POST /api/templates/search',
         'GET /api/templates/:id/similar',
-        'POST /api/templates/:id/generate-embedding'
+        'POST /api/templates/:id/generate-embedding',
+        'POST /api/search/unified',
+        'GET /api/search/quick'
       ]
     }
   });
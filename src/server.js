@@ -7,6 +7,10 @@ import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
 import apiRouter from './routes/index.js';
+import { startWorkflowRunner, stopWorkflowRunner } from './services/workflowRunner.js';
+import { startWorkflowScheduler, stopWorkflowScheduler } from './services/workflowScheduler.js';
+import { startEmbeddingWorker, stopEmbeddingWorker } from './services/embeddingWorker.js';
+import { startEmbeddingReindexer, stopEmbeddingReindexer } from './services/embeddings/reindex.js';
 
 // Load environment variables
 dotenv.config();
@@ -44,8 +48,21 @@ const corsOptions = {
 
 // Middleware
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/workflow-hooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// CSV / JSONL uploads (template batch rendering)
+app.use(express.text({
+  type: ['text/csv', 'application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'],
+  limit: '10mb'
+}));
 
 // Request logging
 app.use((req, res, next) => {
@@ -107,15 +124,43 @@ app.listen(PORT, () => {
 ║                                                       ║
 ╚═══════════════════════════════════════════════════════╝
   `);
+
+  // Background workflow runner (disable to run it as a separate process)
+  if (process.env.WORKFLOW_RUNNER_ENABLED !== 'false') {
+    startWorkflowRunner().catch(err => console.error('❌ Failed to start workflow runner:', err));
+  }
+
+  // Schedule triggers
+  if (process.env.WORKFLOW_SCHEDULER_ENABLED !== 'false') {
+    startWorkflowScheduler().catch(err => console.error('❌ Failed to start workflow scheduler:', err));
+  }
+
+  // Embeddings for saved templates, contexts and workflows (disable to run it as a separate process)
+  if (process.env.EMBEDDING_WORKER_ENABLED !== 'false') {
+    startEmbeddingWorker().catch(err => console.error('❌ Failed to start embedding worker:', err));
+  }
+
+  // Embedding model re-index jobs
+  if (process.env.EMBEDDING_REINDEX_ENABLED !== 'false') {
+    startEmbeddingReindexer().catch(err => console.error('❌ Failed to start embedding re-indexer:', err));
+  }
 });
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('🛑 SIGTERM received, shutting down gracefully...');
+  await stopEmbeddingReindexer();
+  await stopEmbeddingWorker();
+  await stopWorkflowScheduler();
+  await stopWorkflowRunner();
   process.exit(0);
 });
 
-process.on('SIGINT', () => {
+process.on('SIGINT', async () => {
   console.log('🛑 SIGINT received, shutting down gracefully...');
+  await stopEmbeddingReindexer();
+  await stopEmbeddingWorker();
+  await stopWorkflowScheduler();
+  await stopWorkflowRunner();
   process.exit(0);
 });
@@ -0,0 +1,348 @@
+/**
+ * AI Generation Cache
+ *
+ * Completed generations are cached per tenant under a key derived from the
+ * normalized request: provider, model, messages (or prompt), system prompt and
+ * sampling params. In `semantic` mode a miss on the exact key falls back to the
+ * closest cached prompt for the same provider, model and params whose local
+ * embedding (all-MiniLM-L6-v2) is at least `similarityThreshold` similar.
+ *
+ * Only deterministic requests (temperature 0) are cached unless the caller sets
+ * `allowSampled`. `bypass` skips the lookup but still refreshes the entry.
+ * Hits are recorded as `ai.cache_hit` usage events carrying the cost saved.
+ *
+ * @module services/ai/cache
+ */
+
+import crypto from 'crypto';
+import { db, trackUsage } from '../../utils/database.js';
+import { generateEmbedding } from '../localEmbeddingService.js';
+import { calculateCost } from './catalog.js';
+
+export const CACHE_DEFAULTS = {
+  mode: 'exact',
+  ttlSeconds: parseInt(process.env.AI_CACHE_TTL_SECONDS) || 86400,
+  similarityThreshold: parseFloat(process.env.AI_CACHE_SIMILARITY_THRESHOLD) || 0.97
+};
+
+export const CACHE_MODES = ['exact', 'semantic'];
+
+const MAX_TTL_SECONDS = 30 * 86400;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value), 'utf8').digest('hex');
+}
+
+function normalizeText(text) {
+  return String(text ?? '').replace(/\r\n/g, '\n').trim();
+}
+
+/**
+ * Validate per-request cache options
+ *
+ * @param {boolean|Object} cache - false, true or { mode, ttlSeconds, bypass, allowSampled, similarityThreshold }
+ * @returns {string|null} Error message
+ */
+export function validateCacheOptions(cache) {
+  if (cache === undefined || typeof cache === 'boolean') {
+    return null;
+  }
+  if (cache === null || typeof cache !== 'object' || Array.isArray(cache)) {
+    return 'cache must be a boolean or an object';
+  }
+  if (cache.mode !== undefined && !CACHE_MODES.includes(cache.mode)) {
+    return `cache.mode must be one of: ${CACHE_MODES.join(', ')}`;
+  }
+  if (cache.ttlSeconds !== undefined && !(Number.isInteger(cache.ttlSeconds) && cache.ttlSeconds > 0 && cache.ttlSeconds <= MAX_TTL_SECONDS)) {
+    return `cache.ttlSeconds must be an integer between 1 and ${MAX_TTL_SECONDS}`;
+  }
+  if (cache.similarityThreshold !== undefined && !(typeof cache.similarityThreshold === 'number' && cache.similarityThreshold > 0 && cache.similarityThreshold <= 1)) {
+    return 'cache.similarityThreshold must be a number in (0, 1]';
+  }
+  return null;
+}
+
+/**
+ * Resolve the cache policy for a request
+ *
+ * @param {boolean|Object} [cache] - Per-request options (see validateCacheOptions); omitted means no caching
+ * @param {Object} params - Generation params
+ * @returns {Object|null} { mode, ttlSeconds, similarityThreshold, bypass }, or null when the request is not cached
+ */
+export function resolveCachePolicy(cache, params) {
+  if (!cache || process.env.AI_CACHE_ENABLED === 'false') {
+    return null;
+  }
+
+  const options = cache === true ? {} : cache;
+
+  // Sampled output differs run to run; caching it is only right when asked for
+  if (params.temperature !== 0 && !options.allowSampled) {
+    return null;
+  }
+
+  return {
+    mode: options.mode || CACHE_DEFAULTS.mode,
+    ttlSeconds: options.ttlSeconds || CACHE_DEFAULTS.ttlSeconds,
+    similarityThreshold: options.similarityThreshold || CACHE_DEFAULTS.similarityThreshold,
+    bypass: Boolean(options.bypass)
+  };
+}
+
+/**
+ * Normalize a generation request into its cache keys
+ *
+ * @param {string} provider
+ * @param {Object} params - { modelId, prompt, systemPrompt, messages, temperature, maxTokens, responseFormat, tools, toolChoice }
+ * @returns {{cacheKey: string, paramsKey: string, promptText: string}}
+ */
+export function buildCacheKeys(provider, { modelId, prompt, systemPrompt, messages, temperature, maxTokens, responseFormat, tools, toolChoice }) {
+  const conversation = messages && messages.length > 0
+    ? messages.map(message => ({
+      ...message,
+      content: typeof message.content === 'string' ? normalizeText(message.content) : message.content
+    }))
+    : [{ role: 'user', content: normalizeText(prompt) }];
+
+  const sampling = {
+    provider,
+    model: modelId,
+    temperature: temperature ?? null,
+    maxTokens: maxTokens ?? null,
+    responseFormat: responseFormat ?? null,
+    tools: tools ?? null,
+    toolChoice: toolChoice ?? null
+  };
+
+  const system = normalizeText(systemPrompt);
+
+  return {
+    cacheKey: hash({ ...sampling, system, messages: conversation }),
+    paramsKey: hash(sampling),
+    promptText: [system, ...conversation.map(m => (typeof m.content === 'string' ? m.content : JSON.stringify(m.content)))]
+      .filter(Boolean)
+      .join('\n')
+  };
+}
+
+async function embedPrompt(promptText) {
+  try {
+    const { embedding } = await generateEmbedding(promptText);
+    return `[${embedding.join(',')}]`;
+  } catch (err) {
+    console.warn('[AICache] Semantic lookup unavailable:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Look up a cached generation
+ *
+ * @param {string} tenantId
+ * @param {Object} keys - From buildCacheKeys
+ * @param {Object} policy - From resolveCachePolicy
+ * @returns {Promise<{entry: Object|null, embedding: string|null}>} The matching row (with `match` and `similarity`)
+ *   and the prompt embedding computed for semantic mode, reused when storing
+ */
+export async function lookupGeneration(tenantId, keys, policy) {
+  const exact = await db.query(
+    `SELECT * FROM ai_generation_cache
+     WHERE tenant_id = $1 AND cache_key = $2 AND expires_at > NOW()`,
+    [tenantId, keys.cacheKey]
+  );
+
+  if (exact.rows[0]) {
+    return { entry: { ...exact.rows[0], match: 'exact', similarity: 1 }, embedding: null };
+  }
+
+  if (policy.mode !== 'semantic') {
+    return { entry: null, embedding: null };
+  }
+
+  const embedding = await embedPrompt(keys.promptText);
+  if (!embedding) {
+    return { entry: null, embedding: null };
+  }
+
+  const similar = await db.query(
+    `SELECT *, 1 - (prompt_embedding <=> $3::vector(384)) AS similarity
+     FROM ai_generation_cache
+     WHERE tenant_id = $1 AND params_key = $2 AND expires_at > NOW()
+       AND prompt_embedding IS NOT NULL
+     ORDER BY prompt_embedding <=> $3::vector(384)
+     LIMIT 1`,
+    [tenantId, keys.paramsKey, embedding]
+  );
+
+  const candidate = similar.rows[0];
+  if (candidate && parseFloat(candidate.similarity) >= policy.similarityThreshold) {
+    return { entry: { ...candidate, match: 'semantic', similarity: parseFloat(candidate.similarity) }, embedding };
+  }
+
+  return { entry: null, embedding };
+}
+
+/**
+ * Store a completed generation (replaces any entry under the same key)
+ *
+ * @param {string} tenantId
+ * @param {string} provider
+ * @param {Object} keys - From buildCacheKeys
+ * @param {Object} policy - From resolveCachePolicy
+ * @param {Object} result - Provider result
+ * @param {string|null} [embedding] - Prompt embedding from lookupGeneration
+ */
+export async function storeGeneration(tenantId, provider, keys, policy, result, embedding = null) {
+  if (!result.output && !result.toolCalls?.length) {
+    return;
+  }
+
+  if (policy.mode === 'semantic' && !embedding) {
+    embedding = await embedPrompt(keys.promptText);
+  }
+
+  await db.query(
+    `INSERT INTO ai_generation_cache (
+       tenant_id, cache_key, params_key, provider, model, prompt_embedding,
+       response, cost_usd, expires_at
+     ) VALUES ($1, $2, $3, $4, $5, $6::vector(384), $7, $8, NOW() + make_interval(secs => $9))
+     ON CONFLICT (tenant_id, cache_key) DO UPDATE SET
+       prompt_embedding = COALESCE(EXCLUDED.prompt_embedding, ai_generation_cache.prompt_embedding),
+       response = EXCLUDED.response,
+       cost_usd = EXCLUDED.cost_usd,
+       expires_at = EXCLUDED.expires_at,
+       hit_count = 0,
+       last_hit_at = NULL,
+       created_at = NOW()`,
+    [
+      tenantId,
+      keys.cacheKey,
+      keys.paramsKey,
+      provider,
+      result.modelId || result.model,
+      embedding,
+      JSON.stringify({
+        output: result.output,
+        inputTokens: result.inputTokens,
+        outputTokens: result.outputTokens,
+        finishReason: result.finishReason ?? null,
+        ...(result.toolCalls?.length > 0 && { toolCalls: result.toolCalls })
+      }),
+      result.cost || 0,
+      policy.ttlSeconds
+    ]
+  );
+}
+
+/**
+ * Record a cache hit: bump the entry and log the saved cost as usage
+ *
+ * @param {Object} entry - Row returned by lookupGeneration
+ * @param {Object} context
+ * @param {string} context.tenantId
+ * @param {string} [context.userId]
+ * @returns {Promise<{savedTokens: number, savedCostUsd: number}>}
+ */
+export async function recordCacheHit(entry, { tenantId, userId }) {
+  const { inputTokens = 0, outputTokens = 0 } = entry.response;
+  const savedTokens = inputTokens + outputTokens;
+  const savedCostUsd = await calculateCost(entry.model, inputTokens, outputTokens, { provider: entry.provider, tenantId });
+
+  // Accounting must not turn a hit into a failure
+  try {
+    await db.query(
+      'UPDATE ai_generation_cache SET hit_count = hit_count + 1, last_hit_at = NOW() WHERE id = $1',
+      [entry.id]
+    );
+    await trackUsage({
+      tenantId,
+      userId,
+      eventType: 'ai.cache_hit',
+      metadata: {
+        provider: entry.provider,
+        model: entry.model,
+        match: entry.match,
+        similarity: entry.similarity,
+        cacheEntryId: entry.id,
+        savedTokens,
+        savedCostUsd
+      }
+    });
+  } catch (err) {
+    console.error('[AICache] Failed to record cache hit:', err.message);
+  }
+
+  return { savedTokens, savedCostUsd };
+}
+
+/**
+ * Cache hit totals for a tenant
+ *
+ * @param {string} tenantId
+ * @param {number} [days=30]
+ * @returns {Promise<{hits: number, savedTokens: number, savedCostUsd: number, byModel: Object[]}>}
+ */
+export async function getCacheSavings(tenantId, days = 30) {
+  const result = await db.query(
+    `SELECT metadata->>'provider' AS provider,
+            metadata->>'model' AS model,
+            COUNT(*)::int AS hits,
+            COALESCE(SUM((metadata->>'savedTokens')::int), 0)::int AS saved_tokens,
+            COALESCE(SUM((metadata->>'savedCostUsd')::numeric), 0)::float AS saved_cost_usd
+     FROM usage_event
+     WHERE tenant_id = $1 AND event_type = 'ai.cache_hit'
+       AND occurred_at > NOW() - make_interval(days => $2)
+     GROUP BY 1, 2
+     ORDER BY saved_cost_usd DESC`,
+    [tenantId, days]
+  );
+
+  return {
+    hits: result.rows.reduce((sum, row) => sum + row.hits, 0),
+    savedTokens: result.rows.reduce((sum, row) => sum + row.saved_tokens, 0),
+    savedCostUsd: parseFloat(result.rows.reduce((sum, row) => sum + row.saved_cost_usd, 0).toFixed(6)),
+    byModel: result.rows
+  };
+}
+
+/**
+ * Result shape returned for a cache hit (same fields as a provider result)
+ */
+export function cachedResult(entry, provider, savings) {
+  const { output, inputTokens = 0, outputTokens = 0, finishReason = null, toolCalls } = entry.response;
+
+  return {
+    success: true,
+    output,
+    model: entry.model,
+    modelId: entry.model,
+    provider,
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    cost: 0,
+    latency: 0,
+    timestamp: new Date(),
+    finishReason,
+    ...(toolCalls && { toolCalls }),
+    cached: {
+      match: entry.match,
+      similarity: entry.similarity,
+      cachedAt: entry.created_at,
+      savedCostUsd: savings.savedCostUsd
+    }
+  };
+}
+
+export default {
+  CACHE_DEFAULTS,
+  CACHE_MODES,
+  validateCacheOptions,
+  resolveCachePolicy,
+  buildCacheKeys,
+  lookupGeneration,
+  storeGeneration,
+  recordCacheHit,
+  getCacheSavings,
+  cachedResult
+};
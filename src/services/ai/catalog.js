@@ -0,0 +1,641 @@
+/**
+ * Model Catalog
+ *
+ * Models, prices, capabilities and limits stored in `ai_model` and
+ * `ai_model_price` instead of hard-coded tables:
+ * - global entries (no tenant) are managed by catalog admins
+ *   (`MODEL_CATALOG_ADMINS`, comma-separated emails or user ids)
+ * - tenant entries add models for one tenant or override a global entry;
+ *   fields left null inherit the global value
+ * - prices are never updated in place: a new price is a new row with its
+ *   `effective_from`, so usage can be priced at the rate of its time
+ *
+ * The merged catalog is cached per tenant for `AI_MODEL_CATALOG_TTL_SECONDS`
+ * (default 60) and dropped on every write from this process.
+ *
+ * @module services/ai/catalog
+ */
+
+import { db } from '../../utils/database.js';
+import { PROVIDER_CONFIGS, TOKENIZER_FAMILIES } from './config.js';
+import { isSelfHostedProvider } from './endpoints.js';
+
+export const MODEL_SCOPES = ['global', 'tenant'];
+
+export const MODEL_STATUSES = ['active', 'deprecated', 'disabled'];
+
+export const MODEL_CAPABILITIES = ['vision', 'tools', 'json_mode', 'streaming'];
+
+// Capabilities of entries that do not set them
+const DEFAULT_CAPABILITIES = { vision: false, tools: false, json_mode: false, streaming: true };
+
+const CATALOG_TTL_MS = (parseInt(process.env.AI_MODEL_CATALOG_TTL_SECONDS) || 60) * 1000;
+
+const catalogCache = new Map(); // tenant id ('' for global only) -> { expiresAt, models }
+const unpricedWarnings = new Set();
+
+function catalogKey(provider, modelId) {
+  return `${provider}:${modelId}`;
+}
+
+function rowCapabilities(row) {
+  return {
+    vision: row.supports_vision,
+    tools: row.supports_tools,
+    json_mode: row.supports_json_mode,
+    streaming: row.supports_streaming
+  };
+}
+
+function definedOnly(values) {
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== null && value !== undefined));
+}
+
+/**
+ * Build a catalog entry from a global or tenant-only row
+ */
+function toEntry(row) {
+  return {
+    id: row.id,
+    provider: row.provider,
+    model_id: row.model_id,
+    display_name: row.display_name || row.model_id,
+    context_window: row.context_window,
+    max_output_tokens: row.max_output_tokens,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...definedOnly(rowCapabilities(row)) },
+    speed: row.speed,
+    tokenizer: row.tokenizer || null,
+    status: row.status || 'active',
+    source: row.tenant_id ? 'tenant' : 'global',
+    override_id: null,
+    prices: row.prices || [],
+    price_source: row.prices?.length > 0 ? (row.tenant_id ? 'tenant' : 'global') : null
+  };
+}
+
+/**
+ * Apply a tenant override row on top of a global entry
+ */
+function applyOverride(entry, row) {
+  return {
+    ...entry,
+    ...definedOnly({
+      display_name: row.display_name,
+      context_window: row.context_window,
+      max_output_tokens: row.max_output_tokens,
+      speed: row.speed,
+      tokenizer: row.tokenizer,
+      status: row.status
+    }),
+    capabilities: { ...entry.capabilities, ...definedOnly(rowCapabilities(row)) },
+    override_id: row.id,
+    ...(row.prices?.length > 0 && { prices: overridePrices(entry.prices, row.prices), price_source: 'tenant' })
+  };
+}
+
+/**
+ * Tenant prices, preceded by the global prices in effect before the first one
+ */
+function overridePrices(globalPrices, tenantPrices) {
+  const firstTenantPrice = new Date(tenantPrices[tenantPrices.length - 1].effective_from).getTime();
+  return [...tenantPrices, ...globalPrices.filter(price => new Date(price.effective_from).getTime() < firstTenantPrice)];
+}
+
+async function loadCatalog(tenantId) {
+  const result = await db.query(
+    `SELECT m.*,
+            COALESCE((
+              SELECT jsonb_agg(jsonb_build_object(
+                       'input_per_1k', p.input_per_1k,
+                       'output_per_1k', p.output_per_1k,
+                       'effective_from', p.effective_from
+                     ) ORDER BY p.effective_from DESC)
+              FROM ai_model_price p
+              WHERE p.model_ref = m.id
+            ), '[]'::jsonb) AS prices
+     FROM ai_model m
+     WHERE m.tenant_id IS NULL OR m.tenant_id = $1
+     ORDER BY m.tenant_id NULLS FIRST`,
+    [tenantId || null]
+  );
+
+  const models = new Map();
+
+  for (const row of result.rows) {
+    const key = catalogKey(row.provider, row.model_id);
+    const global = models.get(key);
+    models.set(key, row.tenant_id && global ? applyOverride(global, row) : toEntry(row));
+  }
+
+  for (const entry of models.values()) {
+    entry.price = entry.prices[0] || null;
+  }
+
+  return models;
+}
+
+/**
+ * Get the merged catalog for a tenant (global entries plus its own)
+ *
+ * @param {string} [tenantId]
+ * @returns {Promise<Map<string, Object>>} `provider:model_id` -> entry
+ */
+export async function getCatalog(tenantId) {
+  const cacheKey = tenantId || '';
+  const cached = catalogCache.get(cacheKey);
+
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.models;
+  }
+
+  const models = loadCatalog(tenantId);
+  catalogCache.set(cacheKey, { expiresAt: Date.now() + CATALOG_TTL_MS, models });
+
+  try {
+    return await models;
+  } catch (err) {
+    catalogCache.delete(cacheKey);
+    throw err;
+  }
+}
+
+/**
+ * Drop cached catalogs after a write
+ */
+export function invalidateCatalog() {
+  catalogCache.clear();
+}
+
+/**
+ * Look up a model
+ *
+ * @param {string|null} provider - Provider id; null matches the model id on any provider
+ * @param {string} modelId
+ * @param {Object} [options]
+ * @param {string} [options.tenantId]
+ * @returns {Promise<Object|null>} Catalog entry
+ */
+export async function getCatalogModel(provider, modelId, { tenantId } = {}) {
+  const catalog = await getCatalog(tenantId);
+
+  if (provider) {
+    return catalog.get(catalogKey(provider, modelId)) || null;
+  }
+
+  for (const entry of catalog.values()) {
+    if (entry.model_id === modelId) return entry;
+  }
+  return null;
+}
+
+/**
+ * Price of a model at a point in time
+ * Usage older than the first recorded price uses the first price.
+ *
+ * @param {Object} entry - Catalog entry
+ * @param {Date|string} [at] - Defaults to now
+ * @returns {{input_per_1k: number, output_per_1k: number, effective_from: string}|null}
+ */
+export function priceAt(entry, at = new Date()) {
+  const time = new Date(at).getTime();
+  const prices = entry?.prices || [];
+  return prices.find(price => new Date(price.effective_from).getTime() <= time) || prices[prices.length - 1] || null;
+}
+
+/**
+ * Cost in USD of a generation
+ * Models without a catalog price cost 0 and are logged once per process.
+ *
+ * @param {string} modelId
+ * @param {number} inputTokens
+ * @param {number} outputTokens
+ * @param {Object} [options]
+ * @param {string} [options.provider] - Disambiguates model ids offered by several providers
+ * @param {string} [options.tenantId] - Applies the tenant's price overrides
+ * @param {Date|string} [options.at] - When the usage happened (default now)
+ * @returns {Promise<number>}
+ */
+export async function calculateCost(modelId, inputTokens, outputTokens, { provider = null, tenantId, at } = {}) {
+  let price = null;
+
+  try {
+    price = priceAt(await getCatalogModel(provider, modelId, { tenantId }), at);
+  } catch (err) {
+    console.error('[ModelCatalog] Price lookup failed:', err.message);
+  }
+
+  if (!price) {
+    const key = catalogKey(provider || '*', modelId);
+    if (!unpricedWarnings.has(key) && !isSelfHostedProvider(provider)) {
+      unpricedWarnings.add(key);
+      console.warn(`[ModelCatalog] No price for ${key}; cost recorded as 0 (add it with POST /api/ai/models)`);
+    }
+    return 0;
+  }
+
+  return (inputTokens / 1000) * Number(price.input_per_1k) + (outputTokens / 1000) * Number(price.output_per_1k);
+}
+
+/**
+ * Check a generation request against the catalog
+ * Hosted providers only accept catalogued models; self-hosted providers accept
+ * any model their server has and are checked only when catalogued.
+ *
+ * @param {string} provider
+ * @param {string} modelId
+ * @param {Object} [options]
+ * @param {string} [options.tenantId]
+ * @param {number} [options.maxTokens] - Requested output tokens
+ * @param {number} [options.inputTokens] - Estimated prompt tokens
+ * @param {boolean} [options.tools] - Request uses tools
+ * @param {boolean} [options.stream] - Request streams
+ * @param {boolean} [options.jsonMode] - Request asks for JSON output
+ * @returns {Promise<{model: Object|null, error: string|null, status?: number}>}
+ */
+export async function validateModelRequest(provider, modelId, { tenantId, maxTokens, inputTokens, tools, stream, jsonMode } = {}) {
+  const model = await getCatalogModel(provider, modelId, { tenantId });
+
+  if (!model) {
+    return isSelfHostedProvider(provider)
+      ? { model: null, error: null }
+      : { model: null, status: 400, error: `Unknown model for ${provider}: ${modelId} (add it to the model catalog with POST /api/ai/models)` };
+  }
+
+  if (model.status === 'disabled') {
+    return { model, status: 400, error: `Model ${provider}/${modelId} is disabled` };
+  }
+
+  if (maxTokens && model.max_output_tokens && maxTokens > model.max_output_tokens) {
+    return { model, status: 400, error: `maxTokens exceeds the ${model.max_output_tokens} output tokens of ${modelId}` };
+  }
+
+  if (inputTokens && model.context_window && inputTokens + (maxTokens || 0) > model.context_window) {
+    return { model, status: 413, error: `Prompt (~${inputTokens} tokens) plus maxTokens exceeds the ${model.context_window} token context window of ${modelId}` };
+  }
+
+  const missing = [
+    tools && !model.capabilities.tools && 'tools',
+    stream && !model.capabilities.streaming && 'streaming',
+    jsonMode && !model.capabilities.json_mode && 'JSON mode'
+  ].filter(Boolean);
+
+  if (missing.length > 0) {
+    return { model, status: 400, error: `Model ${provider}/${modelId} does not support ${missing.join(', ')}` };
+  }
+
+  return { model, error: null };
+}
+
+// ============================================================================
+// Administration
+// ============================================================================
+
+/**
+ * Whether a user manages the global catalog
+ *
+ * @param {{id: string, email?: string}} user
+ */
+export function isCatalogAdmin(user) {
+  const admins = (process.env.MODEL_CATALOG_ADMINS || '')
+    .split(',')
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+
+  return admins.includes(String(user.id).toLowerCase()) || Boolean(user.email && admins.includes(user.email.toLowerCase()));
+}
+
+function isNonNegativeNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value >= 0;
+}
+
+/**
+ * Validate a price
+ *
+ * @param {Object} price - { input_per_1k, output_per_1k, effective_from? }
+ * @returns {string|null} Error message
+ */
+export function validatePriceInput(price) {
+  if (!price || typeof price !== 'object') {
+    return 'price must be an object with input_per_1k and output_per_1k';
+  }
+  if (!isNonNegativeNumber(price.input_per_1k) || !isNonNegativeNumber(price.output_per_1k)) {
+    return 'input_per_1k and output_per_1k must be non-negative numbers (USD per 1K tokens)';
+  }
+  if (price.effective_from !== undefined && Number.isNaN(new Date(price.effective_from).getTime())) {
+    return 'effective_from must be a date';
+  }
+  return null;
+}
+
+/**
+ * Validate model fields
+ *
+ * @param {Object} input - Request body fields
+ * @param {Object} [options]
+ * @param {boolean} [options.partial] - Updates: only the fields present are checked
+ * @returns {string|null} Error message
+ */
+export function validateModelInput(input, { partial = false } = {}) {
+  if (!partial) {
+    if (!PROVIDER_CONFIGS[input.provider]) {
+      return `provider must be one of: ${Object.keys(PROVIDER_CONFIGS).join(', ')}`;
+    }
+    if (typeof input.model_id !== 'string' || !input.model_id.trim() || input.model_id.length > 255) {
+      return 'model_id must be a non-empty string (max 255 characters)';
+    }
+    if (input.scope !== undefined && !MODEL_SCOPES.includes(input.scope)) {
+      return `scope must be one of: ${MODEL_SCOPES.join(', ')}`;
+    }
+  }
+
+  if (input.display_name !== undefined && input.display_name !== null && (typeof input.display_name !== 'string' || input.display_name.length > 255)) {
+    return 'display_name must be a string (max 255 characters)';
+  }
+
+  for (const field of ['context_window', 'max_output_tokens']) {
+    if (input[field] !== undefined && input[field] !== null && !(Number.isInteger(input[field]) && input[field] > 0)) {
+      return `${field} must be a positive integer`;
+    }
+  }
+
+  if (input.capabilities !== undefined) {
+    if (!input.capabilities || typeof input.capabilities !== 'object' || Array.isArray(input.capabilities)) {
+      return `capabilities must be an object of ${MODEL_CAPABILITIES.join(', ')} flags`;
+    }
+    for (const [name, value] of Object.entries(input.capabilities)) {
+      if (!MODEL_CAPABILITIES.includes(name)) {
+        return `Unknown capability: ${name}`;
+      }
+      if (value !== null && typeof value !== 'boolean') {
+        return `capabilities.${name} must be a boolean`;
+      }
+    }
+  }
+
+  if (input.speed !== undefined && input.speed !== null && typeof input.speed !== 'string') {
+    return 'speed must be a string';
+  }
+
+  if (input.tokenizer !== undefined && input.tokenizer !== null && !TOKENIZER_FAMILIES.includes(input.tokenizer)) {
+    return `tokenizer must be one of: ${TOKENIZER_FAMILIES.join(', ')}`;
+  }
+
+  if (input.status !== undefined && input.status !== null && !MODEL_STATUSES.includes(input.status)) {
+    return `status must be one of: ${MODEL_STATUSES.join(', ')}`;
+  }
+
+  if (input.price !== undefined) {
+    return validatePriceInput(input.price);
+  }
+
+  return null;
+}
+
+/**
+ * List the merged catalog
+ *
+ * @param {Object} options
+ * @param {string} [options.tenantId]
+ * @param {string} [options.provider]
+ * @param {boolean} [options.includeDisabled]
+ * @returns {Promise<Object[]>}
+ */
+export async function listCatalogModels({ tenantId, provider, includeDisabled = false } = {}) {
+  const catalog = await getCatalog(tenantId);
+
+  return [...catalog.values()]
+    .filter(entry => (!provider || entry.provider === provider) && (includeDisabled || entry.status !== 'disabled'))
+    .sort((a, b) => a.provider.localeCompare(b.provider) || a.display_name.localeCompare(b.display_name));
+}
+
+/**
+ * Get an ai_model row
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function getModelRow(id) {
+  const result = await db.query(`SELECT * FROM ai_model WHERE id = $1`, [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Whether a user may change an ai_model row
+ * Global rows need a catalog admin, tenant rows a member of the tenant.
+ */
+export function canManageModelRow(row, { user, tenantId }) {
+  return row.tenant_id ? row.tenant_id === tenantId : isCatalogAdmin(user);
+}
+
+/**
+ * Create a catalog entry (global, tenant-only model or tenant override)
+ *
+ * @param {Object} input - Validated fields (see validateModelInput)
+ * @param {Object} options
+ * @param {string|null} options.tenantId - Owning tenant; null for a global entry
+ * @param {string} options.userId - Creator
+ * @returns {Promise<Object>} The ai_model row
+ * @throws {Error} `status: 409` when the entry already exists
+ */
+export async function createCatalogModel(input, { tenantId, userId }) {
+  const capabilities = input.capabilities || {};
+
+  // Tenant overrides of a global model inherit anything not set; new models get defaults
+  const overridesGlobal = Boolean(tenantId) && Boolean(await findGlobalRow(input.provider, input.model_id));
+  const withDefault = (value, fallback) => (value ?? (overridesGlobal ? null : fallback));
+
+  try {
+    const result = await db.query(
+      `WITH model AS (
+         INSERT INTO ai_model (
+           tenant_id, provider, model_id, display_name, context_window, max_output_tokens,
+           supports_vision, supports_tools, supports_json_mode, supports_streaming,
+           speed, status, created_by, tokenizer
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+         RETURNING *
+       ), price AS (
+         INSERT INTO ai_model_price (model_ref, input_per_1k, output_per_1k, effective_from, created_by)
+         SELECT id, $15::numeric, $16::numeric, COALESCE($17::timestamptz, NOW()), $13 FROM model WHERE $15::numeric IS NOT NULL
+       )
+       SELECT * FROM model`,
+      [
+        tenantId || null,
+        input.provider,
+        input.model_id.trim(),
+        input.display_name ?? null,
+        input.context_window ?? null,
+        input.max_output_tokens ?? null,
+        withDefault(capabilities.vision, DEFAULT_CAPABILITIES.vision),
+        withDefault(capabilities.tools, DEFAULT_CAPABILITIES.tools),
+        withDefault(capabilities.json_mode, DEFAULT_CAPABILITIES.json_mode),
+        withDefault(capabilities.streaming, DEFAULT_CAPABILITIES.streaming),
+        input.speed ?? null,
+        withDefault(input.status, 'active'),
+        userId,
+        input.tokenizer ?? null,
+        input.price?.input_per_1k ?? null,
+        input.price?.output_per_1k ?? null,
+        input.price?.effective_from ?? null
+      ]
+    );
+
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      const conflict = new Error(`${input.provider}/${input.model_id} is already in the ${tenantId ? 'tenant' : 'global'} catalog`);
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw err;
+  } finally {
+    invalidateCatalog();
+  }
+}
+
+async function findGlobalRow(provider, modelId) {
+  const result = await db.query(
+    `SELECT id FROM ai_model WHERE tenant_id IS NULL AND provider = $1 AND model_id = $2`,
+    [provider, modelId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Update the fields of a catalog entry (prices are added with addModelPrice)
+ *
+ * @param {string} id - ai_model id
+ * @param {Object} input - Validated fields; null clears a tenant override field
+ * @returns {Promise<Object>} The updated row
+ */
+export async function updateCatalogModel(id, input) {
+  const columns = {
+    display_name: input.display_name,
+    context_window: input.context_window,
+    max_output_tokens: input.max_output_tokens,
+    speed: input.speed,
+    tokenizer: input.tokenizer,
+    status: input.status,
+    supports_vision: input.capabilities?.vision,
+    supports_tools: input.capabilities?.tools,
+    supports_json_mode: input.capabilities?.json_mode,
+    supports_streaming: input.capabilities?.streaming
+  };
+
+  const updates = Object.entries(columns).filter(([, value]) => value !== undefined);
+  const result = await db.query(
+    `UPDATE ai_model
+     SET ${[...updates.map(([column], index) => `${column} = $${index + 2}`), 'updated_at = NOW()'].join(', ')}
+     WHERE id = $1
+     RETURNING *`,
+    [id, ...updates.map(([, value]) => value)]
+  );
+
+  invalidateCatalog();
+  return result.rows[0];
+}
+
+/**
+ * Delete a catalog entry
+ * Global entries are disabled rather than deleted so their price history stays;
+ * tenant entries are removed (overrides fall back to the global entry).
+ *
+ * @param {Object} row - ai_model row
+ * @returns {Promise<{deleted: boolean, disabled: boolean}>}
+ */
+export async function deleteCatalogModel(row) {
+  if (row.tenant_id) {
+    await db.query(`DELETE FROM ai_model WHERE id = $1`, [row.id]);
+  } else {
+    await db.query(`UPDATE ai_model SET status = 'disabled', updated_at = NOW() WHERE id = $1`, [row.id]);
+  }
+
+  invalidateCatalog();
+  return { deleted: Boolean(row.tenant_id), disabled: !row.tenant_id };
+}
+
+/**
+ * Record a new price for a catalog entry
+ *
+ * @param {string} id - ai_model id
+ * @param {Object} price - Validated { input_per_1k, output_per_1k, effective_from? }
+ * @param {string} userId
+ * @returns {Promise<Object>} The ai_model_price row
+ */
+export async function addModelPrice(id, price, userId) {
+  try {
+    const result = await db.query(
+      `INSERT INTO ai_model_price (model_ref, input_per_1k, output_per_1k, effective_from, created_by)
+       VALUES ($1, $2, $3, COALESCE($4::timestamptz, NOW()), $5)
+       RETURNING *`,
+      [id, price.input_per_1k, price.output_per_1k, price.effective_from ?? null, userId]
+    );
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      const conflict = new Error('A price already starts at this effective_from');
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw err;
+  } finally {
+    invalidateCatalog();
+  }
+}
+
+/**
+ * Price history of a catalog entry, newest first
+ *
+ * @param {string} id - ai_model id
+ * @returns {Promise<Object[]>}
+ */
+export async function getModelPriceHistory(id) {
+  const result = await db.query(
+    `SELECT id, input_per_1k, output_per_1k, effective_from, created_by, created_at
+     FROM ai_model_price
+     WHERE model_ref = $1
+     ORDER BY effective_from DESC`,
+    [id]
+  );
+
+  return result.rows.map(row => ({
+    ...row,
+    input_per_1k: Number(row.input_per_1k),
+    output_per_1k: Number(row.output_per_1k)
+  }));
+}
+
+/**
+ * Serialize a catalog entry for API responses
+ */
+export function serializeCatalogModel(entry) {
+  const { prices, ...rest } = entry;
+  return {
+    ...rest,
+    price: entry.price
+      ? { input_per_1k: Number(entry.price.input_per_1k), output_per_1k: Number(entry.price.output_per_1k), effective_from: entry.price.effective_from }
+      : null
+  };
+}
+
+export default {
+  MODEL_SCOPES,
+  MODEL_STATUSES,
+  MODEL_CAPABILITIES,
+  getCatalog,
+  invalidateCatalog,
+  getCatalogModel,
+  priceAt,
+  calculateCost,
+  validateModelRequest,
+  isCatalogAdmin,
+  validatePriceInput,
+  validateModelInput,
+  listCatalogModels,
+  getModelRow,
+  canManageModelRow,
+  createCatalogModel,
+  updateCatalogModel,
+  deleteCatalogModel,
+  addModelPrice,
+  getModelPriceHistory,
+  serializeCatalogModel
+};
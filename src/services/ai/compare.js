@@ -0,0 +1,320 @@
+/**
+ * Multi-Model Comparison
+ *
+ * Sends one prompt to several provider/model pairs in parallel and collects
+ * output, tokens, cost and latency per model. A failing model does not fail
+ * the run; its entry carries the error instead. With a `reference` text each
+ * output is scored by cosine similarity of local embeddings
+ * (all-MiniLM-L6-v2).
+ *
+ * Runs are stored in `ai_comparison_run` so they can be reopened, and any two
+ * outputs (from the same or different runs) can be diffed line by line.
+ * Calls are metered (feature `ai_compare`); the whole run is checked against
+ * the user's budget before any model is called.
+ *
+ * @module services/ai/compare
+ */
+
+import { db } from '../../utils/database.js';
+import { generateEmbedding, calculateSimilarity } from '../localEmbeddingService.js';
+import { isServerProvider } from './generate.js';
+import { meteredGeneration, estimateRequestTokens, assertTokenBudget } from './metering.js';
+
+export const COMPARE_LIMITS = {
+  maxModels: 10,
+  maxPromptLength: 100000,
+  maxDiffLines: 2000
+};
+
+/**
+ * Validate the models of a comparison
+ *
+ * @param {Array} models - [{ provider, modelId, keyId? }]
+ * @returns {string|null} Error message
+ */
+export function validateCompareModels(models) {
+  if (!Array.isArray(models) || models.length === 0) {
+    return 'models must be a non-empty array of { provider, modelId }';
+  }
+  if (models.length > COMPARE_LIMITS.maxModels) {
+    return `At most ${COMPARE_LIMITS.maxModels} models can be compared`;
+  }
+
+  for (const [index, target] of models.entries()) {
+    if (!target || !isServerProvider(target.provider)) {
+      return `models[${index}].provider is not a server-side provider: ${target?.provider}`;
+    }
+    if (typeof target.modelId !== 'string' || !target.modelId) {
+      return `models[${index}].modelId is required`;
+    }
+    if (target.keyId !== undefined && (typeof target.keyId !== 'string' || !target.keyId)) {
+      return `models[${index}].keyId must be a stored provider key id`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Run one model of a comparison, never throwing
+ */
+async function runTarget(target, index, params, { tenantId, userId, teamId, usage }) {
+  const startTime = Date.now();
+
+  try {
+    // One candidate per model: retries only, no fallback to another model
+    const result = await meteredGeneration('ai_compare', [{ provider: target.provider, modelId: target.modelId }], params, {
+      tenantId,
+      userId,
+      teamId,
+      keyIds: target.keyId ? { [target.provider]: target.keyId } : undefined,
+      usage
+    });
+
+    return {
+      index,
+      provider: target.provider,
+      model: target.modelId,
+      status: 'completed',
+      output: result.output || '',
+      input_tokens: result.inputTokens || 0,
+      output_tokens: result.outputTokens || 0,
+      cost: result.cost || 0,
+      latency_ms: result.latency ?? Date.now() - startTime,
+      finish_reason: result.finishReason || result.stopReason || null,
+      similarity: null,
+      error: null
+    };
+  } catch (err) {
+    return {
+      index,
+      provider: target.provider,
+      model: target.modelId,
+      status: 'failed',
+      output: null,
+      input_tokens: 0,
+      output_tokens: 0,
+      cost: 0,
+      latency_ms: Date.now() - startTime,
+      finish_reason: null,
+      similarity: null,
+      error: { message: err.message, type: err.errorType || err.name }
+    };
+  }
+}
+
+/**
+ * Score completed outputs against the reference text
+ *
+ * @returns {Promise<string|null>} Error message when scoring was unavailable
+ */
+async function scoreResults(results, reference) {
+  try {
+    const { embedding: referenceEmbedding } = await generateEmbedding(reference);
+
+    for (const result of results) {
+      if (result.status !== 'completed') continue;
+
+      if (!result.output.trim()) {
+        result.similarity = 0;
+        continue;
+      }
+
+      const { embedding } = await generateEmbedding(result.output);
+      result.similarity = calculateSimilarity(referenceEmbedding, embedding);
+    }
+
+    return null;
+  } catch (err) {
+    console.warn('[Compare] Similarity scoring unavailable:', err.message);
+    return err.message;
+  }
+}
+
+/**
+ * Run and store a comparison
+ *
+ * @param {Object} options
+ * @param {string} options.prompt - Prompt sent to every model (already rendered)
+ * @param {string} [options.systemPrompt]
+ * @param {Array} options.models - [{ provider, modelId, keyId? }]
+ * @param {number} [options.temperature]
+ * @param {number} [options.maxTokens]
+ * @param {string} [options.reference] - Reference output for similarity scores
+ * @param {Object} [options.template] - { id, version, variables } when the prompt is a rendered template
+ * @param {string} options.tenantId
+ * @param {string} options.userId
+ * @param {string} [options.teamId] - Team whose stored keys apply
+ * @returns {Promise<Object>} The stored ai_comparison_run row
+ * @throws {Error} Budget errors (see isBudgetError) when the run does not fit the user's budget
+ */
+export async function runComparison({
+  prompt,
+  systemPrompt = '',
+  models,
+  temperature = 0.7,
+  maxTokens = 1024,
+  reference,
+  template = null,
+  tenantId,
+  userId,
+  teamId
+}) {
+  const startTime = Date.now();
+  const params = { prompt, systemPrompt, temperature, maxTokens };
+
+  // Models run in parallel, so their combined estimate must fit up front
+  const estimates = await Promise.all(models.map(target =>
+    estimateRequestTokens([{ provider: target.provider, modelId: target.modelId }], params, { tenantId })));
+  await assertTokenBudget(userId, estimates.reduce((sum, estimate) => sum + estimate.totalTokens, 0));
+
+  const usage = { resourceId: template?.id || null };
+  const results = await Promise.all(
+    models.map((target, index) => runTarget(target, index, params, { tenantId, userId, teamId, usage }))
+  );
+
+  const scoringError = reference ? await scoreResults(results, reference) : null;
+
+  const succeeded = results.filter(result => result.status === 'completed');
+  const totals = results.reduce((sum, result) => ({
+    inputTokens: sum.inputTokens + result.input_tokens,
+    outputTokens: sum.outputTokens + result.output_tokens,
+    cost: sum.cost + result.cost
+  }), { inputTokens: 0, outputTokens: 0, cost: 0 });
+
+  const status = succeeded.length === results.length ? 'completed'
+    : succeeded.length > 0 ? 'partial'
+    : 'failed';
+
+  const inserted = await db.query(
+    `INSERT INTO ai_comparison_run (
+       tenant_id, user_id, template_id, template_version, variables,
+       prompt, system_prompt, reference, temperature, max_tokens,
+       status, model_count, succeeded_count, input_tokens, output_tokens, cost_usd,
+       results, scoring_error, duration_ms
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+     RETURNING *`,
+    [
+      tenantId,
+      userId,
+      template?.id || null,
+      template?.version || null,
+      template ? JSON.stringify(template.variables || {}) : null,
+      prompt,
+      systemPrompt || null,
+      reference || null,
+      temperature,
+      maxTokens,
+      status,
+      results.length,
+      succeeded.length,
+      totals.inputTokens,
+      totals.outputTokens,
+      totals.cost,
+      JSON.stringify(results),
+      scoringError,
+      Date.now() - startTime
+    ]
+  );
+
+  return inserted.rows[0];
+}
+
+/**
+ * Load a comparison run visible to the user
+ *
+ * @returns {Promise<Object|null>}
+ */
+export async function getComparisonRun(runId, { userId, tenantId }) {
+  const result = await db.query(
+    `SELECT * FROM ai_comparison_run WHERE id = $1 AND tenant_id = $2 AND user_id = $3`,
+    [runId, tenantId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * List the user's comparison runs, newest first
+ */
+export async function listComparisonRuns({ userId, tenantId, limit = 20, offset = 0 }) {
+  const result = await db.query(
+    `SELECT id, template_id, template_version, LEFT(prompt, 200) AS prompt_preview,
+            status, model_count, succeeded_count, cost_usd, created_at, duration_ms,
+            (SELECT jsonb_agg(jsonb_build_object('provider', r->>'provider', 'model', r->>'model'))
+             FROM jsonb_array_elements(results) r) AS models
+     FROM ai_comparison_run
+     WHERE tenant_id = $1 AND user_id = $2
+     ORDER BY created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [tenantId, userId, limit, offset]
+  );
+  return result.rows;
+}
+
+/**
+ * Line diff of two outputs (longest common subsequence)
+ * Lines beyond `maxDiffLines` on either side are compared as one trailing block.
+ *
+ * @param {string} before
+ * @param {string} after
+ * @returns {{hunks: Array<{op: 'equal'|'delete'|'insert', lines: string[]}>, added: number, removed: number, truncated: boolean}}
+ */
+export function diffOutputs(before, after) {
+  const limit = COMPARE_LIMITS.maxDiffLines;
+  const toLines = text => String(text ?? '').replace(/\r\n/g, '\n').split('\n');
+  const cap = lines => (lines.length > limit ? [...lines.slice(0, limit - 1), lines.slice(limit - 1).join('\n')] : lines);
+
+  const beforeLines = toLines(before);
+  const afterLines = toLines(after);
+  const truncated = beforeLines.length > limit || afterLines.length > limit;
+  const a = cap(beforeLines);
+  const b = cap(afterLines);
+
+  // lengths[i][j] = LCS length of a[i..] and b[j..]
+  const lengths = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lengths[i][j] = a[i] === b[j] ? lengths[i + 1][j + 1] + 1 : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const hunks = [];
+  const push = (op, line) => {
+    const last = hunks[hunks.length - 1];
+    if (last && last.op === op) {
+      last.lines.push(line);
+    } else {
+      hunks.push({ op, lines: [line] });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  let added = 0;
+  let removed = 0;
+
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      push('equal', a[i]);
+      i++;
+      j++;
+    } else if (i < a.length && (j === b.length || lengths[i + 1][j] >= lengths[i][j + 1])) {
+      push('delete', a[i++]);
+      removed++;
+    } else {
+      push('insert', b[j++]);
+      added++;
+    }
+  }
+
+  return { hunks, added, removed, truncated };
+}
+
+export default {
+  COMPARE_LIMITS,
+  validateCompareModels,
+  runComparison,
+  getComparisonRun,
+  listComparisonRuns,
+  diffOutputs
+};
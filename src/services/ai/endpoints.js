@@ -0,0 +1,284 @@
+/**
+ * Self-Hosted Provider Endpoints
+ * Per-tenant base URLs for Ollama and OpenAI-compatible servers, stored in
+ * `tenant.settings.ai_providers.<provider>.base_url`.
+ *
+ * A tenant base URL must resolve to public addresses only: loopback,
+ * link-local (cloud metadata), private and other reserved ranges are refused
+ * unless the host is listed in `AI_PROVIDER_ALLOWED_HOSTS` (allowed hosts are
+ * not checked at all). The check runs when the URL is saved and again before
+ * each call, and the call then connects to the address that was checked
+ * rather than resolving the name again (see fetchProviderEndpoint). Provider
+ * endpoints are never followed through redirects. Calls to a tenant base URL
+ * only use keys stored for the tenant (see key-vault.js), never the
+ * deployment's environment keys.
+ */
+
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { Readable } from 'stream';
+import { db } from '../../utils/database.js';
+import { PROVIDER_CONFIGS } from './config.js';
+
+// Addresses a tenant base URL may not resolve to
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+/**
+ * Whether a provider runs on infrastructure configured by the deployment
+ */
+export function isSelfHostedProvider(provider) {
+  return Boolean(PROVIDER_CONFIGS[provider]?.selfHosted);
+}
+
+/**
+ * Validate a base URL for a self-hosted provider
+ *
+ * @param {string} value
+ * @returns {string|null} Error message
+ */
+export function validateBaseUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return 'base_url must be a non-empty string';
+  }
+
+  let url;
+  try {
+    url = new URL(value);
+  } catch {
+    return 'base_url must be a valid URL';
+  }
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return 'base_url must use http or https';
+  }
+
+  if (url.username || url.password) {
+    return 'base_url must not contain credentials';
+  }
+
+  return null;
+}
+
+function allowedHosts() {
+  return (process.env.AI_PROVIDER_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(value => value.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Resolve a base URL's host and pick the address calls connect to
+// `address` is null for allowed hosts, which are called as configured
+async function vetBaseUrlHost(value) {
+  const hostname = new URL(value).hostname.toLowerCase().replace(/^\[|\]$/g, '');
+
+  if (allowedHosts().includes(hostname)) {
+    return { error: null, address: null };
+  }
+
+  let addresses;
+  try {
+    addresses = net.isIP(hostname)
+      ? [{ address: hostname, family: net.isIP(hostname) }]
+      : await dns.promises.lookup(hostname, { all: true });
+  } catch {
+    return { error: 'base_url host could not be resolved' };
+  }
+
+  const internal = addresses.some(({ address, family }) =>
+    BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4'));
+
+  return internal
+    ? { error: 'base_url must point to a public host (loopback, link-local and private addresses are not allowed)' }
+    : { error: null, address: addresses[0] };
+}
+
+/**
+ * Check that a tenant base URL points at a public host
+ * Resolves the host name and refuses it when any address is internal.
+ *
+ * @param {string} value - Base URL (already validated with validateBaseUrl)
+ * @returns {Promise<string|null>} Error message
+ */
+export async function checkBaseUrlHost(value) {
+  return (await vetBaseUrlHost(value)).error;
+}
+
+/**
+ * Throw when a tenant base URL does not point at a public host
+ *
+ * @param {string} baseUrl
+ * @returns {Promise<{address: string, family: number}|null>} Address to connect to
+ *   (pass to fetchProviderEndpoint); null for hosts in AI_PROVIDER_ALLOWED_HOSTS
+ * @throws {Error} `status` 400
+ */
+export async function assertPublicBaseUrl(baseUrl) {
+  const { error: hostError, address } = await vetBaseUrlHost(baseUrl);
+
+  if (hostError) {
+    const err = new Error(`Refusing to call the tenant's provider endpoint: ${hostError}`);
+    err.status = 400;
+    throw err;
+  }
+
+  return address;
+}
+
+function redirectError(status) {
+  const err = new Error(`Refusing to follow a redirect (${status}) from the provider endpoint`);
+  err.status = 400;
+  return err;
+}
+
+function toHeaders(rawHeaders) {
+  const headers = new Headers();
+  for (let i = 0; i < rawHeaders.length; i += 2) {
+    headers.append(rawHeaders[i], rawHeaders[i + 1]);
+  }
+  return headers;
+}
+
+/**
+ * fetch for self-hosted provider endpoints
+ * Redirects are refused. With an `address` from assertPublicBaseUrl the
+ * connection goes to that address (TLS is still verified against the host
+ * name), so the name cannot resolve somewhere else between check and call.
+ *
+ * @param {string} url
+ * @param {Object} [init] - fetch options: method, headers, body (string), signal
+ * @param {{address: string, family: number}|null} [address] - Pinned address
+ * @returns {Promise<Response>}
+ */
+export async function fetchProviderEndpoint(url, init = {}, address = null) {
+  if (!address) {
+    const response = await fetch(url, { ...init, redirect: 'manual' });
+    if (response.status >= 300 && response.status < 400) {
+      throw redirectError(response.status);
+    }
+    return response;
+  }
+
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = transport.request(target, {
+      method: init.method || 'GET',
+      headers: init.headers,
+      signal: init.signal,
+      lookup: (hostname, options, callback) => (options.all
+        ? callback(null, [address])
+        : callback(null, address.address, address.family))
+    }, (response) => {
+      if (response.statusCode >= 300 && response.statusCode < 400) {
+        response.resume();
+        reject(redirectError(response.statusCode));
+        return;
+      }
+
+      const hasBody = ![204, 205, 304].includes(response.statusCode) && init.method !== 'HEAD';
+      resolve(new Response(hasBody ? Readable.toWeb(response) : null, {
+        status: response.statusCode,
+        statusText: response.statusMessage,
+        headers: toHeaders(response.rawHeaders)
+      }));
+    });
+
+    // Fail like fetch does, so connection errors are routed as unavailable
+    request.on('error', err => reject(err.name === 'AbortError' ? err : new TypeError('fetch failed', { cause: err })));
+    request.end(init.body);
+  });
+}
+
+/**
+ * Whether a tenant overrides the base URL of a self-hosted provider
+ *
+ * @param {string} provider
+ * @param {string} [tenantId]
+ * @returns {Promise<boolean>}
+ */
+export async function hasTenantBaseUrl(provider, tenantId) {
+  if (!tenantId || !isSelfHostedProvider(provider)) {
+    return false;
+  }
+
+  const settings = await getTenantProviderSettings(tenantId);
+  return Boolean(settings[provider]?.base_url);
+}
+
+/**
+ * Get a tenant's self-hosted provider settings
+ *
+ * @param {string} tenantId
+ * @returns {Promise<Object>} { [provider]: { base_url } }
+ */
+export async function getTenantProviderSettings(tenantId) {
+  const result = await db.query(
+    `SELECT settings->'ai_providers' AS ai_providers FROM tenant WHERE id = $1`,
+    [tenantId]
+  );
+
+  return result.rows[0]?.ai_providers || {};
+}
+
+/**
+ * Set (or clear, with null) a tenant's base URL for a provider
+ *
+ * @param {string} tenantId
+ * @param {string} provider - Self-hosted provider id
+ * @param {string|null} baseUrl
+ * @returns {Promise<Object>} Updated provider settings
+ */
+export async function setTenantProviderBaseUrl(tenantId, provider, baseUrl) {
+  const result = await db.query(
+    `UPDATE tenant
+     SET settings = jsonb_set(
+           COALESCE(settings, '{}'::jsonb),
+           '{ai_providers}',
+           CASE WHEN $3::text IS NULL
+             THEN COALESCE(settings->'ai_providers', '{}'::jsonb) - $2
+             ELSE COALESCE(settings->'ai_providers', '{}'::jsonb)
+                  || jsonb_build_object($2::text, jsonb_build_object('base_url', $3::text))
+           END
+         ),
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING settings->'ai_providers' AS ai_providers`,
+    [tenantId, provider, baseUrl ? baseUrl.replace(/\/+$/, '') : null]
+  );
+
+  return result.rows[0]?.ai_providers || {};
+}
+
+/**
+ * Resolve the base URL for a self-hosted provider
+ * Tenant setting, then the provider's environment variable, then the default.
+ *
+ * @param {string} provider - Provider id
+ * @param {string} [tenantId]
+ * @returns {Promise<{baseUrl: string, source: 'tenant'|'env'|'default'}>}
+ */
+export async function resolveProviderBaseUrl(provider, tenantId) {
+  const config = PROVIDER_CONFIGS[provider];
+
+  if (tenantId) {
+    const settings = await getTenantProviderSettings(tenantId);
+    if (settings[provider]?.base_url) {
+      return { baseUrl: settings[provider].base_url, source: 'tenant' };
+    }
+  }
+
+  if (config.baseUrlEnvKey && process.env[config.baseUrlEnvKey]) {
+    return { baseUrl: process.env[config.baseUrlEnvKey], source: 'env' };
+  }
+
+  return { baseUrl: config.baseUrl, source: 'default' };
+}
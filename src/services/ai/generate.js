@@ -0,0 +1,376 @@
+/**
+ * AI Generation Dispatch
+ * Routes a generation request to the matching provider implementation.
+ * Shared by /ai/generate and the workflow `llm` step.
+ *
+ * Self-hosted providers (Ollama, OpenAI-compatible servers) are called at the
+ * base URL configured for the caller's tenant (see endpoints.js); a tenant base
+ * URL is checked to point at a public host before every call.
+ *
+ * Callers that pass `cache` options are answered from the tenant's generation
+ * cache when possible (see cache.js); misses are stored after the call.
+ *
+ * Costs are priced from the model catalog, with the tenant's overrides (see catalog.js).
+ */
+
+import { AI_PROVIDERS, PROVIDER_CONFIGS } from './config.js';
+import { calculateCost } from './catalog.js';
+import { countTokens } from './tokenizer.js';
+import { generateOpenAI, streamOpenAI } from './providers/openai.js';
+import { generateAnthropic, streamAnthropic } from './providers/anthropic.js';
+import { generateGoogle, streamGoogle } from './providers/google.js';
+import { generateHuggingFace, streamHuggingFace } from './providers/huggingface.js';
+import { generateOllama, streamOllama, listOllamaModels } from './providers/ollama.js';
+import {
+  generateOpenAICompatible,
+  streamOpenAICompatible,
+  listOpenAICompatibleModels
+} from './providers/openai-compatible.js';
+import { assertPublicBaseUrl, isSelfHostedProvider, resolveProviderBaseUrl } from './endpoints.js';
+import { resolveProviderKey } from './key-vault.js';
+import { usesTools } from './tools.js';
+import {
+  resolveCachePolicy,
+  buildCacheKeys,
+  lookupGeneration,
+  storeGeneration,
+  recordCacheHit,
+  cachedResult
+} from './cache.js';
+
+const GENERATORS = {
+  [AI_PROVIDERS.OPENAI]: generateOpenAI,
+  [AI_PROVIDERS.ANTHROPIC]: generateAnthropic,
+  [AI_PROVIDERS.GOOGLE]: generateGoogle,
+  [AI_PROVIDERS.HUGGINGFACE]: generateHuggingFace,
+  [AI_PROVIDERS.OLLAMA]: generateOllama,
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: generateOpenAICompatible
+};
+
+const STREAMERS = {
+  [AI_PROVIDERS.OPENAI]: streamOpenAI,
+  [AI_PROVIDERS.ANTHROPIC]: streamAnthropic,
+  [AI_PROVIDERS.GOOGLE]: streamGoogle,
+  [AI_PROVIDERS.HUGGINGFACE]: streamHuggingFace,
+  [AI_PROVIDERS.OLLAMA]: streamOllama,
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: streamOpenAICompatible
+};
+
+// Live model discovery for self-hosted providers
+const MODEL_LISTERS = {
+  [AI_PROVIDERS.OLLAMA]: listOllamaModels,
+  [AI_PROVIDERS.OPENAI_COMPATIBLE]: listOpenAICompatibleModels
+};
+
+// Providers that accept tool definitions (see tools.js)
+const TOOL_PROVIDERS = [
+  AI_PROVIDERS.OPENAI,
+  AI_PROVIDERS.ANTHROPIC,
+  AI_PROVIDERS.GOOGLE,
+  AI_PROVIDERS.OPENAI_COMPATIBLE
+];
+
+const DISCOVERY_TIMEOUT_MS = 3000;
+
+// Provider-specific finish reasons mapped onto OpenAI's vocabulary
+const FINISH_REASONS = {
+  stop: 'stop',
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  eos_token: 'stop',
+  STOP: 'stop',
+  length: 'length',
+  max_tokens: 'length',
+  MAX_TOKENS: 'length',
+  content_filter: 'content_filter',
+  SAFETY: 'content_filter',
+  RECITATION: 'content_filter',
+  tool_calls: 'tool_calls',
+  tool_use: 'tool_calls'
+};
+
+/**
+ * Whether a provider can be called from the server
+ */
+export function isServerProvider(provider) {
+  return Boolean(GENERATORS[provider]);
+}
+
+/**
+ * Whether a provider supports tool / function calling
+ */
+export function supportsTools(provider) {
+  return TOOL_PROVIDERS.includes(provider);
+}
+
+/**
+ * Resolve the API key for a provider (client-provided key wins over environment)
+ *
+ * @param {string} provider - Provider id
+ * @param {string} [clientApiKey] - Key supplied with the request
+ * @returns {string|undefined}
+ */
+export function resolveApiKey(provider, clientApiKey) {
+  const providerConfig = PROVIDER_CONFIGS[provider];
+  return clientApiKey || (providerConfig?.envKey ? process.env[providerConfig.envKey] : undefined);
+}
+
+/**
+ * Generate a completion with the given provider
+ *
+ * @param {string} provider - Provider id (see AI_PROVIDERS)
+ * @param {Object} params - { modelId, prompt, systemPrompt, maxTokens, temperature, messages, responseFormat, tools, toolChoice }
+ *   (`responseFormat: 'json'` enables JSON mode where the provider has one; tools use the unified schema in tools.js)
+ * @param {string} apiKey - Provider API key
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Tenant whose self-hosted base URL and generation cache are used
+ * @param {string} [options.userId] - Caller, for cache-hit accounting
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request where the provider supports it
+ * @param {boolean|Object} [options.cache] - Cache options (see cache.js); omitted means no caching
+ * @returns {Promise<Object>} Provider result ({ output, inputTokens, outputTokens, cost, latency, toolCalls?, ... });
+ *   cache hits have `cost: 0` and `cached: { match, similarity, cachedAt, savedCostUsd }`
+ */
+export async function generateWithProvider(provider, params, apiKey, { tenantId, userId, signal, cache } = {}) {
+  const generate = GENERATORS[provider];
+
+  if (!generate) {
+    throw new Error(`Provider not implemented: ${provider}`);
+  }
+
+  if (usesTools(params) && !supportsTools(provider)) {
+    throw new Error(`Tool calling not supported for provider: ${provider}`);
+  }
+
+  const caching = cacheContext(provider, params, { tenantId, cache });
+  const startTime = Date.now();
+  const hit = caching && await lookupCached(caching, { tenantId, userId });
+
+  if (hit?.result) {
+    return { ...hit.result, latency: (Date.now() - startTime) / 1000 };
+  }
+
+  assertApiKey(provider, apiKey);
+
+  const generated = await generate(params, apiKey, { ...(await providerOptions(provider, tenantId)), signal });
+  const result = {
+    ...generated,
+    cost: await calculateCost(params.modelId, generated.inputTokens || 0, generated.outputTokens || 0, { provider, tenantId })
+  };
+
+  if (caching) {
+    await storeCached(caching, tenantId, provider, result, hit?.embedding);
+  }
+
+  return result;
+}
+
+function cacheContext(provider, params, { tenantId, cache }) {
+  const policy = tenantId ? resolveCachePolicy(cache, params) : null;
+  return policy ? { provider, policy, keys: buildCacheKeys(provider, params) } : null;
+}
+
+/**
+ * Look up the cache for a request; a broken cache never fails the generation
+ *
+ * @returns {Promise<{result: Object|null, embedding: string|null}>}
+ */
+async function lookupCached({ provider, policy, keys }, { tenantId, userId }) {
+  if (policy.bypass) {
+    return { result: null, embedding: null };
+  }
+
+  try {
+    const { entry, embedding } = await lookupGeneration(tenantId, keys, policy);
+    if (!entry) {
+      return { result: null, embedding };
+    }
+
+    const savings = await recordCacheHit(entry, { tenantId, userId });
+    return { result: cachedResult(entry, provider, savings), embedding };
+  } catch (err) {
+    console.error('[AICache] Lookup failed:', err.message);
+    return { result: null, embedding: null };
+  }
+}
+
+async function storeCached({ policy, keys }, tenantId, provider, result, embedding) {
+  try {
+    await storeGeneration(tenantId, provider, keys, policy, result, embedding);
+  } catch (err) {
+    console.error('[AICache] Store failed:', err.message);
+  }
+}
+
+async function providerOptions(provider, tenantId) {
+  if (!isSelfHostedProvider(provider)) {
+    return {};
+  }
+
+  const { baseUrl, source } = await resolveProviderBaseUrl(provider, tenantId);
+  if (source === 'tenant') {
+    return { baseUrl, address: await assertPublicBaseUrl(baseUrl) };
+  }
+  return { baseUrl };
+}
+
+function assertApiKey(provider, apiKey) {
+  const providerConfig = PROVIDER_CONFIGS[provider];
+  if (providerConfig.requiresApiKey && !apiKey) {
+    throw new Error(`API key required for provider: ${provider}. Set ${providerConfig.envKey} in environment variables.`);
+  }
+}
+
+function promptText({ prompt, systemPrompt, messages }) {
+  const parts = messages && messages.length > 0
+    ? messages.map(message => (typeof message.content === 'string' ? message.content : ''))
+    : [prompt || ''];
+  return [systemPrompt || '', ...parts].join('\n');
+}
+
+/**
+ * Map a provider finish reason to stop | length | content_filter | tool_calls
+ *
+ * @param {string|null} reason - Provider finish reason
+ * @returns {string|null} Normalized reason (unknown reasons are lowercased)
+ */
+export function normalizeFinishReason(reason) {
+  if (!reason) return null;
+  return FINISH_REASONS[reason] || String(reason).toLowerCase();
+}
+
+/**
+ * Stream a completion with the given provider
+ * Yields the same event shapes for every provider: `delta` events with the
+ * text as it arrives, then one `done` event with usage, cost and latency.
+ *
+ * @param {string} provider - Provider id (see AI_PROVIDERS)
+ * @param {Object} params - { modelId, prompt, systemPrompt, maxTokens, temperature, messages }
+ * @param {string} apiKey - Provider API key
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @param {string} [options.tenantId] - Tenant whose self-hosted base URL and generation cache are used
+ * @param {string} [options.userId] - Caller, for cache-hit accounting
+ * @param {boolean|Object} [options.cache] - Cache options (see cache.js); a hit is sent as a single delta
+ * @yields {{type: 'delta', text: string}|{type: 'done', output: string, inputTokens: number, outputTokens: number, totalTokens: number, cost: number, latency: number, firstTokenLatency: number|null, finishReason: string|null, providerFinishReason: string|null, cached?: Object}}
+ */
+export async function* streamWithProvider(provider, params, apiKey, { signal, tenantId, userId, cache } = {}) {
+  const stream = STREAMERS[provider];
+
+  if (!stream) {
+    throw new Error(`Streaming not implemented for provider: ${provider}`);
+  }
+
+  if (usesTools(params)) {
+    throw new Error('Streaming does not support tools; send the request without stream');
+  }
+
+  const caching = cacheContext(provider, params, { tenantId, cache });
+  const lookupStart = Date.now();
+  const hit = caching && await lookupCached(caching, { tenantId, userId });
+
+  if (hit?.result) {
+    const latency = (Date.now() - lookupStart) / 1000;
+    yield { type: 'delta', text: hit.result.output };
+    yield {
+      type: 'done',
+      output: hit.result.output,
+      model: hit.result.model,
+      provider,
+      inputTokens: hit.result.inputTokens,
+      outputTokens: hit.result.outputTokens,
+      totalTokens: hit.result.totalTokens,
+      cost: 0,
+      latency,
+      firstTokenLatency: latency,
+      finishReason: normalizeFinishReason(hit.result.finishReason),
+      providerFinishReason: hit.result.finishReason,
+      cached: hit.result.cached
+    };
+    return;
+  }
+
+  assertApiKey(provider, apiKey);
+
+  const options = { ...(await providerOptions(provider, tenantId)), signal };
+  const startTime = Date.now();
+  let firstTokenLatency = null;
+  let output = '';
+  let usage = {};
+
+  for await (const event of stream(params, apiKey, options)) {
+    if (event.type === 'delta') {
+      if (firstTokenLatency === null) {
+        firstTokenLatency = (Date.now() - startTime) / 1000;
+      }
+      output += event.text;
+      yield event;
+    } else if (event.type === 'usage') {
+      usage = event;
+    }
+  }
+
+  // Count when the provider did not report usage
+  const counting = { provider, modelId: params.modelId, tenantId };
+  const inputTokens = usage.inputTokens ?? await countTokens(promptText(params), counting);
+  const outputTokens = usage.outputTokens ?? await countTokens(output, counting);
+
+  const done = {
+    type: 'done',
+    output,
+    model: params.modelId,
+    provider,
+    inputTokens,
+    outputTokens,
+    totalTokens: inputTokens + outputTokens,
+    cost: await calculateCost(params.modelId, inputTokens, outputTokens, { provider, tenantId }),
+    latency: (Date.now() - startTime) / 1000,
+    firstTokenLatency,
+    finishReason: normalizeFinishReason(usage.finishReason),
+    providerFinishReason: usage.finishReason ?? null
+  };
+
+  // Only complete streams are cached (an aborted stream throws before this point)
+  if (caching) {
+    await storeCached(caching, tenantId, provider, { ...done, modelId: params.modelId }, hit?.embedding);
+  }
+
+  yield done;
+}
+
+/**
+ * Discover the models available on a self-hosted provider
+ * A tenant base URL is only called when it points at a public host, and only
+ * with the tenant's stored key. Upstream errors are logged, not returned.
+ *
+ * @param {string} provider - Self-hosted provider id
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Tenant whose base URL is queried
+ * @returns {Promise<{baseUrl: string, source: string, reachable: boolean, models: Object[], error?: string}>}
+ */
+export async function discoverProviderModels(provider, { tenantId } = {}) {
+  const listModels = MODEL_LISTERS[provider];
+
+  if (!listModels) {
+    throw new Error(`Model discovery not supported for provider: ${provider}`);
+  }
+
+  const { baseUrl, source } = await resolveProviderBaseUrl(provider, tenantId);
+
+  try {
+    let apiKey = resolveApiKey(provider);
+    let address = null;
+    if (source === 'tenant') {
+      address = await assertPublicBaseUrl(baseUrl);
+      ({ apiKey } = await resolveProviderKey(provider, { tenantId, tenantEndpoint: true }));
+    }
+
+    const models = await listModels(baseUrl, apiKey, {
+      signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS),
+      address
+    });
+    return { baseUrl, source, reachable: true, models };
+  } catch (err) {
+    console.error(`[AI] Model discovery failed for ${provider} at ${baseUrl}:`, err.message);
+    return { baseUrl, source, reachable: false, models: [], error: 'Provider endpoint did not return a model list' };
+  }
+}
@@ -0,0 +1,463 @@
+/**
+ * Provider Key Vault
+ *
+ * Provider API keys stored once per user, team or tenant, encrypted at rest
+ * with AES-256-GCM under the server master key (`PROVIDER_KEY_ENCRYPTION_KEY`,
+ * 32 bytes as hex or base64). Each row records the fingerprint of the master key
+ * that encrypted it; after a master key change the old key goes into
+ * `PROVIDER_KEY_ENCRYPTION_KEY_PREVIOUS` and rows are re-encrypted as they are used.
+ *
+ * AI calls resolve keys in this order: key supplied with the request, the
+ * caller's own key, the team's key, the tenant's key, then the environment.
+ * Calls to a base URL set by the tenant (see endpoints.js) only use the key
+ * supplied with the request or the tenant's key, so keys of other scopes and
+ * the deployment's keys never reach a host chosen by a tenant.
+ * Plaintext keys never leave this module except to call the provider.
+ *
+ * @module services/ai/key-vault
+ */
+
+import crypto from 'crypto';
+import { db, isTenantAdmin } from '../../utils/database.js';
+import { PROVIDER_CONFIGS } from './config.js';
+
+export const KEY_SCOPES = ['user', 'team', 'tenant'];
+
+const TEAM_MANAGER_ROLES = ['owner', 'admin'];
+
+const SCOPE_PRIORITY = `CASE scope WHEN 'user' THEN 0 WHEN 'team' THEN 1 ELSE 2 END`;
+
+function parseMasterKey(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('Provider key encryption keys must be 32 bytes (64 hex characters or base64)');
+  }
+
+  return {
+    id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 16),
+    key
+  };
+}
+
+/**
+ * Load the master keys from the environment
+ *
+ * @returns {{current: {id: string, key: Buffer}, byId: Map<string, Buffer>}|null}
+ */
+function getMasterKeys() {
+  if (!process.env.PROVIDER_KEY_ENCRYPTION_KEY) {
+    return null;
+  }
+
+  const current = parseMasterKey(process.env.PROVIDER_KEY_ENCRYPTION_KEY);
+  const byId = new Map([[current.id, current.key]]);
+
+  for (const value of (process.env.PROVIDER_KEY_ENCRYPTION_KEY_PREVIOUS || '').split(',')) {
+    if (value.trim()) {
+      const previous = parseMasterKey(value);
+      byId.set(previous.id, previous.key);
+    }
+  }
+
+  return { current, byId };
+}
+
+/**
+ * Whether a master key is configured (keys cannot be stored or used without one)
+ */
+export function isVaultConfigured() {
+  return Boolean(process.env.PROVIDER_KEY_ENCRYPTION_KEY);
+}
+
+function vaultNotConfiguredError() {
+  const err = new Error('Provider key vault is not configured: set PROVIDER_KEY_ENCRYPTION_KEY');
+  err.status = 503;
+  return err;
+}
+
+/**
+ * Encrypt a provider API key with the current master key
+ *
+ * @param {string} plaintext
+ * @returns {{encrypted_key: string, iv: string, auth_tag: string, encryption_key_id: string}}
+ */
+export function encryptSecret(plaintext) {
+  const masterKeys = getMasterKeys();
+  if (!masterKeys) {
+    throw vaultNotConfiguredError();
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', masterKeys.current.key, iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    encrypted_key: encrypted.toString('base64'),
+    iv: iv.toString('base64'),
+    auth_tag: cipher.getAuthTag().toString('base64'),
+    encryption_key_id: masterKeys.current.id
+  };
+}
+
+/**
+ * Decrypt a stored provider key row
+ *
+ * @param {Object} row - provider_key row
+ * @returns {string}
+ */
+export function decryptSecret(row) {
+  const masterKeys = getMasterKeys();
+  if (!masterKeys) {
+    throw vaultNotConfiguredError();
+  }
+
+  const key = masterKeys.byId.get(row.encryption_key_id);
+  if (!key) {
+    throw new Error(`Provider key ${row.id} was encrypted with an unknown master key (${row.encryption_key_id})`);
+  }
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(row.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(row.auth_tag, 'base64'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(row.encrypted_key, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+function keyHint(apiKey) {
+  return apiKey.length > 8 ? apiKey.slice(-4) : null;
+}
+
+/**
+ * Public shape of a stored key (never includes the secret)
+ */
+export function serializeProviderKey(row) {
+  return {
+    id: row.id,
+    scope: row.scope,
+    provider: row.provider,
+    label: row.label,
+    user_id: row.user_id,
+    team_id: row.team_id,
+    key_hint: row.key_hint ? `…${row.key_hint}` : null,
+    created_by: row.created_by,
+    last_used_at: row.last_used_at,
+    rotated_at: row.rotated_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+/**
+ * Validate the fields for storing a key
+ *
+ * @returns {string|null} Error message
+ */
+export function validateProviderKeyInput({ provider, apiKey, scope, teamId }) {
+  if (!PROVIDER_CONFIGS[provider]) {
+    return `Unknown provider: ${provider}`;
+  }
+  if (typeof apiKey !== 'string' || !apiKey.trim()) {
+    return 'api_key must be a non-empty string';
+  }
+  if (!KEY_SCOPES.includes(scope)) {
+    return `scope must be one of: ${KEY_SCOPES.join(', ')}`;
+  }
+  if (scope === 'team' && !teamId) {
+    return 'team_id is required for team keys';
+  }
+  return null;
+}
+
+async function getTeamRole(teamId, userId) {
+  const result = await db.query(
+    'SELECT role FROM team_members WHERE team_id = $1 AND user_id = $2',
+    [teamId, userId]
+  );
+  return result.rows[0]?.role || null;
+}
+
+/**
+ * Whether a user may call a provider with a stored key
+ * Own keys, keys of teams they belong to, and their tenant's keys.
+ */
+export async function canUseProviderKey(row, { userId, tenantId }) {
+  switch (row.scope) {
+    case 'user': return row.user_id === userId;
+    case 'team': return Boolean(userId && await getTeamRole(row.team_id, userId));
+    case 'tenant': return row.tenant_id === tenantId;
+    default: return false;
+  }
+}
+
+/**
+ * Whether a user may create, rotate or delete keys for a scope
+ * Team keys are managed by team owners and admins; tenant keys by admins of
+ * that tenant (see isTenantAdmin).
+ */
+export async function canManageScope({ scope, ownerUserId, teamId, tenantId }, { userId, tenantId: userTenantId }) {
+  switch (scope) {
+    case 'user': return ownerUserId === userId;
+    case 'team': return TEAM_MANAGER_ROLES.includes(await getTeamRole(teamId, userId));
+    case 'tenant': return tenantId === userTenantId && await isTenantAdmin(userId, tenantId);
+    default: return false;
+  }
+}
+
+/**
+ * Whether a user may rotate or delete a stored key
+ */
+export function canManageProviderKey(row, caller) {
+  return canManageScope({
+    scope: row.scope,
+    ownerUserId: row.user_id,
+    teamId: row.team_id,
+    tenantId: row.tenant_id
+  }, caller);
+}
+
+/**
+ * List the keys visible to a user: their own, their teams' and their tenant's
+ *
+ * @param {Object} options
+ * @param {string} options.userId
+ * @param {string} options.tenantId
+ * @param {string} [options.provider]
+ * @returns {Promise<Object[]>} Rows (serialize before returning to clients)
+ */
+export async function listProviderKeys({ userId, tenantId, provider }) {
+  const result = await db.query(
+    `SELECT * FROM provider_key
+     WHERE ((scope = 'user' AND user_id = $1)
+        OR (scope = 'team' AND team_id IN (SELECT team_id FROM team_members WHERE user_id = $1))
+        OR (scope = 'tenant' AND tenant_id = $2))
+       AND ($3::text IS NULL OR provider = $3)
+     ORDER BY provider, ${SCOPE_PRIORITY}, created_at`,
+    [userId, tenantId, provider || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Get a stored key by id
+ *
+ * @returns {Promise<Object|null>} Row
+ */
+export async function getProviderKey(id) {
+  const result = await db.query('SELECT * FROM provider_key WHERE id = $1', [id]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Store a provider key
+ *
+ * @param {Object} input
+ * @param {string} input.scope - user, team or tenant
+ * @param {string} input.provider
+ * @param {string} input.apiKey - Plaintext key (encrypted before storage)
+ * @param {string} [input.label]
+ * @param {string} [input.teamId] - Required for team scope
+ * @param {string} input.userId - Creator (and owner for user scope)
+ * @param {string} input.tenantId - Creator's tenant
+ * @returns {Promise<Object>} Row
+ * @throws {Error} `status: 409` when the owner already has a key for the provider
+ */
+export async function createProviderKey({ scope, provider, apiKey, label, teamId, userId, tenantId }) {
+  const secret = encryptSecret(apiKey.trim());
+
+  try {
+    const result = await db.query(
+      `INSERT INTO provider_key (
+         tenant_id, scope, user_id, team_id, provider, label,
+         encrypted_key, iv, auth_tag, encryption_key_id, key_hint, created_by
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        tenantId,
+        scope,
+        scope === 'user' ? userId : null,
+        scope === 'team' ? teamId : null,
+        provider,
+        label || null,
+        secret.encrypted_key,
+        secret.iv,
+        secret.auth_tag,
+        secret.encryption_key_id,
+        keyHint(apiKey.trim()),
+        userId
+      ]
+    );
+    return result.rows[0];
+  } catch (err) {
+    if (err.code === '23505') {
+      const conflict = new Error(`A ${scope} key for ${provider} already exists; rotate it instead`);
+      conflict.status = 409;
+      throw conflict;
+    }
+    throw err;
+  }
+}
+
+/**
+ * Replace the secret of a stored key (the id stays the same)
+ *
+ * @param {string} id
+ * @param {string} apiKey - New plaintext key
+ * @param {Object} [changes]
+ * @param {string} [changes.label]
+ * @returns {Promise<Object|null>} Updated row
+ */
+export async function rotateProviderKey(id, apiKey, { label } = {}) {
+  const secret = encryptSecret(apiKey.trim());
+
+  const result = await db.query(
+    `UPDATE provider_key
+     SET encrypted_key = $2, iv = $3, auth_tag = $4, encryption_key_id = $5, key_hint = $6,
+         label = COALESCE($7, label), rotated_at = NOW(), updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [id, secret.encrypted_key, secret.iv, secret.auth_tag, secret.encryption_key_id, keyHint(apiKey.trim()), label ?? null]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Delete a stored key
+ *
+ * @returns {Promise<boolean>} Whether a key was deleted
+ */
+export async function deleteProviderKey(id) {
+  const result = await db.query('DELETE FROM provider_key WHERE id = $1', [id]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Decrypt a row for use, recording the use and re-encrypting rows still on a
+ * previous master key. Bookkeeping failures never fail the AI call.
+ */
+function useStoredKey(row) {
+  const apiKey = decryptSecret(row);
+  const currentKeyId = getMasterKeys().current.id;
+
+  const update = row.encryption_key_id === currentKeyId
+    ? db.query('UPDATE provider_key SET last_used_at = NOW() WHERE id = $1', [row.id])
+    : (() => {
+      const secret = encryptSecret(apiKey);
+      return db.query(
+        `UPDATE provider_key
+         SET encrypted_key = $2, iv = $3, auth_tag = $4, encryption_key_id = $5, last_used_at = NOW()
+         WHERE id = $1`,
+        [row.id, secret.encrypted_key, secret.iv, secret.auth_tag, secret.encryption_key_id]
+      );
+    })();
+
+  update.catch(err => console.error(`[KeyVault] Failed to update provider key ${row.id}:`, err.message));
+
+  return { apiKey, source: row.scope, keyId: row.id };
+}
+
+/**
+ * Resolve the API key for a provider call
+ *
+ * Order: `apiKey` supplied with the request, the stored key `keyId`, then the
+ * user's key, the team's key (when the user is a member), the tenant's key and
+ * finally the provider's environment variable. With `tenantEndpoint` (the
+ * call goes to a base URL set by the tenant) only the request's key and the
+ * tenant's stored key are used.
+ *
+ * @param {string} provider - Provider id
+ * @param {Object} [context]
+ * @param {string} [context.apiKey] - Key supplied with the request
+ * @param {string} [context.keyId] - Stored key explicitly selected by the caller
+ * @param {string} [context.userId]
+ * @param {string} [context.teamId]
+ * @param {string} [context.tenantId]
+ * @param {boolean} [context.tenantEndpoint=false] - The call goes to the tenant's own base URL
+ * @returns {Promise<{apiKey: string|undefined, source: 'request'|'user'|'team'|'tenant'|'env'|null, keyId?: string}>}
+ * @throws {Error} With `status` when `keyId` is unknown, inaccessible, for another provider,
+ *   or not a tenant key for a tenant endpoint
+ */
+export async function resolveProviderKey(provider, { apiKey, keyId, userId, teamId, tenantId, tenantEndpoint = false } = {}) {
+  if (apiKey) {
+    return { apiKey, source: 'request' };
+  }
+
+  if (keyId) {
+    const row = await getProviderKey(keyId);
+
+    if (!row || !await canUseProviderKey(row, { userId, tenantId })) {
+      const err = new Error(`Provider key not found: ${keyId}`);
+      err.status = 404;
+      throw err;
+    }
+    if (row.provider !== provider) {
+      const err = new Error(`Provider key ${keyId} belongs to ${row.provider}, not ${provider}`);
+      err.status = 400;
+      throw err;
+    }
+    if (tenantEndpoint && row.scope !== 'tenant') {
+      const err = new Error(`Only tenant keys can be used with the tenant's ${provider} base URL`);
+      err.status = 400;
+      throw err;
+    }
+
+    return useStoredKey(row);
+  }
+
+  if (tenantEndpoint) {
+    const result = isVaultConfigured() && tenantId
+      ? await db.query(
+        `SELECT * FROM provider_key WHERE provider = $1 AND scope = 'tenant' AND tenant_id = $2`,
+        [provider, tenantId]
+      )
+      : { rows: [] };
+
+    return result.rows[0] ? useStoredKey(result.rows[0]) : { apiKey: undefined, source: null };
+  }
+
+  if (isVaultConfigured() && (userId || tenantId)) {
+    const result = await db.query(
+      `SELECT * FROM provider_key
+       WHERE provider = $1
+         AND ((scope = 'user' AND user_id = $2)
+           OR (scope = 'team' AND team_id = $3
+               AND EXISTS (SELECT 1 FROM team_members tm WHERE tm.team_id = provider_key.team_id AND tm.user_id = $2))
+           OR (scope = 'tenant' AND tenant_id = $4))
+       ORDER BY ${SCOPE_PRIORITY}
+       LIMIT 1`,
+      [provider, userId || null, teamId || null, tenantId || null]
+    );
+
+    if (result.rows[0]) {
+      return useStoredKey(result.rows[0]);
+    }
+  }
+
+  const envKey = PROVIDER_CONFIGS[provider]?.envKey;
+  const envValue = envKey ? process.env[envKey] : undefined;
+
+  return envValue ? { apiKey: envValue, source: 'env' } : { apiKey: undefined, source: null };
+}
+
+export default {
+  KEY_SCOPES,
+  isVaultConfigured,
+  encryptSecret,
+  decryptSecret,
+  serializeProviderKey,
+  validateProviderKeyInput,
+  canUseProviderKey,
+  canManageScope,
+  canManageProviderKey,
+  listProviderKeys,
+  getProviderKey,
+  createProviderKey,
+  rotateProviderKey,
+  deleteProviderKey,
+  resolveProviderKey
+};
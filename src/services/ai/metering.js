@@ -0,0 +1,233 @@
+/**
+ * Metered AI Calls
+ *
+ * Wraps the router for features that spend a user's tokens:
+ * - before any provider is called, the user's monthly token budget is checked
+ *   against an estimate (prompt tokens + maxTokens) and the tier's daily call
+ *   limit against today's calls; failures throw with `status` 402 or 429
+ * - afterwards the tokens actually used are logged to token_usage, priced from
+ *   the model catalog and tagged with the feature (`metadata.feature`)
+ *
+ * Cache hits are logged as zero-token, zero-cost calls (the tokens the cached
+ * answer took are kept in `metadata.cachedInputTokens` / `cachedOutputTokens`)
+ * and do not count against the daily call limit. Calls without a user
+ * (anonymous /ai/generate) are not metered, so they must bring their own key
+ * for every candidate.
+ *
+ * @module services/ai/metering
+ */
+
+import { routeGeneration, routeStream } from './router.js';
+import { countTokens } from './tokenizer.js';
+import { enforceTokenLimit, logTokenUsage } from '../../utils/token-tracking.js';
+
+// token_usage operation type per feature
+export const FEATURE_OPERATIONS = {
+  generate: 'api_call',
+  compression: 'context',
+  extraction: 'context',
+  conversational_builder: 'ai_suggestion',
+  template_eval: 'api_call',
+  ai_compare: 'api_call',
+  workflow: 'api_call'
+};
+
+export const BUDGET_ERROR_CODES = ['TOKEN_LIMIT_EXCEEDED', 'TOKEN_BUDGET_INSUFFICIENT', 'DAILY_CALL_LIMIT_EXCEEDED'];
+
+/**
+ * Whether an error is a budget or call limit rejection
+ *
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isBudgetError(err) {
+  return BUDGET_ERROR_CODES.includes(err?.code);
+}
+
+/**
+ * Tokens a request may use: its prompt, counted with the primary candidate's
+ * tokenizer, plus the output allowance
+ *
+ * @param {Array<{provider: string, modelId: string}>} candidates
+ * @param {Object} params - Router params
+ * @param {Object} [options]
+ * @param {string} [options.tenantId]
+ * @returns {Promise<{inputTokens: number, totalTokens: number}>}
+ */
+export async function estimateRequestTokens(candidates, params, { tenantId } = {}) {
+  const [primary = {}] = candidates;
+  const messageText = (params.messages || []).map(message =>
+    typeof message?.content === 'string' ? message.content : JSON.stringify(message?.content ?? '')
+  );
+  const text = [params.systemPrompt, params.prompt, ...messageText].filter(Boolean).join('\n');
+
+  const inputTokens = await countTokens(text, { provider: primary.provider, modelId: primary.modelId, tenantId });
+  return { inputTokens, totalTokens: inputTokens + (params.maxTokens || 0) };
+}
+
+/**
+ * Reject a request the user's budget or call limit does not allow
+ *
+ * @param {string} userId
+ * @param {number} estimatedTokens
+ * @throws {Error} `status` 402 or 429 with `code` (see BUDGET_ERROR_CODES) and `details`
+ */
+export async function assertTokenBudget(userId, estimatedTokens) {
+  const check = await enforceTokenLimit(userId, { estimatedTokens });
+
+  if (!check.allowed) {
+    const err = new Error(check.error);
+    err.status = check.status;
+    err.code = check.code;
+    err.details = check.details;
+    throw err;
+  }
+
+  return check;
+}
+
+// Unmetered calls may not spend stored or environment keys
+function assertAnonymousKeys(candidates, { apiKeys } = {}) {
+  if (candidates.every(candidate => apiKeys?.[candidate.provider])) {
+    return;
+  }
+
+  const err = new Error('Sign in to use stored or server provider keys, or send your own apiKey for every provider');
+  err.status = 401;
+  throw err;
+}
+
+/**
+ * routeGeneration with budget checks and usage logging
+ *
+ * @param {string} feature - Key of FEATURE_OPERATIONS
+ * @param {Array<{provider: string, modelId: string}>} candidates
+ * @param {Object} params - Same as routeGeneration
+ * @param {Object} [options] - Same as routeGeneration (`userId` enables metering)
+ * @param {Object} [options.usage] - Logged with the usage: { resourceId, metadata }
+ * @returns {Promise<Object>} The routeGeneration result
+ * @throws {Error} `status` 401 without a user unless every candidate has a request key
+ */
+export async function meteredGeneration(feature, candidates, params, options = {}) {
+  const { userId, tenantId } = options;
+
+  if (!userId) {
+    assertAnonymousKeys(candidates, options);
+    return routeGeneration(candidates, params, options);
+  }
+
+  const estimate = await estimateRequestTokens(candidates, params, { tenantId });
+  await assertTokenBudget(userId, estimate.totalTokens);
+
+  let result;
+  try {
+    result = await routeGeneration(candidates, params, options);
+  } catch (err) {
+    await logFailure(feature, userId, candidates[0], err, { inputTokens: 0, outputTokens: 0 });
+    throw err;
+  }
+
+  await logGeneration(feature, userId, result, options.usage);
+  return result;
+}
+
+/**
+ * routeStream with budget checks and usage logging
+ * The checks run before this resolves, so rejections can be answered before a
+ * stream is opened. A stream that fails or is abandoned after it started is
+ * logged with the prompt estimate and the output sent so far.
+ *
+ * @param {string} feature - Key of FEATURE_OPERATIONS
+ * @param {Array<{provider: string, modelId: string}>} candidates
+ * @param {Object} params - Same as routeStream
+ * @param {Object} [options] - Same as routeStream (`userId` enables metering)
+ * @returns {Promise<AsyncGenerator>} routeStream events
+ * @throws {Error} `status` 401 without a user unless every candidate has a request key
+ */
+export async function meteredStream(feature, candidates, params, options = {}) {
+  const { userId, tenantId } = options;
+
+  if (!userId) {
+    assertAnonymousKeys(candidates, options);
+    return routeStream(candidates, params, options);
+  }
+
+  const estimate = await estimateRequestTokens(candidates, params, { tenantId });
+  await assertTokenBudget(userId, estimate.totalTokens);
+
+  return (async function* () {
+    let output = '';
+    let done = null;
+    let failure = null;
+
+    try {
+      for await (const event of routeStream(candidates, params, options)) {
+        if (event.type === 'delta') output += event.text;
+        if (event.type === 'done') done = event;
+        yield event;
+      }
+    } catch (err) {
+      failure = err;
+      throw err;
+    } finally {
+      if (done) {
+        await logGeneration(feature, userId, done);
+      } else {
+        const [primary] = candidates;
+        await logFailure(feature, userId, primary, failure || new Error('Stream closed by the client'), {
+          inputTokens: output ? estimate.inputTokens : 0,
+          outputTokens: await countTokens(output, { ...primary, tenantId })
+        });
+      }
+    }
+  })();
+}
+
+function logGeneration(feature, userId, generation, usage = {}) {
+  const { cached } = generation;
+
+  return logTokenUsage(userId, {
+    operationType: FEATURE_OPERATIONS[feature] || 'other',
+    resourceId: usage.resourceId || null,
+    inputTokens: cached ? 0 : generation.inputTokens || 0,
+    outputTokens: cached ? 0 : generation.outputTokens || 0,
+    metadata: {
+      ...usage.metadata,
+      feature,
+      provider: generation.routing?.provider || generation.provider,
+      model: generation.routing?.model || generation.model,
+      costUsd: cached ? 0 : generation.cost || 0,
+      ...(cached && {
+        cached: true,
+        cachedInputTokens: generation.inputTokens || 0,
+        cachedOutputTokens: generation.outputTokens || 0
+      })
+    }
+  });
+}
+
+// Priced from the catalog: tokens of a failed call are only known when a stream had started
+function logFailure(feature, userId, candidate, err, { inputTokens, outputTokens }) {
+  return logTokenUsage(userId, {
+    operationType: FEATURE_OPERATIONS[feature] || 'other',
+    inputTokens,
+    outputTokens,
+    success: false,
+    errorMessage: err.message,
+    metadata: {
+      feature,
+      provider: candidate?.provider,
+      model: candidate?.modelId
+    }
+  });
+}
+
+export default {
+  FEATURE_OPERATIONS,
+  BUDGET_ERROR_CODES,
+  isBudgetError,
+  estimateRequestTokens,
+  assertTokenBudget,
+  meteredGeneration,
+  meteredStream
+};
@@ -4,20 +4,21 @@
  */
 
 import Anthropic from '@anthropic-ai/sdk';
-import { calculateCost } from '../config.js';
+import { toAnthropicMessages, anthropicToolParams, fromAnthropicContent } from '../tools.js';
 
-export async function generateAnthropic({ modelId, prompt, systemPrompt, maxTokens, temperature, messages }, apiKey) {
+export async function generateAnthropic({ modelId, prompt, systemPrompt, maxTokens, temperature, messages, tools, toolChoice }, apiKey, { signal } = {}) {
   const anthropic = new Anthropic({ apiKey });
 
   const chatMessages = messages && messages.length > 0
-    ? messages
+    ? toAnthropicMessages(messages)
     : [{ role: 'user', content: prompt }];
 
   const requestBody = {
     model: modelId,
     messages: chatMessages,
     max_tokens: maxTokens,
-    temperature: temperature
+    temperature: temperature,
+    ...anthropicToolParams({ tools, toolChoice })
   };
 
   if (systemPrompt) {
@@ -26,15 +27,15 @@ export async function generateAnthropic({ modelId, prompt, systemPrompt, maxToke
 
   const startTime = Date.now();
 
-  const response = await anthropic.messages.create(requestBody);
+  const response = await anthropic.messages.create(requestBody, { signal });
 
   const latency = (Date.now() - startTime) / 1000;
 
-  const output = response.content[0].text;
+  // Tool calls arrive as tool_use blocks next to (or instead of) text
+  const { text: output, toolCalls } = fromAnthropicContent(response.content);
   const inputTokens = response.usage.input_tokens;
   const outputTokens = response.usage.output_tokens;
   const totalTokens = inputTokens + outputTokens;
-  const cost = calculateCost(modelId, inputTokens, outputTokens);
 
   return {
     success: true,
@@ -45,9 +46,63 @@ export async function generateAnthropic({ modelId, prompt, systemPrompt, maxToke
     inputTokens,
     outputTokens,
     totalTokens,
-    cost,
     latency,
     timestamp: new Date(),
-    stopReason: response.stop_reason
+    stopReason: response.stop_reason,
+    ...(toolCalls.length > 0 && { toolCalls })
   };
 }
+
+/**
+ * Stream a message
+ *
+ * @param {Object} params - Same as generateAnthropic
+ * @param {string} apiKey
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @yields {{type: 'delta', text: string}|{type: 'usage', inputTokens: number, outputTokens: number, finishReason: string}}
+ */
+export async function* streamAnthropic({ modelId, prompt, systemPrompt, maxTokens, temperature, messages }, apiKey, { signal } = {}) {
+  const anthropic = new Anthropic({ apiKey });
+
+  const chatMessages = messages && messages.length > 0
+    ? messages
+    : [{ role: 'user', content: prompt }];
+
+  const requestBody = {
+    model: modelId,
+    messages: chatMessages,
+    max_tokens: maxTokens,
+    temperature: temperature,
+    stream: true
+  };
+
+  if (systemPrompt) {
+    requestBody.system = systemPrompt;
+  }
+
+  const stream = await anthropic.messages.create(requestBody, { signal });
+
+  let inputTokens;
+  let outputTokens;
+  let finishReason = null;
+
+  for await (const event of stream) {
+    switch (event.type) {
+      case 'message_start':
+        inputTokens = event.message.usage?.input_tokens;
+        break;
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta' && event.delta.text) {
+          yield { type: 'delta', text: event.delta.text };
+        }
+        break;
+      case 'message_delta':
+        finishReason = event.delta?.stop_reason ?? finishReason;
+        outputTokens = event.usage?.output_tokens ?? outputTokens;
+        break;
+    }
+  }
+
+  yield { type: 'usage', inputTokens, outputTokens, finishReason };
+}
@@ -4,12 +4,20 @@
  */
 
 import { GoogleGenerativeAI } from '@google/generative-ai';
-import { calculateCost, estimateTokens } from '../config.js';
+import { AI_PROVIDERS, PROVIDER_CONFIGS } from '../config.js';
+import { countTokens } from '../tokenizer.js';
+import { readSseEvents } from '../../../utils/sse.js';
+import { usesTools, toGeminiTools, toGeminiToolConfig, toGeminiContents, fromGeminiParts } from '../tools.js';
 
-export async function generateGoogle({ modelId, prompt, systemPrompt, maxTokens, temperature, messages }, apiKey) {
+export async function generateGoogle(params, apiKey) {
+  const { modelId, prompt, systemPrompt, maxTokens, temperature } = params;
   const genAI = new GoogleGenerativeAI(apiKey);
   const model = genAI.getGenerativeModel({ model: modelId });
 
+  if (usesTools(params)) {
+    return generateGoogleWithTools(model, params);
+  }
+
   let fullPrompt = prompt;
   if (systemPrompt) {
     fullPrompt = `${systemPrompt}\n\n${prompt}`;
@@ -31,10 +39,9 @@ export async function generateGoogle({ modelId, prompt, systemPrompt, maxTokens,
   const output = response.text();
 
   // Google provides usage metadata
-  const inputTokens = response.usageMetadata?.promptTokenCount || estimateTokens(fullPrompt);
-  const outputTokens = response.usageMetadata?.candidatesTokenCount || estimateTokens(output);
+  const inputTokens = response.usageMetadata?.promptTokenCount || await countTokens(fullPrompt, { provider: AI_PROVIDERS.GOOGLE, modelId });
+  const outputTokens = response.usageMetadata?.candidatesTokenCount || await countTokens(output, { provider: AI_PROVIDERS.GOOGLE, modelId });
   const totalTokens = response.usageMetadata?.totalTokenCount || inputTokens + outputTokens;
-  const cost = calculateCost(modelId, inputTokens, outputTokens);
 
   return {
     success: true,
@@ -45,9 +52,126 @@ export async function generateGoogle({ modelId, prompt, systemPrompt, maxTokens,
     inputTokens,
     outputTokens,
     totalTokens,
-    cost,
     latency,
     timestamp: new Date(),
     finishReason: response.candidates?.[0]?.finishReason
   };
 }
+
+/**
+ * Generate with function declarations and a multi-turn conversation
+ * (function calls and responses travel as parts of `contents`)
+ */
+async function generateGoogleWithTools(model, { modelId, prompt, systemPrompt, maxTokens, temperature, messages, tools, toolChoice }) {
+  const { contents, systemInstruction } = toGeminiContents({ prompt, systemPrompt, messages });
+
+  const startTime = Date.now();
+
+  const result = await model.generateContent({
+    contents,
+    ...(systemInstruction && { systemInstruction: { role: 'system', parts: [{ text: systemInstruction }] } }),
+    ...(tools?.length > 0 && { tools: toGeminiTools(tools) }),
+    ...(tools?.length > 0 && toolChoice !== undefined && { toolConfig: toGeminiToolConfig(toolChoice) }),
+    generationConfig: {
+      temperature: temperature,
+      maxOutputTokens: maxTokens
+    }
+  });
+
+  const latency = (Date.now() - startTime) / 1000;
+
+  const response = result.response;
+  const candidate = response.candidates?.[0];
+  const { text: output, toolCalls } = fromGeminiParts(candidate?.content?.parts);
+
+  const inputTokens = response.usageMetadata?.promptTokenCount || await countTokens(JSON.stringify(contents), { provider: AI_PROVIDERS.GOOGLE, modelId });
+  const outputTokens = response.usageMetadata?.candidatesTokenCount || await countTokens(output, { provider: AI_PROVIDERS.GOOGLE, modelId });
+  const totalTokens = response.usageMetadata?.totalTokenCount || inputTokens + outputTokens;
+
+  return {
+    success: true,
+    output,
+    model: modelId,
+    modelId,
+    provider: 'google',
+    inputTokens,
+    outputTokens,
+    totalTokens,
+    latency,
+    timestamp: new Date(),
+    finishReason: candidate?.finishReason,
+    ...(toolCalls.length > 0 && { toolCalls })
+  };
+}
+
+/**
+ * Stream a completion
+ * Uses the REST endpoint directly so client disconnects can abort the request.
+ *
+ * @param {Object} params - Same as generateGoogle
+ * @param {string} apiKey
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @yields {{type: 'delta', text: string}|{type: 'usage', inputTokens: number, outputTokens: number, finishReason: string}}
+ */
+export async function* streamGoogle({ modelId, prompt, systemPrompt, maxTokens, temperature }, apiKey, { signal } = {}) {
+  let fullPrompt = prompt;
+  if (systemPrompt) {
+    fullPrompt = `${systemPrompt}\n\n${prompt}`;
+  }
+
+  const response = await fetch(
+    `${PROVIDER_CONFIGS[AI_PROVIDERS.GOOGLE].baseUrl}/models/${encodeURIComponent(modelId)}:streamGenerateContent?alt=sse`,
+    {
+      method: 'POST',
+      headers: {
+        'x-goog-api-key': apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        contents: [{ role: 'user', parts: [{ text: fullPrompt }] }],
+        generationConfig: {
+          temperature: temperature,
+          maxOutputTokens: maxTokens
+        }
+      }),
+      signal
+    }
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const err = new Error(errorData.error?.message || `Google AI error: ${response.status} ${response.statusText}`);
+    err.status = response.status;
+    throw err;
+  }
+
+  let output = '';
+  let usage = null;
+  let finishReason = null;
+
+  for await (const { data } of readSseEvents(response.body)) {
+    const chunk = JSON.parse(data);
+    const candidate = chunk.candidates?.[0];
+    const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+
+    if (text) {
+      output += text;
+      yield { type: 'delta', text };
+    }
+    if (candidate?.finishReason) {
+      finishReason = candidate.finishReason;
+    }
+    // Usage metadata is cumulative; the last chunk has the totals
+    if (chunk.usageMetadata) {
+      usage = chunk.usageMetadata;
+    }
+  }
+
+  yield {
+    type: 'usage',
+    inputTokens: usage?.promptTokenCount || await countTokens(fullPrompt, { provider: AI_PROVIDERS.GOOGLE, modelId }),
+    outputTokens: usage?.candidatesTokenCount || await countTokens(output, { provider: AI_PROVIDERS.GOOGLE, modelId }),
+    finishReason
+  };
+}
@@ -3,9 +3,21 @@
  * Backend implementation for HuggingFace Inference API calls
  */
 
-import { calculateCost, estimateTokens } from '../config.js';
+import { AI_PROVIDERS } from '../config.js';
+import { countTokens } from '../tokenizer.js';
+import { readSseEvents } from '../../../utils/sse.js';
+
+function huggingFaceError(response, errorData) {
+  // Handle model loading state
+  const err = response.status === 503 && errorData.error?.includes('loading')
+    ? new Error('Model is currently loading. This usually takes 20-30 seconds. Please try again shortly.')
+    : new Error(errorData.error || `HuggingFace API error: ${response.status} ${response.statusText}`);
+
+  err.status = response.status;
+  return err;
+}
 
-export async function generateHuggingFace({ modelId, prompt, systemPrompt, maxTokens, temperature }, apiKey) {
+export async function generateHuggingFace({ modelId, prompt, systemPrompt, maxTokens, temperature }, apiKey, { signal } = {}) {
   const input = systemPrompt ? `${systemPrompt}\n\n${prompt}` : prompt;
 
   const startTime = Date.now();
@@ -26,7 +38,8 @@ export async function generateHuggingFace({ modelId, prompt, systemPrompt, maxTo
           return_full_text: false,
           do_sample: temperature > 0
         }
-      })
+      }),
+      signal
     }
   );
 
@@ -35,16 +48,7 @@ export async function generateHuggingFace({ modelId, prompt, systemPrompt, maxTo
   if (!response.ok) {
     const errorData = await response.json().catch(() => ({}));
 
-    // Handle model loading state
-    if (response.status === 503 && errorData.error?.includes('loading')) {
-      throw new Error(
-        'Model is currently loading. This usually takes 20-30 seconds. Please try again shortly.'
-      );
-    }
-
-    throw new Error(
-      errorData.error || `HuggingFace API error: ${response.status} ${response.statusText}`
-    );
+    throw huggingFaceError(response, errorData);
   }
 
   const data = await response.json();
@@ -54,10 +58,9 @@ export async function generateHuggingFace({ modelId, prompt, systemPrompt, maxTo
     ? data[0].generated_text
     : data.generated_text || '';
 
-  const inputTokens = estimateTokens(input);
-  const outputTokens = estimateTokens(output);
+  const inputTokens = await countTokens(input, { provider: AI_PROVIDERS.HUGGINGFACE, modelId });
+  const outputTokens = await countTokens(output, { provider: AI_PROVIDERS.HUGGINGFACE, modelId });
   const totalTokens = inputTokens + outputTokens;
-  const cost = calculateCost(modelId, inputTokens, outputTokens);
 
   return {
     success: true,
@@ -68,12 +71,79 @@ export async function generateHuggingFace({ modelId, prompt, systemPrompt, maxTo
     inputTokens,
     outputTokens,
     totalTokens,
-    cost,
     latency,
     timestamp: new Date()
   };
 }
 
+/**
+ * Stream a completion (text-generation-inference models)
+ *
+ * @param {Object} params - Same as generateHuggingFace
+ * @param {string} apiKey
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @yields {{type: 'delta', text: string}|{type: 'usage', inputTokens: number, outputTokens: number, finishReason: string}}
+ */
+export async function* streamHuggingFace({ modelId, prompt, systemPrompt, maxTokens, temperature }, apiKey, { signal } = {}) {
+  const input = systemPrompt ? `${systemPrompt}\n\n${prompt}` : prompt;
+
+  const response = await fetch(
+    `https://api-inference.huggingface.co/models/${modelId}`,
+    {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        inputs: input,
+        parameters: {
+          max_new_tokens: maxTokens,
+          temperature: temperature,
+          return_full_text: false,
+          do_sample: temperature > 0
+        },
+        stream: true
+      }),
+      signal
+    }
+  );
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+
+    throw huggingFaceError(response, errorData);
+  }
+
+  let output = '';
+  let details = null;
+
+  for await (const { data } of readSseEvents(response.body)) {
+    const chunk = JSON.parse(data);
+
+    if (chunk.error) {
+      throw new Error(chunk.error);
+    }
+
+    const text = chunk.token?.special ? '' : chunk.token?.text;
+    if (text) {
+      output += text;
+      yield { type: 'delta', text };
+    }
+    if (chunk.details) {
+      details = chunk.details;
+    }
+  }
+
+  yield {
+    type: 'usage',
+    inputTokens: await countTokens(input, { provider: AI_PROVIDERS.HUGGINGFACE, modelId }),
+    outputTokens: details?.generated_tokens ?? await countTokens(output, { provider: AI_PROVIDERS.HUGGINGFACE, modelId }),
+    finishReason: details?.finish_reason ?? null
+  };
+}
+
 export async function generateHuggingFaceEmbedding(text, modelId = 'sentence-transformers/all-MiniLM-L6-v2', apiKey) {
   const response = await fetch(
     `https://api-inference.huggingface.co/pipeline/feature-extraction/${modelId}`,
@@ -0,0 +1,166 @@
+/**
+ * Ollama Provider Implementation
+ * Backend implementation for self-hosted Ollama servers (/api/chat, /api/tags)
+ */
+
+import { AI_PROVIDERS } from '../config.js';
+import { countTokens } from '../tokenizer.js';
+import { fetchProviderEndpoint } from '../endpoints.js';
+
+function buildMessages({ prompt, systemPrompt, messages }) {
+  const chatMessages = [];
+
+  if (systemPrompt) {
+    chatMessages.push({ role: 'system', content: systemPrompt });
+  }
+
+  if (messages && messages.length > 0) {
+    chatMessages.push(...messages);
+  } else {
+    chatMessages.push({ role: 'user', content: prompt });
+  }
+
+  return chatMessages;
+}
+
+async function postChat(baseUrl, { modelId, maxTokens, temperature, responseFormat, ...params }, stream, signal, address) {
+  const response = await fetchProviderEndpoint(`${baseUrl.replace(/\/+$/, '')}/api/chat`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model: modelId,
+      messages: buildMessages(params),
+      stream,
+      ...(responseFormat === 'json' && { format: 'json' }),
+      options: {
+        temperature: temperature,
+        num_predict: maxTokens
+      }
+    }),
+    signal
+  }, address);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const err = new Error(errorData.error || `Ollama error: ${response.status} ${response.statusText}`);
+    err.status = response.status;
+    throw err;
+  }
+
+  return response;
+}
+
+/**
+ * Read newline-delimited JSON objects from a fetch response body
+ */
+async function* readJsonLines(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).trim();
+      buffer = buffer.slice(newline + 1);
+      if (line) yield JSON.parse(line);
+    }
+  }
+
+  if (buffer.trim()) {
+    yield JSON.parse(buffer);
+  }
+}
+
+export async function generateOllama(params, apiKey, { baseUrl, address, signal }) {
+  const startTime = Date.now();
+
+  const response = await postChat(baseUrl, params, false, signal, address);
+  const data = await response.json();
+
+  const latency = (Date.now() - startTime) / 1000;
+
+  const output = data.message?.content || '';
+  const inputTokens = data.prompt_eval_count ?? await countTokens(buildMessages(params).map(m => m.content).join('\n'), { provider: AI_PROVIDERS.OLLAMA, modelId: params.modelId });
+  const outputTokens = data.eval_count ?? await countTokens(output, { provider: AI_PROVIDERS.OLLAMA, modelId: params.modelId });
+  const totalTokens = inputTokens + outputTokens;
+
+  return {
+    success: true,
+    output,
+    model: params.modelId,
+    modelId: params.modelId,
+    provider: 'ollama',
+    inputTokens,
+    outputTokens,
+    totalTokens,
+    latency,
+    timestamp: new Date(),
+    finishReason: data.done_reason
+  };
+}
+
+/**
+ * Stream a chat completion
+ *
+ * @param {Object} params - Same as generateOllama
+ * @param {string} apiKey - Unused
+ * @param {Object} options
+ * @param {string} options.baseUrl - Ollama server URL
+ * @param {Object} [options.address] - Connect to this address (see assertPublicBaseUrl)
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @yields {{type: 'delta', text: string}|{type: 'usage', inputTokens: number, outputTokens: number, finishReason: string}}
+ */
+export async function* streamOllama(params, apiKey, { baseUrl, address, signal }) {
+  const response = await postChat(baseUrl, params, true, signal, address);
+
+  for await (const chunk of readJsonLines(response.body)) {
+    if (chunk.error) {
+      throw new Error(chunk.error);
+    }
+
+    if (chunk.message?.content) {
+      yield { type: 'delta', text: chunk.message.content };
+    }
+
+    if (chunk.done) {
+      yield {
+        type: 'usage',
+        inputTokens: chunk.prompt_eval_count,
+        outputTokens: chunk.eval_count,
+        finishReason: chunk.done_reason ?? 'stop'
+      };
+    }
+  }
+}
+
+/**
+ * List the models pulled on an Ollama server
+ *
+ * @param {string} baseUrl - Ollama server URL
+ * @param {string} [apiKey] - Unused
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.address] - Connect to this address (see assertPublicBaseUrl)
+ * @returns {Promise<Object[]>} Models in the /ai/providers shape
+ */
+export async function listOllamaModels(baseUrl, apiKey, { signal, address } = {}) {
+  const response = await fetchProviderEndpoint(`${baseUrl.replace(/\/+$/, '')}/api/tags`, { signal }, address);
+
+  if (!response.ok) {
+    throw new Error(`Ollama error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  return (data.models || []).map(model => ({
+    id: model.name,
+    name: model.name,
+    family: model.details?.family || null,
+    parameterSize: model.details?.parameter_size || null,
+    quantization: model.details?.quantization_level || null,
+    input: 0,
+    output: 0
+  }));
+}
@@ -0,0 +1,180 @@
+/**
+ * OpenAI-Compatible Provider Implementation
+ * Backend implementation for self-hosted servers exposing the OpenAI chat API
+ * (vLLM, LM Studio, llama.cpp server, ...). The base URL includes the API
+ * prefix, e.g. http://localhost:8000/v1.
+ */
+
+import { AI_PROVIDERS } from '../config.js';
+import { countTokens } from '../tokenizer.js';
+import { readSseEvents } from '../../../utils/sse.js';
+import { fetchProviderEndpoint } from '../endpoints.js';
+import { toOpenAIMessages, openAIToolParams, fromOpenAIToolCalls } from '../tools.js';
+
+function buildMessages({ prompt, systemPrompt, messages }) {
+  const chatMessages = [];
+
+  if (systemPrompt) {
+    chatMessages.push({ role: 'system', content: systemPrompt });
+  }
+
+  if (messages && messages.length > 0) {
+    chatMessages.push(...toOpenAIMessages(messages));
+  } else {
+    chatMessages.push({ role: 'user', content: prompt });
+  }
+
+  return chatMessages;
+}
+
+function buildHeaders(apiKey) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) {
+    headers.Authorization = `Bearer ${apiKey}`;
+  }
+  return headers;
+}
+
+async function postChatCompletion(baseUrl, apiKey, body, signal, address) {
+  const response = await fetchProviderEndpoint(`${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers: buildHeaders(apiKey),
+    body: JSON.stringify(body),
+    signal
+  }, address);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const message = errorData.error?.message || errorData.error || errorData.message;
+    const err = new Error(message || `OpenAI-compatible server error: ${response.status} ${response.statusText}`);
+    err.status = response.status;
+    err.code = errorData.error?.code;
+    throw err;
+  }
+
+  return response;
+}
+
+export async function generateOpenAICompatible(params, apiKey, { baseUrl, address, signal }) {
+  const { modelId, maxTokens, temperature, responseFormat, tools, toolChoice } = params;
+  const chatMessages = buildMessages(params);
+
+  const startTime = Date.now();
+
+  const response = await postChatCompletion(baseUrl, apiKey, {
+    model: modelId,
+    messages: chatMessages,
+    max_tokens: maxTokens,
+    temperature: temperature,
+    ...(responseFormat === 'json' && { response_format: { type: 'json_object' } }),
+    ...openAIToolParams({ tools, toolChoice })
+  }, signal, address);
+  const completion = await response.json();
+
+  const latency = (Date.now() - startTime) / 1000;
+
+  const output = completion.choices?.[0]?.message?.content || '';
+  const toolCalls = fromOpenAIToolCalls(completion.choices?.[0]?.message?.tool_calls);
+  // Some servers omit usage
+  const inputTokens = completion.usage?.prompt_tokens ?? await countTokens(chatMessages.map(m => m.content || '').join('\n'), { provider: AI_PROVIDERS.OPENAI_COMPATIBLE, modelId });
+  const outputTokens = completion.usage?.completion_tokens ?? await countTokens(output, { provider: AI_PROVIDERS.OPENAI_COMPATIBLE, modelId });
+  const totalTokens = inputTokens + outputTokens;
+
+  return {
+    success: true,
+    output,
+    model: modelId,
+    modelId,
+    provider: 'openai-compatible',
+    inputTokens,
+    outputTokens,
+    totalTokens,
+    latency,
+    timestamp: new Date(),
+    finishReason: completion.choices?.[0]?.finish_reason,
+    ...(toolCalls.length > 0 && { toolCalls })
+  };
+}
+
+/**
+ * Stream a chat completion
+ *
+ * @param {Object} params - Same as generateOpenAICompatible
+ * @param {string} [apiKey] - Sent as a bearer token when set
+ * @param {Object} options
+ * @param {string} options.baseUrl - Server URL including the API prefix
+ * @param {Object} [options.address] - Connect to this address (see assertPublicBaseUrl)
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @yields {{type: 'delta', text: string}|{type: 'usage', inputTokens: number, outputTokens: number, finishReason: string}}
+ */
+export async function* streamOpenAICompatible(params, apiKey, { baseUrl, address, signal }) {
+  const { modelId, maxTokens, temperature } = params;
+
+  const response = await postChatCompletion(baseUrl, apiKey, {
+    model: modelId,
+    messages: buildMessages(params),
+    max_tokens: maxTokens,
+    temperature: temperature,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, signal, address);
+
+  let finishReason = null;
+  let usage = null;
+
+  for await (const { data } of readSseEvents(response.body)) {
+    if (data === '[DONE]') break;
+
+    const chunk = JSON.parse(data);
+    const choice = chunk.choices?.[0];
+
+    if (choice?.delta?.content) {
+      yield { type: 'delta', text: choice.delta.content };
+    }
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  }
+
+  yield {
+    type: 'usage',
+    inputTokens: usage?.prompt_tokens,
+    outputTokens: usage?.completion_tokens,
+    finishReason
+  };
+}
+
+/**
+ * List the models served by an OpenAI-compatible server
+ *
+ * @param {string} baseUrl - Server URL including the API prefix
+ * @param {string} [apiKey] - Sent as a bearer token when set
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @param {Object} [options.address] - Connect to this address (see assertPublicBaseUrl)
+ * @returns {Promise<Object[]>} Models in the /ai/providers shape
+ */
+export async function listOpenAICompatibleModels(baseUrl, apiKey, { signal, address } = {}) {
+  const response = await fetchProviderEndpoint(`${baseUrl.replace(/\/+$/, '')}/models`, {
+    headers: buildHeaders(apiKey),
+    signal
+  }, address);
+
+  if (!response.ok) {
+    throw new Error(`OpenAI-compatible server error: ${response.status} ${response.statusText}`);
+  }
+
+  const data = await response.json();
+
+  return (data.data || []).map(model => ({
+    id: model.id,
+    name: model.id,
+    ownedBy: model.owned_by || null,
+    maxTokens: model.max_model_len || undefined,
+    input: 0,
+    output: 0
+  }));
+}
@@ -4,9 +4,9 @@
  */
 
 import OpenAI from 'openai';
-import { calculateCost } from '../config.js';
+import { toOpenAIMessages, openAIToolParams, fromOpenAIToolCalls } from '../tools.js';
 
-export async function generateOpenAI({ modelId, prompt, systemPrompt, maxTokens, temperature, messages }, apiKey) {
+export async function generateOpenAI({ modelId, prompt, systemPrompt, maxTokens, temperature, messages, responseFormat, tools, toolChoice }, apiKey, { signal } = {}) {
   const openai = new OpenAI({ apiKey });
 
   const chatMessages = [];
@@ -16,7 +16,7 @@ export async function generateOpenAI({ modelId, prompt, systemPrompt, maxTokens,
   }
 
   if (messages && messages.length > 0) {
-    chatMessages.push(...messages);
+    chatMessages.push(...toOpenAIMessages(messages));
   } else {
     chatMessages.push({ role: 'user', content: prompt });
   }
@@ -27,16 +27,19 @@ export async function generateOpenAI({ modelId, prompt, systemPrompt, maxTokens,
     model: modelId,
     messages: chatMessages,
     max_tokens: maxTokens,
-    temperature: temperature
-  });
+    temperature: temperature,
+    ...(responseFormat === 'json' && { response_format: { type: 'json_object' } }),
+    ...openAIToolParams({ tools, toolChoice })
+  }, { signal });
 
   const latency = (Date.now() - startTime) / 1000;
 
-  const output = completion.choices[0].message.content;
+  const message = completion.choices[0].message;
+  const output = message.content || '';
+  const toolCalls = fromOpenAIToolCalls(message.tool_calls);
   const inputTokens = completion.usage.prompt_tokens;
   const outputTokens = completion.usage.completion_tokens;
   const totalTokens = completion.usage.total_tokens;
-  const cost = calculateCost(modelId, inputTokens, outputTokens);
 
   return {
     success: true,
@@ -47,10 +50,69 @@ export async function generateOpenAI({ modelId, prompt, systemPrompt, maxTokens,
     inputTokens,
     outputTokens,
     totalTokens,
-    cost,
     latency,
     timestamp: new Date(),
-    finishReason: completion.choices[0].finish_reason
+    finishReason: completion.choices[0].finish_reason,
+    ...(toolCalls.length > 0 && { toolCalls })
+  };
+}
+
+/**
+ * Stream a chat completion
+ *
+ * @param {Object} params - Same as generateOpenAI
+ * @param {string} apiKey
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Aborts the upstream request
+ * @yields {{type: 'delta', text: string}|{type: 'usage', inputTokens: number, outputTokens: number, finishReason: string}}
+ */
+export async function* streamOpenAI({ modelId, prompt, systemPrompt, maxTokens, temperature, messages }, apiKey, { signal } = {}) {
+  const openai = new OpenAI({ apiKey });
+
+  const chatMessages = [];
+
+  if (systemPrompt) {
+    chatMessages.push({ role: 'system', content: systemPrompt });
+  }
+
+  if (messages && messages.length > 0) {
+    chatMessages.push(...messages);
+  } else {
+    chatMessages.push({ role: 'user', content: prompt });
+  }
+
+  const stream = await openai.chat.completions.create({
+    model: modelId,
+    messages: chatMessages,
+    max_tokens: maxTokens,
+    temperature: temperature,
+    stream: true,
+    stream_options: { include_usage: true }
+  }, { signal });
+
+  let finishReason = null;
+  let usage = null;
+
+  for await (const chunk of stream) {
+    const choice = chunk.choices?.[0];
+
+    if (choice?.delta?.content) {
+      yield { type: 'delta', text: choice.delta.content };
+    }
+    if (choice?.finish_reason) {
+      finishReason = choice.finish_reason;
+    }
+    // Usage arrives on a final chunk without choices
+    if (chunk.usage) {
+      usage = chunk.usage;
+    }
+  }
+
+  yield {
+    type: 'usage',
+    inputTokens: usage?.prompt_tokens,
+    outputTokens: usage?.completion_tokens,
+    finishReason
   };
 }
 
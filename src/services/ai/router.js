@@ -0,0 +1,410 @@
+/**
+ * AI Provider Routing
+ *
+ * Calls an ordered list of provider/model candidates until one answers:
+ * - 429 and 5xx responses are retried on the same candidate with exponential
+ *   backoff (honouring Retry-After), then fall back to the next candidate
+ * - timeouts, context-length errors, unreachable servers and rejected keys fall
+ *   back to the next candidate immediately
+ * - other errors (bad requests) are returned without trying further candidates
+ *
+ * Results carry a `routing` record naming the candidate that answered and
+ * every attempt made. API keys are resolved per candidate through the key vault
+ * (request key, then the user's, team's and tenant's stored keys, then the
+ * environment; only the request key or the tenant's key for a base URL set by
+ * the tenant). Default candidates per feature can be overridden with
+ * `AI_ROUTE_<FEATURE>` (or `AI_ROUTE_DEFAULT`), e.g.
+ * `AI_ROUTE_COMPRESSION=ollama:llama3.2,openai:gpt-4o`.
+ *
+ * @module services/ai/router
+ */
+
+import { PROVIDER_CONFIGS } from './config.js';
+import { generateWithProvider, streamWithProvider, isServerProvider, supportsTools } from './generate.js';
+import { resolveProviderKey } from './key-vault.js';
+import { hasTenantBaseUrl } from './endpoints.js';
+import { usesTools } from './tools.js';
+
+export const ROUTING_DEFAULTS = {
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000,
+  timeoutMs: 60000
+};
+
+const DEFAULT_ROUTE = [
+  { provider: 'anthropic', modelId: 'claude-3-5-sonnet-20241022' },
+  { provider: 'openai', modelId: 'gpt-4-turbo-preview' }
+];
+
+const FEATURE_ROUTES = {
+  compression: DEFAULT_ROUTE,
+  conversational_builder: DEFAULT_ROUTE,
+  extraction: DEFAULT_ROUTE
+};
+
+const CONTEXT_LENGTH_PATTERN = /context[ _]length|context window|maximum context|too many tokens|prompt is too long|input is too long|reduce the length/i;
+
+// Error types that are retried on the same candidate before falling back
+const RETRYABLE = ['rate_limit', 'server'];
+// Error types that move on to the next candidate
+const FALLBACK = ['rate_limit', 'server', 'timeout', 'context_length', 'unavailable', 'auth'];
+
+/**
+ * Parse a route spec: comma-separated `provider:model` pairs
+ * Only the first colon separates provider and model (Ollama tags contain colons).
+ *
+ * @param {string} spec
+ * @returns {Array<{provider: string, modelId: string}>}
+ */
+export function parseRouteSpec(spec) {
+  return String(spec || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(':');
+      return separator === -1
+        ? { provider: entry, modelId: null }
+        : { provider: entry.slice(0, separator), modelId: entry.slice(separator + 1) };
+    })
+    .filter(candidate => candidate.modelId);
+}
+
+/**
+ * Get the candidates for a feature (environment override, then built-in default)
+ *
+ * @param {string} feature - e.g. 'compression'
+ * @returns {Array<{provider: string, modelId: string}>}
+ */
+export function getRouteCandidates(feature) {
+  const override = process.env[`AI_ROUTE_${feature.toUpperCase()}`] || process.env.AI_ROUTE_DEFAULT;
+  const parsed = override ? parseRouteSpec(override) : [];
+
+  return parsed.length > 0 ? parsed : (FEATURE_ROUTES[feature] || DEFAULT_ROUTE);
+}
+
+/**
+ * Classify a provider error for routing decisions
+ *
+ * @param {Error} err
+ * @returns {'rate_limit'|'server'|'timeout'|'context_length'|'unavailable'|'auth'|'error'}
+ */
+export function classifyProviderError(err) {
+  const status = err.status ?? err.statusCode ?? err.response?.status;
+  const message = err.message || '';
+
+  if (err.code === 'ROUTE_TIMEOUT' || err.name === 'TimeoutError' || /timed? ?out/i.test(message)) {
+    return 'timeout';
+  }
+  if (err.code === 'context_length_exceeded' || status === 413 || CONTEXT_LENGTH_PATTERN.test(message)) {
+    return 'context_length';
+  }
+  if (status === 429) {
+    return 'rate_limit';
+  }
+  if (status >= 500) {
+    return 'server';
+  }
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (!status && (err.name === 'APIConnectionError' || err.cause?.code || message === 'fetch failed')) {
+    return 'unavailable';
+  }
+  return 'error';
+}
+
+/**
+ * HTTP status to report for a routing failure
+ *
+ * @param {Error} err - Error thrown by routeGeneration / routeStream
+ * @returns {number}
+ */
+export function routeErrorStatus(err) {
+  switch (err.errorType) {
+    case 'rate_limit': return 429;
+    case 'timeout': return 504;
+    case 'context_length': return 413;
+    case 'unavailable':
+    case 'not_configured': return 503;
+    case 'error': return err.status >= 400 && err.status < 500 ? 400 : 502;
+    default: return 502;
+  }
+}
+
+function backoffDelay(attempt, err, policy) {
+  const retryAfter = Number(err.headers?.['retry-after'] ?? err.headers?.get?.('retry-after'));
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, policy.maxDelayMs);
+  }
+
+  const exponential = policy.baseDelayMs * 2 ** attempt;
+  // Up to 20% jitter so parallel callers do not retry in lockstep
+  return Math.min(exponential * (1 + Math.random() * 0.2), policy.maxDelayMs);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason);
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function timeoutError(timeoutMs) {
+  const err = new Error(`Provider timed out after ${timeoutMs}ms`);
+  err.code = 'ROUTE_TIMEOUT';
+  return err;
+}
+
+/**
+ * Run an attempt with a timeout, aborting it when the timeout or the caller's
+ * signal fires (providers that ignore the signal are still cut off)
+ */
+async function withTimeout(run, timeoutMs, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', onAbort, { once: true });
+
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const err = timeoutError(timeoutMs);
+      controller.abort(err);
+      reject(err);
+    }, timeoutMs);
+  });
+
+  try {
+    return await Promise.race([run(controller.signal), timeout]);
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+  }
+}
+
+/**
+ * Check whether a candidate can be called at all
+ *
+ * @returns {string|null} Skip reason
+ */
+function skipReason(candidate, apiKey, needsTools) {
+  if (!isServerProvider(candidate.provider)) {
+    return `Provider not implemented: ${candidate.provider}`;
+  }
+  if (needsTools && !supportsTools(candidate.provider)) {
+    return `Tool calling not supported for provider: ${candidate.provider}`;
+  }
+  if (PROVIDER_CONFIGS[candidate.provider].requiresApiKey && !apiKey) {
+    return `No API key for ${candidate.provider}: send apiKey, store one with POST /api/ai/keys or set ${PROVIDER_CONFIGS[candidate.provider].envKey}`;
+  }
+  return null;
+}
+
+function allFailedError(attempts, lastError) {
+  const err = new Error(lastError
+    ? `AI provider request failed: ${lastError.message}`
+    : `No AI provider available: ${attempts.map(a => a.error).join('; ') || 'no candidates'}`);
+  err.code = 'ALL_PROVIDERS_FAILED';
+  err.errorType = lastError ? classifyProviderError(lastError) : 'not_configured';
+  err.status = lastError?.status;
+  err.attempts = attempts;
+  return err;
+}
+
+/**
+ * Walk the candidates, retrying and falling back per the routing rules
+ *
+ * @param {Array} candidates
+ * @param {Object} options
+ * @param {Function} attemptCandidate - async (candidate, apiKey) => result
+ * @returns {Promise<{result: *, routing: Object}>}
+ */
+async function runCandidates(candidates, { apiKeys = {}, keyIds = {}, userId, teamId, tenantId, needsTools = false, signal, policy }, attemptCandidate) {
+  const attempts = [];
+  let lastError = null;
+
+  for (const [index, candidate] of candidates.entries()) {
+    const { apiKey, source: keySource } = await resolveProviderKey(candidate.provider, {
+      apiKey: apiKeys[candidate.provider],
+      keyId: keyIds[candidate.provider],
+      userId,
+      teamId,
+      tenantId,
+      tenantEndpoint: await hasTenantBaseUrl(candidate.provider, tenantId)
+    });
+    const record = { provider: candidate.provider, model: candidate.modelId, keySource };
+
+    const skipped = skipReason(candidate, apiKey, needsTools);
+    if (skipped) {
+      attempts.push({ ...record, attempt: 0, outcome: 'skipped', error: skipped });
+      continue;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const startTime = Date.now();
+
+      try {
+        const result = await attemptCandidate(candidate, apiKey);
+        attempts.push({ ...record, attempt, outcome: 'success', durationMs: Date.now() - startTime });
+
+        return {
+          result,
+          routing: {
+            provider: candidate.provider,
+            model: candidate.modelId,
+            candidateIndex: index,
+            fallback: index > 0,
+            keySource,
+            attempts
+          }
+        };
+      } catch (err) {
+        if (signal?.aborted) {
+          throw err;
+        }
+
+        const errorType = classifyProviderError(err);
+        const retry = RETRYABLE.includes(errorType) && attempt < policy.maxRetries;
+        const fallback = !retry && FALLBACK.includes(errorType);
+
+        attempts.push({
+          ...record,
+          attempt,
+          outcome: retry ? 'retry' : fallback ? 'fallback' : 'failed',
+          errorType,
+          status: err.status ?? null,
+          error: err.message,
+          durationMs: Date.now() - startTime
+        });
+        lastError = err;
+
+        if (retry) {
+          await sleep(backoffDelay(attempt, err, policy), signal);
+          continue;
+        }
+
+        if (!fallback) {
+          throw allFailedError(attempts, err);
+        }
+
+        console.warn(`[AIRouter] ${candidate.provider}/${candidate.modelId} failed (${errorType}): ${err.message}`);
+        break;
+      }
+    }
+  }
+
+  throw allFailedError(attempts, lastError);
+}
+
+/**
+ * Generate a completion with the first candidate that answers
+ *
+ * @param {Array<{provider: string, modelId: string}>} candidates - In order of preference
+ * @param {Object} params - { prompt, systemPrompt, maxTokens, temperature, messages, responseFormat, tools, toolChoice }
+ *   (modelId comes from the candidate; with tools, providers without tool calling are skipped)
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Tenant for self-hosted endpoints and tenant keys
+ * @param {string} [options.userId] - Caller whose stored keys are used first
+ * @param {string} [options.teamId] - Team whose stored keys are used next (the caller must be a member)
+ * @param {Object} [options.apiKeys] - Client-supplied keys by provider
+ * @param {Object} [options.keyIds] - Stored key ids selected by the caller, by provider
+ * @param {boolean|Object} [options.cache] - Generation cache options (see cache.js), applied per candidate
+ * @param {AbortSignal} [options.signal] - Caller abort (no further attempts are made)
+ * @param {Object} [options.policy] - Overrides for ROUTING_DEFAULTS
+ * @returns {Promise<Object>} Provider result plus `routing`
+ * @throws {Error} `code: 'ALL_PROVIDERS_FAILED'` with `errorType` and `attempts`;
+ *   a `keyIds` entry that cannot be used throws with `status` 404 or 400
+ */
+export async function routeGeneration(candidates, params, { tenantId, userId, teamId, apiKeys, keyIds, cache, signal, policy = {} } = {}) {
+  const resolvedPolicy = { ...ROUTING_DEFAULTS, ...policy };
+  const keyContext = { apiKeys, keyIds, userId, teamId, tenantId };
+
+  const needsTools = usesTools(params);
+
+  const { result, routing } = await runCandidates(candidates, { ...keyContext, needsTools, signal, policy: resolvedPolicy }, (candidate, apiKey) =>
+    withTimeout(
+      attemptSignal => generateWithProvider(candidate.provider, { ...params, modelId: candidate.modelId }, apiKey, {
+        tenantId,
+        userId,
+        cache,
+        signal: attemptSignal
+      }),
+      resolvedPolicy.timeoutMs,
+      signal
+    )
+  );
+
+  return { ...result, routing };
+}
+
+/**
+ * Stream a completion with the first candidate that answers
+ * Retries and fallbacks only happen before the first token; once text has been
+ * sent, a failure ends the stream. `timeoutMs` bounds the time to first token.
+ *
+ * @param {Array<{provider: string, modelId: string}>} candidates
+ * @param {Object} params - Same as routeGeneration
+ * @param {Object} [options] - Same as routeGeneration
+ * @yields Events from streamWithProvider; the `done` event carries `routing`
+ */
+export async function* routeStream(candidates, params, { tenantId, userId, teamId, apiKeys, keyIds, cache, signal, policy = {} } = {}) {
+  const resolvedPolicy = { ...ROUTING_DEFAULTS, ...policy };
+  let iterator = null;
+  let firstEvent = null;
+
+  const keyContext = { apiKeys, keyIds, userId, teamId, tenantId };
+
+  const { routing } = await runCandidates(candidates, { ...keyContext, signal, policy: resolvedPolicy }, async (candidate, apiKey) => {
+    const controller = new AbortController();
+    const onAbort = () => controller.abort(signal.reason);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    const stream = streamWithProvider(candidate.provider, { ...params, modelId: candidate.modelId }, apiKey, {
+      tenantId,
+      userId,
+      cache,
+      signal: controller.signal
+    });
+
+    try {
+      const first = await withTimeout(() => stream.next(), resolvedPolicy.timeoutMs);
+      iterator = stream;
+      firstEvent = first;
+    } catch (err) {
+      controller.abort(err);
+      signal?.removeEventListener('abort', onAbort);
+      throw err;
+    }
+  });
+
+  if (!firstEvent.done) {
+    yield firstEvent.value.type === 'done' ? { ...firstEvent.value, routing } : firstEvent.value;
+  }
+
+  for (let next = await iterator.next(); !next.done; next = await iterator.next()) {
+    yield next.value.type === 'done' ? { ...next.value, routing } : next.value;
+  }
+}
+
+export default {
+  ROUTING_DEFAULTS,
+  parseRouteSpec,
+  getRouteCandidates,
+  classifyProviderError,
+  routeErrorStatus,
+  routeGeneration,
+  routeStream
+};
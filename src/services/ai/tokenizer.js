@@ -0,0 +1,272 @@
+/**
+ * Token Counting
+ *
+ * Counts tokens with the BPE tokenizer of the model family (Transformers.js,
+ * pure JS, vocabularies downloaded once into TRANSFORMERS_CACHE):
+ * - `o200k` (GPT-4o, o-series), `cl100k` (GPT-4, GPT-3.5)
+ * - `claude`, `gemini`, `llama2`, `llama3`, `mistral`
+ *
+ * The family comes from the model's catalog entry (`tokenizer`), else from its
+ * id, else `AI_DEFAULT_TOKENIZER` (default cl100k). Until a tokenizer is
+ * loaded, when it cannot be loaded, or with `AI_TOKENIZERS_ENABLED=false`,
+ * counts fall back to a heuristic that weighs words, digits, punctuation and
+ * CJK characters separately. Counts are cached by text hash.
+ *
+ * @module services/ai/tokenizer
+ */
+
+import { AutoTokenizer, env } from '@xenova/transformers';
+import crypto from 'crypto';
+import { AI_PROVIDERS, TOKENIZER_FAMILIES } from './config.js';
+import { getCatalogModel } from './catalog.js';
+
+env.cacheDir = process.env.TRANSFORMERS_CACHE || './.cache/transformers';
+
+// Hugging Face repos holding each family's tokenizer.json
+const TOKENIZER_SOURCES = {
+  o200k: 'Xenova/gpt-4o',
+  cl100k: 'Xenova/gpt-4',
+  claude: 'Xenova/claude-tokenizer',
+  gemini: 'Xenova/gemma-tokenizer',
+  llama2: 'hf-internal-testing/llama-tokenizer',
+  llama3: 'Xenova/llama-3-tokenizer',
+  mistral: 'Xenova/mistral-tokenizer-v1'
+};
+
+// Model id patterns for models without a catalog tokenizer (first match wins)
+const MODEL_FAMILIES = [
+  [/^(chatgpt-4o|gpt-4o|gpt-4\.1|gpt-5|o1|o3|o4)/i, 'o200k'],
+  [/^(gpt-4|gpt-3\.5|text-embedding-(3|ada))/i, 'cl100k'],
+  [/claude/i, 'claude'],
+  [/gemini|gemma/i, 'gemini'],
+  [/llama-?3/i, 'llama3'],
+  [/mistral|mixtral|codestral/i, 'mistral'],
+  [/llama|phi-?3/i, 'llama2']
+];
+
+// Families of providers whose model id says nothing
+const PROVIDER_FAMILIES = {
+  [AI_PROVIDERS.OPENAI]: 'o200k',
+  [AI_PROVIDERS.ANTHROPIC]: 'claude',
+  [AI_PROVIDERS.GOOGLE]: 'gemini'
+};
+
+const DEFAULT_FAMILY = TOKENIZER_FAMILIES.includes(process.env.AI_DEFAULT_TOKENIZER)
+  ? process.env.AI_DEFAULT_TOKENIZER
+  : 'cl100k';
+
+const TOKENIZERS_ENABLED = process.env.AI_TOKENIZERS_ENABLED !== 'false';
+
+const LOAD_WAIT_MS = 5000; // longer first loads continue in the background
+const RETRY_LOAD_MS = 10 * 60 * 1000;
+const COUNT_CACHE_SIZE = 5000;
+
+const tokenizers = new Map(); // family -> { tokenizer, promise, failedAt }
+const countCache = new Map(); // `${family}:${sha1}` -> tokens, oldest first
+
+/**
+ * Heuristic token count
+ * Latin words ~6 characters per token (a leading space merges into the word),
+ * digits ~3, other alphabets ~2, CJK characters and punctuation 1 each; runs
+ * of whitespace beyond one space count like words (code indentation).
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function heuristicTokenCount(text) {
+  if (!text) return 0;
+
+  let tokens = 0;
+  const pieces = /(\p{Script=Han}|\p{Script=Hiragana}|\p{Script=Katakana}|\p{Script=Hangul})|([A-Za-z]+)|(\d+)|(\p{L}[\p{L}\p{M}]*)|(\s+)|./gsu;
+
+  for (const [piece, cjk, latin, digits, letters, space] of text.matchAll(pieces)) {
+    if (cjk) tokens += 1;
+    else if (latin) tokens += Math.ceil(latin.length / 6);
+    else if (digits) tokens += Math.ceil(digits.length / 3);
+    else if (letters) tokens += Math.ceil(letters.length / 2);
+    else if (space) tokens += space.length > 1 ? Math.ceil((space.length - 1) / 4) : 0;
+    else if (piece) tokens += 1;
+  }
+
+  return tokens;
+}
+
+/**
+ * Tokenizer family for a model id, without the catalog
+ *
+ * @param {string} [modelId]
+ * @param {string} [provider]
+ * @returns {string} One of TOKENIZER_FAMILIES
+ */
+export function inferTokenizerFamily(modelId, provider) {
+  const match = modelId && MODEL_FAMILIES.find(([pattern]) => pattern.test(modelId));
+  return match ? match[1] : PROVIDER_FAMILIES[provider] || DEFAULT_FAMILY;
+}
+
+/**
+ * Tokenizer family for a model: its catalog entry, then its id
+ *
+ * @param {Object} options
+ * @param {string} [options.provider]
+ * @param {string} [options.modelId]
+ * @param {string} [options.tenantId] - Applies the tenant's catalog overrides
+ * @returns {Promise<string>}
+ */
+export async function resolveTokenizerFamily({ provider, modelId, tenantId } = {}) {
+  if (modelId) {
+    try {
+      const model = await getCatalogModel(provider || null, modelId, { tenantId });
+      if (model?.tokenizer) return model.tokenizer;
+    } catch (err) {
+      console.error('[Tokenizer] Catalog lookup failed:', err.message);
+    }
+  }
+
+  return inferTokenizerFamily(modelId, provider);
+}
+
+/**
+ * Load a family's tokenizer once
+ *
+ * @returns {Promise<Object|null>} The tokenizer, or null when unavailable
+ */
+function loadTokenizer(family) {
+  if (!TOKENIZERS_ENABLED || !TOKENIZER_SOURCES[family]) {
+    return Promise.resolve(null);
+  }
+
+  const state = tokenizers.get(family);
+  if (state?.tokenizer) return Promise.resolve(state.tokenizer);
+  if (state?.promise) return state.promise;
+  if (state?.failedAt && Date.now() - state.failedAt < RETRY_LOAD_MS) return Promise.resolve(null);
+
+  const promise = AutoTokenizer.from_pretrained(TOKENIZER_SOURCES[family])
+    .then(tokenizer => {
+      tokenizers.set(family, { tokenizer });
+      return tokenizer;
+    })
+    .catch(err => {
+      console.warn(`[Tokenizer] ${family} tokenizer unavailable, using the heuristic:`, err.message);
+      tokenizers.set(family, { failedAt: Date.now() });
+      return null;
+    });
+
+  tokenizers.set(family, { promise });
+  return promise;
+}
+
+function cacheKey(family, text) {
+  return `${family}:${crypto.createHash('sha1').update(text).digest('hex')}`;
+}
+
+function cachedCount(key) {
+  const tokens = countCache.get(key);
+  if (tokens !== undefined) {
+    // Refresh recency
+    countCache.delete(key);
+    countCache.set(key, tokens);
+  }
+  return tokens;
+}
+
+function storeCount(key, tokens) {
+  countCache.set(key, tokens);
+  if (countCache.size > COUNT_CACHE_SIZE) {
+    countCache.delete(countCache.keys().next().value);
+  }
+}
+
+/**
+ * Count with a loaded tokenizer, or the heuristic when there is none
+ */
+function countWith(family, tokenizer, text) {
+  const key = cacheKey(tokenizer ? family : 'heuristic', text);
+  const cached = cachedCount(key);
+
+  if (cached !== undefined) {
+    return { tokens: cached, exact: Boolean(tokenizer) };
+  }
+
+  let tokens;
+  try {
+    tokens = tokenizer ? tokenizer.encode(text, null, { add_special_tokens: false }).length : heuristicTokenCount(text);
+  } catch (err) {
+    console.warn(`[Tokenizer] ${family} encoding failed, using the heuristic:`, err.message);
+    return { tokens: heuristicTokenCount(text), exact: false };
+  }
+
+  storeCount(key, tokens);
+  return { tokens, exact: Boolean(tokenizer) };
+}
+
+/**
+ * Count tokens, with details
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.provider]
+ * @param {string} [options.modelId]
+ * @param {string} [options.tenantId]
+ * @param {string} [options.family] - Skip the lookup and use this family
+ * @returns {Promise<{tokens: number, tokenizer: string, exact: boolean}>} `exact` is false for heuristic counts
+ */
+export async function measureTokens(text, { provider, modelId, tenantId, family } = {}) {
+  const tokenizerFamily = family || await resolveTokenizerFamily({ provider, modelId, tenantId });
+  const content = String(text ?? '');
+
+  if (!content) {
+    return { tokens: 0, tokenizer: tokenizerFamily, exact: true };
+  }
+
+  const tokenizer = await Promise.race([
+    loadTokenizer(tokenizerFamily),
+    new Promise(resolve => setTimeout(resolve, LOAD_WAIT_MS, null).unref())
+  ]);
+  return { tokenizer: tokenizerFamily, ...countWith(tokenizerFamily, tokenizer, content) };
+}
+
+/**
+ * Count tokens
+ *
+ * @param {string} text
+ * @param {Object} [options] - See measureTokens
+ * @returns {Promise<number>}
+ */
+export async function countTokens(text, options) {
+  return (await measureTokens(text, options)).tokens;
+}
+
+/**
+ * Count tokens synchronously, for code that cannot wait
+ * Uses the family's tokenizer when it is already loaded (and starts loading
+ * it otherwise), else the heuristic. The family comes from the model id only.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.provider]
+ * @param {string} [options.modelId]
+ * @param {string} [options.family]
+ * @returns {number}
+ */
+export function estimateTokens(text, { provider, modelId, family } = {}) {
+  const content = String(text ?? '');
+  if (!content) return 0;
+
+  const tokenizerFamily = family || inferTokenizerFamily(modelId, provider);
+  const tokenizer = tokenizers.get(tokenizerFamily)?.tokenizer;
+
+  if (!tokenizer) {
+    loadTokenizer(tokenizerFamily);
+  }
+
+  return countWith(tokenizerFamily, tokenizer, content).tokens;
+}
+
+export default {
+  heuristicTokenCount,
+  inferTokenizerFamily,
+  resolveTokenizerFamily,
+  measureTokens,
+  countTokens,
+  estimateTokens
+};
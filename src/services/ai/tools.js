@@ -0,0 +1,409 @@
+/**
+ * Tool / Function Calling
+ *
+ * One tool schema for every provider, translated to the native format on the
+ * way out and normalized on the way back:
+ *
+ * - Tool definitions: `{ name, description, parameters }` (`parameters` is a
+ *   JSON schema for the arguments object)
+ * - Tool choice: `auto` (default), `none`, `required` or `{ name }`
+ * - Tool calls on results: `toolCalls: [{ id, name, arguments }]` with
+ *   `arguments` parsed into an object
+ * - Conversation turns carrying tools in `messages`:
+ *   `{ role: 'assistant', content, toolCalls }` for the model's calls and
+ *   `{ role: 'tool', toolCallId, name, content }` for each result
+ *
+ * Supported natively by OpenAI (and OpenAI-compatible servers), Anthropic
+ * (tool_use / tool_result blocks) and Gemini (function declarations).
+ *
+ * @module services/ai/tools
+ */
+
+export const TOOL_LIMITS = {
+  maxTools: 64,
+  nameLength: 64
+};
+
+export const TOOL_CHOICES = ['auto', 'none', 'required'];
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]+$/;
+
+// JSON schema keywords Gemini's OpenAPI subset rejects
+const GEMINI_UNSUPPORTED_KEYWORDS = ['$schema', '$id', '$ref', 'additionalProperties', 'default', 'examples', 'title', 'const', 'patternProperties'];
+
+/**
+ * Validate tool definitions
+ *
+ * @param {Array} tools
+ * @returns {string|null} Error message
+ */
+export function validateTools(tools) {
+  if (!Array.isArray(tools)) {
+    return 'tools must be an array';
+  }
+  if (tools.length > TOOL_LIMITS.maxTools) {
+    return `At most ${TOOL_LIMITS.maxTools} tools are allowed`;
+  }
+
+  const names = new Set();
+
+  for (const [index, tool] of tools.entries()) {
+    if (!tool || typeof tool !== 'object') {
+      return `tools[${index}] must be an object`;
+    }
+    if (typeof tool.name !== 'string' || !TOOL_NAME_PATTERN.test(tool.name) || tool.name.length > TOOL_LIMITS.nameLength) {
+      return `tools[${index}].name must be 1-${TOOL_LIMITS.nameLength} letters, digits, '_' or '-'`;
+    }
+    if (names.has(tool.name)) {
+      return `Duplicate tool name: ${tool.name}`;
+    }
+    names.add(tool.name);
+
+    if (tool.description !== undefined && typeof tool.description !== 'string') {
+      return `tools[${index}].description must be a string`;
+    }
+    if (tool.parameters !== undefined && (tool.parameters === null || typeof tool.parameters !== 'object' || Array.isArray(tool.parameters) || (tool.parameters.type && tool.parameters.type !== 'object'))) {
+      return `tools[${index}].parameters must be a JSON schema with type "object"`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a tool choice against the tool definitions
+ *
+ * @returns {string|null} Error message
+ */
+export function validateToolChoice(toolChoice, tools = []) {
+  if (toolChoice === undefined) {
+    return null;
+  }
+  if (TOOL_CHOICES.includes(toolChoice)) {
+    return null;
+  }
+  if (toolChoice && typeof toolChoice === 'object' && tools.some(tool => tool.name === toolChoice.name)) {
+    return null;
+  }
+  return `toolChoice must be one of ${TOOL_CHOICES.join(', ')} or { name } of a defined tool`;
+}
+
+/**
+ * Whether a request uses tools (definitions or tool turns in the conversation)
+ */
+export function usesTools({ tools, messages }) {
+  return Boolean(tools?.length) || Boolean(messages?.some(message => message.role === 'tool' || message.toolCalls?.length));
+}
+
+function objectSchema(parameters) {
+  return parameters || { type: 'object', properties: {} };
+}
+
+function toolResultText(content) {
+  return typeof content === 'string' ? content : JSON.stringify(content ?? null);
+}
+
+function parseArguments(raw) {
+  if (raw && typeof raw === 'object') {
+    return raw;
+  }
+  try {
+    return JSON.parse(raw || '{}');
+  } catch {
+    // Models occasionally emit invalid JSON; keep it for the caller to inspect
+    return { _raw: raw };
+  }
+}
+
+// ============================================================================
+// OpenAI (also OpenAI-compatible servers)
+// ============================================================================
+
+export function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      ...(tool.description && { description: tool.description }),
+      parameters: objectSchema(tool.parameters)
+    }
+  }));
+}
+
+export function toOpenAIToolChoice(toolChoice) {
+  if (toolChoice === undefined || typeof toolChoice === 'string') {
+    return toolChoice;
+  }
+  return { type: 'function', function: { name: toolChoice.name } };
+}
+
+/**
+ * Translate unified tool turns; other messages pass through unchanged
+ */
+export function toOpenAIMessages(messages) {
+  return messages.map(message => {
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments ?? {}) }
+        }))
+      };
+    }
+    if (message.role === 'tool' && message.toolCallId) {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: toolResultText(message.content) };
+    }
+    return message;
+  });
+}
+
+/**
+ * Request fields for OpenAI chat completions (empty when no tools are given)
+ */
+export function openAIToolParams({ tools, toolChoice }) {
+  if (!tools?.length) {
+    return {};
+  }
+  return {
+    tools: toOpenAITools(tools),
+    ...(toolChoice !== undefined && { tool_choice: toOpenAIToolChoice(toolChoice) })
+  };
+}
+
+export function fromOpenAIToolCalls(toolCalls) {
+  return (toolCalls || [])
+    .filter(call => call.type === 'function' || call.function)
+    .map(call => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: parseArguments(call.function.arguments)
+    }));
+}
+
+// ============================================================================
+// Anthropic
+// ============================================================================
+
+export function toAnthropicTools(tools) {
+  return tools.map(tool => ({
+    name: tool.name,
+    ...(tool.description && { description: tool.description }),
+    input_schema: objectSchema(tool.parameters)
+  }));
+}
+
+export function toAnthropicToolChoice(toolChoice) {
+  switch (toolChoice) {
+    case undefined: return undefined;
+    case 'auto': return { type: 'auto' };
+    case 'none': return { type: 'none' };
+    case 'required': return { type: 'any' };
+    default: return { type: 'tool', name: toolChoice.name };
+  }
+}
+
+/**
+ * Translate unified tool turns into content blocks
+ * Consecutive tool results are merged into one user turn, as Anthropic expects
+ * every result for an assistant turn in the following message.
+ */
+export function toAnthropicMessages(messages) {
+  const translated = [];
+
+  for (const message of messages) {
+    if (message.role === 'assistant' && message.toolCalls?.length) {
+      translated.push({
+        role: 'assistant',
+        content: [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments ?? {} }))
+        ]
+      });
+    } else if (message.role === 'tool' && message.toolCallId) {
+      const block = {
+        type: 'tool_result',
+        tool_use_id: message.toolCallId,
+        content: toolResultText(message.content),
+        ...(message.isError && { is_error: true })
+      };
+      const previous = translated[translated.length - 1];
+
+      if (previous?.role === 'user' && Array.isArray(previous.content) && previous.content.every(part => part.type === 'tool_result')) {
+        previous.content.push(block);
+      } else {
+        translated.push({ role: 'user', content: [block] });
+      }
+    } else {
+      translated.push(message);
+    }
+  }
+
+  return translated;
+}
+
+/**
+ * Request fields for Anthropic messages (empty when no tools are given)
+ */
+export function anthropicToolParams({ tools, toolChoice }) {
+  if (!tools?.length) {
+    return {};
+  }
+  return {
+    tools: toAnthropicTools(tools),
+    ...(toolChoice !== undefined && { tool_choice: toAnthropicToolChoice(toolChoice) })
+  };
+}
+
+/**
+ * Split Anthropic content blocks into text and normalized tool calls
+ *
+ * @returns {{text: string, toolCalls: Object[]}}
+ */
+export function fromAnthropicContent(content) {
+  return {
+    text: (content || []).filter(block => block.type === 'text').map(block => block.text).join(''),
+    toolCalls: (content || [])
+      .filter(block => block.type === 'tool_use')
+      .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+  };
+}
+
+// ============================================================================
+// Google Gemini
+// ============================================================================
+
+function toGeminiSchema(schema) {
+  if (Array.isArray(schema)) {
+    return schema.map(toGeminiSchema);
+  }
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const converted = {};
+  for (const [key, value] of Object.entries(schema)) {
+    if (GEMINI_UNSUPPORTED_KEYWORDS.includes(key)) continue;
+    converted[key] = key === 'properties'
+      ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toGeminiSchema(property)]))
+      : toGeminiSchema(value);
+  }
+  return converted;
+}
+
+export function toGeminiTools(tools) {
+  return [{
+    functionDeclarations: tools.map(tool => {
+      const parameters = toGeminiSchema(objectSchema(tool.parameters));
+      return {
+        name: tool.name,
+        ...(tool.description && { description: tool.description }),
+        // Gemini rejects object schemas without properties
+        ...(Object.keys(parameters.properties || {}).length > 0 && { parameters })
+      };
+    })
+  }];
+}
+
+export function toGeminiToolConfig(toolChoice) {
+  switch (toolChoice) {
+    case undefined: return undefined;
+    case 'auto': return { functionCallingConfig: { mode: 'AUTO' } };
+    case 'none': return { functionCallingConfig: { mode: 'NONE' } };
+    case 'required': return { functionCallingConfig: { mode: 'ANY' } };
+    default: return { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [toolChoice.name] } };
+  }
+}
+
+/**
+ * Build Gemini `contents` from the conversation
+ * Gemini function responses are matched by name, so tool results without a
+ * `name` take it from the call they answer.
+ *
+ * @returns {{contents: Object[], systemInstruction: string|null}}
+ */
+export function toGeminiContents({ prompt, systemPrompt, messages }) {
+  const conversation = messages && messages.length > 0 ? messages : [{ role: 'user', content: prompt }];
+  const callNames = new Map();
+  const system = systemPrompt ? [systemPrompt] : [];
+  const contents = [];
+
+  const append = (role, parts) => {
+    const previous = contents[contents.length - 1];
+    if (previous?.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  };
+
+  for (const message of conversation) {
+    if (message.role === 'system') {
+      system.push(message.content);
+    } else if (message.role === 'assistant') {
+      for (const call of message.toolCalls || []) {
+        callNames.set(call.id, call.name);
+      }
+      append('model', [
+        ...(message.content ? [{ text: message.content }] : []),
+        ...(message.toolCalls || []).map(call => ({ functionCall: { name: call.name, args: call.arguments ?? {} } }))
+      ]);
+    } else if (message.role === 'tool') {
+      append('user', [{
+        functionResponse: {
+          name: message.name || callNames.get(message.toolCallId),
+          response: message.content && typeof message.content === 'object'
+            ? message.content
+            : { content: toolResultText(message.content) }
+        }
+      }]);
+    } else {
+      append('user', [{ text: toolResultText(message.content) }]);
+    }
+  }
+
+  return { contents, systemInstruction: system.length > 0 ? system.join('\n\n') : null };
+}
+
+/**
+ * Split Gemini response parts into text and normalized tool calls
+ * Gemini does not always return call ids, so missing ids are generated.
+ *
+ * @returns {{text: string, toolCalls: Object[]}}
+ */
+export function fromGeminiParts(parts) {
+  const calls = (parts || []).filter(part => part.functionCall);
+
+  return {
+    text: (parts || []).map(part => part.text || '').join(''),
+    toolCalls: calls.map((part, index) => ({
+      id: part.functionCall.id || `call_${index}_${part.functionCall.name}`,
+      name: part.functionCall.name,
+      arguments: part.functionCall.args || {}
+    }))
+  };
+}
+
+export default {
+  TOOL_LIMITS,
+  TOOL_CHOICES,
+  validateTools,
+  validateToolChoice,
+  usesTools,
+  toOpenAITools,
+  toOpenAIToolChoice,
+  toOpenAIMessages,
+  openAIToolParams,
+  fromOpenAIToolCalls,
+  toAnthropicTools,
+  toAnthropicToolChoice,
+  toAnthropicMessages,
+  anthropicToolParams,
+  fromAnthropicContent,
+  toGeminiTools,
+  toGeminiToolConfig,
+  toGeminiContents,
+  fromGeminiParts
+};
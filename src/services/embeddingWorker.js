@@ -2,7 +2,20 @@
  * Embedding Worker
  *
  * Background job processor for generating embeddings asynchronously.
- * Processes the embedding_queue table and generates embeddings for contexts and templates.
+ * Processes the embedding_queue table: each job is an entity version
+ * (template, context or workflow) queued by createEntity/updateEntity, embedded
+ * into the unified `embedding` table with the tenant's embedding model (and the
+ * target of a running re-index). Content whose hash already has a vector is
+ * not embedded again.
+ *
+ * Any number of workers can share the queue (one per API instance plus
+ * standalone processes). Jobs are claimed with FOR UPDATE SKIP LOCKED, highest
+ * priority first, and held for a lease (`EMBEDDING_LEASE_SECONDS`) that is
+ * renewed while the job runs; jobs of a worker that dies go back to the queue
+ * when the lease expires. Failed jobs are retried with exponential backoff and
+ * end in `dead_letter`, with their last error, after `EMBEDDING_MAX_RETRIES`
+ * retries. Workers record heartbeats in `embedding_worker` (see
+ * getQueueMetrics).
  *
  * Usage:
  *   node src/services/embeddingWorker.js
@@ -14,163 +27,236 @@
  * @module services/embeddingWorker
  */
 
-import { db } from '../utils/database.js';
+import os from 'os';
+import { db, EMBEDDED_ENTITY_TYPES } from '../utils/database.js';
+import { preloadModel } from './localEmbeddingService.js';
 import {
-  generateEmbedding,
-  generateBatchEmbeddings,
-  generateContentHash,
-  preloadModel,
-} from './localEmbeddingService.js';
+  DEFAULT_EMBEDDING_MODEL,
+  embedEntity,
+  getIndexingModels,
+  getTenantEmbeddingModel
+} from './embeddings/registry.js';
 
 // Worker configuration
 const WORKER_CONFIG = {
   pollInterval: parseInt(process.env.EMBEDDING_WORKER_INTERVAL) || 5000, // 5 seconds
   batchSize: parseInt(process.env.EMBEDDING_BATCH_SIZE) || 10,
   maxRetries: parseInt(process.env.EMBEDDING_MAX_RETRIES) || 3,
-  retryDelay: parseInt(process.env.EMBEDDING_RETRY_DELAY) || 60000, // 1 minute
-  concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY) || 1,
+  retryDelay: parseInt(process.env.EMBEDDING_RETRY_DELAY) || 60000, // 1 minute, doubled per retry
+  maxRetryDelay: 60 * 60 * 1000, // 1 hour
+  concurrency: parseInt(process.env.EMBEDDING_CONCURRENCY) || 1, // jobs embedded in parallel
+  leaseSeconds: parseInt(process.env.EMBEDDING_LEASE_SECONDS) || 120,
 };
 
+// Identifies this worker in leases, embedding_worker and metrics
+export const WORKER_ID = process.env.EMBEDDING_WORKER_ID || `${os.hostname()}:${process.pid}`;
+
 let isRunning = false;
 let workerInterval = null;
 let activeProcessing = 0;
 
+/**
+ * Record that this worker is alive
+ *
+ * @returns {Promise<void>}
+ */
+async function heartbeat() {
+  await db.query(
+    `INSERT INTO embedding_worker (id, hostname, pid, concurrency)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (id)
+     DO UPDATE SET last_heartbeat_at = NOW(), stopped_at = NULL,
+                   concurrency = EXCLUDED.concurrency`,
+    [WORKER_ID, os.hostname(), process.pid, WORKER_CONFIG.concurrency]
+  );
+}
+
+/**
+ * Return jobs whose lease expired to the queue (or dead-letter them when they
+ * are out of retries); the expiry counts as a failed attempt
+ *
+ * @returns {Promise<number>} Number of jobs released
+ */
+export async function releaseExpiredLeases() {
+  const result = await db.query(
+    `UPDATE embedding_queue
+     SET status = CASE WHEN retry_count >= $1 THEN 'dead_letter' ELSE 'pending' END,
+         completed_at = CASE WHEN retry_count >= $1 THEN NOW() ELSE NULL END,
+         retry_count = CASE WHEN retry_count >= $1 THEN retry_count ELSE retry_count + 1 END,
+         error_message = 'Lease expired on worker ' || COALESCE(lease_owner, 'unknown'),
+         processed_by = lease_owner,
+         lease_owner = NULL,
+         lease_expires_at = NULL,
+         available_at = NOW()
+     WHERE status = 'processing' AND lease_expires_at < NOW()
+     RETURNING id`,
+    [WORKER_CONFIG.maxRetries]
+  );
+
+  if (result.rowCount > 0) {
+    console.warn(`[EmbeddingWorker] Released ${result.rowCount} jobs with expired leases`);
+  }
+
+  return result.rowCount;
+}
+
+/**
+ * Claim pending jobs, highest priority first, under a lease of this worker
+ * Jobs waiting out a retry backoff are not claimed.
+ *
+ * @param {number} limit
+ * @param {string} [tenantId] - Only this tenant's jobs
+ * @returns {Promise<Object[]>} Claimed jobs, now `processing`
+ */
+async function claimJobs(limit, tenantId = null) {
+  const result = await db.query(
+    `UPDATE embedding_queue
+     SET status = 'processing', started_at = NOW(),
+         lease_owner = $3, lease_expires_at = NOW() + make_interval(secs => $4)
+     WHERE id IN (
+       SELECT id FROM embedding_queue
+       WHERE status = 'pending'
+         AND available_at <= NOW()
+         AND ($2::uuid IS NULL OR tenant_id = $2)
+       ORDER BY priority ASC, created_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING id, tenant_id, resource_type, resource_id, priority, retry_count`,
+    [limit, tenantId, WORKER_ID, WORKER_CONFIG.leaseSeconds]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Extend this worker's leases on running jobs
+ *
+ * @param {string[]} ids
+ * @returns {Promise<void>}
+ */
+async function renewLeases(ids) {
+  await db.query(
+    `UPDATE embedding_queue
+     SET lease_expires_at = NOW() + make_interval(secs => $3)
+     WHERE id = ANY($1) AND lease_owner = $2 AND status = 'processing'`,
+    [ids, WORKER_ID, WORKER_CONFIG.leaseSeconds]
+  );
+}
+
+/**
+ * Update a job this worker holds the lease on
+ * A job whose lease expired has been handed back to the queue (and maybe to
+ * another worker), so the update is dropped.
+ *
+ * @param {string} id
+ * @param {string} assignments - SQL SET list; $1 is the job id, $2 this worker
+ * @param {Array} [params] - From $3
+ * @returns {Promise<boolean>} Whether the lease was still held
+ */
+async function finishLeasedJob(id, assignments, params = []) {
+  const result = await db.query(
+    `UPDATE embedding_queue
+     SET ${assignments}, lease_owner = NULL, lease_expires_at = NULL, processed_by = $2
+     WHERE id = $1 AND lease_owner = $2 AND status = 'processing'`,
+    [id, WORKER_ID, ...params]
+  );
+
+  if (result.rowCount === 0) {
+    console.warn(`[EmbeddingWorker] Lease on job ${id} was lost; result dropped`);
+    return false;
+  }
+
+  return true;
+}
+
 /**
  * Process a single embedding job
  *
- * @param {Object} job - Job from embedding_queue
+ * @param {Object} job - Claimed job from embedding_queue (`id` is null for immediate runs)
  * @returns {Promise<boolean>} Success status
  */
 async function processJob(job) {
   const { id, resource_type, resource_id, retry_count } = job;
+  const startTime = Date.now();
 
   try {
     console.log(`[EmbeddingWorker] Processing ${resource_type} ${resource_id}...`);
 
-    // Mark job as processing
-    await db.query(
-      `UPDATE embedding_queue
-       SET status = 'processing', started_at = NOW()
-       WHERE id = $1`,
-      [id]
-    );
-
-    let content = '';
-    let tableName = '';
-    let embeddingTable = '';
-
-    // Fetch the resource content
-    if (resource_type === 'context') {
-      tableName = 'context_layers';
-      embeddingTable = 'context_embeddings';
+    const result = await db.query('SELECT * FROM entity WHERE id = $1', [resource_id]);
+    const entity = result.rows[0];
 
-      const result = await db.query(
-        `SELECT name, description, content FROM context_layers WHERE id = $1`,
-        [resource_id]
-      );
-
-      if (result.rows.length === 0) {
-        throw new Error(`Context ${resource_id} not found`);
-      }
-
-      const row = result.rows[0];
-      // Combine name, description, and content for embedding
-      content = [row.name, row.description, row.content]
-        .filter(Boolean)
-        .join('\n\n');
-    } else if (resource_type === 'template') {
-      tableName = 'templates';
-      embeddingTable = 'template_embeddings';
-
-      const result = await db.query(
-        `SELECT name, description, content FROM templates WHERE id = $1`,
-        [resource_id]
-      );
-
-      if (result.rows.length === 0) {
-        throw new Error(`Template ${resource_id} not found`);
-      }
+    if (!entity) {
+      throw new Error(`Entity ${resource_id} not found`);
+    }
 
-      const row = result.rows[0];
-      content = [row.name, row.description, row.content]
-        .filter(Boolean)
-        .join('\n\n');
-    } else {
-      throw new Error(`Unknown resource type: ${resource_type}`);
+    if (!EMBEDDED_ENTITY_TYPES.includes(entity.entity_type)) {
+      throw new Error(`Unknown resource type: ${entity.entity_type}`);
     }
 
-    if (!content || content.trim().length === 0) {
-      throw new Error(`Empty content for ${resource_type} ${resource_id}`);
+    // A newer version has its own job; deleted entities are not searched
+    if (entity.valid_to || entity.deleted_at) {
+      if (id) {
+        await finishLeasedJob(
+          id,
+          `status = 'skipped', completed_at = NOW(), error_message = $3, duration_ms = $4`,
+          [entity.deleted_at ? 'Entity deleted' : 'Superseded by a newer version', Date.now() - startTime]
+        );
+      }
+      console.log(`[EmbeddingWorker] Skipped ${resource_type} ${resource_id} (not the current version)`);
+      return true;
     }
 
-    // Generate embedding
-    const startTime = Date.now();
-    const { embedding, model } = await generateEmbedding(content);
+    const models = await getIndexingModels(entity.tenant_id);
+    const results = await embedEntity(entity, models);
     const generationTime = Date.now() - startTime;
 
-    // Calculate content hash
-    const contentHash = generateContentHash(content);
-
-    // Store embedding
-    const columnName = resource_type === 'context' ? 'context_id' : 'template_id';
-
-    await db.query(
-      `INSERT INTO ${embeddingTable} (${columnName}, embedding, content_hash, model_id, metadata)
-       VALUES ($1, $2, $3, $4, $5)
-       ON CONFLICT (${columnName})
-       DO UPDATE SET
-         embedding = EXCLUDED.embedding,
-         content_hash = EXCLUDED.content_hash,
-         model_id = EXCLUDED.model_id,
-         metadata = EXCLUDED.metadata,
-         updated_at = NOW()`,
-      [
-        resource_id,
-        `[${embedding.join(',')}]`, // Convert array to pgvector format
-        contentHash,
-        model,
-        JSON.stringify({ generation_time_ms: generationTime }),
-      ]
-    );
-
     // Mark job as completed
-    await db.query(
-      `UPDATE embedding_queue
-       SET status = 'completed', completed_at = NOW()
-       WHERE id = $1`,
-      [id]
-    );
+    if (id) {
+      await finishLeasedJob(
+        id,
+        `status = 'completed', completed_at = NOW(), error_message = NULL, duration_ms = $3`,
+        [generationTime]
+      );
+    }
 
     console.log(
-      `[EmbeddingWorker] ✓ Completed ${resource_type} ${resource_id} in ${generationTime}ms`
+      `[EmbeddingWorker] ✓ Completed ${resource_type} ${resource_id} in ${generationTime}ms (${
+        results.map(({ model, action, chunks }) => `${model}: ${action}, ${chunks} chunks`).join('; ')
+      })`
     );
 
     return true;
   } catch (error) {
     console.error(`[EmbeddingWorker] ✗ Failed to process ${resource_type} ${resource_id}:`, error);
 
+    if (!id) {
+      return false;
+    }
+
     // Check if we should retry
     if (retry_count < WORKER_CONFIG.maxRetries) {
-      // Mark as pending for retry (with delay)
-      await db.query(
-        `UPDATE embedding_queue
-         SET status = 'pending', retry_count = retry_count + 1, error_message = $2
-         WHERE id = $1`,
-        [id, error.message]
+      // Back to the queue after a backoff that doubles with every retry
+      const delay = Math.min(WORKER_CONFIG.retryDelay * 2 ** retry_count, WORKER_CONFIG.maxRetryDelay);
+      await finishLeasedJob(
+        id,
+        `status = 'pending', retry_count = retry_count + 1, error_message = $3,
+         available_at = NOW() + make_interval(secs => $4), started_at = NULL, duration_ms = $5`,
+        [error.message, delay / 1000, Date.now() - startTime]
       );
       console.log(
-        `[EmbeddingWorker] Will retry ${resource_type} ${resource_id} (attempt ${retry_count + 2}/${WORKER_CONFIG.maxRetries + 1})`
+        `[EmbeddingWorker] Will retry ${resource_type} ${resource_id} in ${Math.round(delay / 1000)}s (attempt ${retry_count + 2}/${WORKER_CONFIG.maxRetries + 1})`
       );
     } else {
-      // Max retries exceeded, mark as failed
-      await db.query(
-        `UPDATE embedding_queue
-         SET status = 'failed', error_message = $2, completed_at = NOW()
-         WHERE id = $1`,
-        [id, error.message]
+      // Max retries exceeded: dead-letter with the last error
+      await finishLeasedJob(
+        id,
+        `status = 'dead_letter', error_message = $3,
+         completed_at = NOW(), duration_ms = $4`,
+        [error.message, Date.now() - startTime]
       );
       console.error(
-        `[EmbeddingWorker] ✗ Permanently failed ${resource_type} ${resource_id} after ${retry_count + 1} attempts`
+        `[EmbeddingWorker] ✗ Dead-lettered ${resource_type} ${resource_id} after ${retry_count + 1} attempts`
       );
     }
 
@@ -179,55 +265,71 @@ async function processJob(job) {
 }
 
 /**
- * Process batch of embedding jobs
+ * Claim and process a batch of jobs
  *
- * @returns {Promise<number>} Number of jobs processed
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Defaults to the worker batch size
+ * @param {string} [options.tenantId] - Only this tenant's jobs
+ * @returns {Promise<{processed: number, succeeded: number, failed: number}>}
  */
-async function processBatch() {
-  if (activeProcessing >= WORKER_CONFIG.concurrency) {
-    return 0;
-  }
+export async function processPendingJobs({ limit = WORKER_CONFIG.batchSize, tenantId = null } = {}) {
+  const jobs = await claimJobs(limit, tenantId);
 
-  activeProcessing++;
+  if (jobs.length === 0) {
+    return { processed: 0, succeeded: 0, failed: 0 };
+  }
 
-  try {
-    // Fetch pending jobs by priority
-    const result = await db.query(
-      `SELECT id, resource_type, resource_id, priority, retry_count
-       FROM embedding_queue
-       WHERE status = 'pending'
-       ORDER BY priority ASC, created_at ASC
-       LIMIT $1
-       FOR UPDATE SKIP LOCKED`,
-      [WORKER_CONFIG.batchSize]
-    );
+  console.log(`[EmbeddingWorker] Processing batch of ${jobs.length} jobs...`);
 
-    const jobs = result.rows;
+  // Keep the leases of unfinished jobs alive while the batch runs
+  const unfinished = new Set(jobs.map(job => job.id));
+  const leaseTimer = setInterval(() => {
+    Promise.all([renewLeases([...unfinished]), heartbeat()])
+      .catch(error => console.error('[EmbeddingWorker] Lease renewal failed:', error.message));
+  }, (WORKER_CONFIG.leaseSeconds * 1000) / 3);
 
-    if (jobs.length === 0) {
-      return 0;
-    }
+  // Up to `concurrency` jobs at a time
+  const results = new Array(jobs.length);
+  let next = 0;
+  activeProcessing++;
 
-    console.log(`[EmbeddingWorker] Processing batch of ${jobs.length} jobs...`);
+  try {
+    await Promise.all(Array.from({ length: Math.min(WORKER_CONFIG.concurrency, jobs.length) }, async () => {
+      while (next < jobs.length) {
+        const index = next++;
+        results[index] = await processJob(jobs[index]).catch(() => false);
+        unfinished.delete(jobs[index].id);
+      }
+    }));
+  } finally {
+    clearInterval(leaseTimer);
+    activeProcessing--;
+  }
 
-    // Process jobs concurrently
-    const results = await Promise.allSettled(
-      jobs.map(job => processJob(job))
-    );
+  const successCount = results.filter(Boolean).length;
+  const failCount = results.length - successCount;
 
-    const successCount = results.filter(r => r.status === 'fulfilled' && r.value === true).length;
-    const failCount = results.length - successCount;
+  console.log(
+    `[EmbeddingWorker] Batch complete: ${successCount} succeeded, ${failCount} failed`
+  );
 
-    console.log(
-      `[EmbeddingWorker] Batch complete: ${successCount} succeeded, ${failCount} failed`
-    );
+  return { processed: results.length, succeeded: successCount, failed: failCount };
+}
 
-    return results.length;
+/**
+ * Process batch of embedding jobs
+ *
+ * @returns {Promise<number>} Number of jobs processed
+ */
+async function processBatch() {
+  try {
+    await heartbeat();
+    await releaseExpiredLeases();
+    const { processed } = await processPendingJobs();
+    return processed;
   } catch (error) {
     console.error('[EmbeddingWorker] Error processing batch:', error);
     return 0;
-  } finally {
-    activeProcessing--;
   }
 }
 
@@ -267,12 +369,14 @@ export async function startEmbeddingWorker() {
     return;
   }
 
-  console.log('[EmbeddingWorker] Starting worker...');
+  console.log(`[EmbeddingWorker] Starting worker ${WORKER_ID}...`);
   console.log('[EmbeddingWorker] Config:', WORKER_CONFIG);
 
   try {
-    // Preload the embedding model to avoid cold starts
-    await preloadModel();
+    // Preload the local embedding model to avoid cold starts (jobs load it on demand otherwise)
+    if (DEFAULT_EMBEDDING_MODEL.provider === 'local') {
+      await preloadModel().catch(error => console.warn('[EmbeddingWorker] Model preload failed:', error.message));
+    }
 
     isRunning = true;
     workerLoop();
@@ -312,9 +416,13 @@ export async function stopEmbeddingWorker() {
     await new Promise(resolve => setTimeout(resolve, 100));
   }
 
+  await db.query('UPDATE embedding_worker SET stopped_at = NOW() WHERE id = $1', [WORKER_ID])
+    .catch(error => console.error('[EmbeddingWorker] Failed to record stop:', error.message));
+
   if (activeProcessing > 0) {
+    // Their leases expire and other workers pick them up
     console.warn(
-      `[EmbeddingWorker] Stopped with ${activeProcessing} active jobs (timeout exceeded)`
+      `[EmbeddingWorker] Stopped with ${activeProcessing} active batches (timeout exceeded)`
     );
   } else {
     console.log('[EmbeddingWorker] Worker stopped successfully');
@@ -337,20 +445,112 @@ export async function getWorkerStatus() {
   );
 
   return {
+    workerId: WORKER_ID,
     running: isRunning,
-    activeJobs: activeProcessing,
+    activeBatches: activeProcessing,
     config: WORKER_CONFIG,
     queueStats: queueStats.rows,
   };
 }
 
 /**
- * Manually trigger embedding generation for a resource
+ * Per-worker throughput and queue lag
+ * Throughput counts jobs finished (completed, skipped or dead-lettered) in the
+ * window; lag is how long ready jobs have been waiting.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.tenantId] - Only this tenant's jobs (all tenants when omitted)
+ * @param {number} [options.windowMinutes=15]
+ * @returns {Promise<Object>} { window_minutes, workers, lag }
+ */
+export async function getQueueMetrics({ tenantId = null, windowMinutes = 15 } = {}) {
+  const [workers, lag, priorities, waits] = await Promise.all([
+    db.query(
+      `SELECT w.id, w.concurrency, w.started_at, w.last_heartbeat_at, w.stopped_at,
+              CASE
+                WHEN w.stopped_at IS NOT NULL THEN 'stopped'
+                WHEN w.last_heartbeat_at >= NOW() - make_interval(secs => $3) THEN 'active'
+                ELSE 'stale'
+              END AS state,
+              COUNT(q.id) FILTER (WHERE q.status = 'completed')::int AS completed,
+              COUNT(q.id) FILTER (WHERE q.status = 'skipped')::int AS skipped,
+              COUNT(q.id) FILTER (WHERE q.status = 'dead_letter')::int AS dead_lettered,
+              ROUND(AVG(q.duration_ms) FILTER (WHERE q.status = 'completed'))::int AS avg_duration_ms,
+              (SELECT COUNT(*)::int FROM embedding_queue r
+               WHERE r.lease_owner = w.id AND r.status = 'processing'
+                 AND ($1::uuid IS NULL OR r.tenant_id = $1)) AS in_flight
+       FROM embedding_worker w
+       LEFT JOIN embedding_queue q
+         ON q.processed_by = w.id
+        AND q.completed_at >= NOW() - make_interval(mins => $2)
+        AND ($1::uuid IS NULL OR q.tenant_id = $1)
+       WHERE w.stopped_at IS NULL OR w.stopped_at >= NOW() - make_interval(mins => $2)
+       GROUP BY w.id
+       ORDER BY w.started_at`,
+      [tenantId, windowMinutes, WORKER_CONFIG.leaseSeconds]
+    ),
+    db.query(
+      `SELECT
+         COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+         COUNT(*) FILTER (WHERE status = 'pending' AND available_at <= NOW())::int AS ready,
+         COUNT(*) FILTER (WHERE status = 'pending' AND available_at > NOW())::int AS backing_off,
+         COUNT(*) FILTER (WHERE status = 'processing')::int AS processing,
+         COUNT(*) FILTER (WHERE status = 'dead_letter')::int AS dead_letter,
+         (EXTRACT(EPOCH FROM NOW() - MIN(available_at) FILTER (
+           WHERE status = 'pending' AND available_at <= NOW()
+         )) * 1000)::bigint AS oldest_ready_ms
+       FROM embedding_queue
+       WHERE $1::uuid IS NULL OR tenant_id = $1`,
+      [tenantId]
+    ),
+    db.query(
+      `SELECT priority, COUNT(*)::int AS ready,
+              (EXTRACT(EPOCH FROM NOW() - MIN(available_at)) * 1000)::bigint AS oldest_ready_ms
+       FROM embedding_queue
+       WHERE status = 'pending' AND available_at <= NOW()
+         AND ($1::uuid IS NULL OR tenant_id = $1)
+       GROUP BY priority
+       ORDER BY priority`,
+      [tenantId]
+    ),
+    // Time from queued (or retry due) to claimed, for jobs finished in the window
+    db.query(
+      `SELECT
+         ROUND(AVG(EXTRACT(EPOCH FROM started_at - available_at) * 1000))::bigint AS avg_wait_ms,
+         ROUND(PERCENTILE_CONT(0.95) WITHIN GROUP (
+           ORDER BY EXTRACT(EPOCH FROM started_at - available_at) * 1000
+         ))::bigint AS p95_wait_ms
+       FROM embedding_queue
+       WHERE completed_at >= NOW() - make_interval(mins => $2)
+         AND started_at IS NOT NULL
+         AND ($1::uuid IS NULL OR tenant_id = $1)`,
+      [tenantId, windowMinutes]
+    )
+  ]);
+
+  return {
+    window_minutes: windowMinutes,
+    workers: workers.rows.map(worker => ({
+      ...worker,
+      jobs_per_minute: Math.round(((worker.completed + worker.skipped + worker.dead_lettered) / windowMinutes) * 100) / 100
+    })),
+    lag: {
+      ...lag.rows[0],
+      oldest_ready_ms: lag.rows[0].oldest_ready_ms === null ? null : Number(lag.rows[0].oldest_ready_ms),
+      by_priority: priorities.rows.map(row => ({ ...row, oldest_ready_ms: Number(row.oldest_ready_ms) })),
+      avg_wait_ms: waits.rows[0].avg_wait_ms === null ? null : Number(waits.rows[0].avg_wait_ms),
+      p95_wait_ms: waits.rows[0].p95_wait_ms === null ? null : Number(waits.rows[0].p95_wait_ms)
+    }
+  };
+}
+
+/**
+ * Manually trigger embedding generation for an entity
  * Bypasses the queue and processes immediately
  *
- * @param {string} resourceType - 'context' or 'template'
- * @param {string} resourceId - UUID of the resource
- * @returns {Promise<Object>} Embedding result
+ * @param {string} resourceType - 'template', 'context' or 'workflow'
+ * @param {string} resourceId - Entity id
+ * @returns {Promise<Object>} Embedding row of the tenant's active model
  */
 export async function generateEmbeddingNow(resourceType, resourceId) {
   console.log(`[EmbeddingWorker] Generating embedding for ${resourceType} ${resourceId} (immediate)`);
@@ -369,19 +569,20 @@ export async function generateEmbeddingNow(resourceType, resourceId) {
   }
 
   // Fetch the generated embedding
-  const tableName = resourceType === 'context' ? 'context_embeddings' : 'template_embeddings';
-  const columnName = resourceType === 'context' ? 'context_id' : 'template_id';
+  const entity = await db.query('SELECT tenant_id FROM entity WHERE id = $1', [resourceId]);
+  const model = await getTenantEmbeddingModel(entity.rows[0].tenant_id);
 
   const result = await db.query(
-    `SELECT * FROM ${tableName} WHERE ${columnName} = $1`,
-    [resourceId]
+    `SELECT id, entity_id, model, provider, dimensions, content_hash, status, updated_at
+     FROM embedding WHERE entity_id = $1 AND model = $2`,
+    [resourceId, model.model_id]
   );
 
   return result.rows[0];
 }
 
 /**
- * Clean up old completed/failed jobs
+ * Clean up old completed, skipped and dead-lettered jobs
  *
  * @param {number} retentionDays - Number of days to retain completed jobs
  * @returns {Promise<number>} Number of jobs deleted
@@ -389,7 +590,7 @@ export async function generateEmbeddingNow(resourceType, resourceId) {
 export async function cleanupOldJobs(retentionDays = 7) {
   const result = await db.query(
     `DELETE FROM embedding_queue
-     WHERE status IN ('completed', 'failed')
+     WHERE status IN ('completed', 'skipped', 'dead_letter')
      AND completed_at < NOW() - INTERVAL '${retentionDays} days'
      RETURNING id`
   );
@@ -428,6 +629,9 @@ export default {
   startEmbeddingWorker,
   stopEmbeddingWorker,
   getWorkerStatus,
+  getQueueMetrics,
+  releaseExpiredLeases,
+  processPendingJobs,
   generateEmbeddingNow,
   cleanupOldJobs,
 };
@@ -0,0 +1,330 @@
+/**
+ * Content Chunking
+ *
+ * Splits entity content into passages that are embedded separately, so long
+ * contexts are searchable beyond what an embedding model reads (~256 tokens for
+ * MiniLM). Splitting follows the structure of the text:
+ * - markdown: sections at headings, then paragraphs; fenced code blocks are
+ *   kept together where they fit
+ * - code: top-level declarations (functions, classes, ...)
+ * - text: paragraphs, then sentences
+ * Blocks are packed into chunks of up to `EMBEDDING_CHUNK_SIZE` characters
+ * (default 1000), and each chunk repeats the last `EMBEDDING_CHUNK_OVERLAP`
+ * characters (default 150) of the previous one. Offsets are character offsets
+ * into the entity's content text.
+ *
+ * @module services/embeddings/chunking
+ */
+
+export const CHUNKING_CONFIG = {
+  maxChars: parseInt(process.env.EMBEDDING_CHUNK_SIZE) || 1000,
+  overlapChars: parseInt(process.env.EMBEDDING_CHUNK_OVERLAP) || 150,
+  maxChunks: parseInt(process.env.EMBEDDING_MAX_CHUNKS) || 200
+};
+
+export const CHUNK_FORMATS = ['markdown', 'code', 'text'];
+
+const HEADING = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const FENCE = /^\s*(```|~~~)/;
+const CODE_DECLARATION = /^(export\s+(default\s+)?|async\s+|pub\s+)?(function|class|def|interface|type|enum|struct|impl|fn|func|module|const|let|var|public|private|protected|package|import)\b/;
+const CODE_PREFIX = /^(\/\/|#(?!include)|\/\*|\*|--|@\w+)/; // comments and decorators above a declaration
+const CODE_LINE = /[{};]\s*$|^\s*(\/\/|#!|import |from |return\b|if\s*\(|for\s*\(|def |class )/;
+
+/**
+ * Content text of an entity: what chunk offsets point into
+ * Workflows contribute their steps' ids, types and prompts rather than the
+ * raw config.
+ *
+ * @param {Object} entity - entity row
+ * @returns {string}
+ */
+export function entityContentText(entity) {
+  if (entity.entity_type === 'workflow') {
+    return (entity.content?.steps || [])
+      .map(step => [`${step.id} (${step.type})`, step.systemPrompt, step.prompt].filter(Boolean).join(': '))
+      .join('\n');
+  }
+
+  return typeof entity.content === 'string'
+    ? entity.content
+    : entity.content?.text || JSON.stringify(entity.content ?? '');
+}
+
+/**
+ * Guess how a text is structured
+ *
+ * @param {string} text
+ * @returns {string} One of CHUNK_FORMATS
+ */
+export function detectFormat(text) {
+  const lines = text.split('\n');
+  const nonEmpty = lines.filter(line => line.trim());
+  const codeLines = nonEmpty.filter(line => CODE_LINE.test(line) || CODE_DECLARATION.test(line));
+  const isCode = nonEmpty.length >= 3 && codeLines.length / nonEmpty.length >= 0.3;
+
+  // `# ...` lines in code are comments, not headings
+  if (lines.some(line => FENCE.test(line)) || (!isCode && lines.some(line => HEADING.test(line)))) {
+    return 'markdown';
+  }
+
+  return isCode ? 'code' : 'text';
+}
+
+/**
+ * Lines with their offsets
+ */
+function splitLines(text) {
+  const lines = [];
+  let start = 0;
+
+  for (const line of text.split('\n')) {
+    lines.push({ text: line, start, end: start + line.length });
+    start += line.length + 1;
+  }
+
+  return lines;
+}
+
+/**
+ * Markdown blocks: paragraphs and whole fenced code blocks, each with the
+ * heading path it sits under; `section` marks blocks starting at a heading
+ */
+function markdownBlocks(text) {
+  const blocks = [];
+  const headings = [];
+  let current = null;
+  let fence = null;
+
+  const flush = () => {
+    if (current) blocks.push(current);
+    current = null;
+  };
+
+  for (const line of splitLines(text)) {
+    if (fence) {
+      current.end = line.end;
+      if (line.text.trim().startsWith(fence)) {
+        fence = null;
+        flush();
+      }
+      continue;
+    }
+
+    const fenceMatch = line.text.match(FENCE);
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      current = { start: line.start, end: line.end, heading: headings.join(' › '), kind: 'code' };
+      continue;
+    }
+
+    const heading = line.text.match(HEADING);
+    if (heading) {
+      flush();
+      headings.splice(heading[1].length - 1);
+      headings.push(heading[2]);
+      current = { start: line.start, end: line.end, heading: headings.join(' › '), section: true };
+      continue;
+    }
+
+    if (!line.text.trim()) {
+      // A heading stays with its first paragraph
+      if (current && !(current.section && !current.hasBody)) flush();
+      continue;
+    }
+
+    if (!current) {
+      current = { start: line.start, end: line.end, heading: headings.join(' › ') };
+    } else {
+      current.end = line.end;
+      current.hasBody = true;
+    }
+  }
+
+  flush();
+  return blocks;
+}
+
+/**
+ * Code blocks: top-level declarations with the comments above them
+ */
+function codeBlocks(text) {
+  const blocks = [];
+  let current = null;
+  let pendingStart = null; // comment or blank run before a declaration
+
+  for (const line of splitLines(text)) {
+    const isDeclaration = CODE_DECLARATION.test(line.text);
+    const isPrefix = CODE_PREFIX.test(line.text);
+
+    if (!line.text.trim()) {
+      pendingStart = null;
+      if (current) current.end = Math.max(current.end, line.start);
+      continue;
+    }
+
+    if (isDeclaration && current) {
+      const start = pendingStart ?? line.start;
+      current.end = Math.min(current.end, start);
+      blocks.push(current);
+      current = { start, end: line.end, kind: 'code' };
+      pendingStart = null;
+      continue;
+    }
+
+    if (isPrefix && pendingStart === null) {
+      pendingStart = line.start;
+    } else if (!isPrefix) {
+      pendingStart = null;
+    }
+
+    if (!current) {
+      current = { start: line.start, end: line.end, kind: 'code' };
+    } else {
+      current.end = line.end;
+    }
+  }
+
+  if (current) blocks.push(current);
+  return blocks.map(block => ({ ...block, heading: '' }));
+}
+
+/**
+ * Text blocks: paragraphs
+ */
+function textBlocks(text) {
+  const blocks = [];
+  const pattern = /\S[\s\S]*?(?=\n\s*\n|$)/g;
+
+  for (const match of text.matchAll(pattern)) {
+    blocks.push({ start: match.index, end: match.index + match[0].length, heading: '' });
+  }
+
+  return blocks;
+}
+
+/**
+ * Split a block longer than maxChars at lines, then sentences, then whitespace
+ */
+function splitOversized(text, block, maxChars) {
+  if (block.end - block.start <= maxChars) {
+    return [block];
+  }
+
+  const pieces = [];
+  let start = block.start;
+
+  while (block.end - start > maxChars) {
+    const window = text.slice(start, start + maxChars);
+    const candidates = [
+      window.lastIndexOf('\n'),
+      Math.max(...['. ', '! ', '? ', '; '].map(stop => window.lastIndexOf(stop)).map(index => index < 0 ? -1 : index + 1)),
+      window.lastIndexOf(' ')
+    ];
+    // Prefer the coarsest boundary in the second half of the window
+    const cut = candidates.find(index => index > maxChars / 2) ?? maxChars;
+    const end = start + Math.max(cut, 1);
+
+    pieces.push({ ...block, start, end, section: pieces.length === 0 && block.section });
+    start = end;
+    while (start < block.end && /\s/.test(text[start])) start++;
+  }
+
+  if (start < block.end) {
+    pieces.push({ ...block, start, section: false });
+  }
+
+  return pieces;
+}
+
+/**
+ * Move an overlap start forward to the next line or word boundary
+ */
+function snapStart(text, start, limit) {
+  const newline = text.indexOf('\n', start);
+  if (newline !== -1 && newline + 1 < limit) {
+    return newline + 1;
+  }
+
+  const space = text.slice(start, limit).search(/\s\S/);
+  return space === -1 ? limit : start + space + 1;
+}
+
+/**
+ * Split text into overlapping, structure-aware chunks
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.format] - One of CHUNK_FORMATS; detected when omitted
+ * @param {number} [options.maxChars]
+ * @param {number} [options.overlapChars]
+ * @param {number} [options.maxChunks] - Text beyond this many chunks is not chunked
+ * @returns {Array<{index: number, start: number, end: number, heading: string}>} `text.slice(start, end)` is the chunk
+ */
+export function chunkText(text, options = {}) {
+  const {
+    format = detectFormat(text || ''),
+    maxChars = CHUNKING_CONFIG.maxChars,
+    overlapChars = CHUNKING_CONFIG.overlapChars,
+    maxChunks = CHUNKING_CONFIG.maxChunks
+  } = options;
+
+  if (!text || !text.trim()) {
+    return [];
+  }
+
+  const blocks = format === 'markdown' ? markdownBlocks(text)
+    : format === 'code' ? codeBlocks(text)
+    : textBlocks(text);
+
+  const pieces = blocks
+    .filter(block => text.slice(block.start, block.end).trim())
+    .flatMap(block => splitOversized(text, block, maxChars));
+
+  // Pack blocks into chunks; a new markdown section starts a new chunk unless
+  // the current one is still small
+  const packed = [];
+  let current = null;
+
+  for (const piece of pieces) {
+    const startsSection = piece.section && current && current.end - current.start >= maxChars / 4;
+
+    if (current && !startsSection && piece.end - current.start <= maxChars) {
+      current.end = piece.end;
+      continue;
+    }
+
+    if (current) packed.push(current);
+    if (packed.length >= maxChunks) {
+      current = null;
+      break;
+    }
+    current = { start: piece.start, end: piece.end, heading: piece.heading || '' };
+  }
+
+  if (current && packed.length < maxChunks) packed.push(current);
+
+  return packed.map((chunk, index) => {
+    let start = chunk.start;
+
+    if (index > 0 && overlapChars > 0) {
+      const previous = packed[index - 1];
+      const from = Math.max(previous.start, chunk.start - overlapChars);
+      start = from < chunk.start ? snapStart(text, from, chunk.start) : chunk.start;
+    }
+
+    let end = chunk.end;
+    while (end > start && /\s/.test(text[end - 1])) end--;
+    while (start < end && /\s/.test(text[start])) start++;
+
+    return { index, start, end, heading: chunk.heading };
+  });
+}
+
+export default {
+  CHUNKING_CONFIG,
+  CHUNK_FORMATS,
+  entityContentText,
+  detectFormat,
+  chunkText
+};
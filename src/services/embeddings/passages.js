@@ -0,0 +1,164 @@
+/**
+ * Passage Retrieval
+ *
+ * Searches chunk vectors (`embedding_chunk`) instead of document vectors and
+ * groups the hits by entity. A document scores its best passage plus a small
+ * bonus for further matching passages, so a long context with one highly
+ * relevant section ranks with a short context that is relevant throughout.
+ *
+ *   const documents = await searchPassages({ model, vector, entityType: 'context', ownerId: userId });
+ *   // [{ entity_id, score, passages: [{ chunk_index, start, end, heading, similarity }] }]
+ *
+ * Offsets are character offsets into entityContentText(entity); use
+ * attachPassageText to add the passage text.
+ *
+ * @module services/embeddings/passages
+ */
+
+import { db } from '../../utils/database.js';
+import { entityContentText } from './chunking.js';
+import { toVectorLiteral, vectorDistanceSql } from './registry.js';
+
+// Further passages add SUPPORT_WEIGHT × their similarity to a document's score
+const SUPPORT_WEIGHT = 0.05;
+const SUPPORT_PASSAGES = 2;
+
+// Chunk hits fetched per search, before grouping by document
+const MAX_CANDIDATES = 200;
+
+/**
+ * Group chunk hits by entity and score the documents
+ *
+ * @param {Object[]} hits - Rows with entity_id, chunk_index, start_offset, end_offset, heading, similarity
+ * @param {Object} [options]
+ * @param {number} [options.passagesPerDocument=3] - Passages returned per document
+ * @param {number} [options.minSimilarity=0] - Passages below this are dropped
+ * @returns {Array<{entity_id: string, score: number, passages: Object[]}>} Best documents first
+ */
+export function aggregatePassageHits(hits, { passagesPerDocument = 3, minSimilarity = 0 } = {}) {
+  const byEntity = new Map();
+
+  for (const hit of hits) {
+    const similarity = parseFloat(hit.similarity);
+    if (similarity < minSimilarity) continue;
+
+    if (!byEntity.has(hit.entity_id)) {
+      byEntity.set(hit.entity_id, []);
+    }
+    byEntity.get(hit.entity_id).push({
+      chunk_index: hit.chunk_index,
+      start: hit.start_offset,
+      end: hit.end_offset,
+      heading: hit.heading || null,
+      similarity
+    });
+  }
+
+  const documents = [];
+
+  for (const [entityId, passages] of byEntity) {
+    passages.sort((a, b) => b.similarity - a.similarity);
+
+    const [best, ...rest] = passages;
+    const support = rest.slice(0, SUPPORT_PASSAGES).reduce((sum, passage) => sum + passage.similarity, 0);
+
+    documents.push({
+      entity_id: entityId,
+      score: Math.min(1, best.similarity + SUPPORT_WEIGHT * support),
+      passages: passages.slice(0, passagesPerDocument)
+    });
+  }
+
+  return documents.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Search chunk vectors of one model and return the best documents with their
+ * matching passages
+ * Access: entities of `tenantId`, of `ownerId`, and public ones when
+ * `includePublic` is set.
+ *
+ * @param {Object} params
+ * @param {Object} params.model - embedding_model row the query vector belongs to
+ * @param {number[]} params.vector - Query vector
+ * @param {string} params.entityType
+ * @param {string} [params.tenantId]
+ * @param {string} [params.ownerId]
+ * @param {boolean} [params.includePublic=false]
+ * @param {string[]} [params.excludeIds]
+ * @param {number} [params.limit=10] - Documents returned
+ * @param {number} [params.passagesPerDocument=3]
+ * @param {number} [params.minSimilarity=0]
+ * @returns {Promise<Array<{entity_id: string, score: number, passages: Object[]}>>}
+ */
+export async function searchPassages({
+  model,
+  vector,
+  entityType,
+  tenantId = null,
+  ownerId = null,
+  includePublic = false,
+  excludeIds = [],
+  limit = 10,
+  passagesPerDocument = 3,
+  minSimilarity = 0
+}) {
+  const distance = vectorDistanceSql('c.vector', '$1', model.dimensions);
+  const params = [toVectorLiteral(vector), entityType, model.model_id, model.dimensions, excludeIds];
+  const access = [];
+
+  if (tenantId) {
+    params.push(tenantId);
+    access.push(`e.tenant_id = $${params.length}`);
+  }
+  if (ownerId) {
+    params.push(ownerId);
+    access.push(`e.owner_id = $${params.length}`);
+  }
+  if (includePublic) {
+    access.push(`e.visibility = 'public'`);
+  }
+
+  if (access.length === 0) {
+    return [];
+  }
+
+  params.push(Math.min(MAX_CANDIDATES, Math.max(limit * passagesPerDocument * 4, 50)));
+
+  const result = await db.query(
+    `SELECT c.entity_id, c.chunk_index, c.start_offset, c.end_offset, c.heading,
+            1 - ${distance} AS similarity
+     FROM embedding_chunk c
+     JOIN entity e ON e.id = c.entity_id
+     WHERE e.entity_type = $2
+       AND e.valid_to IS NULL
+       AND e.deleted_at IS NULL
+       AND c.model = $3
+       AND c.dimensions = $4
+       AND e.id != ALL($5::UUID[])
+       AND (${access.join(' OR ')})
+     ORDER BY ${distance}
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return aggregatePassageHits(result.rows, { passagesPerDocument, minSimilarity }).slice(0, limit);
+}
+
+/**
+ * Add `text` to passages from the entity's content
+ *
+ * @param {Object[]} passages - See aggregatePassageHits
+ * @param {Object} entity - entity row with entity_type and content
+ * @returns {Object[]}
+ */
+export function attachPassageText(passages, entity) {
+  const content = entityContentText(entity);
+  return passages.map(passage => ({ ...passage, text: content.slice(passage.start, passage.end) }));
+}
+
+export default {
+  aggregatePassageHits,
+  searchPassages,
+  attachPassageText
+};
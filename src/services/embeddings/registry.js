@@ -0,0 +1,555 @@
+/**
+ * Embedding Model Registry
+ *
+ * Embedding models live in `embedding_model` with their provider and
+ * dimensions, and every row of `embedding` records the model, provider and
+ * dimensions of its vector. Vectors of several models can therefore coexist;
+ * similarity is only ever computed between vectors of the same model.
+ *
+ * Each tenant searches with one active model (`tenant_embedding_config`,
+ * default `EMBEDDING_MODEL`, e.g. `openai:text-embedding-3-small`; default
+ * `local:Xenova/all-MiniLM-L6-v2`). Query text is embedded with that model
+ * and query vectors sent by clients are matched to a model by dimension.
+ * Switching models goes through a re-index job (see reindex.js).
+ *
+ * Besides the document vector, every entity's content is embedded in chunks
+ * (`embedding_chunk`, see chunking.js) for passage retrieval (passages.js).
+ *
+ * Providers: `local` (Transformers.js, no API key), `openai` and
+ * `huggingface` (keys resolved through the provider key vault).
+ *
+ * @module services/embeddings/registry
+ */
+
+import { db, EMBEDDED_ENTITY_TYPES } from '../../utils/database.js';
+import { generateBatchEmbeddings, generateContentHash, CONSTANTS as LOCAL_EMBEDDING } from '../localEmbeddingService.js';
+import { generateOpenAIEmbedding } from '../ai/providers/openai.js';
+import { generateHuggingFaceEmbedding } from '../ai/providers/huggingface.js';
+import { resolveProviderKey } from '../ai/key-vault.js';
+import { chunkText, entityContentText } from './chunking.js';
+
+export const EMBEDDING_PROVIDERS = ['local', 'openai', 'huggingface'];
+
+export const EMBEDDING_MODEL_STATUSES = ['active', 'deprecated', 'disabled'];
+
+export { EMBEDDED_ENTITY_TYPES };
+
+// Longest text sent to an embedding model (OpenAI accepts ~8K tokens)
+export const MAX_EMBEDDING_CHARACTERS = 8000;
+
+const REGISTRY_TTL_MS = 60 * 1000;
+
+let registryCache = null; // { expiresAt, models }
+
+/**
+ * Parse a `provider:model` spec
+ * Only the first colon separates provider and model.
+ *
+ * @param {string} spec
+ * @returns {{provider: string, modelId: string}|null}
+ */
+export function parseEmbeddingModelSpec(spec) {
+  const value = String(spec || '').trim();
+  const separator = value.indexOf(':');
+
+  if (separator <= 0 || separator === value.length - 1) {
+    return null;
+  }
+
+  return { provider: value.slice(0, separator), modelId: value.slice(separator + 1) };
+}
+
+export const DEFAULT_EMBEDDING_MODEL = parseEmbeddingModelSpec(process.env.EMBEDDING_MODEL)
+  || { provider: 'local', modelId: LOCAL_EMBEDDING.MODEL };
+
+/**
+ * All registered models
+ *
+ * @returns {Promise<Object[]>} embedding_model rows, cached for a minute
+ */
+export async function listEmbeddingModels() {
+  if (registryCache && registryCache.expiresAt > Date.now()) {
+    return registryCache.models;
+  }
+
+  const result = await db.query('SELECT * FROM embedding_model ORDER BY provider, model_id');
+  registryCache = { expiresAt: Date.now() + REGISTRY_TTL_MS, models: result.rows };
+  return result.rows;
+}
+
+/**
+ * Look up a registered model
+ *
+ * @param {string} provider
+ * @param {string} modelId
+ * @returns {Promise<Object|null>}
+ */
+export async function getEmbeddingModel(provider, modelId) {
+  const models = await listEmbeddingModels();
+  return models.find(model => model.provider === provider && model.model_id === modelId) || null;
+}
+
+/**
+ * Look up a registered model by id
+ *
+ * @param {string} id
+ * @returns {Promise<Object|null>}
+ */
+export async function getEmbeddingModelById(id) {
+  const models = await listEmbeddingModels();
+  return models.find(model => model.id === id) || null;
+}
+
+/**
+ * Validate a model registration
+ *
+ * @param {Object} input - { provider, model_id, dimensions, display_name? }
+ * @returns {string|null} Error message
+ */
+export function validateEmbeddingModelInput(input) {
+  if (!EMBEDDING_PROVIDERS.includes(input.provider)) {
+    return `provider must be one of: ${EMBEDDING_PROVIDERS.join(', ')}`;
+  }
+  if (typeof input.model_id !== 'string' || !input.model_id.trim() || input.model_id.length > 255) {
+    return 'model_id must be a non-empty string of at most 255 characters';
+  }
+  if (!Number.isInteger(input.dimensions) || input.dimensions < 1 || input.dimensions > 16000) {
+    return 'dimensions must be an integer between 1 and 16000';
+  }
+  if (input.display_name !== undefined && input.display_name !== null && typeof input.display_name !== 'string') {
+    return 'display_name must be a string';
+  }
+  return null;
+}
+
+/**
+ * Register a model
+ *
+ * @param {Object} input - Validated with validateEmbeddingModelInput
+ * @param {string} userId
+ * @returns {Promise<Object|null>} The row, or null when the model is already registered
+ */
+export async function registerEmbeddingModel(input, userId) {
+  const result = await db.query(
+    `INSERT INTO embedding_model (provider, model_id, dimensions, display_name, created_by)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (provider, model_id) DO NOTHING
+     RETURNING *`,
+    [input.provider, input.model_id.trim(), input.dimensions, input.display_name || null, userId]
+  );
+
+  registryCache = null;
+  return result.rows[0] || null;
+}
+
+/**
+ * The model a tenant searches with
+ *
+ * @param {string} [tenantId] - Without a tenant, the default model
+ * @returns {Promise<Object>} embedding_model row
+ * @throws {Error} When the default model is not registered
+ */
+export async function getTenantEmbeddingModel(tenantId) {
+  if (tenantId) {
+    const result = await db.query(
+      'SELECT model_ref FROM tenant_embedding_config WHERE tenant_id = $1',
+      [tenantId]
+    );
+    const model = result.rows[0] && await getEmbeddingModelById(result.rows[0].model_ref);
+    if (model) return model;
+  }
+
+  const model = await getEmbeddingModel(DEFAULT_EMBEDDING_MODEL.provider, DEFAULT_EMBEDDING_MODEL.modelId);
+  if (!model) {
+    throw new Error(`Default embedding model ${DEFAULT_EMBEDDING_MODEL.provider}:${DEFAULT_EMBEDDING_MODEL.modelId} is not registered (see schema/embedding-registry-patch.sql)`);
+  }
+  return model;
+}
+
+/**
+ * Make a model the one a tenant searches with
+ *
+ * @param {string} tenantId
+ * @param {string} modelRef - embedding_model id
+ * @param {Object} [client] - Transaction client
+ */
+export async function setTenantEmbeddingModel(tenantId, modelRef, client = db) {
+  await client.query(
+    `INSERT INTO tenant_embedding_config (tenant_id, model_ref)
+     VALUES ($1, $2)
+     ON CONFLICT (tenant_id) DO UPDATE SET model_ref = EXCLUDED.model_ref, updated_at = NOW()`,
+    [tenantId, modelRef]
+  );
+}
+
+/**
+ * Models new vectors of a tenant are made with: the active model, plus the
+ * target of a running re-index so it does not miss entities written meanwhile
+ *
+ * @param {string} tenantId
+ * @returns {Promise<Object[]>} embedding_model rows
+ */
+export async function getIndexingModels(tenantId) {
+  const active = await getTenantEmbeddingModel(tenantId);
+
+  const result = await db.query(
+    `SELECT to_model_ref FROM embedding_reindex_job
+     WHERE tenant_id = $1 AND status IN ('pending', 'running')`,
+    [tenantId]
+  );
+  const target = result.rows[0] && await getEmbeddingModelById(result.rows[0].to_model_ref);
+
+  return target && target.id !== active.id ? [active, target] : [active];
+}
+
+/**
+ * Embed texts with a model
+ *
+ * @param {Object} model - embedding_model row
+ * @param {string[]} texts
+ * @param {Object} [context] - { userId, tenantId } for provider key resolution
+ * @returns {Promise<number[][]>} One vector per text
+ * @throws {Error} When the provider returns vectors of another dimension
+ */
+export async function embedTexts(model, texts, { userId, tenantId } = {}) {
+  const inputs = texts.map(text => String(text ?? '').slice(0, MAX_EMBEDDING_CHARACTERS));
+  let vectors;
+
+  if (model.provider === 'local') {
+    ({ embeddings: vectors } = await generateBatchEmbeddings(inputs, { model: model.model_id }));
+  } else if (model.provider === 'openai' || model.provider === 'huggingface') {
+    const { apiKey } = await resolveProviderKey(model.provider, { userId, tenantId });
+    if (!apiKey) {
+      throw new Error(`No API key available for embedding provider: ${model.provider}`);
+    }
+
+    const embed = model.provider === 'openai' ? generateOpenAIEmbedding : generateHuggingFaceEmbedding;
+    vectors = [];
+    for (const input of inputs) {
+      vectors.push((await embed(input, model.model_id, apiKey)).embedding);
+    }
+  } else {
+    throw new Error(`Unknown embedding provider: ${model.provider}`);
+  }
+
+  const mismatch = vectors.find(vector => vector.length !== model.dimensions);
+  if (mismatch) {
+    throw new Error(`${model.provider}:${model.model_id} returned ${mismatch.length} dimensions, registered as ${model.dimensions}`);
+  }
+
+  return vectors;
+}
+
+/**
+ * Embed one text with a model
+ *
+ * @param {Object} model - embedding_model row
+ * @param {string} text
+ * @param {Object} [context] - See embedTexts
+ * @returns {Promise<number[]>}
+ */
+export async function embedText(model, text, context) {
+  const [vector] = await embedTexts(model, [text], context);
+  return vector;
+}
+
+/**
+ * The query vector and model for a search
+ * Text is embedded with the tenant's model. A client-supplied vector is used
+ * with the tenant's model when the dimensions match, else with the registered
+ * model of that dimension the tenant has vectors for.
+ *
+ * @param {string} [tenantId]
+ * @param {Object} query
+ * @param {string} [query.text]
+ * @param {number[]} [query.vector]
+ * @param {string} [query.userId]
+ * @returns {Promise<{model: Object, vector: number[]}>}
+ * @throws {Error} `status` 400 when no model matches the vector
+ */
+export async function resolveQueryVector(tenantId, { text, vector, userId }) {
+  const active = await getTenantEmbeddingModel(tenantId);
+
+  if (!vector) {
+    return { model: active, vector: await embedText(active, text, { userId, tenantId }) };
+  }
+
+  if (!Array.isArray(vector) || vector.length === 0 || vector.some(value => typeof value !== 'number' || !Number.isFinite(value))) {
+    const err = new Error('Query embedding must be an array of numbers');
+    err.status = 400;
+    throw err;
+  }
+
+  if (vector.length === active.dimensions) {
+    return { model: active, vector };
+  }
+
+  const candidates = (await listEmbeddingModels()).filter(model => model.dimensions === vector.length);
+  let model = null;
+
+  if (candidates.length > 0 && tenantId) {
+    const result = await db.query(
+      `SELECT model FROM embedding
+       WHERE tenant_id = $1 AND model = ANY($2) AND status = 'completed'
+       GROUP BY model
+       ORDER BY COUNT(*) DESC
+       LIMIT 1`,
+      [tenantId, candidates.map(candidate => candidate.model_id)]
+    );
+    model = candidates.find(candidate => candidate.model_id === result.rows[0]?.model) || null;
+  }
+
+  if (!model) {
+    const err = new Error(`No embedding model with ${vector.length} dimensions is indexed; this tenant searches with ${active.provider}:${active.model_id} (${active.dimensions} dimensions)`);
+    err.status = 400;
+    throw err;
+  }
+
+  return { model, vector };
+}
+
+/**
+ * Text embedded for an entity: title, description and content
+ * Workflows contribute their steps' ids, types and prompts rather than the
+ * raw config.
+ *
+ * @param {Object} entity - entity row
+ * @returns {string}
+ */
+export function entityEmbeddingText(entity) {
+  return `${entity.title}\n${entity.description || ''}\n${entityContentText(entity)}`.slice(0, MAX_EMBEDDING_CHARACTERS);
+}
+
+/**
+ * pgvector literal
+ *
+ * @param {number[]} vector
+ * @returns {string}
+ */
+export function toVectorLiteral(vector) {
+  return `[${vector.join(',')}]`;
+}
+
+/**
+ * Cosine distance between a stored vector column and a query parameter, cast to
+ * the model's dimension so the per-dimension index applies
+ *
+ * @param {string} column - e.g. `emb.vector`
+ * @param {string} param - e.g. `$1`
+ * @param {number} dimensions
+ * @returns {string} SQL expression
+ */
+export function vectorDistanceSql(column, param, dimensions) {
+  if (!Number.isInteger(dimensions) || dimensions < 1) {
+    throw new Error(`Invalid embedding dimensions: ${dimensions}`);
+  }
+
+  return `(${column}::vector(${dimensions}) <=> ${param}::vector(${dimensions}))`;
+}
+
+/**
+ * Store an entity's vector for a model
+ *
+ * @param {Object} row
+ * @param {string} row.tenantId
+ * @param {string} row.entityId
+ * @param {Object} row.model - embedding_model row
+ * @param {string} row.contentHash
+ * @param {number[]} row.vector
+ * @param {number} row.chunkCount - Chunks stored by embedEntityChunks
+ * @param {Object} [client]
+ */
+export async function storeEmbedding({ tenantId, entityId, model, contentHash, vector, chunkCount }, client = db) {
+  await client.query(
+    `INSERT INTO embedding (tenant_id, entity_id, model, provider, dimensions, content_hash, vector, chunk_count, status)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'completed')
+     ON CONFLICT (entity_id, model)
+     DO UPDATE SET vector = EXCLUDED.vector, content_hash = EXCLUDED.content_hash,
+                   provider = EXCLUDED.provider, dimensions = EXCLUDED.dimensions,
+                   chunk_count = EXCLUDED.chunk_count,
+                   status = 'completed', error_message = NULL, updated_at = NOW()`,
+    [tenantId, entityId, model.model_id, model.provider, model.dimensions, contentHash, toVectorLiteral(vector), chunkCount]
+  );
+}
+
+/**
+ * Text embedded for a chunk: the entity title and heading path give the
+ * passage its context
+ *
+ * @param {Object} entity - entity row
+ * @param {string} content - entityContentText(entity)
+ * @param {Object} chunk - See chunkText
+ * @returns {string}
+ */
+export function chunkEmbeddingText(entity, content, chunk) {
+  const heading = chunk.heading ? ` › ${chunk.heading}` : '';
+  return `${entity.title}${heading}\n${content.slice(chunk.start, chunk.end)}`;
+}
+
+/**
+ * Chunk an entity's content, embed the chunks with a model and replace the
+ * entity's chunks of that model
+ * Store the document vector (storeEmbedding) only after this succeeds, so an
+ * entity is never recorded as chunked without its chunks.
+ *
+ * @param {Object} entity - entity row
+ * @param {Object} model - embedding_model row
+ * @param {Object} options
+ * @param {string} options.contentHash - Hash of entityEmbeddingText(entity)
+ * @param {Object} [options.client]
+ * @returns {Promise<number>} Number of chunks
+ */
+export async function embedEntityChunks(entity, model, { contentHash, client = db }) {
+  const content = entityContentText(entity);
+  const chunks = chunkText(content);
+  const vectors = chunks.length > 0
+    ? await embedTexts(model, chunks.map(chunk => chunkEmbeddingText(entity, content, chunk)), {
+      userId: entity.owner_id,
+      tenantId: entity.tenant_id
+    })
+    : [];
+
+  if (chunks.length > 0) {
+    await client.query(
+      `INSERT INTO embedding_chunk
+         (tenant_id, entity_id, model, provider, dimensions, content_hash,
+          chunk_index, start_offset, end_offset, heading, vector)
+       SELECT $1, $2, $3, $4, $5, $6, c.chunk_index, c.start_offset, c.end_offset, NULLIF(c.heading, ''), c.vector::vector
+       FROM unnest($7::int[], $8::int[], $9::int[], $10::text[], $11::text[])
+         AS c(chunk_index, start_offset, end_offset, heading, vector)
+       ON CONFLICT (entity_id, model, chunk_index)
+       DO UPDATE SET provider = EXCLUDED.provider, dimensions = EXCLUDED.dimensions,
+                     content_hash = EXCLUDED.content_hash, start_offset = EXCLUDED.start_offset,
+                     end_offset = EXCLUDED.end_offset, heading = EXCLUDED.heading,
+                     vector = EXCLUDED.vector, created_at = NOW()`,
+      [
+        entity.tenant_id, entity.id, model.model_id, model.provider, model.dimensions, contentHash,
+        chunks.map(chunk => chunk.index),
+        chunks.map(chunk => chunk.start),
+        chunks.map(chunk => chunk.end),
+        chunks.map(chunk => chunk.heading),
+        vectors.map(toVectorLiteral)
+      ]
+    );
+  }
+
+  // Chunks of an earlier, longer text
+  await client.query(
+    'DELETE FROM embedding_chunk WHERE entity_id = $1 AND model = $2 AND chunk_index >= $3',
+    [entity.id, model.model_id, chunks.length]
+  );
+
+  return chunks.length;
+}
+
+/**
+ * Embed an entity version and its chunks with models
+ * Work is skipped when vectors of the same content (`content_hash`) exist:
+ * on the version itself nothing is done, on its previous version the vector
+ * and chunks are copied (e.g. after a tag or visibility change).
+ *
+ * @param {Object} entity - entity row
+ * @param {Object[]} models - embedding_model rows (see getIndexingModels)
+ * @returns {Promise<Array<{model: string, action: 'embedded'|'copied'|'unchanged', chunks: number}>>}
+ */
+export async function embedEntity(entity, models) {
+  const text = entityEmbeddingText(entity);
+  const contentHash = generateContentHash(text);
+  const results = [];
+
+  for (const model of models) {
+    // Vectors from before chunking (chunk_count NULL) are redone
+    const existing = await db.query(
+      `SELECT entity_id, chunk_count FROM embedding
+       WHERE entity_id = ANY($1) AND model = $2 AND content_hash = $3
+         AND status = 'completed' AND chunk_count IS NOT NULL`,
+      [[entity.id, entity.previous_version_id].filter(Boolean), model.model_id, contentHash]
+    );
+    const own = existing.rows.find(row => row.entity_id === entity.id);
+
+    if (own) {
+      results.push({ model: model.model_id, action: 'unchanged', chunks: own.chunk_count });
+      continue;
+    }
+
+    if (existing.rows.length > 0) {
+      await db.query(
+        'DELETE FROM embedding_chunk WHERE entity_id = $1 AND model = $2',
+        [entity.id, model.model_id]
+      );
+      await db.query(
+        `INSERT INTO embedding_chunk
+           (tenant_id, entity_id, model, provider, dimensions, content_hash,
+            chunk_index, start_offset, end_offset, heading, vector)
+         SELECT $1, $2, model, provider, dimensions, content_hash,
+                chunk_index, start_offset, end_offset, heading, vector
+         FROM embedding_chunk
+         WHERE entity_id = $3 AND model = $4`,
+        [entity.tenant_id, entity.id, entity.previous_version_id, model.model_id]
+      );
+      await db.query(
+        `INSERT INTO embedding (tenant_id, entity_id, model, provider, dimensions, content_hash, vector, chunk_count, status)
+         SELECT $1, $2, model, provider, dimensions, content_hash, vector, chunk_count, 'completed'
+         FROM embedding
+         WHERE entity_id = $3 AND model = $4
+         ON CONFLICT (entity_id, model)
+         DO UPDATE SET vector = EXCLUDED.vector, content_hash = EXCLUDED.content_hash,
+                       provider = EXCLUDED.provider, dimensions = EXCLUDED.dimensions,
+                       chunk_count = EXCLUDED.chunk_count,
+                       status = 'completed', error_message = NULL, updated_at = NOW()`,
+        [entity.tenant_id, entity.id, entity.previous_version_id, model.model_id]
+      );
+      results.push({ model: model.model_id, action: 'copied', chunks: existing.rows[0].chunk_count });
+      continue;
+    }
+
+    const vector = await embedText(model, text, { userId: entity.owner_id, tenantId: entity.tenant_id });
+    const chunkCount = await embedEntityChunks(entity, model, { contentHash });
+    await storeEmbedding({ tenantId: entity.tenant_id, entityId: entity.id, model, contentHash, vector, chunkCount });
+    results.push({ model: model.model_id, action: 'embedded', chunks: chunkCount });
+  }
+
+  return results;
+}
+
+/**
+ * Public shape of a registry row
+ */
+export function serializeEmbeddingModel(model) {
+  return {
+    id: model.id,
+    provider: model.provider,
+    model_id: model.model_id,
+    dimensions: model.dimensions,
+    display_name: model.display_name || model.model_id,
+    status: model.status
+  };
+}
+
+export default {
+  EMBEDDING_PROVIDERS,
+  EMBEDDING_MODEL_STATUSES,
+  EMBEDDED_ENTITY_TYPES,
+  MAX_EMBEDDING_CHARACTERS,
+  DEFAULT_EMBEDDING_MODEL,
+  parseEmbeddingModelSpec,
+  listEmbeddingModels,
+  getEmbeddingModel,
+  getEmbeddingModelById,
+  validateEmbeddingModelInput,
+  registerEmbeddingModel,
+  getTenantEmbeddingModel,
+  setTenantEmbeddingModel,
+  getIndexingModels,
+  embedTexts,
+  embedText,
+  resolveQueryVector,
+  entityEmbeddingText,
+  toVectorLiteral,
+  vectorDistanceSql,
+  storeEmbedding,
+  chunkEmbeddingText,
+  embedEntityChunks,
+  embedEntity,
+  serializeEmbeddingModel
+};
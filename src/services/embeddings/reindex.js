@@ -0,0 +1,377 @@
+/**
+ * Embedding Re-index Jobs
+ *
+ * Moves a tenant's search from one embedding model to another. A job embeds
+ * every current template, context and workflow with the new model in batches while
+ * searches keep using the tenant's active model; entities written meanwhile
+ * are embedded with both (see getIndexingModels). When a pass completes, a
+ * catch-up pass embeds whatever is still missing. Only once every entity has
+ * a vector is the tenant switched to the new model. Old vectors are kept, so
+ * switching back is another (cheap) re-index.
+ *
+ * A re-index to the active model rebuilds what is missing for it, e.g. the
+ * chunks of entities embedded before chunking existed.
+ *
+ * Jobs are processed in-process, one batch per tick:
+ *   import { startEmbeddingReindexer, stopEmbeddingReindexer } from './services/embeddings/reindex.js';
+ *   await startEmbeddingReindexer();
+ *
+ * @module services/embeddings/reindex
+ */
+
+import { db } from '../../utils/database.js';
+import { generateContentHash } from '../localEmbeddingService.js';
+import {
+  EMBEDDED_ENTITY_TYPES,
+  embedEntityChunks,
+  embedTexts,
+  entityEmbeddingText,
+  getEmbeddingModelById,
+  getTenantEmbeddingModel,
+  setTenantEmbeddingModel,
+  storeEmbedding
+} from './registry.js';
+
+// Re-indexer configuration
+const REINDEX_CONFIG = {
+  pollInterval: parseInt(process.env.EMBEDDING_REINDEX_INTERVAL) || 5000, // 5 seconds
+  batchSize: parseInt(process.env.EMBEDDING_REINDEX_BATCH_SIZE) || 32,
+  maxPasses: 3 // the first pass plus catch-up passes
+};
+
+export const ACTIVE_REINDEX_STATUSES = ['pending', 'running'];
+
+let isRunning = false;
+let reindexInterval = null;
+let activeTick = null;
+
+// Current entities of a tenant without a completed, chunked vector of a model
+const MISSING_ENTITIES_SQL = `
+  FROM entity e
+  WHERE e.tenant_id = $1
+    AND e.entity_type = ANY($2)
+    AND e.valid_to IS NULL AND e.deleted_at IS NULL
+    AND NOT EXISTS (
+      SELECT 1 FROM embedding emb
+      WHERE emb.entity_id = e.id AND emb.model = $3 AND emb.status = 'completed'
+        AND emb.chunk_count IS NOT NULL
+    )`;
+
+/**
+ * Queue a re-index of a tenant to another model
+ *
+ * @param {string} tenantId
+ * @param {Object} model - Target embedding_model row
+ * @param {string} userId
+ * @returns {Promise<Object>} embedding_reindex_job row
+ * @throws {Error} `status` 400 when the model is disabled, 409 when a job is running
+ */
+export async function startReindex(tenantId, model, userId) {
+  if (model.status === 'disabled') {
+    const err = new Error(`Embedding model ${model.provider}:${model.model_id} is disabled`);
+    err.status = 400;
+    throw err;
+  }
+
+  const active = await getTenantEmbeddingModel(tenantId);
+
+  try {
+    const result = await db.query(
+      `INSERT INTO embedding_reindex_job (tenant_id, from_model_ref, to_model_ref, created_by)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [tenantId, active.id, model.id, userId]
+    );
+    return result.rows[0];
+  } catch (error) {
+    // idx_embedding_reindex_active: one pending or running job per tenant
+    if (error.code === '23505') {
+      const err = new Error('A re-index is already in progress for this tenant');
+      err.status = 409;
+      throw err;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Cancel a pending or running job
+ * Vectors already made with the target model are kept.
+ *
+ * @param {string} tenantId
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The cancelled job, or null when it is not active
+ */
+export async function cancelReindex(tenantId, jobId) {
+  const result = await db.query(
+    `UPDATE embedding_reindex_job
+     SET status = 'cancelled', completed_at = NOW()
+     WHERE id = $1 AND tenant_id = $2 AND status = ANY($3)
+     RETURNING *`,
+    [jobId, tenantId, ACTIVE_REINDEX_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Embed and store a batch, one entity at a time when the batch call fails
+ * Chunks are stored before the document vector, so an entity whose chunks
+ * fail stays missing for the next pass.
+ *
+ * @returns {Promise<{processed: number, failed: number, lastError: string|null}>}
+ */
+async function embedBatch(client, job, model, entities) {
+  const context = { userId: job.created_by, tenantId: job.tenant_id };
+  const texts = entities.map(entityEmbeddingText);
+  let vectors = null;
+  let lastError = null;
+
+  try {
+    vectors = await embedTexts(model, texts, context);
+  } catch (error) {
+    lastError = error.message;
+  }
+
+  let processed = 0;
+  let failed = 0;
+
+  for (const [index, entity] of entities.entries()) {
+    try {
+      const vector = vectors ? vectors[index] : (await embedTexts(model, [texts[index]], context))[0];
+      const contentHash = generateContentHash(texts[index]);
+      const chunkCount = await embedEntityChunks(
+        { ...entity, tenant_id: job.tenant_id, owner_id: job.created_by },
+        model,
+        { contentHash, client }
+      );
+
+      await storeEmbedding({
+        tenantId: job.tenant_id,
+        entityId: entity.id,
+        model,
+        contentHash,
+        vector,
+        chunkCount
+      }, client);
+      processed++;
+    } catch (error) {
+      console.error(`[EmbeddingReindex] ✗ Entity ${entity.id} (job ${job.id}):`, error.message);
+      lastError = error.message;
+      failed++;
+    }
+  }
+
+  return { processed, failed, lastError };
+}
+
+/**
+ * End a pass: switch the tenant over when nothing is missing, else start a
+ * catch-up pass, else fail the job (searches keep the old model)
+ */
+async function finishPass(client, job, model) {
+  const missing = await client.query(
+    `SELECT COUNT(*)::int AS count ${MISSING_ENTITIES_SQL}`,
+    [job.tenant_id, EMBEDDED_ENTITY_TYPES, model.model_id]
+  );
+  const count = missing.rows[0].count;
+
+  if (count === 0) {
+    await setTenantEmbeddingModel(job.tenant_id, model.id, client);
+    await client.query(
+      `UPDATE embedding_reindex_job
+       SET status = 'completed', completed_at = NOW(), error_message = NULL
+       WHERE id = $1`,
+      [job.id]
+    );
+    console.log(`[EmbeddingReindex] ✓ Tenant ${job.tenant_id} now searches with ${model.provider}:${model.model_id}`);
+    return;
+  }
+
+  if (job.pass < REINDEX_CONFIG.maxPasses) {
+    await client.query(
+      `UPDATE embedding_reindex_job SET pass = pass + 1, last_entity_id = NULL, failed_entities = 0 WHERE id = $1`,
+      [job.id]
+    );
+    return;
+  }
+
+  await client.query(
+    `UPDATE embedding_reindex_job
+     SET status = 'failed', completed_at = NOW(),
+         error_message = $2
+     WHERE id = $1`,
+    [job.id, `${count} entities could not be embedded${job.error_message ? `: ${job.error_message}` : ''}`]
+  );
+  console.error(`[EmbeddingReindex] ✗ Job ${job.id} failed with ${count} entities missing`);
+}
+
+/**
+ * Process one batch of the oldest active job
+ * The job row stays locked for the batch, so concurrent workers skip it.
+ *
+ * @returns {Promise<boolean>} Whether a job was worked on
+ */
+export async function processReindexBatch() {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const claimed = await client.query(
+      `SELECT * FROM embedding_reindex_job
+       WHERE status = ANY($1)
+       ORDER BY created_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED`,
+      [ACTIVE_REINDEX_STATUSES]
+    );
+    const job = claimed.rows[0];
+
+    if (!job) {
+      await client.query('COMMIT');
+      return false;
+    }
+
+    const model = await getEmbeddingModelById(job.to_model_ref);
+    if (!model || model.status === 'disabled') {
+      await client.query(
+        `UPDATE embedding_reindex_job
+         SET status = 'failed', completed_at = NOW(), error_message = 'Target embedding model is not available'
+         WHERE id = $1`,
+        [job.id]
+      );
+      await client.query('COMMIT');
+      return true;
+    }
+
+    if (job.status === 'pending') {
+      const total = await client.query(
+        `SELECT COUNT(*)::int AS count FROM entity
+         WHERE tenant_id = $1 AND entity_type = ANY($2)
+           AND valid_to IS NULL AND deleted_at IS NULL`,
+        [job.tenant_id, EMBEDDED_ENTITY_TYPES]
+      );
+      await client.query(
+        `UPDATE embedding_reindex_job
+         SET status = 'running', started_at = NOW(), total_entities = $2
+         WHERE id = $1`,
+        [job.id, total.rows[0].count]
+      );
+    }
+
+    const batch = await client.query(
+      `SELECT e.id, e.entity_type, e.title, e.description, e.content ${MISSING_ENTITIES_SQL}
+         AND ($4::uuid IS NULL OR e.id > $4)
+       ORDER BY e.id
+       LIMIT $5`,
+      [job.tenant_id, EMBEDDED_ENTITY_TYPES, model.model_id, job.last_entity_id, REINDEX_CONFIG.batchSize]
+    );
+
+    if (batch.rows.length === 0) {
+      await finishPass(client, job, model);
+      await client.query('COMMIT');
+      return true;
+    }
+
+    const { processed, failed, lastError } = await embedBatch(client, job, model, batch.rows);
+
+    await client.query(
+      `UPDATE embedding_reindex_job
+       SET last_entity_id = $2,
+           processed_entities = processed_entities + $3,
+           failed_entities = failed_entities + $4,
+           error_message = COALESCE($5, error_message)
+       WHERE id = $1`,
+      [job.id, batch.rows[batch.rows.length - 1].id, processed, failed, lastError]
+    );
+
+    await client.query('COMMIT');
+    return true;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Main re-indexer loop
+ */
+async function reindexLoop() {
+  if (!isRunning) {
+    return;
+  }
+
+  let busy = false;
+  try {
+    activeTick = processReindexBatch();
+    busy = await activeTick;
+  } catch (error) {
+    console.error('[EmbeddingReindex] Re-index loop error:', error);
+  } finally {
+    activeTick = null;
+  }
+
+  if (isRunning) {
+    // Keep going while there is work
+    reindexInterval = setTimeout(reindexLoop, busy ? 0 : REINDEX_CONFIG.pollInterval);
+  }
+}
+
+/**
+ * Start the re-indexer
+ *
+ * @returns {Promise<void>}
+ */
+export async function startEmbeddingReindexer() {
+  if (isRunning) {
+    console.log('[EmbeddingReindex] Re-indexer already running');
+    return;
+  }
+
+  console.log('[EmbeddingReindex] Starting re-indexer...');
+  console.log('[EmbeddingReindex] Config:', REINDEX_CONFIG);
+
+  isRunning = true;
+  reindexLoop();
+
+  console.log('[EmbeddingReindex] Re-indexer started successfully');
+}
+
+/**
+ * Stop the re-indexer
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopEmbeddingReindexer() {
+  if (!isRunning) {
+    console.log('[EmbeddingReindex] Re-indexer not running');
+    return;
+  }
+
+  console.log('[EmbeddingReindex] Stopping re-indexer...');
+
+  isRunning = false;
+
+  if (reindexInterval) {
+    clearTimeout(reindexInterval);
+    reindexInterval = null;
+  }
+
+  if (activeTick) {
+    await activeTick.catch(() => {});
+  }
+
+  console.log('[EmbeddingReindex] Re-indexer stopped successfully');
+}
+
+// Default export
+export default {
+  ACTIVE_REINDEX_STATUSES,
+  startReindex,
+  cancelReindex,
+  processReindexBatch,
+  startEmbeddingReindexer,
+  stopEmbeddingReindexer
+};
@@ -10,6 +10,9 @@
  * - Quality: Excellent for semantic search
  * - Size: ~23MB download (cached after first use)
  *
+ * Other Transformers.js feature-extraction models (see the embedding model
+ * registry) can be selected with the `model` option.
+ *
  * @module services/localEmbeddingService
  */
 
@@ -25,11 +28,9 @@ if (process.env.NODE_ENV === 'production') {
   env.allowRemoteModels = true; // Set to false if you want to pre-download models
 }
 
-// Singleton pattern for the embedding pipeline
-// Loading the model is expensive (~2-3 seconds), so we cache it
-let embeddingPipeline = null;
-let isLoading = false;
-let loadPromise = null;
+// One pipeline per model
+// Loading a model is expensive (~2-3 seconds), so we cache it
+const pipelines = new Map(); // model -> { pipeline, promise }
 
 /**
  * Default model configuration
@@ -38,32 +39,34 @@ const DEFAULT_MODEL = 'Xenova/all-MiniLM-L6-v2';
 const EMBEDDING_DIMENSIONS = 384;
 
 /**
- * Initialize or get the embedding pipeline
- * Uses singleton pattern to avoid loading the model multiple times
+ * Initialize or get the embedding pipeline of a model
+ * Each model is loaded once; concurrent callers share the load
  *
+ * @param {string} [model] - Transformers.js feature-extraction model (default all-MiniLM-L6-v2)
  * @returns {Promise<pipeline>} The embedding pipeline
  */
-async function getEmbeddingPipeline() {
+async function getEmbeddingPipeline(model = DEFAULT_MODEL) {
+  const state = pipelines.get(model);
+
   // If already loaded, return immediately
-  if (embeddingPipeline) {
-    return embeddingPipeline;
+  if (state?.pipeline) {
+    return state.pipeline;
   }
 
   // If currently loading, wait for it
-  if (isLoading && loadPromise) {
-    return loadPromise;
+  if (state?.promise) {
+    return state.promise;
   }
 
   // Start loading
-  isLoading = true;
-  loadPromise = (async () => {
+  const promise = (async () => {
     try {
-      console.log(`[LocalEmbedding] Loading model: ${DEFAULT_MODEL}...`);
+      console.log(`[LocalEmbedding] Loading model: ${model}...`);
       const startTime = Date.now();
 
-      embeddingPipeline = await pipeline(
+      const embeddingPipeline = await pipeline(
         'feature-extraction',
-        DEFAULT_MODEL,
+        model,
         {
           quantized: true, // Use quantized model for faster inference
         }
@@ -72,18 +75,17 @@ async function getEmbeddingPipeline() {
       const loadTime = Date.now() - startTime;
       console.log(`[LocalEmbedding] Model loaded successfully in ${loadTime}ms`);
 
+      pipelines.set(model, { pipeline: embeddingPipeline });
       return embeddingPipeline;
     } catch (error) {
       console.error('[LocalEmbedding] Failed to load model:', error);
-      isLoading = false;
-      loadPromise = null;
+      pipelines.delete(model);
       throw new Error(`Failed to load embedding model: ${error.message}`);
-    } finally {
-      isLoading = false;
     }
   })();
 
-  return loadPromise;
+  pipelines.set(model, { promise });
+  return promise;
 }
 
 /**
@@ -93,10 +95,11 @@ async function getEmbeddingPipeline() {
  * @param {Object} options - Options
  * @param {boolean} options.normalize - Normalize embeddings (default: true)
  * @param {boolean} options.pooling - Pooling strategy: 'mean' or 'cls' (default: 'mean')
+ * @param {string} options.model - Local model (default: all-MiniLM-L6-v2)
  * @returns {Promise<{embedding: number[], dimensions: number, model: string}>}
  */
 export async function generateEmbedding(text, options = {}) {
-  const { normalize = true, pooling = 'mean' } = options;
+  const { normalize = true, pooling = 'mean', model = DEFAULT_MODEL } = options;
 
   if (!text || typeof text !== 'string') {
     throw new Error('Text must be a non-empty string');
@@ -107,7 +110,7 @@ export async function generateEmbedding(text, options = {}) {
   }
 
   try {
-    const pipeline = await getEmbeddingPipeline();
+    const pipeline = await getEmbeddingPipeline(model);
 
     // Generate embedding
     const output = await pipeline(text, {
@@ -119,7 +122,7 @@ export async function generateEmbedding(text, options = {}) {
     // output.data is a Float32Array
     const embedding = Array.from(output.data);
 
-    if (embedding.length !== EMBEDDING_DIMENSIONS) {
+    if (model === DEFAULT_MODEL && embedding.length !== EMBEDDING_DIMENSIONS) {
       throw new Error(
         `Unexpected embedding dimensions: got ${embedding.length}, expected ${EMBEDDING_DIMENSIONS}`
       );
@@ -127,8 +130,8 @@ export async function generateEmbedding(text, options = {}) {
 
     return {
       embedding,
-      dimensions: EMBEDDING_DIMENSIONS,
-      model: DEFAULT_MODEL,
+      dimensions: embedding.length,
+      model,
     };
   } catch (error) {
     console.error('[LocalEmbedding] Error generating embedding:', error);
@@ -149,10 +152,10 @@ export async function generateBatchEmbeddings(texts, options = {}) {
     throw new Error('texts must be a non-empty array');
   }
 
-  const { normalize = true, pooling = 'mean' } = options;
+  const { normalize = true, pooling = 'mean', model = DEFAULT_MODEL } = options;
 
   try {
-    const pipeline = await getEmbeddingPipeline();
+    const pipeline = await getEmbeddingPipeline(model);
 
     // Process all texts at once for better performance
     const output = await pipeline(texts, {
@@ -164,18 +167,19 @@ export async function generateBatchEmbeddings(texts, options = {}) {
     // For batch processing, output.data is a flat array
     const flatEmbeddings = Array.from(output.data);
 
-    // Reshape into array of embeddings
+    // Reshape into array of embeddings (output.dims is [texts, dimensions])
+    const dimensions = output.dims[output.dims.length - 1];
     const embeddings = [];
     for (let i = 0; i < texts.length; i++) {
-      const start = i * EMBEDDING_DIMENSIONS;
-      const end = start + EMBEDDING_DIMENSIONS;
+      const start = i * dimensions;
+      const end = start + dimensions;
       embeddings.push(flatEmbeddings.slice(start, end));
     }
 
     return {
       embeddings,
-      dimensions: EMBEDDING_DIMENSIONS,
-      model: DEFAULT_MODEL,
+      dimensions,
+      model,
     };
   } catch (error) {
     console.error('[LocalEmbedding] Error generating batch embeddings:', error);
@@ -257,7 +261,7 @@ export async function isServiceAvailable() {
  * @returns {Promise<{available: boolean, model: string, dimensions: number, loaded: boolean}>}
  */
 export async function getServiceStatus() {
-  const loaded = embeddingPipeline !== null;
+  const loaded = Boolean(pipelines.get(DEFAULT_MODEL)?.pipeline);
   const available = await isServiceAvailable();
 
   return {
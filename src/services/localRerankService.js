@@ -0,0 +1,192 @@
+/**
+ * Local Rerank Service
+ *
+ * Rescores search candidates with a cross-encoder that runs locally through
+ * Transformers.js, like the embedding models in localEmbeddingService. A
+ * cross-encoder reads the query and a candidate together, so it sees what a
+ * vector comparison misses (e.g. a short generic context that is close to
+ * everything). It is too slow to run over a whole index, so only the top
+ * candidates of the first-stage search are rescored.
+ *
+ * Model: Xenova/ms-marco-MiniLM-L-6-v2 (`RERANK_MODEL`)
+ * - ~23MB download (cached after first use)
+ * - ~10-30ms per candidate on CPU; reads up to 512 tokens of query + candidate
+ *
+ * Reranking is opt-in per request (`rerank: true` or `rerank: { top_n }`).
+ *
+ * @module services/localRerankService
+ */
+
+import { AutoTokenizer, AutoModelForSequenceClassification, env } from '@xenova/transformers';
+
+env.cacheDir = process.env.TRANSFORMERS_CACHE || './.cache/transformers';
+
+export const RERANK_CONFIG = {
+  model: process.env.RERANK_MODEL || 'Xenova/ms-marco-MiniLM-L-6-v2',
+  topN: parseInt(process.env.RERANK_TOP_N) || 20, // candidates rescored by default
+  maxTopN: 50,
+  maxChars: 2000, // of each candidate; the model truncates at 512 tokens anyway
+  batchSize: 16
+};
+
+// Loaded like the embedding pipelines: once, shared by concurrent callers
+let reranker = null; // { tokenizer, model }
+let loading = null;
+
+/**
+ * Load the cross-encoder
+ *
+ * @returns {Promise<{tokenizer: Object, model: Object}>}
+ */
+async function getReranker() {
+  if (reranker) {
+    return reranker;
+  }
+
+  if (loading) {
+    return loading;
+  }
+
+  loading = (async () => {
+    try {
+      console.log(`[LocalRerank] Loading model: ${RERANK_CONFIG.model}...`);
+      const startTime = Date.now();
+
+      const [tokenizer, model] = await Promise.all([
+        AutoTokenizer.from_pretrained(RERANK_CONFIG.model),
+        AutoModelForSequenceClassification.from_pretrained(RERANK_CONFIG.model, { quantized: true })
+      ]);
+
+      console.log(`[LocalRerank] Model loaded successfully in ${Date.now() - startTime}ms`);
+
+      reranker = { tokenizer, model };
+      return reranker;
+    } catch (error) {
+      console.error('[LocalRerank] Failed to load model:', error);
+      throw new Error(`Failed to load rerank model: ${error.message}`);
+    } finally {
+      loading = null;
+    }
+  })();
+
+  return loading;
+}
+
+/**
+ * Relevance of texts to a query
+ *
+ * @param {string} query
+ * @param {string[]} texts
+ * @returns {Promise<number[]>} One score per text, 0-1 (higher is more relevant)
+ */
+export async function scoreRelevance(query, texts) {
+  if (texts.length === 0) {
+    return [];
+  }
+
+  const { tokenizer, model } = await getReranker();
+  const scores = [];
+
+  for (let start = 0; start < texts.length; start += RERANK_CONFIG.batchSize) {
+    const batch = texts.slice(start, start + RERANK_CONFIG.batchSize)
+      .map(text => String(text ?? '').slice(0, RERANK_CONFIG.maxChars));
+
+    const inputs = tokenizer(new Array(batch.length).fill(query), {
+      text_pair: batch,
+      padding: true,
+      truncation: true
+    });
+    const { logits } = await model(inputs);
+
+    // One logit per pair (the last one when the model has two labels)
+    const labels = logits.dims[logits.dims.length - 1];
+    for (let index = 0; index < batch.length; index++) {
+      const logit = logits.data[index * labels + labels - 1];
+      scores.push(1 / (1 + Math.exp(-logit)));
+    }
+  }
+
+  return scores;
+}
+
+/**
+ * Read a request's `rerank` option
+ *
+ * @param {boolean|Object} [value] - `true` or `{ top_n }`
+ * @returns {{topN: number}|null} null when reranking is off
+ */
+export function parseRerankOption(value) {
+  if (!value) {
+    return null;
+  }
+
+  const requested = typeof value === 'object' ? parseInt(value.top_n) : NaN;
+  const topN = Number.isInteger(requested) ? requested : RERANK_CONFIG.topN;
+
+  return { topN: Math.min(Math.max(topN, 1), RERANK_CONFIG.maxTopN) };
+}
+
+/**
+ * Rescore the first `topN` results (already in first-stage order) against the
+ * query and put them in rerank order; the rest keep their order behind them
+ * Reranked results get `rerank_score`. When the model cannot run, the results
+ * are returned as they were and `applied` is false.
+ *
+ * @param {string} query
+ * @param {Object[]} results
+ * @param {Object} options
+ * @param {number} options.topN
+ * @param {Function} options.textOf - result => text the model reads
+ * @returns {Promise<{results: Object[], rerank: Object}>} `rerank`: { applied, model, candidates, latency_ms, error? }
+ */
+export async function rerankResults(query, results, { topN, textOf }) {
+  const startTime = Date.now();
+  const candidates = results.slice(0, topN);
+
+  try {
+    const scores = await scoreRelevance(query, candidates.map(textOf));
+    const reranked = candidates
+      .map((result, index) => ({ ...result, rerank_score: scores[index] }))
+      .sort((a, b) => b.rerank_score - a.rerank_score);
+
+    return {
+      results: [...reranked, ...results.slice(topN)],
+      rerank: {
+        applied: true,
+        model: RERANK_CONFIG.model,
+        candidates: candidates.length,
+        latency_ms: Date.now() - startTime
+      }
+    };
+  } catch (error) {
+    console.error('[LocalRerank] Rerank failed, keeping first-stage order:', error.message);
+
+    return {
+      results,
+      rerank: {
+        applied: false,
+        model: RERANK_CONFIG.model,
+        candidates: 0,
+        latency_ms: Date.now() - startTime,
+        error: error.message
+      }
+    };
+  }
+}
+
+/**
+ * Preload the model (avoids a cold first rerank)
+ *
+ * @returns {Promise<void>}
+ */
+export async function preloadRerankModel() {
+  await getReranker();
+}
+
+export default {
+  RERANK_CONFIG,
+  scoreRelevance,
+  parseRerankOption,
+  rerankResults,
+  preloadRerankModel
+};
@@ -0,0 +1,283 @@
+/**
+ * Template Dependencies
+ *
+ * Resolves `{{> template:<id>}}` references across template versions and
+ * keeps `depends_on` rows in the relationship table in step with template
+ * content, so GET /api/templates/:id/dependencies and /dependents reflect
+ * what a template actually includes.
+ *
+ * Saving a template creates a new entity row with a new id, so references are
+ * resolved through the previous_version_id chain: an unpinned include always
+ * renders the current version, a pinned one (`@<version>`) that exact version.
+ *
+ * @module services/templates/dependencies
+ */
+
+import { db } from '../../utils/database.js';
+import { extractTemplateIncludes } from './engine.js';
+
+// Longest include path followed when checking for cycles on save
+const MAX_DEPENDENCY_DEPTH = 25;
+
+/**
+ * Load every version of a template given the id of any one of them
+ *
+ * @param {string} templateId - Id of any version of the template
+ * @returns {Promise<Object[]>} Entity rows, oldest version first
+ */
+async function loadVersionChain(templateId) {
+  const result = await db.query(
+    `WITH RECURSIVE later AS (
+       SELECT * FROM entity WHERE id = $1 AND entity_type = 'template'
+       UNION ALL
+       SELECT e.* FROM entity e JOIN later l ON e.previous_version_id = l.id
+     ),
+     earlier AS (
+       SELECT * FROM entity WHERE id = $1 AND entity_type = 'template'
+       UNION ALL
+       SELECT e.* FROM entity e JOIN earlier p ON e.id = p.previous_version_id
+     )
+     SELECT * FROM later
+     UNION
+     SELECT * FROM earlier`,
+    [templateId]
+  );
+
+  return result.rows.sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Resolve a template reference to its current version and, when pinned,
+ * the requested version
+ *
+ * @param {string} templateId - Id of any version of the template
+ * @param {number|null} [version] - Pinned version number
+ * @returns {Promise<{current: Object|null, template: Object|null}>}
+ *   `current` is null if the template does not exist or was deleted;
+ *   `template` is null if the pinned version does not exist
+ */
+export async function resolveTemplateReference(templateId, version = null) {
+  const versions = await loadVersionChain(templateId);
+  const current = versions.find(row => row.valid_to === null && row.deleted_at === null) || null;
+
+  if (!current) {
+    return { current: null, template: null };
+  }
+
+  if (!version) {
+    return { current, template: current };
+  }
+
+  return {
+    current,
+    template: versions.find(row => row.version === version) || null
+  };
+}
+
+/**
+ * Get the version lineage of a template
+ * The first version's id is stable across edits and identifies the template
+ * for data that must outlive a single version (e.g. evaluation suites).
+ *
+ * @param {string} templateId - Id of any version of the template
+ * @returns {Promise<{rootId: string, current: Object|null, versions: Object[]}|null>} Null if unknown
+ */
+export async function getTemplateLineage(templateId) {
+  const versions = await loadVersionChain(templateId);
+
+  if (versions.length === 0) {
+    return null;
+  }
+
+  return {
+    rootId: versions[0].id,
+    current: versions.find(row => row.valid_to === null && row.deleted_at === null) || null,
+    versions
+  };
+}
+
+/**
+ * Find an include path from one template to another through depends_on rows
+ *
+ * @param {string} fromId - Current id of the starting template
+ * @param {string} toId - Current id of the template to reach
+ * @returns {Promise<Array<{id: string, title: string}>|null>} Path including both ends, or null
+ */
+export async function findDependencyPath(fromId, toId) {
+  if (fromId === toId) {
+    const result = await db.query(`SELECT id, title FROM entity WHERE id = $1`, [fromId]);
+    return result.rows;
+  }
+
+  const result = await db.query(
+    `WITH RECURSIVE walk AS (
+       SELECT r.target_id AS id, ARRAY[r.source_id, r.target_id] AS path
+       FROM relationship r
+       WHERE r.source_id = $1 AND r.relationship_type = 'depends_on'
+       UNION ALL
+       SELECT r.target_id, w.path || r.target_id
+       FROM walk w
+       JOIN relationship r ON r.source_id = w.id AND r.relationship_type = 'depends_on'
+       JOIN entity e ON e.id = r.source_id AND e.valid_to IS NULL AND e.deleted_at IS NULL
+       WHERE w.id <> $2
+         AND NOT r.target_id = ANY(w.path)
+         AND array_length(w.path, 1) < $3
+     )
+     SELECT path FROM walk WHERE id = $2
+     ORDER BY array_length(path, 1)
+     LIMIT 1`,
+    [fromId, toId, MAX_DEPENDENCY_DEPTH]
+  );
+
+  const path = result.rows[0]?.path;
+  if (!path) {
+    return null;
+  }
+
+  const titles = await db.query(`SELECT id, title FROM entity WHERE id = ANY($1)`, [path]);
+  const titleById = new Map(titles.rows.map(row => [row.id, row.title]));
+
+  return path.map(id => ({ id, title: titleById.get(id) || id }));
+}
+
+/**
+ * Check the includes of template content before it is saved
+ * Every included template must exist, be visible to the user, have the
+ * pinned version (if any) and must not include the saved template back.
+ *
+ * @param {string} content - Template content being saved
+ * @param {Object} options
+ * @param {string|null} options.templateId - Current id of the template being updated (null on create)
+ * @param {string} options.templateTitle - Title of the template being saved
+ * @param {Function} options.canAccess - async (template) => boolean
+ * @returns {Promise<{includes: Object[], errors: string[]}>} Resolved includes ({ targetId, templateId, version, title })
+ */
+export async function checkTemplateIncludes(content, { templateId, templateTitle, canAccess }) {
+  const includes = [];
+  const errors = [];
+
+  for (const include of extractTemplateIncludes(content)) {
+    const reference = include.version ? `${include.templateId}@${include.version}` : include.templateId;
+    const { current, template } = await resolveTemplateReference(include.templateId, include.version);
+
+    if (!current || !(await canAccess(current))) {
+      errors.push(`Included template ${reference} not found`);
+      continue;
+    }
+
+    if (!template) {
+      errors.push(`Included template "${current.title}" has no version ${include.version}`);
+      continue;
+    }
+
+    if (templateId) {
+      const path = await findDependencyPath(current.id, templateId);
+      if (path) {
+        // The path ends at the saved template; name it by its new title
+        const titles = [templateTitle, ...path.slice(0, -1).map(step => step.title), templateTitle];
+        errors.push(`Include cycle: ${titles.map(title => `"${title}"`).join(' -> ')}`);
+        continue;
+      }
+    }
+
+    includes.push({
+      targetId: current.id,
+      templateId: include.templateId,
+      version: include.version,
+      title: current.title
+    });
+  }
+
+  return { includes, errors };
+}
+
+/**
+ * Move depends_on rows from a replaced template version to the new one
+ *
+ * @param {string} previousId - Id of the version that was replaced
+ * @param {string} newId - Id of the new version
+ * @param {Object} [client] - Database client (for transactions)
+ * @returns {Promise<void>}
+ */
+export async function moveTemplateDependencies(previousId, newId, client = null) {
+  const executor = client || db;
+
+  if (!previousId || previousId === newId) {
+    return;
+  }
+
+  await executor.query(
+    `UPDATE relationship SET target_id = $2
+     WHERE target_id = $1 AND relationship_type = 'depends_on'
+       AND source_id <> $2`,
+    [previousId, newId]
+  );
+
+  await executor.query(
+    `UPDATE relationship SET source_id = $2
+     WHERE source_id = $1 AND relationship_type = 'depends_on'
+       AND target_id <> $2`,
+    [previousId, newId]
+  );
+}
+
+/**
+ * Update depends_on rows after a template is saved
+ * Rows pointing at or from the previous version move to the new id, then the
+ * template's include rows are replaced with its current includes.
+ *
+ * @param {Object} template - Saved template entity (new version)
+ * @param {Object[]} includes - Resolved includes from checkTemplateIncludes
+ * @param {Object} options
+ * @param {string} options.userId - User who saved the template
+ * @param {string|null} [options.previousId] - Id of the version that was replaced
+ * @returns {Promise<void>}
+ */
+export async function syncTemplateDependencies(template, includes, { userId, previousId = null }) {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    await moveTemplateDependencies(previousId, template.id, client);
+
+    await client.query(
+      `DELETE FROM relationship
+       WHERE source_id = $1 AND relationship_type = 'depends_on'
+         AND metadata->>'via' = 'include'`,
+      [template.id]
+    );
+
+    for (const include of includes) {
+      await client.query(
+        `INSERT INTO relationship (tenant_id, source_id, target_id, relationship_type, metadata, created_by)
+         VALUES ($1, $2, $3, 'depends_on', $4, $5)
+         ON CONFLICT (source_id, target_id, relationship_type)
+         DO UPDATE SET metadata = EXCLUDED.metadata`,
+        [
+          template.tenant_id,
+          template.id,
+          include.targetId,
+          JSON.stringify({ via: 'include', version: include.version }),
+          userId
+        ]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+export default {
+  resolveTemplateReference,
+  getTemplateLineage,
+  findDependencyPath,
+  checkTemplateIncludes,
+  moveTemplateDependencies,
+  syncTemplateDependencies
+};
@@ -0,0 +1,944 @@
+/**
+ * Template Engine
+ *
+ * Grammar for prompt templates, built on the `{{name:type:description}}`
+ * variable syntax:
+ * - Variables: `{{name}}`, `{{name:type}}`, `{{name:type:description}}`
+ * - Optional variables and defaults: `{{tone?}}`, `{{tone?=friendly}}`, `{{tone?="a, b":text}}`
+ * - Filters: `{{name | upper | truncate:200}}`
+ * - Typed validation: `number`, `enum(a|b)`, `list` (other types are free text)
+ * - Blocks: `{{#if expr}}...{{else}}...{{/if}}`, `{{#unless expr}}`,
+ *   `{{#each items}}...{{/each}}` (`this`, `@index`, `@first`, `@last`, or `{{#each items as item}}`)
+ * - Includes: `{{> template:<id>}}` or pinned `{{> template:<id>@<version>}}`,
+ *   resolved by the caller
+ * - Comments `{{! ... }}` and escaped braces `\{{`
+ *
+ * `#if` conditions use the workflow expression language (services/workflows/expressions.js).
+ * Rendering never throws on template problems; it returns structured errors
+ * with positions ({ code, message, position: { offset, line, column } }).
+ *
+ * @module services/templates/engine
+ */
+
+import { parseExpression, evaluateExpression } from '../workflows/expressions.js';
+
+export const ENGINE_LIMITS = {
+  maxIncludeDepth: 10,
+  maxIncludes: 100, // include tags rendered per render, including repeats
+  maxEachItems: 1000,
+  maxOutputLength: 1000000,
+  maxOperations: 200000, // nodes and loop iterations rendered, includes counted
+  maxRenderMs: 2000
+};
+
+const LOOP_VARIABLES = ['this', '@index', '@first', '@last'];
+
+// ============================================================================
+// Errors & positions
+// ============================================================================
+
+function toPosition(source, offset) {
+  if (offset === null || offset === undefined) return null;
+
+  let line = 1;
+  let lineStart = 0;
+  for (let i = 0; i < offset && i < source.length; i++) {
+    if (source[i] === '\n') {
+      line++;
+      lineStart = i + 1;
+    }
+  }
+
+  return { offset, line, column: offset - lineStart + 1 };
+}
+
+function templateError(code, message, source, offset, extra = {}) {
+  const position = toPosition(source, offset);
+  return {
+    code,
+    message: position ? `${message} (line ${position.line}, column ${position.column})` : message,
+    position,
+    ...extra
+  };
+}
+
+// ============================================================================
+// Filters
+// ============================================================================
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.map(toText).join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (value === undefined || value === null || value === '') return [];
+  return String(value).split(/\s*(?:,|\n)\s*/).filter(Boolean);
+}
+
+const FILTERS = {
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim(),
+  capitalize: (value) => {
+    const text = toText(value);
+    return text.charAt(0).toUpperCase() + text.slice(1);
+  },
+  truncate: (value, length, suffix = '') => {
+    const max = parseInt(length);
+    if (!Number.isInteger(max) || max < 0) {
+      throw new Error('truncate needs a non-negative length, e.g. truncate:200');
+    }
+    const text = toText(value);
+    return text.length > max ? text.slice(0, max) + suffix : text;
+  },
+  json: (value, indent) => JSON.stringify(value ?? null, null, indent ? parseInt(indent) : undefined),
+  join: (value, separator = ', ') => toList(value).map(toText).join(separator),
+  bullets: (value) => toList(value).map(item => `- ${toText(item)}`).join('\n'),
+  numbered: (value) => toList(value).map((item, i) => `${i + 1}. ${toText(item)}`).join('\n'),
+  first: (value) => toList(value)[0],
+  last: (value) => { const list = toList(value); return list[list.length - 1]; },
+  length: (value) => (Array.isArray(value) ? value.length : toText(value).length),
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  replace: (value, search = '', replacement = '') => toText(value).split(search).join(replacement)
+};
+
+/**
+ * Names of the available filters
+ */
+export const TEMPLATE_FILTERS = Object.keys(FILTERS);
+
+// ============================================================================
+// Parser
+// ============================================================================
+
+/**
+ * Split on a separator outside quotes and parentheses
+ * Returns segments with their offsets relative to `text`.
+ */
+function splitTopLevel(text, separator) {
+  const segments = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") quote = ch;
+    else if (ch === '(') depth++;
+    else if (ch === ')') depth = Math.max(0, depth - 1);
+    else if (ch === separator && depth === 0) {
+      segments.push({ text: text.slice(start, i), offset: start });
+      start = i + 1;
+    }
+  }
+
+  segments.push({ text: text.slice(start), offset: start });
+  return segments;
+}
+
+function unquote(text) {
+  const trimmed = text.trim();
+  if (trimmed.length >= 2 && (trimmed[0] === '"' || trimmed[0] === "'") && trimmed[trimmed.length - 1] === trimmed[0]) {
+    return trimmed.slice(1, -1).replace(/\\(.)/g, '$1');
+  }
+  return trimmed;
+}
+
+function parseType(spec) {
+  const text = spec.trim();
+  const enumMatch = /^enum\s*\((.*)\)$/i.exec(text);
+
+  if (enumMatch) {
+    return { name: 'enum', options: enumMatch[1].split('|').map(option => option.trim()).filter(Boolean) };
+  }
+
+  return { name: text.toLowerCase() || 'text' };
+}
+
+// Names may contain spaces and non-ASCII letters (`{{Company Name}}`) and dotted paths,
+// and may start with a digit (`{{1st_item}}`) as they could before blocks existed
+const NAME_PATTERN = /^\s*(@?[\p{L}\p{N}_][\p{L}\p{N}_-]*(?: +[\p{L}\p{N}_-]+)*(?:\.[\p{L}\p{N}_-]+)*)/u;
+
+/**
+ * Parse the inside of a variable tag
+ * `name[?][=default][:type[:description]] [| filter[:arg...]]...`
+ */
+function parseVariableTag(inner, offset, source, errors) {
+  // Trailing segments that name a known filter are filters; anything else
+  // stays in the head so descriptions may contain '|'
+  const segments = splitTopLevel(inner, '|');
+  const filters = [];
+
+  while (segments.length > 1) {
+    const last = segments[segments.length - 1];
+    const filterName = last.text.split(':')[0].trim();
+    if (!Object.prototype.hasOwnProperty.call(FILTERS, filterName)) break;
+
+    const args = splitTopLevel(last.text, ':').slice(1).map(arg => unquote(arg.text));
+    filters.unshift({ name: filterName, args, pos: offset + last.offset + last.text.indexOf(filterName) });
+    segments.pop();
+  }
+
+  const head = inner.slice(0, segments[segments.length - 1].offset + segments[segments.length - 1].text.length);
+  const nameMatch = NAME_PATTERN.exec(head);
+
+  if (!nameMatch) {
+    errors.push(templateError('TEMPLATE_SYNTAX_ERROR', `Invalid variable tag '{{${inner.trim()}}}'`, source, offset));
+    return null;
+  }
+
+  const node = {
+    type: 'var',
+    name: nameMatch[1],
+    optional: false,
+    default: undefined,
+    varType: { name: 'text' },
+    description: '',
+    filters,
+    pos: offset + head.indexOf(nameMatch[1])
+  };
+
+  let rest = head.slice(nameMatch[0].length);
+  let restOffset = offset + nameMatch[0].length;
+
+  if (rest.startsWith('?')) {
+    node.optional = true;
+    rest = rest.slice(1);
+    restOffset++;
+  }
+
+  const parts = splitTopLevel(rest, ':');
+  const first = parts[0].text;
+
+  if (first.trim().startsWith('=')) {
+    node.default = unquote(first.trim().slice(1));
+    node.optional = true;
+  } else if (first.trim() !== '') {
+    const unexpected = first.trim();
+    const unknownFilter = /^\|\s*([\w-]+)/.exec(unexpected);
+    errors.push(unknownFilter
+      ? templateError('UNKNOWN_FILTER', `Unknown filter '${unknownFilter[1]}'`, source, restOffset + first.indexOf(unknownFilter[1]), { filter: unknownFilter[1] })
+      : templateError('TEMPLATE_SYNTAX_ERROR', `Unexpected '${unexpected}' after variable name '${node.name}'`, source, restOffset + first.indexOf(unexpected)));
+    return null;
+  }
+
+  if (parts.length > 1) {
+    node.varType = parseType(parts[1].text);
+  }
+
+  if (parts.length > 2) {
+    node.description = parts.slice(2).map(part => part.text).join(':').trim();
+  }
+
+  return node;
+}
+
+/**
+ * Parse template source into an AST
+ *
+ * @param {string} source - Template content
+ * @returns {{ast: Object[], errors: Object[]}}
+ */
+export function parseTemplate(source) {
+  const text = typeof source === 'string' ? source : '';
+  const errors = [];
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  let cursor = 0;
+  let textBuffer = '';
+
+  const current = () => {
+    const block = stack[stack.length - 1];
+    return block.inElse ? block.elseBody : block.body;
+  };
+
+  const flushText = () => {
+    if (textBuffer) {
+      current().push({ type: 'text', value: textBuffer });
+      textBuffer = '';
+    }
+  };
+
+  while (cursor < text.length) {
+    const open = text.indexOf('{{', cursor);
+
+    if (open === -1) {
+      textBuffer += text.slice(cursor);
+      break;
+    }
+
+    // Escaped braces render literally
+    if (open > 0 && text[open - 1] === '\\') {
+      textBuffer += text.slice(cursor, open - 1) + '{{';
+      cursor = open + 2;
+      continue;
+    }
+
+    textBuffer += text.slice(cursor, open);
+
+    const close = text.indexOf('}}', open + 2);
+    if (close === -1) {
+      errors.push(templateError('TEMPLATE_SYNTAX_ERROR', "Unclosed tag, expected '}}'", text, open));
+      textBuffer += text.slice(open);
+      break;
+    }
+
+    const inner = text.slice(open + 2, close);
+    const innerOffset = open + 2;
+    const trimmed = inner.trim();
+    const tagOffset = innerOffset + inner.indexOf(trimmed);
+    cursor = close + 2;
+
+    flushText();
+
+    if (trimmed.startsWith('!')) {
+      continue; // comment
+    }
+
+    if (trimmed.startsWith('#')) {
+      const match = /^#(\w+)\s*([\s\S]*)$/.exec(trimmed);
+      const keyword = match?.[1];
+      const argument = match?.[2]?.trim() || '';
+      const argumentOffset = tagOffset + trimmed.indexOf(argument, keyword ? keyword.length + 1 : 1);
+
+      if (keyword === 'if' || keyword === 'unless') {
+        if (!argument) {
+          errors.push(templateError('TEMPLATE_SYNTAX_ERROR', `{{#${keyword}}} needs a condition`, text, tagOffset));
+          continue;
+        }
+
+        let expression = null;
+        try {
+          expression = parseExpression(argument);
+        } catch (err) {
+          errors.push(templateError('EXPRESSION_ERROR', `Invalid condition: ${err.message.replace(/ \(at position \d+\)$/, '')}`, text, argumentOffset + (err.position || 0)));
+        }
+
+        const block = { type: 'if', negate: keyword === 'unless', keyword, source: argument, expression, body: [], elseBody: [], pos: tagOffset, argumentOffset };
+        current().push(block);
+        stack.push(block);
+        continue;
+      }
+
+      if (keyword === 'each') {
+        const eachMatch = /^(@?[\p{L}\p{N}_][\p{L}\p{N}_-]*(?:\.[\p{L}\p{N}_-]+)*)(\?)?(?:\s+as\s+([A-Za-z_]\w*))?$/u.exec(argument);
+        if (!eachMatch) {
+          errors.push(templateError('TEMPLATE_SYNTAX_ERROR', '{{#each}} expects a variable name, e.g. {{#each items}} or {{#each items as item}}', text, tagOffset));
+          continue;
+        }
+
+        const block = { type: 'each', keyword, path: eachMatch[1], optional: Boolean(eachMatch[2]), alias: eachMatch[3] || null, body: [], elseBody: [], pos: argumentOffset };
+        current().push(block);
+        stack.push(block);
+        continue;
+      }
+
+      errors.push(templateError('TEMPLATE_SYNTAX_ERROR', `Unknown block '{{#${keyword || ''}}}'`, text, tagOffset));
+      continue;
+    }
+
+    if (trimmed === 'else') {
+      const block = stack[stack.length - 1];
+      if (block.type === 'root' || block.inElse) {
+        errors.push(templateError('TEMPLATE_SYNTAX_ERROR', 'Unexpected {{else}}', text, tagOffset));
+      } else {
+        block.inElse = true;
+      }
+      continue;
+    }
+
+    if (trimmed.startsWith('/')) {
+      const keyword = trimmed.slice(1).trim();
+      const block = stack[stack.length - 1];
+
+      if (block.type === 'root') {
+        errors.push(templateError('TEMPLATE_SYNTAX_ERROR', `Unexpected {{/${keyword}}} without an open block`, text, tagOffset));
+      } else if (block.keyword !== keyword) {
+        errors.push(templateError('TEMPLATE_SYNTAX_ERROR', `Expected {{/${block.keyword}}} but found {{/${keyword}}}`, text, tagOffset));
+      } else {
+        delete block.inElse;
+        stack.pop();
+      }
+      continue;
+    }
+
+    if (trimmed.startsWith('>')) {
+      const includeMatch = /^>\s*template:([\w-]+)(?:@(\d+))?$/.exec(trimmed);
+      if (!includeMatch) {
+        errors.push(templateError('TEMPLATE_SYNTAX_ERROR', 'Includes must look like {{> template:<id>}} or {{> template:<id>@<version>}}', text, tagOffset));
+        continue;
+      }
+
+      current().push({
+        type: 'include',
+        templateId: includeMatch[1],
+        version: includeMatch[2] ? parseInt(includeMatch[2], 10) : null,
+        pos: tagOffset
+      });
+      continue;
+    }
+
+    const node = parseVariableTag(inner, innerOffset, text, errors);
+    if (node) {
+      current().push(node);
+    }
+  }
+
+  flushText();
+
+  // Anything still open was never closed
+  for (const block of stack.slice(1).reverse()) {
+    errors.push(templateError('TEMPLATE_SYNTAX_ERROR', `Unclosed {{#${block.keyword}}} block`, text, block.pos));
+    delete block.inElse;
+  }
+
+  return { ast: root.body, errors };
+}
+
+// ============================================================================
+// Variable extraction
+// ============================================================================
+
+/**
+ * Collect root identifiers referenced by an expression AST
+ */
+function expressionIdentifiers(node, names = new Set()) {
+  if (!node || typeof node !== 'object') return names;
+
+  if (node.type === 'identifier') {
+    if (node.name !== 'context') names.add(node.name);
+    return names;
+  }
+
+  for (const child of [node.object, node.property, node.left, node.right, node.argument, node.test, node.consequent, node.alternate]) {
+    if (child) expressionIdentifiers(child, names);
+  }
+  (node.args || []).forEach(arg => expressionIdentifiers(arg, names));
+  (node.elements || []).forEach(element => expressionIdentifiers(element, names));
+  (node.properties || []).forEach(property => expressionIdentifiers(property.value, names));
+
+  return names;
+}
+
+function isLocal(name, locals) {
+  const root = name.split('.')[0];
+  return LOOP_VARIABLES.includes(root) || locals.has(root);
+}
+
+/**
+ * List the variables a template expects
+ *
+ * Variables used only inside `{{#if}}` branches, in conditions, or marked
+ * optional / given a default are not required.
+ *
+ * @param {string|Object[]} sourceOrAst - Template content or parsed AST
+ * @returns {Array<{name, type, description, required, default, options, position, includes?}>}
+ */
+export function extractTemplateVariables(sourceOrAst) {
+  const source = typeof sourceOrAst === 'string' ? sourceOrAst : '';
+  const ast = typeof sourceOrAst === 'string' ? parseTemplate(sourceOrAst).ast : sourceOrAst;
+  const variables = new Map();
+
+  const add = (name, info) => {
+    const rootName = name.split('.')[0];
+    const existing = variables.get(rootName);
+
+    if (!existing) {
+      variables.set(rootName, { name: rootName, ...info, position: toPosition(source, info.pos) });
+      delete variables.get(rootName).pos;
+      return;
+    }
+
+    existing.required = existing.required || info.required;
+    if (existing.type === 'text' && info.type !== 'text') {
+      existing.type = info.type;
+      existing.options = info.options;
+    }
+    if (!existing.description && info.description) existing.description = info.description;
+    if (existing.default === undefined && info.default !== undefined) existing.default = info.default;
+  };
+
+  const walk = (nodes, conditional, locals) => {
+    for (const node of nodes) {
+      if (node.type === 'var' && !isLocal(node.name, locals)) {
+        add(node.name, {
+          type: node.varType.name,
+          options: node.varType.options,
+          description: node.description,
+          required: !conditional && !node.optional,
+          default: node.default,
+          pos: node.pos
+        });
+      } else if (node.type === 'if') {
+        if (node.expression) {
+          for (const name of expressionIdentifiers(node.expression)) {
+            if (!isLocal(name, locals)) {
+              add(name, { type: 'text', description: '', required: false, pos: node.argumentOffset });
+            }
+          }
+        }
+        walk(node.body, true, locals);
+        walk(node.elseBody, true, locals);
+      } else if (node.type === 'each') {
+        if (!isLocal(node.path, locals)) {
+          add(node.path, { type: 'list', description: '', required: !conditional && !node.optional, pos: node.pos });
+        }
+        const inner = new Set(locals);
+        if (node.alias) inner.add(node.alias);
+        walk(node.body, conditional, inner);
+        walk(node.elseBody, true, locals);
+      }
+    }
+  };
+
+  walk(ast, false, new Set());
+
+  return [...variables.values()].map(variable => ({
+    name: variable.name,
+    type: variable.type || 'text',
+    description: variable.description || '',
+    required: variable.required,
+    ...(variable.default !== undefined && { default: variable.default }),
+    ...(variable.options && { options: variable.options }),
+    position: variable.position
+  }));
+}
+
+/**
+ * Check whether a variable extracted from a template has a value
+ * Dotted references also accept literal dotted keys (`{"user.name": ...}`).
+ *
+ * @param {Object} variables - Variable values
+ * @param {string} name - Root variable name from extractTemplateVariables
+ * @returns {boolean}
+ */
+export function hasVariableValue(variables, name) {
+  const provided = (value) => value !== undefined && value !== null;
+  return provided(variables[name]) ||
+    Object.keys(variables).some(key => key.startsWith(`${name}.`) && provided(variables[key]));
+}
+
+/**
+ * List the templates included by a template (direct includes only)
+ *
+ * @param {string|Object[]} sourceOrAst - Template content or parsed AST
+ * @returns {Array<{templateId: string, version: number|null}>}
+ */
+export function extractTemplateIncludes(sourceOrAst) {
+  const ast = typeof sourceOrAst === 'string' ? parseTemplate(sourceOrAst).ast : sourceOrAst;
+  const includes = new Map();
+
+  const walk = (nodes) => {
+    for (const node of nodes) {
+      if (node.type === 'include') {
+        const key = node.version ? `${node.templateId}@${node.version}` : node.templateId;
+        includes.set(key, { templateId: node.templateId, version: node.version });
+      }
+      if (node.body) walk(node.body);
+      if (node.elseBody) walk(node.elseBody);
+    }
+  };
+
+  walk(ast);
+  return [...includes.values()];
+}
+
+// ============================================================================
+// Renderer
+// ============================================================================
+
+function readPath(scope, path) {
+  let current = scope;
+
+  for (const part of path.split('.')) {
+    if (current === null || current === undefined || typeof current !== 'object' || !Object.prototype.hasOwnProperty.call(current, part)) {
+      return undefined;
+    }
+    current = current[part];
+  }
+
+  return current;
+}
+
+/**
+ * Create an operation and time budget that several renders share
+ * (e.g. the rows of a batch), on top of each render's own ENGINE_LIMITS
+ *
+ * @param {Object} limits
+ * @param {number} limits.maxOperations - Nodes and loop iterations across all renders
+ * @param {number} limits.maxRenderMs - Wall-clock time from now
+ * @returns {{operationsLeft: number, deadline: number}}
+ */
+export function createRenderBudget({ maxOperations, maxRenderMs }) {
+  return { operationsLeft: maxOperations, deadline: Date.now() + maxRenderMs };
+}
+
+/**
+ * Validate and coerce a value against a variable type
+ * @returns {{value: *, error?: string}}
+ */
+function coerceType(value, varType) {
+  switch (varType.name) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : Number(String(value).trim());
+      if (String(value).trim() === '' || !Number.isFinite(number)) {
+        return { value, error: `expected a number, got ${JSON.stringify(value)}` };
+      }
+      return { value: number };
+    }
+
+    case 'enum': {
+      const text = toText(value);
+      if (!varType.options.includes(text)) {
+        return { value, error: `expected one of ${varType.options.join(', ')}, got ${JSON.stringify(value)}` };
+      }
+      return { value: text };
+    }
+
+    case 'list':
+      if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+        return { value, error: 'expected a list' };
+      }
+      return { value: toList(value) };
+
+    default:
+      return { value };
+  }
+}
+
+class Renderer {
+  constructor(variables, options) {
+    this.variables = variables || {};
+    this.options = options;
+    this.errors = [];
+    this.variablesUsed = new Set();
+    this.includes = [];
+    this.reportedMissing = new Set();
+    this.outputLength = 0;
+    this.includeCount = 0;
+    this.budgets = [createRenderBudget(ENGINE_LIMITS), ...(options.budget ? [options.budget] : [])];
+  }
+
+  // Nested blocks and includes multiply work, so every node and iteration is paid for
+  tick() {
+    for (const budget of this.budgets) {
+      if (--budget.operationsLeft < 0) {
+        throw new Error('Rendering exceeds its operation budget (too many nested iterations or includes)');
+      }
+      if (Date.now() > budget.deadline) {
+        throw new Error('Rendering exceeds its time budget');
+      }
+    }
+  }
+
+  error(code, message, frame, offset, extra = {}) {
+    this.errors.push(templateError(code, message, frame.source, offset, {
+      ...(frame.templateId && { templateId: frame.templateId }),
+      ...extra
+    }));
+  }
+
+  lookup(name, locals) {
+    const [root, ...rest] = name.split('.');
+    if (Object.prototype.hasOwnProperty.call(locals, root)) {
+      return rest.length ? readPath(locals[root], rest.join('.')) : locals[root];
+    }
+
+    const value = readPath(this.variables, name);
+
+    // Literal dotted keys (`{"user.name": ...}`) filled `{{user.name}}` before paths existed
+    if (value === undefined && rest.length && Object.prototype.hasOwnProperty.call(this.variables, name)) {
+      this.variablesUsed.add(name);
+      return this.variables[name];
+    }
+
+    this.variablesUsed.add(root);
+    return value;
+  }
+
+  async renderNodes(nodes, locals, frame) {
+    let output = '';
+
+    for (const node of nodes) {
+      this.tick();
+      const piece = await this.renderNode(node, locals, frame);
+      output += piece;
+
+      // Blocks return their children's output, which was already counted
+      if (node.type === 'text' || node.type === 'var') {
+        this.outputLength += piece.length;
+        if (this.outputLength > ENGINE_LIMITS.maxOutputLength) {
+          throw new Error(`Rendered output exceeds ${ENGINE_LIMITS.maxOutputLength} characters`);
+        }
+      }
+    }
+
+    return output;
+  }
+
+  async renderNode(node, locals, frame) {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+
+      case 'var':
+        return this.renderVariable(node, locals, frame);
+
+      case 'if': {
+        if (!node.expression) return '';
+        let result;
+        try {
+          result = evaluateExpression(node.expression, { ...this.variables, ...locals });
+        } catch (err) {
+          this.error('EXPRESSION_ERROR', `Condition failed: ${err.message.replace(/ \(at position \d+\)$/, '')}`, frame, node.argumentOffset + (err.position || 0));
+          return '';
+        }
+        const truthy = Array.isArray(result) ? result.length > 0 : Boolean(result);
+        return this.renderNodes(truthy !== node.negate ? node.body : node.elseBody, locals, frame);
+      }
+
+      case 'each':
+        return this.renderEach(node, locals, frame);
+
+      case 'include':
+        return this.renderInclude(node, locals, frame);
+
+      default:
+        return '';
+    }
+  }
+
+  resolveValue(node, locals, frame) {
+    let value = this.lookup(node.name, locals);
+
+    if (value === undefined || value === null) {
+      if (node.default !== undefined) {
+        value = node.default;
+      } else if (node.optional) {
+        return { value: undefined };
+      } else {
+        if (!this.reportedMissing.has(node.name)) {
+          this.reportedMissing.add(node.name);
+          this.error('MISSING_VARIABLE', `Missing required variable '${node.name}'`, frame, node.pos, { variable: node.name });
+        }
+        return { value: undefined, failed: true };
+      }
+    }
+
+    const coerced = coerceType(value, node.varType);
+    if (coerced.error) {
+      this.error('INVALID_TYPE', `Variable '${node.name}' ${coerced.error}`, frame, node.pos, { variable: node.name, expectedType: node.varType.name });
+      return { value: undefined, failed: true };
+    }
+
+    return { value: coerced.value };
+  }
+
+  renderVariable(node, locals, frame) {
+    const resolved = this.resolveValue(node, locals, frame);
+    if (resolved.failed) return '';
+
+    let value = resolved.value;
+
+    for (const filter of node.filters) {
+      try {
+        value = FILTERS[filter.name](value, ...filter.args);
+      } catch (err) {
+        this.error('FILTER_ERROR', `Filter '${filter.name}' failed: ${err.message}`, frame, filter.pos, { filter: filter.name });
+        return '';
+      }
+    }
+
+    return toText(value);
+  }
+
+  async renderEach(node, locals, frame) {
+    let value = this.lookup(node.path, locals);
+
+    if (value === undefined || value === null) {
+      if (!node.optional && !this.reportedMissing.has(node.path)) {
+        this.reportedMissing.add(node.path);
+        this.error('MISSING_VARIABLE', `Missing required variable '${node.path}'`, frame, node.pos, { variable: node.path });
+      }
+      return node.optional ? this.renderNodes(node.elseBody, locals, frame) : '';
+    }
+
+    const coerced = coerceType(value, { name: 'list' });
+    if (coerced.error) {
+      this.error('INVALID_TYPE', `{{#each}} over '${node.path}' ${coerced.error}`, frame, node.pos, { variable: node.path, expectedType: 'list' });
+      return '';
+    }
+
+    const items = coerced.value;
+    if (items.length === 0) {
+      return this.renderNodes(node.elseBody, locals, frame);
+    }
+
+    if (items.length > ENGINE_LIMITS.maxEachItems) {
+      this.error('LIMIT_EXCEEDED', `{{#each}} over '${node.path}' has ${items.length} items (max ${ENGINE_LIMITS.maxEachItems})`, frame, node.pos);
+      return '';
+    }
+
+    let output = '';
+    for (let index = 0; index < items.length; index++) {
+      this.tick();
+      const itemLocals = {
+        ...locals,
+        this: items[index],
+        '@index': index,
+        '@first': index === 0,
+        '@last': index === items.length - 1,
+        ...(node.alias && { [node.alias]: items[index] })
+      };
+      output += await this.renderNodes(node.body, itemLocals, frame);
+    }
+
+    return output;
+  }
+
+  async renderInclude(node, locals, frame) {
+    const { resolveInclude } = this.options;
+    const reference = node.version ? `${node.templateId}@${node.version}` : node.templateId;
+    const details = { includeId: node.templateId, ...(node.version && { includeVersion: node.version }) };
+
+    if (!resolveInclude) {
+      this.error('INCLUDE_UNAVAILABLE', 'Includes are not available here', frame, node.pos, details);
+      return '';
+    }
+
+    if (++this.includeCount > ENGINE_LIMITS.maxIncludes) {
+      throw new Error(`Template renders more than ${ENGINE_LIMITS.maxIncludes} includes`);
+    }
+
+    if (frame.chain.length > this.options.maxIncludeDepth) {
+      this.error('INCLUDE_DEPTH_EXCEEDED', `Includes nested deeper than ${this.options.maxIncludeDepth} levels: ${[...frame.labels, reference].join(' -> ')}`, frame, node.pos, details);
+      return '';
+    }
+
+    let included = null;
+    if (!frame.chain.includes(reference)) {
+      try {
+        included = await resolveInclude(node.templateId, { chain: frame.chain, version: node.version });
+      } catch (err) {
+        this.error(err.code || 'INCLUDE_ERROR', err.message, frame, node.pos, details);
+        return '';
+      }
+
+      if (!included) {
+        this.error('INCLUDE_NOT_FOUND', `Included template ${reference} not found`, frame, node.pos, details);
+        return '';
+      }
+    }
+
+    // Resolvers may canonicalize the reference (e.g. an older id of the same template)
+    const key = included?.key || reference;
+    const label = included?.title ? `"${included.title}"${node.version ? `@${node.version}` : ''}` : reference;
+
+    if (frame.chain.includes(key)) {
+      const start = frame.chain.indexOf(key);
+      this.error('INCLUDE_CYCLE', `Include cycle: ${[...frame.labels.slice(start), frame.labels[start]].join(' -> ')}`, frame, node.pos, details);
+      return '';
+    }
+
+    const { ast, errors } = parseTemplate(included.source);
+    for (const err of errors) {
+      this.errors.push({ ...err, templateId: node.templateId });
+    }
+
+    this.includes.push({
+      templateId: node.templateId,
+      ...(node.version && { version: node.version }),
+      ...(included.title && { title: included.title })
+    });
+
+    return this.renderNodes(ast, locals, {
+      source: included.source,
+      templateId: node.templateId,
+      chain: [...frame.chain, key],
+      labels: [...frame.labels, label]
+    });
+  }
+}
+
+/**
+ * Render a template
+ *
+ * @param {string} source - Template content
+ * @param {Object} variables - Variable values
+ * @param {Object} [options]
+ * @param {string} [options.templateId] - Id of the template being rendered (for cycle detection)
+ * @param {string} [options.templateTitle] - Title of the template being rendered (for error messages)
+ * @param {Function} [options.resolveInclude] - async (templateId, { chain, version }) => { source, title, key? } | null;
+ *   `key` identifies the resolved template for cycle detection when several ids refer to it
+ * @param {number} [options.maxIncludeDepth] - Include nesting limit
+ * @param {Object} [options.budget] - Shared budget from createRenderBudget
+ * @returns {Promise<{rendered: string, errors: Object[], variablesUsed: string[], includes: Object[]}>}
+ */
+export async function renderTemplate(source, variables = {}, options = {}) {
+  const text = typeof source === 'string' ? source : '';
+  const { ast, errors } = parseTemplate(text);
+
+  const renderer = new Renderer(variables, {
+    resolveInclude: options.resolveInclude,
+    maxIncludeDepth: Math.min(options.maxIncludeDepth || ENGINE_LIMITS.maxIncludeDepth, ENGINE_LIMITS.maxIncludeDepth),
+    budget: options.budget
+  });
+  renderer.errors.push(...errors);
+
+  let rendered = '';
+  try {
+    rendered = await renderer.renderNodes(ast, {}, {
+      source: text,
+      templateId: null,
+      chain: options.templateId ? [options.templateId] : [],
+      labels: options.templateId ? [options.templateTitle ? `"${options.templateTitle}"` : options.templateId] : []
+    });
+  } catch (err) {
+    renderer.errors.push({ code: 'LIMIT_EXCEEDED', message: err.message, position: null });
+  }
+
+  return {
+    rendered,
+    errors: renderer.errors,
+    variablesUsed: [...renderer.variablesUsed],
+    includes: renderer.includes
+  };
+}
+
+/**
+ * Summarize render errors into a single message
+ *
+ * @param {Object[]} errors - Errors from renderTemplate
+ * @returns {string}
+ */
+export function describeTemplateErrors(errors) {
+  const missing = errors.filter(e => e.code === 'MISSING_VARIABLE' && !e.templateId).map(e => e.variable);
+
+  if (missing.length > 0 && missing.length === errors.length) {
+    return `Missing required variables: ${missing.join(', ')}`;
+  }
+
+  return errors.length === 1 ? errors[0].message : `Template has ${errors.length} errors: ${errors[0].message}`;
+}
+
+export default {
+  parseTemplate,
+  renderTemplate,
+  extractTemplateVariables,
+  extractTemplateIncludes,
+  hasVariableValue,
+  createRenderBudget,
+  describeTemplateErrors,
+  TEMPLATE_FILTERS
+};
@@ -0,0 +1,369 @@
+/**
+ * Template Evaluations
+ *
+ * Runs a template's test cases through a model and checks the output.
+ * Each case is a set of variables plus assertions:
+ * - `contains`: `{ type: 'contains', value, case_sensitive }`
+ * - `regex`: `{ type: 'regex', pattern, flags }` (no nested quantifiers such as `(a+)+`)
+ * - `json_schema`: `{ type: 'json_schema', schema }` (output parsed as JSON)
+ * - `max_tokens`: `{ type: 'max_tokens', value }` (output tokens)
+ * - `similarity`: `{ type: 'similarity', reference, threshold }` (cosine similarity
+ *   of local embeddings, default threshold 0.8)
+ *
+ * A case passes when it renders, the provider call succeeds and every
+ * assertion passes. Calls use the keys of the user running the suite and are
+ * metered against their budget.
+ *
+ * @module services/templates/evals
+ */
+
+import { meteredGeneration, isBudgetError } from '../ai/metering.js';
+import { countTokens } from '../ai/tokenizer.js';
+import { generateEmbedding, calculateSimilarity } from '../localEmbeddingService.js';
+import { validateJsonSchema, parseJsonOutput } from '../../utils/json-schema.js';
+import { describeTemplateErrors } from './engine.js';
+import { renderTemplateEntity } from './render.js';
+
+export const ASSERTION_TYPES = ['contains', 'regex', 'json_schema', 'max_tokens', 'similarity'];
+
+export const EVAL_LIMITS = {
+  maxCases: 100,
+  maxAssertionsPerCase: 20,
+  maxPatternLength: 500
+};
+
+const DEFAULT_SIMILARITY_THRESHOLD = 0.8;
+
+/**
+ * Check a regex for a quantified group that itself contains a quantifier
+ * (`(a+)+`, `(\w*\s?)*`), the shape that backtracks exponentially on
+ * near-matches. Model output is untrusted input to the pattern.
+ *
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function hasNestedQuantifier(pattern) {
+  const groups = [{ quantified: false }];
+  let closedGroup = null;
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    const isQuantifier = ch === '*' || ch === '+' || (ch === '{' && /^\{\d+(,\d*)?\}/.test(pattern.slice(i)));
+
+    if (isQuantifier) {
+      if (closedGroup?.quantified) return true;
+      groups[groups.length - 1].quantified = true;
+      closedGroup = null;
+      continue;
+    }
+
+    closedGroup = null;
+
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '[') {
+      // Character class: skip to its closing bracket
+      for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+        if (pattern[i] === '\\') i++;
+      }
+    } else if (ch === '(') {
+      groups.push({ quantified: false });
+    } else if (ch === ')' && groups.length > 1) {
+      closedGroup = groups.pop();
+      groups[groups.length - 1].quantified ||= closedGroup.quantified;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Validate a single assertion definition
+ *
+ * @param {Object} assertion
+ * @returns {string|null} Error message
+ */
+function validateAssertion(assertion) {
+  if (!assertion || typeof assertion !== 'object' || Array.isArray(assertion)) {
+    return 'must be an object';
+  }
+
+  if (!ASSERTION_TYPES.includes(assertion.type)) {
+    return `type must be one of: ${ASSERTION_TYPES.join(', ')}`;
+  }
+
+  switch (assertion.type) {
+    case 'contains':
+      return typeof assertion.value === 'string' && assertion.value ? null : 'value must be a non-empty string';
+
+    case 'regex':
+      if (typeof assertion.pattern !== 'string' || !assertion.pattern) {
+        return 'pattern must be a non-empty string';
+      }
+      if (assertion.pattern.length > EVAL_LIMITS.maxPatternLength) {
+        return `pattern must be at most ${EVAL_LIMITS.maxPatternLength} characters`;
+      }
+      try {
+        new RegExp(assertion.pattern, assertion.flags || '');
+      } catch (err) {
+        return `invalid regex: ${err.message}`;
+      }
+      if (hasNestedQuantifier(assertion.pattern)) {
+        return 'pattern must not repeat a group that contains a quantifier, e.g. (a+)+';
+      }
+      return null;
+
+    case 'json_schema':
+      return assertion.schema && typeof assertion.schema === 'object' ? null : 'schema must be an object';
+
+    case 'max_tokens':
+      return Number.isInteger(assertion.value) && assertion.value > 0 ? null : 'value must be a positive integer';
+
+    case 'similarity':
+      if (typeof assertion.reference !== 'string' || !assertion.reference.trim()) {
+        return 'reference must be a non-empty string';
+      }
+      if (assertion.threshold !== undefined && (typeof assertion.threshold !== 'number' || assertion.threshold < -1 || assertion.threshold > 1)) {
+        return 'threshold must be a number between -1 and 1';
+      }
+      return null;
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate the test cases of a suite
+ *
+ * @param {Array} cases - [{ name, variables, assertions }]
+ * @returns {string[]} Validation errors
+ */
+export function validateEvalCases(cases) {
+  if (!Array.isArray(cases)) {
+    return ['cases must be an array'];
+  }
+
+  if (cases.length > EVAL_LIMITS.maxCases) {
+    return [`A suite can have at most ${EVAL_LIMITS.maxCases} cases`];
+  }
+
+  const errors = [];
+
+  cases.forEach((testCase, index) => {
+    const label = `cases[${index}]`;
+
+    if (!testCase || typeof testCase !== 'object' || Array.isArray(testCase)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (testCase.variables !== undefined && (typeof testCase.variables !== 'object' || testCase.variables === null || Array.isArray(testCase.variables))) {
+      errors.push(`${label}.variables must be an object`);
+    }
+
+    if (!Array.isArray(testCase.assertions) || testCase.assertions.length === 0) {
+      errors.push(`${label}.assertions must be a non-empty array`);
+      return;
+    }
+
+    if (testCase.assertions.length > EVAL_LIMITS.maxAssertionsPerCase) {
+      errors.push(`${label} can have at most ${EVAL_LIMITS.maxAssertionsPerCase} assertions`);
+    }
+
+    testCase.assertions.forEach((assertion, assertionIndex) => {
+      const message = validateAssertion(assertion);
+      if (message) {
+        errors.push(`${label}.assertions[${assertionIndex}] ${message}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Check one assertion against a model output
+ *
+ * @param {Object} assertion - Assertion definition
+ * @param {Object} output
+ * @param {string} output.text - Model output
+ * @param {number} output.outputTokens - Output tokens reported by the provider
+ * @param {Map} [embeddingCache] - Reference embeddings reused across cases
+ * @returns {Promise<{type: string, passed: boolean, message: string, score?: number}>}
+ */
+export async function evaluateAssertion(assertion, { text, outputTokens }, embeddingCache = new Map()) {
+  const { type } = assertion;
+
+  try {
+    switch (type) {
+      case 'contains': {
+        const haystack = assertion.case_sensitive ? text : text.toLowerCase();
+        const needle = assertion.case_sensitive ? assertion.value : assertion.value.toLowerCase();
+        const passed = haystack.includes(needle);
+        return { type, passed, message: passed ? `Output contains "${assertion.value}"` : `Output does not contain "${assertion.value}"` };
+      }
+
+      case 'regex': {
+        // Suites saved before patterns were checked
+        if (hasNestedQuantifier(assertion.pattern)) {
+          return { type, passed: false, message: 'Pattern repeats a group that contains a quantifier, e.g. (a+)+' };
+        }
+        const passed = new RegExp(assertion.pattern, assertion.flags || '').test(text);
+        return { type, passed, message: passed ? `Output matches /${assertion.pattern}/` : `Output does not match /${assertion.pattern}/` };
+      }
+
+      case 'json_schema': {
+        let parsed;
+        try {
+          parsed = parseJsonOutput(text);
+        } catch (err) {
+          return { type, passed: false, message: err.message };
+        }
+        const validation = validateJsonSchema(parsed, assertion.schema);
+        return {
+          type,
+          passed: validation.valid,
+          message: validation.valid
+            ? 'Output matches the JSON schema'
+            : validation.errors.map(e => `${e.path}: ${e.message}`).join('; ')
+        };
+      }
+
+      case 'max_tokens': {
+        const passed = outputTokens <= assertion.value;
+        return { type, passed, score: outputTokens, message: `Output used ${outputTokens} tokens (max ${assertion.value})` };
+      }
+
+      case 'similarity': {
+        const threshold = assertion.threshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+
+        if (!text.trim()) {
+          return { type, passed: false, score: 0, message: 'Output is empty' };
+        }
+
+        if (!embeddingCache.has(assertion.reference)) {
+          embeddingCache.set(assertion.reference, generateEmbedding(assertion.reference));
+        }
+
+        const [reference, actual] = await Promise.all([
+          embeddingCache.get(assertion.reference),
+          generateEmbedding(text)
+        ]);
+
+        const score = calculateSimilarity(reference.embedding, actual.embedding);
+        const passed = score >= threshold;
+        return { type, passed, score, message: `Similarity ${score.toFixed(3)} (threshold ${threshold})` };
+      }
+
+      default:
+        return { type, passed: false, message: `Unknown assertion type: ${type}` };
+    }
+  } catch (err) {
+    return { type, passed: false, message: `Assertion failed to run: ${err.message}` };
+  }
+}
+
+/**
+ * Run every case of a suite against a template version
+ *
+ * @param {Object} params
+ * @param {Object} params.suite - template_eval_suite row
+ * @param {Object} params.template - Template entity row (the version under test)
+ * @param {string} params.provider - Provider id
+ * @param {string} params.model - Model id
+ * @param {string} params.userId - User running the suite
+ * @param {string} params.tenantId - Tenant of the user running the suite (resolves keys and tokenizer)
+ * @param {string} [params.apiKey] - Client-supplied provider key
+ * @param {string} [params.keyId] - Stored provider key (otherwise the vault resolves one)
+ * @param {number} [params.temperature] - Sampling temperature (default 0)
+ * @param {number} [params.maxTokens] - Max output tokens (default 1024)
+ * @returns {Promise<{results: Object[], totals: Object}>}
+ * @throws {Error} Budget errors (see isBudgetError), which end the run
+ */
+export async function runEvalSuite({ suite, template, provider, model, userId, tenantId, apiKey, keyId, temperature = 0, maxTokens = 1024 }) {
+  const includeCache = new Map();
+  const embeddingCache = new Map();
+  const results = [];
+  const totals = { total: 0, passed: 0, failed: 0, inputTokens: 0, outputTokens: 0, cost: 0 };
+
+  for (const [index, testCase] of suite.cases.entries()) {
+    const caseStart = Date.now();
+    const caseResult = {
+      case_id: testCase.id || String(index + 1),
+      name: testCase.name || `Case ${index + 1}`,
+      passed: false,
+      output: null,
+      assertions: [],
+      input_tokens: 0,
+      output_tokens: 0,
+      cost: 0
+    };
+
+    try {
+      const render = await renderTemplateEntity(template, testCase.variables || {}, { userId, includeCache });
+
+      if (render.errors.length > 0) {
+        caseResult.error = describeTemplateErrors(render.errors);
+        caseResult.render_errors = render.errors;
+      } else {
+        // Single candidate so results stay comparable; the router only adds retries
+        const generation = await meteredGeneration('template_eval', [{ provider, modelId: model }], {
+          prompt: render.rendered,
+          systemPrompt: suite.system_prompt || undefined,
+          maxTokens,
+          temperature
+        }, {
+          tenantId,
+          userId,
+          apiKeys: { [provider]: apiKey },
+          keyIds: { [provider]: keyId },
+          usage: {
+            resourceId: template.id,
+            metadata: { suiteId: suite.id, caseId: caseResult.case_id }
+          }
+        });
+
+        const text = generation.output || '';
+        caseResult.output = text;
+        caseResult.input_tokens = generation.inputTokens || 0;
+        caseResult.output_tokens = generation.outputTokens ?? await countTokens(text, { provider, modelId: model, tenantId });
+        caseResult.cost = generation.cost || 0;
+        caseResult.finish_reason = generation.finishReason;
+
+        for (const assertion of testCase.assertions) {
+          caseResult.assertions.push(await evaluateAssertion(assertion, {
+            text,
+            outputTokens: caseResult.output_tokens
+          }, embeddingCache));
+        }
+
+        caseResult.passed = caseResult.assertions.every(a => a.passed);
+      }
+    } catch (err) {
+      // Out of budget: the remaining cases would fail the same way
+      if (isBudgetError(err)) throw err;
+      caseResult.error = err.message;
+    }
+
+    caseResult.duration_ms = Date.now() - caseStart;
+
+    totals.total++;
+    totals[caseResult.passed ? 'passed' : 'failed']++;
+    totals.inputTokens += caseResult.input_tokens;
+    totals.outputTokens += caseResult.output_tokens;
+    totals.cost += caseResult.cost;
+
+    results.push(caseResult);
+  }
+
+  return { results, totals };
+}
+
+export default {
+  ASSERTION_TYPES,
+  EVAL_LIMITS,
+  validateEvalCases,
+  evaluateAssertion,
+  runEvalSuite
+};
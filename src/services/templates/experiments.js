@@ -0,0 +1,414 @@
+/**
+ * Template Experiments
+ *
+ * A/B tests between versions of a template. While an experiment is running,
+ * POST /api/templates/:id/render assigns each subject (user or caller-supplied
+ * key) to a variant by hashing the subject with the experiment id, so the
+ * assignment is sticky without storing it. Variants and weights are frozen
+ * once the experiment starts.
+ *
+ * Every experiment render is recorded as an `experiment.exposure` usage_event
+ * carrying a render id; callers report outcomes against that render id
+ * (`experiment.outcome`). Per-variant stats and significance are computed
+ * from those events.
+ *
+ * @module services/templates/experiments
+ */
+
+import crypto from 'crypto';
+import { db, trackUsage } from '../../utils/database.js';
+
+export const EXPERIMENT_STATUSES = ['draft', 'running', 'paused', 'completed'];
+export const ASSIGNMENT_UNITS = ['user', 'key'];
+export const OUTCOME_TYPES = ['thumbs', 'score', 'conversion'];
+
+// Allowed status changes
+const STATUS_TRANSITIONS = {
+  draft: ['running', 'completed'],
+  running: ['paused', 'completed'],
+  paused: ['running', 'completed'],
+  completed: []
+};
+
+// Two-sided p-value below which a difference is reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+
+/**
+ * Validate and normalize experiment variants
+ *
+ * @param {Array} variants - [{ id?, version, weight? }]
+ * @param {Object[]} versions - Template version rows (from getTemplateLineage)
+ * @returns {{variants: Object[], errors: string[]}}
+ */
+export function normalizeVariants(variants, versions) {
+  if (!Array.isArray(variants) || variants.length < 2) {
+    return { variants: [], errors: ['variants must be an array of at least 2 entries'] };
+  }
+
+  const errors = [];
+  const ids = new Set();
+  const normalized = variants.map((variant, index) => {
+    const id = variant?.id ? String(variant.id) : String.fromCharCode(65 + index);
+    const version = parseInt(variant?.version);
+    const weight = variant?.weight ?? 1;
+
+    if (ids.has(id)) {
+      errors.push(`Duplicate variant id: ${id}`);
+    }
+    ids.add(id);
+
+    if (!versions.some(v => v.version === version)) {
+      errors.push(`Variant ${id}: template has no version ${variant?.version}`);
+    }
+
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight <= 0) {
+      errors.push(`Variant ${id}: weight must be a positive number`);
+    }
+
+    return { id, version, weight };
+  });
+
+  return { variants: normalized, errors };
+}
+
+/**
+ * Check whether an experiment may move to a new status
+ *
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+export function canTransition(from, to) {
+  return from === to || (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Pick a variant for a subject
+ * The same experiment + subject always lands in the same bucket; without a
+ * subject the assignment is random.
+ *
+ * @param {Object} experiment - template_experiment row
+ * @param {string|null} subjectKey - User id or caller-supplied key
+ * @returns {Object} Variant
+ */
+export function assignVariant(experiment, subjectKey) {
+  const bucket = subjectKey
+    ? parseInt(crypto.createHash('sha256').update(`${experiment.id}:${subjectKey}`).digest('hex').slice(0, 8), 16) / 0x100000000
+    : Math.random();
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  let cumulative = 0;
+
+  for (const variant of experiment.variants) {
+    cumulative += variant.weight / totalWeight;
+    if (bucket < cumulative) {
+      return variant;
+    }
+  }
+
+  return experiment.variants[experiment.variants.length - 1];
+}
+
+/**
+ * Find the running experiment for a template, if any
+ *
+ * @param {Object} template - Current template entity row
+ * @param {Function} getRootId - async () => id of the template's first version
+ * @returns {Promise<Object|null>}
+ */
+export async function findRunningExperiment(template, getRootId) {
+  // Cheap check first so renders without experiments skip the lineage lookup
+  const running = await db.query(
+    `SELECT * FROM template_experiment WHERE tenant_id = $1 AND status = 'running'`,
+    [template.tenant_id]
+  );
+
+  if (running.rows.length === 0) {
+    return null;
+  }
+
+  const rootId = await getRootId();
+  return running.rows.find(experiment => experiment.template_root_id === rootId) || null;
+}
+
+/**
+ * Record that a subject was shown a variant
+ *
+ * @param {Object} params
+ * @param {Object} params.experiment - template_experiment row
+ * @param {Object} params.variant - Assigned variant
+ * @param {Object} params.template - Rendered template version
+ * @param {string} params.tenantId - Tenant of the experiment
+ * @param {string|null} params.userId - Rendering user
+ * @param {string|null} params.subjectKey - Assignment subject
+ * @returns {Promise<string>} Render id for reporting outcomes
+ */
+export async function recordExposure({ experiment, variant, template, tenantId, userId, subjectKey }) {
+  const renderId = crypto.randomUUID();
+
+  await trackUsage({
+    tenantId,
+    userId,
+    entityId: template.id,
+    eventType: 'experiment.exposure',
+    metadata: {
+      experimentId: experiment.id,
+      variantId: variant.id,
+      version: variant.version,
+      renderId,
+      subjectKey
+    }
+  });
+
+  return renderId;
+}
+
+/**
+ * Normalize a reported outcome to a number
+ * thumbs: up/down (or true/false) -> 1/0; conversion: true/false -> 1/0; score: any number
+ *
+ * @param {string} type - Outcome type
+ * @param {*} value - Reported value
+ * @returns {{value?: number, error?: string}}
+ */
+export function normalizeOutcome(type, value) {
+  switch (type) {
+    case 'thumbs':
+      if (value === 'up' || value === true || value === 1) return { value: 1 };
+      if (value === 'down' || value === false || value === 0) return { value: 0 };
+      return { error: "thumbs value must be 'up' or 'down'" };
+
+    case 'conversion':
+      if (value === undefined || value === true || value === 1) return { value: 1 };
+      if (value === false || value === 0) return { value: 0 };
+      return { error: 'conversion value must be true or false' };
+
+    case 'score':
+      if (typeof value === 'number' && Number.isFinite(value)) return { value };
+      return { error: 'score value must be a number' };
+
+    default:
+      return { error: `type must be one of: ${OUTCOME_TYPES.join(', ')}` };
+  }
+}
+
+/**
+ * Record an outcome against a render
+ * Reporting the same outcome type twice for a render replaces the earlier value.
+ *
+ * @param {string} renderId - Render id returned by the render endpoint
+ * @param {Object} outcome
+ * @param {string} outcome.type - thumbs, score or conversion
+ * @param {number} outcome.value - Normalized value
+ * @param {string|null} outcome.userId - Reporting user
+ * @returns {Promise<Object|null>} Exposure metadata, or null if the render id is unknown
+ */
+export async function recordOutcome(renderId, { type, value, userId }) {
+  const exposure = await db.query(
+    `SELECT tenant_id, entity_id, metadata FROM usage_event
+     WHERE event_type = 'experiment.exposure' AND metadata->>'renderId' = $1
+     LIMIT 1`,
+    [renderId]
+  );
+
+  const row = exposure.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  await trackUsage({
+    tenantId: row.tenant_id,
+    userId,
+    entityId: row.entity_id,
+    eventType: 'experiment.outcome',
+    metadata: {
+      experimentId: row.metadata.experimentId,
+      variantId: row.metadata.variantId,
+      renderId,
+      outcome: type,
+      value
+    }
+  });
+
+  return row.metadata;
+}
+
+// ============================================================================
+// Statistics
+// ============================================================================
+
+/**
+ * Standard normal cumulative distribution (Abramowitz & Stegun 7.1.26)
+ */
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+function pValueFromZ(z) {
+  return Math.min(1, 2 * (1 - normalCdf(Math.abs(z))));
+}
+
+/**
+ * Two-proportion z-test
+ *
+ * @returns {{z: number, pValue: number}|null} Null without data in both groups
+ */
+export function twoProportionTest(successes1, total1, successes2, total2) {
+  if (total1 === 0 || total2 === 0) {
+    return null;
+  }
+
+  const pooled = (successes1 + successes2) / (total1 + total2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / total1 + 1 / total2));
+  if (se === 0) {
+    return { z: 0, pValue: 1 };
+  }
+
+  const z = (successes2 / total2 - successes1 / total1) / se;
+  return { z, pValue: pValueFromZ(z) };
+}
+
+/**
+ * Welch's test on two means (normal approximation, fine for the sample
+ * sizes experiments need anyway)
+ *
+ * @returns {{z: number, pValue: number}|null} Null with fewer than 2 samples in a group
+ */
+export function meanDifferenceTest(mean1, sd1, n1, mean2, sd2, n2) {
+  if (n1 < 2 || n2 < 2) {
+    return null;
+  }
+
+  const se = Math.sqrt((sd1 * sd1) / n1 + (sd2 * sd2) / n2);
+  if (se === 0) {
+    return { z: 0, pValue: mean1 === mean2 ? 1 : 0 };
+  }
+
+  const z = (mean2 - mean1) / se;
+  return { z, pValue: pValueFromZ(z) };
+}
+
+function describeTest(test) {
+  if (!test) {
+    return { z: null, p_value: null, significant: false };
+  }
+  return {
+    z: Number(test.z.toFixed(4)),
+    p_value: Number(test.pValue.toFixed(6)),
+    significant: test.pValue < SIGNIFICANCE_LEVEL
+  };
+}
+
+/**
+ * Per-variant stats and significance versus the first (control) variant
+ *
+ * @param {Object} experiment - template_experiment row
+ * @returns {Promise<{variants: Object[], significance_level: number}>}
+ */
+export async function getExperimentResults(experiment) {
+  const exposures = await db.query(
+    `SELECT metadata->>'variantId' AS variant_id,
+            COUNT(*)::int AS exposures,
+            COUNT(DISTINCT metadata->>'subjectKey')::int AS subjects
+     FROM usage_event
+     WHERE event_type = 'experiment.exposure' AND metadata->>'experimentId' = $1
+     GROUP BY 1`,
+    [experiment.id]
+  );
+
+  // Latest outcome of each type per render
+  const outcomes = await db.query(
+    `SELECT variant_id, outcome,
+            COUNT(*)::int AS n,
+            SUM(value)::float AS total,
+            AVG(value)::float AS mean,
+            COALESCE(STDDEV_SAMP(value), 0)::float AS sd
+     FROM (
+       SELECT DISTINCT ON (metadata->>'renderId', metadata->>'outcome')
+              metadata->>'variantId' AS variant_id,
+              metadata->>'outcome' AS outcome,
+              (metadata->>'value')::float AS value
+       FROM usage_event
+       WHERE event_type = 'experiment.outcome' AND metadata->>'experimentId' = $1
+       ORDER BY metadata->>'renderId', metadata->>'outcome', occurred_at DESC
+     ) latest
+     GROUP BY variant_id, outcome`,
+    [experiment.id]
+  );
+
+  const exposureByVariant = new Map(exposures.rows.map(row => [row.variant_id, row]));
+  const outcomeByVariant = new Map();
+  for (const row of outcomes.rows) {
+    if (!outcomeByVariant.has(row.variant_id)) outcomeByVariant.set(row.variant_id, {});
+    outcomeByVariant.get(row.variant_id)[row.outcome] = row;
+  }
+
+  const variants = experiment.variants.map(variant => {
+    const exposure = exposureByVariant.get(variant.id) || { exposures: 0, subjects: 0 };
+    const stats = outcomeByVariant.get(variant.id) || {};
+    const thumbs = stats.thumbs;
+    const conversion = stats.conversion;
+    const score = stats.score;
+
+    return {
+      id: variant.id,
+      version: variant.version,
+      weight: variant.weight,
+      exposures: exposure.exposures,
+      subjects: exposure.subjects,
+      thumbs: {
+        responses: thumbs?.n || 0,
+        up: thumbs ? Math.round(thumbs.total) : 0,
+        down: thumbs ? thumbs.n - Math.round(thumbs.total) : 0,
+        up_rate: thumbs?.n ? thumbs.total / thumbs.n : null
+      },
+      conversion: {
+        conversions: conversion ? Math.round(conversion.total) : 0,
+        rate: exposure.exposures ? (conversion?.total || 0) / exposure.exposures : null
+      },
+      score: {
+        count: score?.n || 0,
+        mean: score?.n ? score.mean : null,
+        stddev: score?.n ? score.sd : null
+      }
+    };
+  });
+
+  const [control, ...treatments] = variants;
+
+  for (const variant of treatments) {
+    variant.vs_control = {
+      thumbs: describeTest(twoProportionTest(control.thumbs.up, control.thumbs.responses, variant.thumbs.up, variant.thumbs.responses)),
+      conversion: describeTest(twoProportionTest(control.conversion.conversions, control.exposures, variant.conversion.conversions, variant.exposures)),
+      score: describeTest(meanDifferenceTest(
+        control.score.mean ?? 0, control.score.stddev ?? 0, control.score.count,
+        variant.score.mean ?? 0, variant.score.stddev ?? 0, variant.score.count
+      ))
+    };
+  }
+
+  return {
+    control: control.id,
+    variants,
+    significance_level: SIGNIFICANCE_LEVEL
+  };
+}
+
+export default {
+  EXPERIMENT_STATUSES,
+  ASSIGNMENT_UNITS,
+  OUTCOME_TYPES,
+  normalizeVariants,
+  canTransition,
+  assignVariant,
+  findRunningExperiment,
+  recordExposure,
+  normalizeOutcome,
+  recordOutcome,
+  normalCdf,
+  twoProportionTest,
+  meanDifferenceTest,
+  getExperimentResults
+};
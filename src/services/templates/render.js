@@ -0,0 +1,161 @@
+/**
+ * Template Rendering Service
+ *
+ * Loads template entities, applies access rules and renders them with the
+ * template engine. Shared by POST /api/templates/:id/render and workflow
+ * `template` steps so both paths render identically.
+ *
+ * @module services/templates/render
+ */
+
+import { db, getCurrentEntity } from '../../utils/database.js';
+import { renderTemplate, describeTemplateErrors } from './engine.js';
+import { resolveTemplateReference } from './dependencies.js';
+
+/**
+ * Get the text content of a template entity
+ *
+ * @param {Object} template - Template entity row
+ * @returns {string}
+ */
+export function getTemplateContent(template) {
+  return template.content?.text || (typeof template.content === 'string' ? template.content : JSON.stringify(template.content));
+}
+
+/**
+ * Check whether a user may render a template
+ * Private templates are owner-only, team templates need team access.
+ *
+ * @param {Object} template - Template entity row
+ * @param {string|null} userId - Requesting user
+ * @returns {Promise<boolean>}
+ */
+export async function canAccessTemplate(template, userId) {
+  if (template.visibility === 'private') {
+    return Boolean(userId) && template.owner_id === userId;
+  }
+
+  if (template.visibility === 'team') {
+    if (template.owner_id === userId) return true;
+
+    const teamId = template.metadata?.team_id;
+    if (!teamId || !userId) return false;
+
+    const teamAccessResult = await db.query(
+      `SELECT user_has_team_access($1, $2) as has_access`,
+      [userId, teamId]
+    );
+    return Boolean(teamAccessResult.rows[0]?.has_access);
+  }
+
+  return true;
+}
+
+/**
+ * Render a template entity, resolving `{{> template:<id>}}` includes
+ * with the same access rules as the template itself
+ * Unpinned includes render the current version of the included template,
+ * `{{> template:<id>@<version>}}` the pinned version. Access is always
+ * checked against the current version. Each include is loaded once per render
+ * (or once per `includeCache`).
+ *
+ * @param {Object} template - Template entity row
+ * @param {Object} variables - Variable values
+ * @param {Object} options
+ * @param {string|null} options.userId - Requesting user
+ * @param {Map} [options.includeCache] - Reuse resolved includes across renders (batch rendering);
+ *   defaults to a cache for this render
+ * @param {Object} [options.budget] - Operation/time budget shared across renders (see createRenderBudget)
+ * @returns {Promise<{rendered: string, errors: Object[], variablesUsed: string[], includes: Object[], content: string}>}
+ */
+export async function renderTemplateEntity(template, variables, { userId, includeCache = new Map(), budget = null }) {
+  const content = getTemplateContent(template);
+
+  const loadInclude = async (includeId, { version }) => {
+    const { current, template: included } = await resolveTemplateReference(includeId, version)
+      .catch(() => ({ current: null, template: null }));
+
+    if (!current) {
+      return null;
+    }
+
+    if (!(await canAccessTemplate(current, userId))) {
+      const err = new Error(`No access to included template "${current.title}"`);
+      err.code = 'INCLUDE_ACCESS_DENIED';
+      throw err;
+    }
+
+    if (!included) {
+      const err = new Error(`Included template "${current.title}" has no version ${version}`);
+      err.code = 'INCLUDE_VERSION_NOT_FOUND';
+      throw err;
+    }
+
+    return {
+      source: getTemplateContent(included),
+      title: current.title,
+      key: version ? `${current.id}@${version}` : current.id
+    };
+  };
+
+  const resolveInclude = (includeId, options) => {
+    const cacheKey = `${includeId}@${options.version || ''}`;
+    if (!includeCache.has(cacheKey)) {
+      includeCache.set(cacheKey, loadInclude(includeId, options));
+    }
+    return includeCache.get(cacheKey);
+  };
+
+  const result = await renderTemplate(content, variables, {
+    templateId: template.id,
+    templateTitle: template.title,
+    resolveInclude,
+    budget
+  });
+
+  return { ...result, content };
+}
+
+/**
+ * Load and render a template by id, throwing if it cannot be rendered
+ *
+ * @param {string} templateId - Template entity id
+ * @param {Object} variables - Variable values
+ * @param {string} userId - Requesting user
+ * @returns {Promise<{rendered: string, templateId: string, templateName: string, variablesUsed: string[], includes: Object[]}>}
+ * @throws {Error} With `errors` (structured render errors) when rendering fails
+ */
+export async function renderTemplateById(templateId, variables, userId) {
+  const template = await getCurrentEntity(templateId);
+
+  if (!template || template.entity_type !== 'template') {
+    throw new Error(`Template ${templateId} not found`);
+  }
+
+  if (!(await canAccessTemplate(template, userId))) {
+    throw new Error(`No access to template ${templateId}`);
+  }
+
+  const result = await renderTemplateEntity(template, variables, { userId });
+
+  if (result.errors.length > 0) {
+    const err = new Error(describeTemplateErrors(result.errors));
+    err.errors = result.errors;
+    throw err;
+  }
+
+  return {
+    rendered: result.rendered,
+    templateId: template.id,
+    templateName: template.title,
+    variablesUsed: result.variablesUsed,
+    includes: result.includes
+  };
+}
+
+export default {
+  getTemplateContent,
+  canAccessTemplate,
+  renderTemplateEntity,
+  renderTemplateById
+};
@@ -0,0 +1,542 @@
+/**
+ * Workflow Runner
+ *
+ * Background processor for asynchronous workflow runs.
+ * Claims queued rows from the workflow_run table, executes them with the graph
+ * scheduler and checkpoints every step into workflow_run_step so runs can be
+ * polled while they execute, cancelled, retried from a failed step and resumed
+ * after a restart.
+ *
+ * Usage:
+ *   node src/services/workflowRunner.js
+ *
+ * Or integrate into your main server:
+ *   import { startWorkflowRunner, stopWorkflowRunner } from './services/workflowRunner.js';
+ *   await startWorkflowRunner();
+ *
+ * @module services/workflowRunner
+ */
+
+import os from 'os';
+import { db, ensureTenant, trackUsage, logEvent } from '../utils/database.js';
+import { runWorkflowGraph } from './workflows/graph.js';
+import { executeStep } from './workflows/steps.js';
+
+// Runner configuration
+const RUNNER_CONFIG = {
+  pollInterval: parseInt(process.env.WORKFLOW_RUNNER_INTERVAL) || 2000, // 2 seconds
+  concurrency: parseInt(process.env.WORKFLOW_RUNNER_CONCURRENCY) || 2,
+  heartbeatInterval: parseInt(process.env.WORKFLOW_RUNNER_HEARTBEAT) || 10000, // 10 seconds
+  leaseTimeout: parseInt(process.env.WORKFLOW_RUNNER_LEASE_TIMEOUT) || 60000, // 1 minute
+  autoResume: process.env.WORKFLOW_AUTO_RESUME === 'true',
+};
+
+const RUNNER_ID = `${os.hostname()}:${process.pid}`;
+
+let isRunning = false;
+let runnerInterval = null;
+const activeRuns = new Map(); // run id -> promise
+
+/**
+ * Queue a workflow run
+ *
+ * @param {Object} options
+ * @param {Object} options.workflow - Current workflow entity row
+ * @param {string} options.userId - User the run executes as
+ * @param {Object} [options.input] - Workflow input variables
+ * @param {string} [options.tenantId] - Tenant (resolved from the user if omitted)
+ * @param {string} [options.triggerSource] - What started the run (manual, schedule, webhook)
+ * @param {string} [options.triggerId] - workflow_trigger id for triggered runs
+ * @returns {Promise<Object>} The queued workflow_run row
+ */
+export async function queueWorkflowRun({ workflow, userId, input = {}, tenantId, triggerSource = 'manual', triggerId = null }) {
+  const resolvedTenantId = tenantId || await ensureTenant(userId);
+  const config = workflow.content?.config || {};
+  const steps = workflow.content?.steps || [];
+
+  const context = {
+    workflow: {
+      id: workflow.id,
+      name: workflow.title,
+      input,
+    },
+  };
+
+  const result = await db.query(
+    `INSERT INTO workflow_run (
+      tenant_id, workflow_id, workflow_version, user_id, status, input, config, context,
+      trigger_source, trigger_id
+    ) VALUES ($1, $2, $3, $4, 'queued', $5, $6, $7, $8, $9)
+    RETURNING *`,
+    [
+      resolvedTenantId,
+      workflow.id,
+      workflow.version || 1,
+      userId,
+      JSON.stringify(input),
+      JSON.stringify({ ...config, steps }),
+      JSON.stringify(context),
+      triggerSource,
+      triggerId,
+    ]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Request cancellation of a run
+ * Queued runs are cancelled immediately; running runs stop before their next step.
+ *
+ * @param {string} runId - workflow_run id
+ * @returns {Promise<Object|null>} Updated run, or null if it is not cancellable
+ */
+export async function cancelWorkflowRun(runId) {
+  const queued = await db.query(
+    `UPDATE workflow_run
+     SET status = 'cancelled', cancel_requested_at = NOW(), completed_at = NOW()
+     WHERE id = $1 AND status = 'queued'
+     RETURNING *`,
+    [runId]
+  );
+
+  if (queued.rows.length > 0) {
+    return queued.rows[0];
+  }
+
+  const running = await db.query(
+    `UPDATE workflow_run
+     SET cancel_requested_at = NOW()
+     WHERE id = $1 AND status = 'running'
+     RETURNING *`,
+    [runId]
+  );
+
+  return running.rows[0] || null;
+}
+
+/**
+ * Put a finished run back on the queue, continuing from its checkpoint
+ *
+ * @param {string} runId - workflow_run id
+ * @param {Object} options
+ * @param {string[]} options.fromStatuses - Statuses the run may be requeued from
+ * @param {string} [options.fromStep] - Restart from this step instead of the checkpoint
+ * @returns {Promise<Object|null>} Updated run, or null if its status does not allow it
+ */
+export async function requeueWorkflowRun(runId, { fromStatuses, fromStep } = {}) {
+  const result = await db.query(
+    `UPDATE workflow_run
+     SET status = 'queued',
+         attempt = attempt + 1,
+         checkpoint = CASE WHEN $3::text IS NULL THEN checkpoint
+                      ELSE jsonb_set(checkpoint, '{pending}', jsonb_build_array($3::text)) END,
+         error_message = NULL,
+         failed_step_id = NULL,
+         cancel_requested_at = NULL,
+         completed_at = NULL,
+         locked_by = NULL,
+         queued_at = NOW()
+     WHERE id = $1 AND status = ANY($2)
+     RETURNING *`,
+    [runId, fromStatuses, fromStep || null]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Claim the oldest queued run for this runner
+ *
+ * @returns {Promise<Object|null>} Claimed run
+ */
+async function claimRun() {
+  const result = await db.query(
+    `UPDATE workflow_run
+     SET status = 'running',
+         locked_by = $1,
+         heartbeat_at = NOW(),
+         started_at = COALESCE(started_at, NOW())
+     WHERE id = (
+       SELECT id FROM workflow_run
+       WHERE status = 'queued'
+       ORDER BY queued_at ASC
+       LIMIT 1
+       FOR UPDATE SKIP LOCKED
+     )
+     RETURNING *`,
+    [RUNNER_ID]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Mark runs whose runner stopped heartbeating as interrupted
+ * (or queue them again when WORKFLOW_AUTO_RESUME=true)
+ *
+ * @returns {Promise<number>} Number of runs recovered
+ */
+export async function recoverStaleRuns() {
+  const result = await db.query(
+    `UPDATE workflow_run
+     SET status = CASE WHEN $2 THEN 'queued' ELSE 'interrupted' END,
+         attempt = CASE WHEN $2 THEN attempt + 1 ELSE attempt END,
+         queued_at = CASE WHEN $2 THEN NOW() ELSE queued_at END,
+         locked_by = NULL
+     WHERE status = 'running'
+       AND heartbeat_at < NOW() - ($1 * INTERVAL '1 millisecond')
+     RETURNING id`,
+    [RUNNER_CONFIG.leaseTimeout, RUNNER_CONFIG.autoResume]
+  );
+
+  if (result.rowCount > 0) {
+    console.warn(
+      `[WorkflowRunner] Recovered ${result.rowCount} stale runs (${RUNNER_CONFIG.autoResume ? 'requeued' : 'interrupted'})`
+    );
+  }
+
+  return result.rowCount;
+}
+
+/**
+ * Execute a claimed run
+ *
+ * @param {Object} run - Claimed workflow_run row
+ * @returns {Promise<boolean>} Whether the run completed
+ */
+async function processRun(run) {
+  const { id, workflow_id: workflowId, user_id: userId, tenant_id: tenantId, attempt } = run;
+  const config = run.config || {};
+  const context = run.context || {};
+  const resume = run.checkpoint?.pending ? run.checkpoint : undefined;
+
+  console.log(`[WorkflowRunner] Running ${id} (workflow ${workflowId}, attempt ${attempt})${resume ? ' from checkpoint' : ''}...`);
+
+  // Keep the lease alive while steps run
+  const heartbeat = setInterval(() => {
+    db.query(
+      `UPDATE workflow_run SET heartbeat_at = NOW() WHERE id = $1 AND locked_by = $2`,
+      [id, RUNNER_ID]
+    ).catch(err => console.error(`[WorkflowRunner] Heartbeat failed for ${id}:`, err.message));
+  }, RUNNER_CONFIG.heartbeatInterval);
+
+  let outcome;
+
+  try {
+    outcome = await runWorkflowGraph({
+      config,
+      context,
+      resume,
+      runStep: (step, stepContext) => executeStep(step, stepContext, userId, tenantId),
+
+      onStepStart: async (step, iteration) => {
+        await db.query(
+          `INSERT INTO workflow_run_step (run_id, step_id, step_type, iteration, attempt, status)
+           VALUES ($1, $2, $3, $4, $5, 'running')
+           ON CONFLICT (run_id, step_id, iteration, attempt)
+           DO UPDATE SET status = 'running', started_at = NOW()`,
+          [id, step.id, step.type, iteration, attempt]
+        );
+      },
+
+      onStepResult: async (step, result, checkpoint) => {
+        await db.query(
+          `INSERT INTO workflow_run_step (
+            run_id, step_id, step_type, iteration, attempt, status,
+            output, metadata, error, duration_ms, completed_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+          ON CONFLICT (run_id, step_id, iteration, attempt)
+          DO UPDATE SET
+            status = EXCLUDED.status,
+            output = EXCLUDED.output,
+            metadata = EXCLUDED.metadata,
+            error = EXCLUDED.error,
+            duration_ms = EXCLUDED.duration_ms,
+            completed_at = EXCLUDED.completed_at`,
+          [
+            id,
+            step.id,
+            step.type,
+            result.iteration,
+            attempt,
+            result.status,
+            JSON.stringify(result.output ?? null),
+            JSON.stringify(result.metadata || {}),
+            result.error ? JSON.stringify(result.error) : null,
+            result.duration,
+          ]
+        );
+
+        await db.query(
+          `UPDATE workflow_run
+           SET context = $2, checkpoint = $3, heartbeat_at = NOW()
+           WHERE id = $1`,
+          [id, JSON.stringify(context), JSON.stringify(checkpoint)]
+        );
+      },
+
+      shouldCancel: async () => {
+        const result = await db.query(
+          `SELECT cancel_requested_at FROM workflow_run WHERE id = $1`,
+          [id]
+        );
+        return Boolean(result.rows[0]?.cancel_requested_at);
+      },
+    });
+  } catch (error) {
+    console.error(`[WorkflowRunner] ✗ Run ${id} crashed:`, error);
+    outcome = {
+      status: 'failed',
+      finalOutput: null,
+      stepResults: [],
+      error: { message: error.message, stack: error.stack },
+      checkpoint: run.checkpoint,
+    };
+  } finally {
+    clearInterval(heartbeat);
+  }
+
+  // Finalize only if we still hold the lease
+  const finalized = await db.query(
+    `UPDATE workflow_run
+     SET status = $3,
+         final_output = $4,
+         error_message = $5,
+         failed_step_id = $6,
+         context = $7,
+         checkpoint = $8,
+         locked_by = NULL,
+         completed_at = NOW(),
+         duration_ms = (EXTRACT(EPOCH FROM (NOW() - started_at)) * 1000)::INTEGER
+     WHERE id = $1 AND locked_by = $2
+     RETURNING *`,
+    [
+      id,
+      RUNNER_ID,
+      outcome.status,
+      JSON.stringify(outcome.finalOutput ?? null),
+      outcome.error?.message || null,
+      outcome.error?.stepId || null,
+      JSON.stringify(context),
+      JSON.stringify(outcome.checkpoint || {}),
+    ]
+  );
+
+  if (finalized.rows.length === 0) {
+    console.warn(`[WorkflowRunner] Lost lease on run ${id}, result discarded`);
+    return false;
+  }
+
+  const durationMs = finalized.rows[0].duration_ms;
+  const completedSteps = outcome.stepResults.filter(r => r.status === 'completed').length;
+
+  // Track usage
+  await trackUsage({
+    tenantId,
+    userId,
+    entityId: workflowId,
+    eventType: 'workflow.executed',
+    durationMs,
+    metadata: {
+      executionId: id,
+      status: outcome.status,
+      attempt,
+      triggerSource: run.trigger_source,
+      stepCount: (config.steps || []).length,
+      completedSteps,
+      error: outcome.error?.message || null,
+    },
+  });
+
+  // Log event
+  await logEvent({
+    tenantId,
+    eventType: 'workflow.executed',
+    aggregateType: 'entity',
+    aggregateId: workflowId,
+    actorId: userId,
+    payload: {
+      entityType: 'workflow',
+      executionId: id,
+      status: outcome.status,
+      attempt,
+      triggerSource: run.trigger_source,
+      durationMs,
+      stepCount: (config.steps || []).length,
+    },
+  });
+
+  if (outcome.status === 'completed') {
+    console.log(`[WorkflowRunner] ✓ Completed run ${id} in ${durationMs}ms`);
+  } else {
+    console.log(`[WorkflowRunner] Run ${id} ${outcome.status}${outcome.error ? `: ${outcome.error.message}` : ''}`);
+  }
+
+  return outcome.status === 'completed';
+}
+
+/**
+ * Claim runs up to the concurrency limit
+ *
+ * @returns {Promise<number>} Number of runs claimed
+ */
+async function claimAvailable() {
+  let claimed = 0;
+
+  while (activeRuns.size < RUNNER_CONFIG.concurrency) {
+    const run = await claimRun();
+    if (!run) {
+      break;
+    }
+
+    const task = processRun(run)
+      .catch(error => console.error(`[WorkflowRunner] Error processing run ${run.id}:`, error))
+      .finally(() => activeRuns.delete(run.id));
+
+    activeRuns.set(run.id, task);
+    claimed++;
+  }
+
+  return claimed;
+}
+
+/**
+ * Main runner loop
+ */
+async function runnerLoop() {
+  if (!isRunning) {
+    return;
+  }
+
+  try {
+    await recoverStaleRuns();
+    const claimedCount = await claimAvailable();
+
+    if (claimedCount > 0 && activeRuns.size < RUNNER_CONFIG.concurrency) {
+      // Queue may have more work, check again immediately
+      setImmediate(runnerLoop);
+    } else {
+      runnerInterval = setTimeout(runnerLoop, RUNNER_CONFIG.pollInterval);
+    }
+  } catch (error) {
+    console.error('[WorkflowRunner] Runner loop error:', error);
+    // Wait before retrying
+    runnerInterval = setTimeout(runnerLoop, RUNNER_CONFIG.pollInterval);
+  }
+}
+
+/**
+ * Start the workflow runner
+ *
+ * @returns {Promise<void>}
+ */
+export async function startWorkflowRunner() {
+  if (isRunning) {
+    console.log('[WorkflowRunner] Runner already running');
+    return;
+  }
+
+  console.log('[WorkflowRunner] Starting runner...');
+  console.log('[WorkflowRunner] Config:', { ...RUNNER_CONFIG, runnerId: RUNNER_ID });
+
+  isRunning = true;
+  runnerLoop();
+
+  console.log('[WorkflowRunner] Runner started successfully');
+}
+
+/**
+ * Stop the workflow runner
+ * Runs still executing after the timeout keep their lease and are
+ * recovered by the next runner once it expires.
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopWorkflowRunner() {
+  if (!isRunning) {
+    console.log('[WorkflowRunner] Runner not running');
+    return;
+  }
+
+  console.log('[WorkflowRunner] Stopping runner...');
+
+  isRunning = false;
+
+  if (runnerInterval) {
+    clearTimeout(runnerInterval);
+    runnerInterval = null;
+  }
+
+  // Wait for active runs to complete (with timeout)
+  const timeout = 30000; // 30 seconds
+  const startTime = Date.now();
+
+  while (activeRuns.size > 0 && Date.now() - startTime < timeout) {
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+
+  if (activeRuns.size > 0) {
+    console.warn(
+      `[WorkflowRunner] Stopped with ${activeRuns.size} active runs (timeout exceeded)`
+    );
+  } else {
+    console.log('[WorkflowRunner] Runner stopped successfully');
+  }
+}
+
+/**
+ * Get runner status
+ *
+ * @returns {Promise<Object>} Runner status
+ */
+export async function getRunnerStatus() {
+  const queueStats = await db.query(
+    `SELECT status, COUNT(*) as count
+     FROM workflow_run
+     GROUP BY status`
+  );
+
+  return {
+    running: isRunning,
+    runnerId: RUNNER_ID,
+    activeRuns: [...activeRuns.keys()],
+    config: RUNNER_CONFIG,
+    queueStats: queueStats.rows,
+  };
+}
+
+// If running as standalone script
+if (import.meta.url === `file://${process.argv[1]}`) {
+  console.log('Starting Workflow Runner as standalone process...');
+
+  // Handle graceful shutdown
+  process.on('SIGINT', async () => {
+    console.log('\nReceived SIGINT, shutting down gracefully...');
+    await stopWorkflowRunner();
+    process.exit(0);
+  });
+
+  process.on('SIGTERM', async () => {
+    console.log('\nReceived SIGTERM, shutting down gracefully...');
+    await stopWorkflowRunner();
+    process.exit(0);
+  });
+
+  // Start runner
+  startWorkflowRunner().catch(error => {
+    console.error('Failed to start runner:', error);
+    process.exit(1);
+  });
+}
+
+// Default export
+export default {
+  startWorkflowRunner,
+  stopWorkflowRunner,
+  getRunnerStatus,
+  queueWorkflowRun,
+  cancelWorkflowRun,
+  requeueWorkflowRun,
+  recoverStaleRuns,
+};
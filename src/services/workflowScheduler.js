@@ -0,0 +1,340 @@
+/**
+ * Workflow Scheduler
+ *
+ * In-process evaluator for workflow triggers.
+ * - Schedule triggers: polls workflow_trigger for due cron schedules and
+ *   queues a run for each one
+ * - Webhook triggers: verifies the signature of an inbound request, maps its
+ *   body into workflow.input and queues a run
+ *
+ * Only workflows whose status is `published` are eligible. Runs are recorded
+ * on workflow_run with the trigger source and executed by the workflow runner.
+ *
+ * Usage:
+ *   import { startWorkflowScheduler, stopWorkflowScheduler } from './services/workflowScheduler.js';
+ *   await startWorkflowScheduler();
+ *
+ * @module services/workflowScheduler
+ */
+
+import crypto from 'crypto';
+import { db } from '../utils/database.js';
+import { queueWorkflowRun } from './workflowRunner.js';
+import { getNextCronRun } from './workflows/cron.js';
+import { evaluateExpression } from './workflows/expressions.js';
+
+// Scheduler configuration
+const SCHEDULER_CONFIG = {
+  pollInterval: parseInt(process.env.WORKFLOW_SCHEDULER_INTERVAL) || 30000, // 30 seconds
+  batchSize: parseInt(process.env.WORKFLOW_SCHEDULER_BATCH_SIZE) || 20,
+  webhookTolerance: parseInt(process.env.WORKFLOW_WEBHOOK_TOLERANCE) || 300, // seconds
+};
+
+let isRunning = false;
+let schedulerInterval = null;
+let activeTick = null;
+
+/**
+ * Generate a webhook signing secret
+ *
+ * @returns {string}
+ */
+export function generateSigningSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Sign a webhook payload
+ * Signature is HMAC-SHA256 over `${timestamp}.${rawBody}`.
+ *
+ * @param {string} secret - Trigger signing secret
+ * @param {string|number} timestamp - Unix timestamp (seconds) sent with the request
+ * @param {string|Buffer} rawBody - Raw request body
+ * @returns {string} `sha256=<hex>`
+ */
+export function signWebhookPayload(secret, timestamp, rawBody) {
+  const hmac = crypto.createHmac('sha256', secret);
+  hmac.update(`${timestamp}.`);
+  hmac.update(rawBody || '');
+  return `sha256=${hmac.digest('hex')}`;
+}
+
+/**
+ * Verify the signature of an inbound webhook request
+ *
+ * @param {string} secret - Trigger signing secret
+ * @param {Object} request
+ * @param {string|Buffer} request.rawBody - Raw request body
+ * @param {string} request.timestamp - X-Workflow-Timestamp header
+ * @param {string} request.signature - X-Workflow-Signature header
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function verifyWebhookSignature(secret, { rawBody, timestamp, signature }) {
+  if (!timestamp || !signature) {
+    return { valid: false, error: 'Missing signature headers' };
+  }
+
+  const age = Math.abs(Date.now() / 1000 - parseInt(timestamp));
+  if (!Number.isFinite(age) || age > SCHEDULER_CONFIG.webhookTolerance) {
+    return { valid: false, error: 'Signature timestamp outside tolerance' };
+  }
+
+  const expected = Buffer.from(signWebhookPayload(secret, timestamp, rawBody));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, error: 'Invalid signature' };
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Map an inbound webhook request into workflow input
+ * Without an input mapping the JSON body object becomes the input; with one,
+ * each entry is an expression evaluated against { body, query, headers }.
+ *
+ * @param {Object} trigger - workflow_trigger row
+ * @param {Object} request - { body, query, headers }
+ * @returns {Object} Workflow input
+ */
+export function mapWebhookInput(trigger, { body, query = {}, headers = {} }) {
+  const staticInput = trigger.input || {};
+
+  if (!trigger.input_mapping) {
+    const bodyInput = body && typeof body === 'object' && !Array.isArray(body) ? body : { body };
+    return { ...staticInput, ...bodyInput };
+  }
+
+  const scope = { body: body ?? null, query, headers };
+  const mapped = {};
+
+  for (const [key, expression] of Object.entries(trigger.input_mapping)) {
+    mapped[key] = evaluateExpression(expression, scope);
+  }
+
+  return { ...staticInput, ...mapped };
+}
+
+/**
+ * Load the current version of a trigger's workflow and check it may run
+ *
+ * @param {Object} trigger - workflow_trigger row
+ * @returns {Promise<{workflow: Object|null, error: string|null}>}
+ */
+export async function getEligibleWorkflow(trigger) {
+  const result = await db.query(
+    `SELECT * FROM entity
+     WHERE id = $1 AND entity_type = 'workflow'
+       AND valid_to IS NULL AND deleted_at IS NULL`,
+    [trigger.workflow_id]
+  );
+
+  const workflow = result.rows[0];
+
+  if (!workflow) {
+    return { workflow: null, error: 'Workflow not found' };
+  }
+
+  if ((workflow.metadata?.status || 'draft') !== 'published') {
+    return { workflow, error: 'Workflow is not published' };
+  }
+
+  return { workflow, error: null };
+}
+
+/**
+ * Fire a trigger: queue a run of its workflow
+ *
+ * @param {Object} trigger - workflow_trigger row
+ * @param {Object} [input] - Workflow input (defaults to the trigger's static input)
+ * @returns {Promise<{run: Object|null, error: string|null}>}
+ */
+export async function fireTrigger(trigger, input = trigger.input || {}) {
+  const { workflow, error } = await getEligibleWorkflow(trigger);
+
+  if (error) {
+    await db.query(
+      `UPDATE workflow_trigger SET last_error = $2, updated_at = NOW() WHERE id = $1`,
+      [trigger.id, error]
+    );
+    return { run: null, error };
+  }
+
+  const run = await queueWorkflowRun({
+    workflow,
+    userId: workflow.owner_id,
+    tenantId: workflow.tenant_id,
+    input,
+    triggerSource: trigger.trigger_type,
+    triggerId: trigger.id,
+  });
+
+  await db.query(
+    `UPDATE workflow_trigger
+     SET last_fired_at = NOW(), last_run_id = $2, last_error = NULL,
+         fire_count = fire_count + 1, updated_at = NOW()
+     WHERE id = $1`,
+    [trigger.id, run.id]
+  );
+
+  return { run, error: null };
+}
+
+/**
+ * Claim due schedule triggers and advance their next run time
+ * Missed runs (e.g. while the server was down) fire once, not once per slot.
+ *
+ * @returns {Promise<Object[]>} Claimed triggers
+ */
+async function claimDueSchedules() {
+  const client = await db.getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `SELECT * FROM workflow_trigger
+       WHERE trigger_type = 'schedule' AND enabled = TRUE
+         AND next_run_at IS NOT NULL AND next_run_at <= NOW()
+       ORDER BY next_run_at ASC
+       LIMIT $1
+       FOR UPDATE SKIP LOCKED`,
+      [SCHEDULER_CONFIG.batchSize]
+    );
+
+    for (const trigger of result.rows) {
+      let nextRunAt = null;
+      try {
+        nextRunAt = getNextCronRun(trigger.cron_expression, new Date());
+      } catch (error) {
+        console.error(`[WorkflowScheduler] Invalid cron on trigger ${trigger.id}:`, error.message);
+      }
+
+      await client.query(
+        `UPDATE workflow_trigger SET next_run_at = $2, updated_at = NOW() WHERE id = $1`,
+        [trigger.id, nextRunAt]
+      );
+    }
+
+    await client.query('COMMIT');
+    return result.rows;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Fire all due schedule triggers
+ *
+ * @returns {Promise<number>} Number of runs queued
+ */
+export async function processDueSchedules() {
+  const triggers = await claimDueSchedules();
+  let queued = 0;
+
+  for (const trigger of triggers) {
+    try {
+      const { run, error } = await fireTrigger(trigger);
+      if (run) {
+        queued++;
+        console.log(`[WorkflowScheduler] Trigger ${trigger.id} queued run ${run.id}`);
+      } else {
+        console.log(`[WorkflowScheduler] Trigger ${trigger.id} skipped: ${error}`);
+      }
+    } catch (error) {
+      console.error(`[WorkflowScheduler] ✗ Failed to fire trigger ${trigger.id}:`, error);
+      await db.query(
+        `UPDATE workflow_trigger SET last_error = $2, updated_at = NOW() WHERE id = $1`,
+        [trigger.id, error.message]
+      ).catch(() => {});
+    }
+  }
+
+  return queued;
+}
+
+/**
+ * Main scheduler loop
+ */
+async function schedulerLoop() {
+  if (!isRunning) {
+    return;
+  }
+
+  try {
+    activeTick = processDueSchedules();
+    await activeTick;
+  } catch (error) {
+    console.error('[WorkflowScheduler] Scheduler loop error:', error);
+  } finally {
+    activeTick = null;
+  }
+
+  if (isRunning) {
+    schedulerInterval = setTimeout(schedulerLoop, SCHEDULER_CONFIG.pollInterval);
+  }
+}
+
+/**
+ * Start the workflow scheduler
+ *
+ * @returns {Promise<void>}
+ */
+export async function startWorkflowScheduler() {
+  if (isRunning) {
+    console.log('[WorkflowScheduler] Scheduler already running');
+    return;
+  }
+
+  console.log('[WorkflowScheduler] Starting scheduler...');
+  console.log('[WorkflowScheduler] Config:', SCHEDULER_CONFIG);
+
+  isRunning = true;
+  schedulerLoop();
+
+  console.log('[WorkflowScheduler] Scheduler started successfully');
+}
+
+/**
+ * Stop the workflow scheduler
+ *
+ * @returns {Promise<void>}
+ */
+export async function stopWorkflowScheduler() {
+  if (!isRunning) {
+    console.log('[WorkflowScheduler] Scheduler not running');
+    return;
+  }
+
+  console.log('[WorkflowScheduler] Stopping scheduler...');
+
+  isRunning = false;
+
+  if (schedulerInterval) {
+    clearTimeout(schedulerInterval);
+    schedulerInterval = null;
+  }
+
+  if (activeTick) {
+    await activeTick.catch(() => {});
+  }
+
+  console.log('[WorkflowScheduler] Scheduler stopped successfully');
+}
+
+// Default export
+export default {
+  startWorkflowScheduler,
+  stopWorkflowScheduler,
+  processDueSchedules,
+  fireTrigger,
+  getEligibleWorkflow,
+  mapWebhookInput,
+  verifyWebhookSignature,
+  signWebhookPayload,
+  generateSigningSecret,
+};
@@ -0,0 +1,203 @@
+/**
+ * Cron Expressions
+ *
+ * Five-field cron syntax (minute hour day-of-month month day-of-week) for
+ * workflow schedule triggers. Supports `*`, lists (`1,15`), ranges (`1-5`),
+ * steps (`0-59/15`, `10/5`), month/day names (`jan`, `mon`) and the macros
+ * `@yearly`, `@monthly`, `@weekly`, `@daily`, `@hourly`.
+ *
+ * Schedules are evaluated in UTC.
+ *
+ * @module services/workflows/cron
+ */
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+  { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Upper bound on search steps when looking for the next matching minute
+const MAX_SEARCH_STEPS = 100000;
+
+function parseValue(token, field) {
+  const lower = token.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+
+  if (!/^\d+$/.test(token)) {
+    throw new Error(`Invalid ${field.name} value '${token}'`);
+  }
+
+  const value = parseInt(token, 10);
+  if (value < field.min || value > field.max) {
+    throw new Error(`${field.name} value ${value} out of range ${field.min}-${field.max}`);
+  }
+  return value;
+}
+
+function parseField(source, field) {
+  const values = new Set();
+
+  for (const part of source.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    let step = 1;
+
+    if (stepPart !== undefined) {
+      if (!/^\d+$/.test(stepPart) || parseInt(stepPart, 10) === 0) {
+        throw new Error(`Invalid ${field.name} step '${stepPart}'`);
+      }
+      step = parseInt(stepPart, 10);
+    }
+
+    let start;
+    let end;
+
+    if (rangePart === '*') {
+      start = field.min;
+      end = field.max;
+    } else if (rangePart.includes('-')) {
+      const [from, to] = rangePart.split('-');
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`Invalid ${field.name} range '${rangePart}'`);
+      }
+    } else {
+      start = parseValue(rangePart, field);
+      end = stepPart !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ *
+ * @param {string} expression - Cron expression or macro
+ * @returns {Object} Parsed schedule
+ * @throws {Error} If the expression is invalid
+ */
+export function parseCron(expression) {
+  if (typeof expression !== 'string' || !expression.trim()) {
+    throw new Error('Cron expression must be a non-empty string');
+  }
+
+  const normalized = MACROS[expression.trim().toLowerCase()] || expression.trim();
+  const parts = normalized.split(/\s+/);
+
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}`);
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = parts.map((part, index) => parseField(part, FIELDS[index]));
+
+  // 7 is an alias for Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.delete(7);
+    daysOfWeek.add(0);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*')
+  };
+}
+
+/**
+ * Validate a cron expression
+ *
+ * @param {string} expression - Cron expression
+ * @returns {{valid: boolean, error?: string}}
+ */
+export function validateCron(expression) {
+  try {
+    parseCron(expression);
+    return { valid: true };
+  } catch (err) {
+    return { valid: false, error: err.message };
+  }
+}
+
+function dayMatches(schedule, date) {
+  const domMatch = schedule.daysOfMonth.has(date.getUTCDate());
+  const dowMatch = schedule.daysOfWeek.has(date.getUTCDay());
+
+  if (schedule.domRestricted && schedule.dowRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+}
+
+/**
+ * Get the next time a cron expression fires, strictly after `from`
+ *
+ * @param {string|Object} expression - Cron expression or result of parseCron
+ * @param {Date} [from] - Reference time (default now)
+ * @returns {Date|null} Next run time, or null if the schedule never fires
+ */
+export function getNextCronRun(expression, from = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+
+  const date = new Date(from.getTime());
+  date.setUTCSeconds(0, 0);
+  date.setUTCMinutes(date.getUTCMinutes() + 1);
+
+  for (let i = 0; i < MAX_SEARCH_STEPS; i++) {
+    if (!schedule.months.has(date.getUTCMonth() + 1)) {
+      date.setUTCMonth(date.getUTCMonth() + 1, 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!dayMatches(schedule, date)) {
+      date.setUTCDate(date.getUTCDate() + 1);
+      date.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.hours.has(date.getUTCHours())) {
+      date.setUTCHours(date.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+
+    if (!schedule.minutes.has(date.getUTCMinutes())) {
+      date.setUTCMinutes(date.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+
+    return date;
+  }
+
+  return null;
+}
+
+export default {
+  parseCron,
+  validateCron,
+  getNextCronRun
+};
@@ -0,0 +1,946 @@
+/**
+ * Workflow Expression Engine
+ *
+ * Sandboxed expression language for workflow `transform` and `condition` steps.
+ * Expressions are parsed into an AST and walked by a small interpreter - no
+ * `eval`, no `new Function`, no access to globals or prototypes.
+ *
+ * Supported syntax:
+ * - Literals: numbers, 'single' or "double" quoted strings, true, false, null,
+ *   arrays ([1, 2]) and objects ({ key: value })
+ * - Paths: context.step1.output, step1.output, workflow.input['topic'], items[0]
+ * - Operators: + - * / % == != < <= > >= in && || ! and the ternary a ? b : c
+ *   (== and != are strict, there is no type coercion)
+ * - Helper calls from a fixed whitelist: upper(step1.output), length(items), ...
+ *
+ * Evaluation is bounded by an operation budget, a wall-clock timeout and a
+ * maximum output size so a workflow step cannot stall or exhaust the server.
+ *
+ * @module services/workflows/expressions
+ */
+
+// Hard limits (per-step limits may lower these, never raise them)
+const LIMITS = {
+  maxExpressionLength: 4000,
+  maxDepth: 64,
+  maxOperations: 10000,
+  timeoutMs: 250,
+  maxOutputSize: 1000000 // characters of serialized output
+};
+
+const BLOCKED_PROPERTIES = new Set(['__proto__', 'prototype', 'constructor']);
+
+const KEYWORDS = {
+  true: true,
+  false: false,
+  null: null
+};
+
+// Longest operators first so '<=' wins over '<'
+const OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '?', ':', '.', ',', '(', ')', '[', ']', '{', '}'];
+
+const PARSE_CACHE_SIZE = 500;
+const parseCache = new Map();
+
+/**
+ * Build an expression error carrying the source position
+ *
+ * @param {string} message - Error message
+ * @param {number|null} position - Character offset in the expression
+ * @param {string} code - Error code
+ * @returns {Error}
+ */
+function expressionError(message, position = null, code = 'EXPRESSION_ERROR') {
+  const err = new Error(position !== null ? `${message} (at position ${position})` : message);
+  err.code = code;
+  err.position = position;
+  return err;
+}
+
+// ============================================================================
+// Tokenizer
+// ============================================================================
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const ch = source[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    // Numbers
+    if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(source[i + 1] || ''))) {
+      const match = /^(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/.exec(source.slice(i));
+      tokens.push({ type: 'number', value: parseFloat(match[0]), pos: i });
+      i += match[0].length;
+      continue;
+    }
+
+    // Strings
+    if (ch === '"' || ch === '\'') {
+      const start = i;
+      let value = '';
+      i++;
+
+      while (i < source.length && source[i] !== ch) {
+        if (source[i] === '\\') {
+          const next = source[i + 1];
+          const escapes = { n: '\n', t: '\t', r: '\r', '\\': '\\', '\'': '\'', '"': '"' };
+          if (next === undefined || !(next in escapes)) {
+            throw expressionError(`Invalid escape sequence '\\${next || ''}'`, i, 'EXPRESSION_PARSE_ERROR');
+          }
+          value += escapes[next];
+          i += 2;
+        } else {
+          value += source[i];
+          i++;
+        }
+      }
+
+      if (i >= source.length) {
+        throw expressionError('Unterminated string literal', start, 'EXPRESSION_PARSE_ERROR');
+      }
+
+      i++; // closing quote
+      tokens.push({ type: 'string', value, pos: start });
+      continue;
+    }
+
+    // Identifiers and keywords
+    if (/[A-Za-z_$]/.test(ch)) {
+      const match = /^[A-Za-z_$][A-Za-z0-9_$]*/.exec(source.slice(i));
+      const word = match[0];
+
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, word)) {
+        tokens.push({ type: 'literal', value: KEYWORDS[word], pos: i });
+      } else if (word === 'in') {
+        tokens.push({ type: 'operator', value: 'in', pos: i });
+      } else {
+        tokens.push({ type: 'identifier', value: word, pos: i });
+      }
+
+      i += word.length;
+      continue;
+    }
+
+    // Operators and punctuation
+    const operator = OPERATORS.find(op => source.startsWith(op, i));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, pos: i });
+      i += operator.length;
+      continue;
+    }
+
+    throw expressionError(`Unexpected character '${ch}'`, i, 'EXPRESSION_PARSE_ERROR');
+  }
+
+  tokens.push({ type: 'eof', value: null, pos: source.length });
+  return tokens;
+}
+
+// ============================================================================
+// Parser (recursive descent)
+// ============================================================================
+
+const BINARY_PRECEDENCE = [
+  ['||'],
+  ['&&'],
+  ['==', '!=', '===', '!=='],
+  ['<', '<=', '>', '>=', 'in'],
+  ['+', '-'],
+  ['*', '/', '%']
+];
+
+class Parser {
+  constructor(source) {
+    this.tokens = tokenize(source);
+    this.index = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  isOperator(value) {
+    const token = this.peek();
+    return token.type === 'operator' && token.value === value;
+  }
+
+  expect(value) {
+    const token = this.next();
+    if (token.type !== 'operator' || token.value !== value) {
+      throw expressionError(`Expected '${value}' but found ${describeToken(token)}`, token.pos, 'EXPRESSION_PARSE_ERROR');
+    }
+    return token;
+  }
+
+  enter(pos) {
+    this.depth++;
+    if (this.depth > LIMITS.maxDepth) {
+      throw expressionError(`Expression is nested too deeply (max ${LIMITS.maxDepth})`, pos, 'EXPRESSION_PARSE_ERROR');
+    }
+  }
+
+  leave() {
+    this.depth--;
+  }
+
+  parse() {
+    const ast = this.parseExpression();
+    const token = this.peek();
+    if (token.type !== 'eof') {
+      throw expressionError(`Unexpected ${describeToken(token)}`, token.pos, 'EXPRESSION_PARSE_ERROR');
+    }
+    return ast;
+  }
+
+  parseExpression() {
+    const pos = this.peek().pos;
+    this.enter(pos);
+
+    const test = this.parseBinary(0);
+    let node = test;
+
+    if (this.isOperator('?')) {
+      this.next();
+      const consequent = this.parseExpression();
+      this.expect(':');
+      const alternate = this.parseExpression();
+      node = { type: 'conditional', test, consequent, alternate, pos };
+    }
+
+    this.leave();
+    return node;
+  }
+
+  parseBinary(level) {
+    if (level >= BINARY_PRECEDENCE.length) {
+      return this.parseUnary();
+    }
+
+    let left = this.parseBinary(level + 1);
+
+    while (this.peek().type === 'operator' && BINARY_PRECEDENCE[level].includes(this.peek().value)) {
+      const operator = this.next();
+      const right = this.parseBinary(level + 1);
+      left = { type: 'binary', operator: operator.value, left, right, pos: operator.pos };
+    }
+
+    return left;
+  }
+
+  parseUnary() {
+    const token = this.peek();
+
+    if (token.type === 'operator' && ['!', '-', '+'].includes(token.value)) {
+      this.next();
+      this.enter(token.pos);
+      const argument = this.parseUnary();
+      this.leave();
+      return { type: 'unary', operator: token.value, argument, pos: token.pos };
+    }
+
+    return this.parsePostfix();
+  }
+
+  parsePostfix() {
+    let node = this.parsePrimary();
+
+    while (true) {
+      if (this.isOperator('.')) {
+        const dot = this.next();
+        const property = this.next();
+        if (property.type !== 'identifier' && property.type !== 'literal') {
+          throw expressionError(`Expected property name after '.' but found ${describeToken(property)}`, property.pos, 'EXPRESSION_PARSE_ERROR');
+        }
+        const name = property.type === 'literal' ? String(property.value) : property.value;
+        if (BLOCKED_PROPERTIES.has(name)) {
+          throw expressionError(`Property '${name}' is not allowed`, property.pos, 'EXPRESSION_PARSE_ERROR');
+        }
+        node = { type: 'member', object: node, property: { type: 'literal', value: name, pos: property.pos }, pos: dot.pos };
+      } else if (this.isOperator('[')) {
+        const bracket = this.next();
+        const property = this.parseExpression();
+        this.expect(']');
+        node = { type: 'member', object: node, property, pos: bracket.pos };
+      } else if (this.isOperator('(')) {
+        const paren = this.peek();
+        throw expressionError('Only helper functions can be called', paren.pos, 'EXPRESSION_PARSE_ERROR');
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+
+    switch (token.type) {
+      case 'number':
+      case 'string':
+      case 'literal':
+        return { type: 'literal', value: token.value, pos: token.pos };
+
+      case 'identifier':
+        if (this.isOperator('(')) {
+          return this.parseCall(token);
+        }
+        return { type: 'identifier', name: token.value, pos: token.pos };
+
+      case 'operator':
+        if (token.value === '(') {
+          const expression = this.parseExpression();
+          this.expect(')');
+          return expression;
+        }
+        if (token.value === '[') {
+          return this.parseArray(token);
+        }
+        if (token.value === '{') {
+          return this.parseObject(token);
+        }
+        break;
+    }
+
+    throw expressionError(`Unexpected ${describeToken(token)}`, token.pos, 'EXPRESSION_PARSE_ERROR');
+  }
+
+  parseCall(nameToken) {
+    if (!Object.prototype.hasOwnProperty.call(HELPERS, nameToken.value)) {
+      throw expressionError(`Unknown function '${nameToken.value}'`, nameToken.pos, 'EXPRESSION_PARSE_ERROR');
+    }
+
+    this.expect('(');
+    const args = [];
+
+    if (!this.isOperator(')')) {
+      do {
+        args.push(this.parseExpression());
+      } while (this.isOperator(',') && this.next());
+    }
+
+    this.expect(')');
+    return { type: 'call', name: nameToken.value, args, pos: nameToken.pos };
+  }
+
+  parseArray(openToken) {
+    const elements = [];
+
+    if (!this.isOperator(']')) {
+      do {
+        elements.push(this.parseExpression());
+      } while (this.isOperator(',') && this.next());
+    }
+
+    this.expect(']');
+    return { type: 'array', elements, pos: openToken.pos };
+  }
+
+  parseObject(openToken) {
+    const properties = [];
+
+    if (!this.isOperator('}')) {
+      do {
+        const keyToken = this.next();
+        if (!['identifier', 'string'].includes(keyToken.type)) {
+          throw expressionError(`Expected object key but found ${describeToken(keyToken)}`, keyToken.pos, 'EXPRESSION_PARSE_ERROR');
+        }
+        if (BLOCKED_PROPERTIES.has(keyToken.value)) {
+          throw expressionError(`Property '${keyToken.value}' is not allowed`, keyToken.pos, 'EXPRESSION_PARSE_ERROR');
+        }
+        this.expect(':');
+        properties.push({ key: keyToken.value, value: this.parseExpression() });
+      } while (this.isOperator(',') && this.next());
+    }
+
+    this.expect('}');
+    return { type: 'object', properties, pos: openToken.pos };
+  }
+}
+
+function describeToken(token) {
+  switch (token.type) {
+    case 'eof':
+      return 'end of expression';
+    case 'string':
+      return `string '${token.value}'`;
+    case 'operator':
+      return `'${token.value}'`;
+    default:
+      return `'${token.value}'`;
+  }
+}
+
+// ============================================================================
+// Helper functions (the only callable surface)
+// ============================================================================
+
+function typeName(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function requireString(name, value) {
+  if (typeof value !== 'string') {
+    throw expressionError(`${name}() expects a string, got ${typeName(value)}`);
+  }
+  return value;
+}
+
+function requireArray(name, value) {
+  if (!Array.isArray(value)) {
+    throw expressionError(`${name}() expects an array, got ${typeName(value)}`);
+  }
+  return value;
+}
+
+function requireNumber(name, value) {
+  if (typeof value !== 'number' || Number.isNaN(value)) {
+    throw expressionError(`${name}() expects a number, got ${typeName(value)}`);
+  }
+  return value;
+}
+
+function requireNumbers(name, values) {
+  if (values.length === 0) {
+    throw expressionError(`${name}() expects at least one number`);
+  }
+  return values.map(n => requireNumber(name, n));
+}
+
+function requireFinite(name, value) {
+  if (!Number.isFinite(value)) {
+    throw expressionError(`${name}() produced a non-finite number`);
+  }
+  return value;
+}
+
+function toText(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function countOccurrences(s, search) {
+  if (search === '') return Math.max(s.length - 1, 0);
+
+  let count = 0;
+  for (let index = s.indexOf(search); index !== -1; index = s.indexOf(search, index + search.length)) {
+    count++;
+  }
+  return count;
+}
+
+// Length of the string a helper would build, checked against maxOutputSize
+// before the helper runs (undefined when the arguments are not what the helper
+// accepts; the helper then reports the error)
+const PROJECTED_LENGTHS = {
+  replace: (s, search, replacement) => {
+    if (typeof s !== 'string' || typeof search !== 'string') return undefined;
+    return s.length + countOccurrences(s, search) * (toText(replacement).length - search.length);
+  },
+  concat: (...values) => values.reduce((total, value) => total + toText(value).length, 0),
+  join: (arr, separator = ',') => {
+    if (!Array.isArray(arr)) return undefined;
+    const items = arr.reduce((total, item) => total + toText(item).length, 0);
+    return items + Math.max(arr.length - 1, 0) * toText(separator).length;
+  }
+};
+
+function readPath(value, path) {
+  let current = value;
+  for (const part of String(path).split('.')) {
+    current = readProperty(current, part);
+    if (current === undefined) return undefined;
+  }
+  return current;
+}
+
+const HELPERS = {
+  // Strings
+  upper: (s) => requireString('upper', s).toUpperCase(),
+  lower: (s) => requireString('lower', s).toLowerCase(),
+  trim: (s) => requireString('trim', s).trim(),
+  substring: (s, start, end) => requireString('substring', s).substring(requireNumber('substring', start), end === undefined ? undefined : requireNumber('substring', end)),
+  replace: (s, search, replacement) => requireString('replace', s).split(requireString('replace', search)).join(toText(replacement)),
+  split: (s, separator) => requireString('split', s).split(requireString('split', separator)),
+  startsWith: (s, prefix) => requireString('startsWith', s).startsWith(requireString('startsWith', prefix)),
+  endsWith: (s, suffix) => requireString('endsWith', s).endsWith(requireString('endsWith', suffix)),
+  concat: (...values) => values.map(toText).join(''),
+  string: (value) => toText(value),
+
+  // Strings and arrays
+  length: (value) => {
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    if (value && typeof value === 'object') return Object.keys(value).length;
+    throw expressionError(`length() expects a string, array or object, got ${typeName(value)}`);
+  },
+  contains: (haystack, needle) => {
+    if (typeof haystack === 'string') return haystack.includes(toText(needle));
+    if (Array.isArray(haystack)) return haystack.includes(needle);
+    throw expressionError(`contains() expects a string or array, got ${typeName(haystack)}`);
+  },
+  slice: (value, start, end) => {
+    if (typeof value !== 'string' && !Array.isArray(value)) {
+      throw expressionError(`slice() expects a string or array, got ${typeName(value)}`);
+    }
+    return value.slice(requireNumber('slice', start), end === undefined ? undefined : requireNumber('slice', end));
+  },
+  reverse: (value) => {
+    if (typeof value === 'string') return [...value].reverse().join('');
+    return [...requireArray('reverse', value)].reverse();
+  },
+
+  // Arrays
+  join: (arr, separator = ',') => requireArray('join', arr).map(toText).join(toText(separator)),
+  first: (arr) => requireArray('first', arr)[0],
+  last: (arr) => {
+    const items = requireArray('last', arr);
+    return items[items.length - 1];
+  },
+  unique: (arr) => [...new Set(requireArray('unique', arr))],
+  sort: (arr) => [...requireArray('sort', arr)].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0)),
+  flatten: (arr) => requireArray('flatten', arr).flat(),
+  compact: (arr) => requireArray('compact', arr).filter(item => item !== null && item !== undefined && item !== ''),
+  pluck: (arr, path) => requireArray('pluck', arr).map(item => readPath(item, path)),
+  where: (arr, path, expected) => requireArray('where', arr).filter(item => readPath(item, path) === expected),
+  sum: (arr) => requireArray('sum', arr).reduce((total, n) => total + requireNumber('sum', n), 0),
+  avg: (arr) => {
+    const items = requireArray('avg', arr);
+    return items.length === 0 ? 0 : HELPERS.sum(items) / items.length;
+  },
+
+  // Objects and JSON
+  keys: (obj) => (obj && typeof obj === 'object' ? Object.keys(obj) : []),
+  values: (obj) => (obj && typeof obj === 'object' ? Object.values(obj) : []),
+  get: (obj, path, fallback) => {
+    const value = readPath(obj, requireString('get', path));
+    return value === undefined ? fallback : value;
+  },
+  json: (value) => JSON.stringify(value),
+  parseJson: (s) => {
+    try {
+      return JSON.parse(requireString('parseJson', s));
+    } catch (err) {
+      if (err.code) throw err;
+      throw expressionError(`parseJson() received invalid JSON: ${err.message}`);
+    }
+  },
+
+  // Numbers
+  number: (value) => {
+    const n = Number(value);
+    if (Number.isNaN(n)) {
+      throw expressionError(`number() cannot convert ${typeName(value)} '${toText(value)}'`);
+    }
+    return n;
+  },
+  round: (n, digits = 0) => {
+    const places = requireNumber('round', digits);
+    if (!Number.isInteger(places) || places < 0 || places > 15) {
+      throw expressionError(`round() digits must be an integer from 0 to 15, got ${toText(places)}`);
+    }
+    const factor = Math.pow(10, places);
+    return requireFinite('round', Math.round(requireNumber('round', n) * factor) / factor);
+  },
+  floor: (n) => Math.floor(requireNumber('floor', n)),
+  ceil: (n) => Math.ceil(requireNumber('ceil', n)),
+  abs: (n) => Math.abs(requireNumber('abs', n)),
+  min: (...args) => Math.min(...requireNumbers('min', Array.isArray(args[0]) ? args[0] : args)),
+  max: (...args) => Math.max(...requireNumbers('max', Array.isArray(args[0]) ? args[0] : args)),
+
+  // Logic
+  default: (value, fallback) => (value === null || value === undefined || value === '' ? fallback : value),
+  isEmpty: (value) => {
+    if (value === null || value === undefined || value === '') return true;
+    if (Array.isArray(value)) return value.length === 0;
+    if (typeof value === 'object') return Object.keys(value).length === 0;
+    return false;
+  },
+  type: (value) => typeName(value),
+  boolean: (value) => Boolean(value)
+};
+
+// ============================================================================
+// Evaluator
+// ============================================================================
+
+function readProperty(object, key) {
+  if (object === null || object === undefined) {
+    return undefined;
+  }
+
+  if (typeof key === 'number') {
+    key = String(key);
+  }
+
+  if (typeof key !== 'string') {
+    throw expressionError(`Property key must be a string or number, got ${typeName(key)}`);
+  }
+
+  if (BLOCKED_PROPERTIES.has(key)) {
+    throw expressionError(`Property '${key}' is not allowed`);
+  }
+
+  if (typeof object === 'string') {
+    if (key === 'length') return object.length;
+    return /^\d+$/.test(key) ? object[Number(key)] : undefined;
+  }
+
+  if (typeof object !== 'object') {
+    return undefined;
+  }
+
+  if (Array.isArray(object) && key === 'length') {
+    return object.length;
+  }
+
+  // Own properties only - never walk the prototype chain
+  return Object.prototype.hasOwnProperty.call(object, key) ? object[key] : undefined;
+}
+
+function outputSize(value) {
+  if (value === undefined) return 0;
+  if (typeof value === 'string') return value.length;
+  try {
+    return JSON.stringify(value)?.length || 0;
+  } catch {
+    throw expressionError('Expression produced a value that cannot be serialized');
+  }
+}
+
+class Evaluator {
+  constructor(scope, limits) {
+    this.scope = scope;
+    this.limits = limits;
+    this.operations = 0;
+    this.deadline = Date.now() + limits.timeoutMs;
+  }
+
+  tick(node) {
+    this.operations++;
+
+    if (this.operations > this.limits.maxOperations) {
+      throw expressionError(`Expression exceeded operation limit (${this.limits.maxOperations})`, node.pos, 'EXPRESSION_LIMIT_EXCEEDED');
+    }
+
+    if (this.operations % 100 === 0 && Date.now() > this.deadline) {
+      throw expressionError(`Expression timed out after ${this.limits.timeoutMs}ms`, node.pos, 'EXPRESSION_LIMIT_EXCEEDED');
+    }
+  }
+
+  checkLength(length, node) {
+    if (length > this.limits.maxOutputSize) {
+      throw expressionError(`Expression output exceeds ${this.limits.maxOutputSize} characters`, node.pos, 'EXPRESSION_LIMIT_EXCEEDED');
+    }
+  }
+
+  checkSize(value, node) {
+    if (typeof value === 'string' || (value && typeof value === 'object')) {
+      const size = outputSize(value);
+      this.checkLength(size, node);
+    }
+    return value;
+  }
+
+  evaluate(node) {
+    this.tick(node);
+
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'identifier':
+        return this.resolveIdentifier(node);
+
+      case 'member':
+        return readPropertyAt(this.evaluate(node.object), this.evaluate(node.property), node);
+
+      case 'unary':
+        return this.evaluateUnary(node);
+
+      case 'binary':
+        return this.evaluateBinary(node);
+
+      case 'conditional':
+        return this.evaluate(node.test) ? this.evaluate(node.consequent) : this.evaluate(node.alternate);
+
+      case 'array':
+        return this.checkSize(node.elements.map(element => this.evaluate(element)), node);
+
+      case 'object': {
+        const result = {};
+        for (const { key, value } of node.properties) {
+          result[key] = this.evaluate(value);
+        }
+        return this.checkSize(result, node);
+      }
+
+      case 'call': {
+        const args = node.args.map(arg => this.evaluate(arg));
+        try {
+          const projected = PROJECTED_LENGTHS[node.name]?.(...args);
+          if (projected !== undefined) {
+            this.checkLength(projected, node);
+          }
+          return this.checkSize(HELPERS[node.name](...args), node);
+        } catch (err) {
+          if (err.code && err.position === null) {
+            throw expressionError(err.message, node.pos, err.code);
+          }
+          throw err;
+        }
+      }
+
+      default:
+        throw expressionError(`Unsupported expression node '${node.type}'`, node.pos);
+    }
+  }
+
+  resolveIdentifier(node) {
+    if (node.name === 'context') {
+      return this.scope;
+    }
+    return readPropertyAt(this.scope, node.name, node);
+  }
+
+  evaluateUnary(node) {
+    const value = this.evaluate(node.argument);
+
+    switch (node.operator) {
+      case '!':
+        return !value;
+      case '-':
+        return -requireOperand(value, node);
+      case '+':
+        return requireOperand(value, node);
+    }
+  }
+
+  evaluateBinary(node) {
+    // Short-circuit operators return the deciding operand, like JavaScript
+    if (node.operator === '&&') {
+      const left = this.evaluate(node.left);
+      return left ? this.evaluate(node.right) : left;
+    }
+
+    if (node.operator === '||') {
+      const left = this.evaluate(node.left);
+      return left ? left : this.evaluate(node.right);
+    }
+
+    const left = this.evaluate(node.left);
+    const right = this.evaluate(node.right);
+
+    switch (node.operator) {
+      case '==':
+      case '===':
+        return deepEqual(left, right);
+      case '!=':
+      case '!==':
+        return !deepEqual(left, right);
+      case '<':
+      case '<=':
+      case '>':
+      case '>=':
+        return compare(node.operator, left, right, node);
+      case 'in':
+        if (typeof right === 'string') return right.includes(toText(left));
+        if (Array.isArray(right)) return right.some(item => deepEqual(item, left));
+        if (right && typeof right === 'object') return readProperty(right, toText(left)) !== undefined;
+        throw expressionError(`Right side of 'in' must be a string, array or object, got ${typeName(right)}`, node.pos);
+      case '+':
+        return this.add(left, right, node);
+      case '-':
+        return requireOperand(left, node) - requireOperand(right, node);
+      case '*':
+        return requireOperand(left, node) * requireOperand(right, node);
+      case '/':
+      case '%': {
+        const divisor = requireOperand(right, node);
+        if (divisor === 0) {
+          throw expressionError('Division by zero', node.pos);
+        }
+        return node.operator === '/'
+          ? requireOperand(left, node) / divisor
+          : requireOperand(left, node) % divisor;
+      }
+    }
+
+    throw expressionError(`Unsupported operator '${node.operator}'`, node.pos);
+  }
+
+  add(left, right, node) {
+    if (typeof left === 'number' && typeof right === 'number') return left + right;
+    if (Array.isArray(left) && Array.isArray(right)) return this.checkSize(left.concat(right), node);
+
+    // Check the length before building the string
+    const leftText = toText(left);
+    const rightText = toText(right);
+    this.checkLength(leftText.length + rightText.length, node);
+    return leftText + rightText;
+  }
+}
+
+function readPropertyAt(object, key, node) {
+  try {
+    return readProperty(object, key);
+  } catch (err) {
+    throw expressionError(err.message.replace(/ \(at position \d+\)$/, ''), node.pos, err.code);
+  }
+}
+
+function requireOperand(value, node) {
+  if (typeof value !== 'number') {
+    throw expressionError(`Operator '${node.operator}' expects numbers, got ${typeName(value)}`, node.pos);
+  }
+  return value;
+}
+
+function compare(operator, left, right, node) {
+  const comparable = (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+
+  if (!comparable) {
+    throw expressionError(`Cannot compare ${typeName(left)} with ${typeName(right)}`, node.pos);
+  }
+
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    case '>=': return left >= right;
+  }
+}
+
+function deepEqual(a, b) {
+  if (a === b) return true;
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') {
+    return a === b;
+  }
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+
+  return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+// ============================================================================
+// Public API
+// ============================================================================
+
+/**
+ * Parse an expression into an AST
+ * Parsed expressions are cached, so re-running a step does not re-parse.
+ *
+ * @param {string} source - Expression source
+ * @returns {Object} AST root node
+ * @throws {Error} With `code = 'EXPRESSION_PARSE_ERROR'` and `position`
+ */
+export function parseExpression(source) {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    throw expressionError('Expression must be a non-empty string', null, 'EXPRESSION_PARSE_ERROR');
+  }
+
+  if (source.length > LIMITS.maxExpressionLength) {
+    throw expressionError(`Expression exceeds ${LIMITS.maxExpressionLength} characters`, null, 'EXPRESSION_PARSE_ERROR');
+  }
+
+  if (parseCache.has(source)) {
+    return parseCache.get(source);
+  }
+
+  const ast = new Parser(source).parse();
+
+  if (parseCache.size >= PARSE_CACHE_SIZE) {
+    parseCache.delete(parseCache.keys().next().value);
+  }
+  parseCache.set(source, ast);
+
+  return ast;
+}
+
+/**
+ * Validate an expression without evaluating it
+ *
+ * @param {string} source - Expression source
+ * @returns {{valid: boolean, error?: string, position?: number|null}}
+ */
+export function validateExpression(source) {
+  try {
+    parseExpression(source);
+    return { valid: true };
+  } catch (err) {
+    return { valid: false, error: err.message, position: err.position ?? null };
+  }
+}
+
+/**
+ * Evaluate an expression against a workflow context
+ *
+ * `context` is available both as the `context` identifier and as top-level
+ * names, so `context.step1.output` and `step1.output` are equivalent.
+ *
+ * @param {string|Object} expression - Expression source or parsed AST
+ * @param {Object} context - Workflow execution context
+ * @param {Object} [limits] - Per-step limits (clamped to the hard limits)
+ * @param {number} [limits.timeoutMs] - Wall-clock budget
+ * @param {number} [limits.maxOperations] - Node evaluation budget
+ * @param {number} [limits.maxOutputSize] - Max serialized output size
+ * @returns {*} Expression result
+ */
+export function evaluateExpression(expression, context = {}, limits = {}) {
+  const ast = typeof expression === 'string' ? parseExpression(expression) : expression;
+  const evaluator = new Evaluator(context, resolveLimits(limits));
+
+  const result = evaluator.evaluate(ast);
+  return evaluator.checkSize(result, ast);
+}
+
+/**
+ * Clamp caller-provided limits to the engine's hard limits
+ *
+ * @param {Object|null} [limits] - Requested limits (missing ones use the hard limits)
+ * @returns {Object} Effective limits
+ */
+export function resolveLimits(limits) {
+  const requested = limits ?? {};
+  const clamp = (value, max) => {
+    const n = parseInt(value);
+    return Number.isFinite(n) && n > 0 ? Math.min(n, max) : max;
+  };
+
+  return {
+    timeoutMs: clamp(requested.timeoutMs, LIMITS.timeoutMs),
+    maxOperations: clamp(requested.maxOperations, LIMITS.maxOperations),
+    maxOutputSize: clamp(requested.maxOutputSize, LIMITS.maxOutputSize)
+  };
+}
+
+/**
+ * Names of the helper functions callable from expressions
+ */
+export const EXPRESSION_HELPERS = Object.keys(HELPERS);
+
+export default {
+  parseExpression,
+  validateExpression,
+  evaluateExpression,
+  resolveLimits,
+  EXPRESSION_HELPERS
+};
@@ -0,0 +1,529 @@
+/**
+ * Workflow Graph Execution
+ *
+ * Runs a workflow config as a directed graph instead of a flat list:
+ * - `next`: step id (or array of ids for parallel fan-out) to run afterwards
+ * - `onTrue` / `onFalse`: branch targets for `condition` steps
+ * - `waitFor`: fan-in - the step runs once every listed step has handed off
+ *   to it (or none of them can run any more)
+ * - `forEach`: run a step once per item of an array from context
+ * - `maxIterations` / `onMaxIterations`: loop guard for steps inside cycles
+ * - `onError`: `fail` (default) stops the run, `continue` moves on to the
+ *   successors, `retry` runs the step again up to `retries` times (default 2)
+ *   with exponential backoff from `retryDelay` ms (default 1000) and fails the
+ *   run when every attempt failed
+ *
+ * Workflows that declare no edges at all keep the original behaviour and run
+ * their steps in array order.
+ *
+ * @module services/workflows/graph
+ */
+
+import { evaluateExpression, validateExpression } from './expressions.js';
+
+// Execution guards
+const GRAPH_LIMITS = {
+  maxSteps: 500, // total step executions per run
+  maxForEachItems: 1000,
+  maxForEachConcurrency: 10,
+  maxRetries: 5,
+  maxRetryDelay: 30000 // ms, per backoff
+};
+
+const ON_ERROR_MODES = ['fail', 'continue', 'retry'];
+const RETRY_DEFAULTS = { retries: 2, retryDelay: 1000 };
+
+const EDGE_FIELDS = ['next', 'onTrue', 'onFalse', 'onMaxIterations'];
+
+/**
+ * Normalize an edge field to an array of step ids
+ */
+function edgeTargets(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Whether a workflow uses explicit edges (graph mode) or array order
+ *
+ * @param {Object[]} steps - Workflow steps
+ * @returns {boolean}
+ */
+export function isGraphWorkflow(steps) {
+  return steps.some(step => EDGE_FIELDS.some(field => step[field] !== undefined) || step.waitFor !== undefined);
+}
+
+/**
+ * Build the adjacency list of a workflow
+ *
+ * @param {Object[]} steps - Workflow steps
+ * @returns {Map<string, string[]>} step id -> successor ids
+ */
+export function buildGraph(steps) {
+  const graph = new Map();
+  const graphMode = isGraphWorkflow(steps);
+
+  steps.forEach((step, index) => {
+    const targets = graphMode
+      ? EDGE_FIELDS.flatMap(field => edgeTargets(step[field]))
+      : (index < steps.length - 1 ? [steps[index + 1].id] : []);
+
+    graph.set(step.id, [...new Set(targets)]);
+  });
+
+  return graph;
+}
+
+/**
+ * Normalize a step's forEach setting
+ */
+function normalizeForEach(forEach) {
+  if (typeof forEach === 'string') {
+    return { items: forEach, as: 'item', indexAs: 'index', concurrency: 1 };
+  }
+
+  return {
+    items: forEach.items,
+    as: forEach.as || 'item',
+    indexAs: forEach.indexAs || 'index',
+    concurrency: Math.min(Math.max(parseInt(forEach.concurrency) || 1, 1), GRAPH_LIMITS.maxForEachConcurrency)
+  };
+}
+
+/**
+ * Find strongly connected components (Tarjan's algorithm)
+ * Used to locate cycles so we can check each one has a guard.
+ */
+function findCycles(graph) {
+  let index = 0;
+  const indices = new Map();
+  const lowLinks = new Map();
+  const onStack = new Set();
+  const stack = [];
+  const cycles = [];
+
+  function visit(node) {
+    indices.set(node, index);
+    lowLinks.set(node, index);
+    index++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const target of graph.get(node) || []) {
+      if (!indices.has(target)) {
+        visit(target);
+        lowLinks.set(node, Math.min(lowLinks.get(node), lowLinks.get(target)));
+      } else if (onStack.has(target)) {
+        lowLinks.set(node, Math.min(lowLinks.get(node), indices.get(target)));
+      }
+    }
+
+    if (lowLinks.get(node) === indices.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+
+      const selfLoop = (graph.get(node) || []).includes(node);
+      if (component.length > 1 || selfLoop) {
+        cycles.push(component.reverse());
+      }
+    }
+  }
+
+  for (const node of graph.keys()) {
+    if (!indices.has(node)) {
+      visit(node);
+    }
+  }
+
+  return cycles;
+}
+
+/**
+ * Validate the graph structure of a workflow config
+ * Checks edges, fan-in, forEach expressions and loop guards.
+ *
+ * @param {Object} config - Workflow config ({ steps, entry, maxSteps })
+ * @returns {{valid: boolean, error?: string, details?: Object}}
+ */
+export function validateWorkflowGraph(config) {
+  const steps = config.steps;
+  const stepsById = new Map();
+
+  for (const step of steps) {
+    if (stepsById.has(step.id)) {
+      return { valid: false, error: `Duplicate step id: ${step.id}`, details: { stepId: step.id } };
+    }
+    stepsById.set(step.id, step);
+  }
+
+  if (config.entry !== undefined && !stepsById.has(config.entry)) {
+    return { valid: false, error: `Entry step '${config.entry}' does not exist`, details: { stepId: config.entry } };
+  }
+
+  for (const step of steps) {
+    for (const field of EDGE_FIELDS) {
+      for (const target of edgeTargets(step[field])) {
+        if (typeof target !== 'string' || !stepsById.has(target)) {
+          return { valid: false, error: `Step '${step.id}' has ${field} edge to unknown step '${target}'`, details: { stepId: step.id, field } };
+        }
+      }
+    }
+
+    if ((step.onTrue !== undefined || step.onFalse !== undefined) && step.type !== 'condition') {
+      return { valid: false, error: `Step '${step.id}' uses onTrue/onFalse but is not a condition step`, details: { stepId: step.id } };
+    }
+
+    if (step.waitFor !== undefined) {
+      if (!Array.isArray(step.waitFor) || step.waitFor.length === 0) {
+        return { valid: false, error: `Step '${step.id}' waitFor must be a non-empty array of step ids`, details: { stepId: step.id } };
+      }
+      const unknown = step.waitFor.find(id => !stepsById.has(id));
+      if (unknown !== undefined) {
+        return { valid: false, error: `Step '${step.id}' waits for unknown step '${unknown}'`, details: { stepId: step.id, field: 'waitFor' } };
+      }
+    }
+
+    if (step.maxIterations !== undefined && !(Number.isInteger(step.maxIterations) && step.maxIterations > 0)) {
+      return { valid: false, error: `Step '${step.id}' maxIterations must be a positive integer`, details: { stepId: step.id } };
+    }
+
+    if (step.onError !== undefined && !ON_ERROR_MODES.includes(step.onError)) {
+      return { valid: false, error: `Step '${step.id}' onError must be one of: ${ON_ERROR_MODES.join(', ')}`, details: { stepId: step.id, field: 'onError' } };
+    }
+
+    if (step.retries !== undefined && !(Number.isInteger(step.retries) && step.retries >= 0 && step.retries <= GRAPH_LIMITS.maxRetries)) {
+      return { valid: false, error: `Step '${step.id}' retries must be an integer from 0 to ${GRAPH_LIMITS.maxRetries}`, details: { stepId: step.id, field: 'retries' } };
+    }
+
+    if (step.retryDelay !== undefined && !(Number.isInteger(step.retryDelay) && step.retryDelay >= 0 && step.retryDelay <= GRAPH_LIMITS.maxRetryDelay)) {
+      return { valid: false, error: `Step '${step.id}' retryDelay must be an integer from 0 to ${GRAPH_LIMITS.maxRetryDelay} (ms)`, details: { stepId: step.id, field: 'retryDelay' } };
+    }
+
+    if (step.forEach !== undefined) {
+      const forEach = typeof step.forEach === 'string' || (step.forEach && typeof step.forEach === 'object')
+        ? normalizeForEach(step.forEach)
+        : null;
+
+      if (!forEach || typeof forEach.items !== 'string') {
+        return { valid: false, error: `Step '${step.id}' forEach must be an expression or { items, as, concurrency }`, details: { stepId: step.id } };
+      }
+
+      const check = validateExpression(forEach.items);
+      if (!check.valid) {
+        return { valid: false, error: `Step '${step.id}' has an invalid forEach expression: ${check.error}`, details: { stepId: step.id, position: check.position } };
+      }
+    }
+  }
+
+  // Every cycle needs at least one step with a maxIterations guard
+  const graph = buildGraph(steps);
+  for (const cycle of findCycles(graph)) {
+    const guarded = cycle.some(id => stepsById.get(id).maxIterations !== undefined);
+    if (!guarded) {
+      const path = [...cycle, cycle[0]].join(' -> ');
+      return { valid: false, error: `Cycle without maxIterations guard: ${path}`, details: { cycle } };
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Run one step, expanding forEach into per-item executions
+ */
+async function runNode(step, context, runStep) {
+  if (step.forEach === undefined) {
+    return runStep(step, context);
+  }
+
+  const startTime = Date.now();
+  const forEach = normalizeForEach(step.forEach);
+  const { forEach: _forEach, ...itemStep } = step;
+
+  let items;
+  try {
+    items = evaluateExpression(forEach.items, context, step.limits);
+  } catch (err) {
+    return failedResult(step, startTime, err);
+  }
+
+  if (!Array.isArray(items)) {
+    return failedResult(step, startTime, new Error(`forEach expression must produce an array, got ${items === null ? 'null' : typeof items}`));
+  }
+
+  if (items.length > GRAPH_LIMITS.maxForEachItems) {
+    return failedResult(step, startTime, new Error(`forEach produced ${items.length} items (max ${GRAPH_LIMITS.maxForEachItems})`));
+  }
+
+  const results = new Array(items.length);
+  let cursor = 0;
+
+  // Simple worker pool so concurrency > 1 doesn't fire every item at once
+  const workers = Array.from({ length: Math.min(forEach.concurrency, items.length) }, async () => {
+    while (cursor < items.length) {
+      const index = cursor++;
+      const itemContext = { ...context, [forEach.as]: items[index], [forEach.indexAs]: index };
+      results[index] = await runStep(itemStep, itemContext);
+    }
+  });
+
+  await Promise.all(workers);
+
+  const failed = results.filter(result => result.status === 'failed');
+
+  return {
+    stepId: step.id,
+    status: failed.length > 0 ? 'failed' : 'completed',
+    output: results.map(result => result.output),
+    metadata: {
+      iterations: items.length,
+      failedIterations: failed.length,
+      items: results.map(result => ({ status: result.status, metadata: result.metadata, duration: result.duration }))
+    },
+    duration: Date.now() - startTime,
+    error: failed.length > 0 ? failed[0].error : null
+  };
+}
+
+/**
+ * Run a step, running it again after failures when `onError` is `retry`
+ * The result records every attempt in `metadata.attempts`.
+ */
+async function runWithRetries(step, context, runStep) {
+  let result = await runNode(step, context, runStep);
+
+  if (step.onError !== 'retry' || result.status !== 'failed') {
+    return result;
+  }
+
+  const retries = step.retries ?? RETRY_DEFAULTS.retries;
+  const baseDelay = step.retryDelay ?? RETRY_DEFAULTS.retryDelay;
+  const attempts = [{ status: result.status, error: result.error?.message ?? null, duration: result.duration }];
+
+  for (let retry = 0; retry < retries && result.status === 'failed'; retry++) {
+    const delay = Math.min(baseDelay * 2 ** retry, GRAPH_LIMITS.maxRetryDelay);
+    await new Promise(resolve => setTimeout(resolve, delay));
+
+    result = await runNode(step, context, runStep);
+    attempts.push({ status: result.status, error: result.error?.message ?? null, duration: result.duration });
+  }
+
+  return { ...result, metadata: { ...result.metadata, attempts } };
+}
+
+function failedResult(step, startTime, err) {
+  return {
+    stepId: step.id,
+    status: 'failed',
+    output: null,
+    metadata: {},
+    duration: Date.now() - startTime,
+    error: { message: err.message, stack: err.stack }
+  };
+}
+
+/**
+ * Pick the successors of a finished step
+ */
+function selectTargets(step, result, graphMode, stepsInOrder) {
+  if (!graphMode) {
+    const index = stepsInOrder.indexOf(step);
+    return index < stepsInOrder.length - 1 ? [stepsInOrder[index + 1].id] : [];
+  }
+
+  if (step.type === 'condition' && result.status === 'completed') {
+    const branch = result.output ? step.onTrue : step.onFalse;
+    if (branch !== undefined) {
+      return edgeTargets(branch);
+    }
+  }
+
+  return edgeTargets(step.next);
+}
+
+/**
+ * Execute a workflow graph
+ *
+ * @param {Object} options
+ * @param {Object} options.config - Workflow config ({ steps, entry, maxSteps })
+ * @param {Object} options.context - Execution context (mutated with step results)
+ * @param {Function} options.runStep - async (step, context) => stepResult
+ * @param {Function} [options.onStepStart] - async (step, iteration) hook
+ * @param {Function} [options.onStepResult] - async (step, stepResult, checkpoint) hook, called in completion order.
+ *   `checkpoint` ({ pending, visits, arrivals }) is enough to resume the run later.
+ * @param {Function} [options.shouldCancel] - async () => boolean, checked before launching steps
+ * @param {Object} [options.resume] - Checkpoint to continue from instead of the entry step
+ * @returns {Promise<{status: string, finalOutput: *, stepResults: Object[], error: Object|null, checkpoint: Object}>}
+ */
+export async function runWorkflowGraph({ config, context, runStep, onStepStart, onStepResult, shouldCancel, resume }) {
+  const steps = config.steps || [];
+  const stepsById = new Map(steps.map(step => [step.id, step]));
+  const graphMode = isGraphWorkflow(steps);
+  const maxSteps = Math.min(parseInt(config.maxSteps) || GRAPH_LIMITS.maxSteps, GRAPH_LIMITS.maxSteps);
+
+  const stepResults = [];
+  const visits = new Map(Object.entries(resume?.visits || {}));
+  // join step id -> Set of predecessors that handed off
+  const arrivals = new Map(Object.entries(resume?.arrivals || {}).map(([id, sources]) => [id, new Set(sources)]));
+  const queue = resume
+    ? (resume.pending || []).filter(id => stepsById.has(id))
+    : [config.entry || steps[0]?.id].filter(Boolean);
+  const active = new Set();
+  const running = []; // step ids currently executing (may repeat)
+
+  let executed = 0;
+  let finalOutput = null;
+  let failure = null;
+  let cancelled = false;
+
+  const snapshot = (extraPending = []) => ({
+    pending: [...extraPending, ...running, ...queue],
+    visits: Object.fromEntries(visits),
+    arrivals: Object.fromEntries([...arrivals].map(([id, sources]) => [id, [...sources]]))
+  });
+
+  const enqueue = (sourceId, targetId) => {
+    const target = stepsById.get(targetId);
+
+    if (!target.waitFor) {
+      queue.push(targetId);
+      return;
+    }
+
+    const arrived = arrivals.get(targetId) || new Set();
+    arrived.add(sourceId);
+    arrivals.set(targetId, arrived);
+
+    if (target.waitFor.every(id => arrived.has(id))) {
+      arrivals.delete(targetId);
+      queue.push(targetId);
+    }
+  };
+
+  const record = async (step, result, extraPending = []) => {
+    stepResults.push(result);
+    if (onStepResult) {
+      await onStepResult(step, result, snapshot(extraPending));
+    }
+  };
+
+  const finish = (stepId) => {
+    const index = running.indexOf(stepId);
+    if (index !== -1) running.splice(index, 1);
+  };
+
+  const launch = (stepId) => {
+    const step = stepsById.get(stepId);
+    const count = (visits.get(stepId) || 0) + 1;
+    visits.set(stepId, count);
+
+    const task = (async () => {
+      // Loop guard: stop re-entering the step and take the exit edge if any
+      if (step.maxIterations !== undefined && count > step.maxIterations) {
+        const skipped = {
+          stepId,
+          status: 'skipped',
+          output: null,
+          metadata: { reason: 'max_iterations', maxIterations: step.maxIterations },
+          duration: 0,
+          error: null,
+          iteration: count
+        };
+        edgeTargets(step.onMaxIterations).forEach(target => enqueue(stepId, target));
+        await record(step, skipped);
+        return;
+      }
+
+      executed++;
+      if (executed > maxSteps) {
+        failure = failure || { message: `Workflow exceeded maxSteps (${maxSteps})`, stack: null, stepId };
+        return;
+      }
+
+      running.push(stepId);
+      if (onStepStart) {
+        await onStepStart(step, count);
+      }
+
+      const result = await runWithRetries(step, context, runStep);
+      result.iteration = count;
+      finish(stepId);
+
+      // Add step output to context for next steps
+      context[step.id] = {
+        output: result.output,
+        metadata: result.metadata,
+        status: result.status,
+        iteration: count
+      };
+
+      if (result.status === 'failed') {
+        // `retry` steps get here once their retries are used up
+        if (step.onError !== 'continue') {
+          const attempts = result.metadata?.attempts?.length;
+          failure = failure || {
+            message: `Step ${step.id} failed${attempts ? ` after ${attempts} attempts` : ''}: ${result.error.message}`,
+            stack: result.error.stack,
+            stepId
+          };
+          // Keep the failed step in the checkpoint so a retry starts from it
+          visits.set(stepId, count - 1);
+          await record(step, result, [stepId]);
+          return;
+        }
+      } else {
+        finalOutput = result.output;
+      }
+
+      selectTargets(step, result, graphMode, steps).forEach(target => enqueue(stepId, target));
+      await record(step, result);
+    })();
+
+    const tracked = task.finally(() => active.delete(tracked));
+    active.add(tracked);
+  };
+
+  while (true) {
+    if (!failure && !cancelled && queue.length > 0 && shouldCancel && await shouldCancel()) {
+      cancelled = true;
+    }
+
+    while (queue.length > 0 && !failure && !cancelled) {
+      launch(queue.shift());
+    }
+
+    if (active.size === 0) {
+      // Nothing running: release joins whose remaining predecessors can no longer arrive
+      if (!failure && !cancelled && arrivals.size > 0) {
+        for (const targetId of arrivals.keys()) {
+          queue.push(targetId);
+        }
+        arrivals.clear();
+        continue;
+      }
+      break;
+    }
+
+    await Promise.race(active);
+  }
+
+  return {
+    status: failure ? 'failed' : cancelled ? 'cancelled' : 'completed',
+    finalOutput,
+    stepResults,
+    error: failure,
+    checkpoint: snapshot(failure?.stepId && stepsById.has(failure.stepId) ? [failure.stepId] : [])
+  };
+}
+
+export default {
+  isGraphWorkflow,
+  buildGraph,
+  validateWorkflowGraph,
+  runWorkflowGraph
+};
@@ -0,0 +1,334 @@
+/**
+ * Workflow Step Execution
+ *
+ * Executes individual workflow steps (template, llm, transform, condition,
+ * api_call, delay). Shared by the workflows API and the background
+ * workflow runner.
+ *
+ * @module services/workflows/steps
+ */
+
+import axios from 'axios';
+import { validateJsonSchema, parseJsonOutput } from '../../utils/json-schema.js';
+import { meteredGeneration } from '../ai/metering.js';
+import { renderTemplateById } from '../templates/render.js';
+import { evaluateExpression } from './expressions.js';
+import { resolveStepTools } from './tools.js';
+
+// Defaults for `llm` steps
+const LLM_STEP_DEFAULTS = {
+  temperature: 0.7,
+  maxTokens: 1024,
+  maxToolRounds: 5
+};
+
+/**
+ * Render template with variables (internal helper)
+ * Uses the same engine and access rules as POST /api/templates/:id/render
+ */
+async function renderTemplate(templateId, variables, userId) {
+  try {
+    return await renderTemplateById(templateId, variables, userId);
+  } catch (err) {
+    const wrapped = new Error(`Template rendering failed: ${err.message}`);
+    wrapped.errors = err.errors;
+    throw wrapped;
+  }
+}
+
+/**
+ * Send a prompt to the configured AI provider
+ * With `outputSchema` set the model is asked for JSON matching the schema and
+ * the parsed object becomes the step output, so later steps can address fields.
+ * `keyId` selects a stored provider key; otherwise the run owner's keys resolve
+ * through the vault.
+ * With `tools` (templates or workflows, see tools.js) the model may call them
+ * for up to `maxToolRounds` rounds; the last round must answer in text.
+ * Every round is metered against the user's budget (feature `workflow`).
+ */
+async function runLlmStep(step, context, userId, tenantId, { toolStack } = {}) {
+  const prompt = resolveContextVariable(step.prompt, context);
+  let systemPrompt = step.systemPrompt ? resolveContextVariable(step.systemPrompt, context) : '';
+
+  if (step.outputSchema) {
+    systemPrompt = [
+      systemPrompt,
+      `Respond only with a JSON value that matches this JSON schema, without any surrounding text:\n${JSON.stringify(step.outputSchema)}`
+    ].filter(Boolean).join('\n\n');
+  }
+
+  const tools = step.tools?.length > 0
+    ? await resolveStepTools(step.tools, {
+      userId,
+      toolStack: toolStack || [context.workflow?.id].filter(Boolean),
+      runStep: (nestedStep, nestedContext, options) => executeStep(nestedStep, nestedContext, userId, tenantId, options)
+    })
+    : null;
+
+  const maxToolRounds = step.maxToolRounds ?? LLM_STEP_DEFAULTS.maxToolRounds;
+  const messages = [{ role: 'user', content: prompt }];
+  const toolCalls = [];
+  const totals = { inputTokens: 0, outputTokens: 0, cost: 0, latency: 0, attempts: 0 };
+  let result;
+
+  for (let round = 0; ; round++) {
+    // Routed for retries with backoff on rate limits and server errors
+    result = await meteredGeneration('workflow', [{ provider: step.provider, modelId: step.model }], {
+      prompt,
+      systemPrompt,
+      maxTokens: step.maxTokens ?? LLM_STEP_DEFAULTS.maxTokens,
+      temperature: step.temperature ?? LLM_STEP_DEFAULTS.temperature,
+      ...(tools && {
+        messages,
+        tools: tools.definitions,
+        toolChoice: round < maxToolRounds ? 'auto' : 'none'
+      })
+    }, {
+      tenantId,
+      userId,
+      keyIds: step.keyId ? { [step.provider]: step.keyId } : undefined,
+      usage: {
+        resourceId: context.workflow?.id || null,
+        metadata: { stepId: step.id }
+      }
+    });
+
+    totals.inputTokens += result.inputTokens || 0;
+    totals.outputTokens += result.outputTokens || 0;
+    totals.cost += result.cost || 0;
+    totals.latency += result.latency || 0;
+    totals.attempts += result.routing.attempts.length;
+
+    if (!tools || !result.toolCalls?.length || round >= maxToolRounds) {
+      break;
+    }
+
+    messages.push({ role: 'assistant', content: result.output, toolCalls: result.toolCalls });
+
+    // Tool failures go back to the model as error results instead of failing the step
+    for (const call of result.toolCalls) {
+      const startTime = Date.now();
+
+      try {
+        const output = await tools.call(call.name, call.arguments);
+        messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output ?? '' });
+        toolCalls.push({ round, id: call.id, name: call.name, status: 'completed', durationMs: Date.now() - startTime });
+      } catch (err) {
+        messages.push({ role: 'tool', toolCallId: call.id, name: call.name, content: `Error: ${err.message}`, isError: true });
+        toolCalls.push({ round, id: call.id, name: call.name, status: 'failed', error: err.message, durationMs: Date.now() - startTime });
+      }
+    }
+  }
+
+  const metadata = {
+    provider: result.provider,
+    model: result.modelId,
+    inputTokens: totals.inputTokens,
+    outputTokens: totals.outputTokens,
+    totalTokens: totals.inputTokens + totals.outputTokens,
+    cost: totals.cost,
+    latency: totals.latency,
+    finishReason: result.finishReason || result.stopReason || null,
+    attempts: totals.attempts,
+    keySource: result.routing.keySource,
+    promptLength: prompt.length,
+    ...(tools && { toolRounds: new Set(toolCalls.map(call => call.round)).size, toolCalls })
+  };
+
+  let output = result.output;
+  let schemaError = null;
+
+  if (step.outputSchema) {
+    metadata.rawOutput = result.output;
+    try {
+      output = parseJsonOutput(result.output);
+      const validation = validateJsonSchema(output, step.outputSchema);
+      if (!validation.valid) {
+        metadata.schemaErrors = validation.errors;
+        schemaError = `Output does not match schema: ${validation.errors.map(e => `${e.path} ${e.message}`).join('; ')}`;
+      }
+    } catch (err) {
+      schemaError = err.message;
+    }
+  }
+
+  if (schemaError) {
+    throw new Error(schemaError);
+  }
+
+  return { output, metadata };
+}
+
+/**
+ * Execute a single workflow step
+ * `tenantId` selects the tenant's self-hosted provider endpoints for `llm` steps.
+ * `options.toolStack` carries the workflows already running when the step runs
+ * inside a workflow tool.
+ */
+export async function executeStep(step, context, userId, tenantId, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    let output;
+    let metadata = {};
+
+    switch (step.type) {
+      case 'template':
+        // Resolve variables from context
+        const resolvedVariables = {};
+
+        if (step.variables) {
+          for (const [key, value] of Object.entries(step.variables)) {
+            // Replace context references like {{step1.output}} or {{workflow.input.topic}}
+            if (typeof value === 'string' && value.includes('{{')) {
+              resolvedVariables[key] = resolveContextVariable(value, context);
+            } else {
+              resolvedVariables[key] = value;
+            }
+          }
+        }
+
+        // Render template
+        const renderResult = await renderTemplate(step.templateId, resolvedVariables, userId);
+        output = renderResult.rendered;
+        metadata = {
+          templateId: renderResult.templateId,
+          templateName: renderResult.templateName,
+          variablesUsed: renderResult.variablesUsed,
+          includes: renderResult.includes,
+          renderedLength: output.length,
+        };
+        break;
+
+      case 'llm':
+        const llmResult = await runLlmStep(step, context, userId, tenantId, options);
+        output = llmResult.output;
+        metadata = llmResult.metadata;
+        break;
+
+      case 'transform':
+        // Evaluate transformation in the sandboxed expression engine
+        if (step.transformExpression) {
+          output = evaluateExpression(step.transformExpression, context, step.limits);
+        } else {
+          output = context;
+        }
+        break;
+
+      case 'condition':
+        // Evaluate condition
+        const conditionResult = evaluateCondition(step.condition, context, step.limits);
+        output = conditionResult;
+        metadata = { conditionMet: conditionResult };
+        break;
+
+      case 'api_call':
+        // Make external API call
+        const apiResponse = await axios({
+          method: step.method || 'POST',
+          url: step.url,
+          headers: step.headers || {},
+          data: step.body || {},
+          timeout: step.timeout || 30000,
+        });
+        output = apiResponse.data;
+        metadata = {
+          statusCode: apiResponse.status,
+          headers: apiResponse.headers,
+        };
+        break;
+
+      case 'delay':
+        // Wait for specified duration
+        const delayMs = step.duration || 1000;
+        await new Promise(resolve => setTimeout(resolve, delayMs));
+        output = context;
+        metadata = { delayMs };
+        break;
+
+      default:
+        throw new Error(`Unknown step type: ${step.type}`);
+    }
+
+    const duration = Date.now() - startTime;
+
+    return {
+      stepId: step.id,
+      status: 'completed',
+      output,
+      metadata,
+      duration,
+      error: null,
+    };
+  } catch (err) {
+    const duration = Date.now() - startTime;
+
+    return {
+      stepId: step.id,
+      status: 'failed',
+      output: null,
+      metadata: {},
+      duration,
+      error: {
+        message: err.message,
+        stack: err.stack,
+        ...(err.errors && { details: err.errors }),
+      },
+    };
+  }
+}
+
+/**
+ * Resolve context variables like {{step1.output}} or {{workflow.input.topic}}
+ */
+export function resolveContextVariable(template, context) {
+  let resolved = template;
+
+  const regex = /\{\{([^}]+)\}\}/g;
+  let match;
+
+  while ((match = regex.exec(template)) !== null) {
+    const fullMatch = match[0]; // {{step1.output}}
+    const path = match[1].trim(); // step1.output
+    const value = getNestedValue(context, path);
+
+    if (value !== undefined) {
+      // Structured outputs (e.g. llm steps with outputSchema) are inlined as JSON
+      resolved = resolved.replace(fullMatch, value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+    }
+  }
+
+  return resolved;
+}
+
+/**
+ * Get nested object value by path (e.g., "step1.output" from context)
+ */
+export function getNestedValue(obj, path) {
+  const parts = path.split('.');
+  let current = obj;
+
+  for (const part of parts) {
+    if (current && typeof current === 'object' && part in current) {
+      current = current[part];
+    } else {
+      return undefined;
+    }
+  }
+
+  return current;
+}
+
+/**
+ * Evaluate condition expression
+ * Runs in the sandboxed expression engine; evaluation errors fail the step
+ */
+function evaluateCondition(condition, context, limits) {
+  return Boolean(evaluateExpression(condition, context, limits));
+}
+
+export default {
+  executeStep,
+  resolveContextVariable,
+  getNestedValue
+};
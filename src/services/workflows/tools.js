@@ -0,0 +1,220 @@
+/**
+ * Workflow Tools
+ *
+ * Lets `llm` steps expose templates and other workflows as callable tools:
+ * - `{ type: 'template', templateId }`: arguments are the template variables,
+ *   the tool returns the rendered text
+ * - `{ type: 'workflow', workflowId }`: arguments become `workflow.input`, the
+ *   tool returns the workflow's final output
+ *
+ * Both accept an optional `name` and `description` overriding the ones derived
+ * from the entity. Nested workflow tools are limited in depth and may not call
+ * a workflow that is already running further up the chain.
+ *
+ * @module services/workflows/tools
+ */
+
+import { getCurrentEntity } from '../../utils/database.js';
+import { extractTemplateVariables } from '../templates/engine.js';
+import { getTemplateContent, canAccessTemplate, renderTemplateById } from '../templates/render.js';
+import { runWorkflowGraph } from './graph.js';
+
+export const WORKFLOW_TOOL_TYPES = ['template', 'workflow'];
+
+export const WORKFLOW_TOOL_LIMITS = {
+  maxTools: 16,
+  maxDepth: 3 // nested workflow tool calls
+};
+
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// `{{workflow.input.topic}}`, `workflow.input['topic']`
+const INPUT_REFERENCE = /workflow\.input(?:\.([\p{L}_][\p{L}\p{N}_-]*)|\[['"]([^'"]+)['"]\])/gu;
+
+/**
+ * Validate the `tools` of an `llm` step
+ *
+ * @param {Array} tools - Tool specs
+ * @returns {string|null} Problem description, or null when valid
+ */
+export function validateToolSpecs(tools) {
+  if (!Array.isArray(tools)) {
+    return 'tools must be an array';
+  }
+  if (tools.length > WORKFLOW_TOOL_LIMITS.maxTools) {
+    return `tools allows at most ${WORKFLOW_TOOL_LIMITS.maxTools} entries`;
+  }
+
+  for (const [index, spec] of tools.entries()) {
+    if (!spec || !WORKFLOW_TOOL_TYPES.includes(spec.type)) {
+      return `tools[${index}].type must be one of: ${WORKFLOW_TOOL_TYPES.join(', ')}`;
+    }
+
+    const idField = spec.type === 'template' ? 'templateId' : 'workflowId';
+    if (typeof spec[idField] !== 'string' || !spec[idField]) {
+      return `tools[${index}] is type '${spec.type}' but missing ${idField}`;
+    }
+    if (spec.name !== undefined && (typeof spec.name !== 'string' || !TOOL_NAME_PATTERN.test(spec.name))) {
+      return `tools[${index}].name must be 1-64 letters, digits, '_' or '-'`;
+    }
+    if (spec.description !== undefined && typeof spec.description !== 'string') {
+      return `tools[${index}].description must be a string`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Derive a tool name from an entity title
+ */
+function defaultToolName(type, entity) {
+  const slug = String(entity.title || '')
+    .normalize('NFKD')
+    .replace(/[^a-zA-Z0-9_-]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 64);
+
+  return slug || `${type}_${entity.id.replace(/-/g, '').slice(0, 12)}`;
+}
+
+/**
+ * JSON schema for a template's variables
+ */
+function templateParameters(template) {
+  const properties = {};
+  const required = [];
+
+  for (const variable of extractTemplateVariables(getTemplateContent(template))) {
+    const property = variable.type === 'number' ? { type: 'number' }
+      : variable.type === 'list' ? { type: 'array', items: { type: 'string' } }
+      : variable.type === 'enum' ? { type: 'string', enum: variable.options }
+      : { type: 'string' };
+
+    if (variable.description) {
+      property.description = variable.description;
+    }
+
+    properties[variable.name] = property;
+    if (variable.required && variable.default === undefined) {
+      required.push(variable.name);
+    }
+  }
+
+  return { type: 'object', properties, ...(required.length > 0 && { required }) };
+}
+
+/**
+ * JSON schema for the `workflow.input` fields a workflow's steps reference
+ */
+function workflowParameters(steps) {
+  const properties = {};
+
+  for (const match of JSON.stringify(steps).matchAll(INPUT_REFERENCE)) {
+    properties[match[1] || match[2]] = {};
+  }
+
+  return { type: 'object', properties };
+}
+
+async function loadTemplateTool(spec, { userId }) {
+  const template = await getCurrentEntity(spec.templateId);
+
+  if (!template || template.entity_type !== 'template' || !(await canAccessTemplate(template, userId))) {
+    throw new Error(`Tool template ${spec.templateId} not found`);
+  }
+
+  return {
+    definition: {
+      name: spec.name || defaultToolName('template', template),
+      description: spec.description || template.description || `Render the "${template.title}" template`,
+      parameters: templateParameters(template)
+    },
+    call: async (args) => (await renderTemplateById(template.id, args, userId)).rendered
+  };
+}
+
+async function loadWorkflowTool(spec, { userId, toolStack, runStep }) {
+  const workflow = await getCurrentEntity(spec.workflowId);
+
+  if (!workflow || workflow.entity_type !== 'workflow' || (workflow.owner_id !== userId && workflow.visibility !== 'public')) {
+    throw new Error(`Tool workflow ${spec.workflowId} not found`);
+  }
+
+  if (toolStack.includes(workflow.id)) {
+    throw new Error(`Workflow tool "${workflow.title}" would call itself`);
+  }
+
+  if (toolStack.length > WORKFLOW_TOOL_LIMITS.maxDepth) {
+    throw new Error(`Workflow tools nest deeper than ${WORKFLOW_TOOL_LIMITS.maxDepth} levels`);
+  }
+
+  const content = workflow.content || {};
+  const steps = content.steps || content.config?.steps || [];
+  const nestedStack = [...toolStack, workflow.id];
+
+  return {
+    definition: {
+      name: spec.name || defaultToolName('workflow', workflow),
+      description: spec.description || workflow.description || `Run the "${workflow.title}" workflow`,
+      parameters: workflowParameters(steps)
+    },
+    call: async (args) => {
+      const outcome = await runWorkflowGraph({
+        config: { ...(content.config || {}), steps },
+        context: { workflow: { id: workflow.id, name: workflow.title, input: args } },
+        runStep: (step, stepContext) => runStep(step, stepContext, { toolStack: nestedStack })
+      });
+
+      if (outcome.status !== 'completed') {
+        throw new Error(outcome.error?.message || `Workflow "${workflow.title}" ${outcome.status}`);
+      }
+
+      return outcome.finalOutput;
+    }
+  };
+}
+
+/**
+ * Resolve the tools of an `llm` step
+ *
+ * @param {Array} specs - Step `tools` (see validateToolSpecs)
+ * @param {Object} options
+ * @param {string} options.userId - Run owner (access checks and rendering)
+ * @param {string[]} [options.toolStack] - Workflow ids already running in this chain
+ * @param {Function} options.runStep - async (step, context, { toolStack }) => stepResult, runs nested workflow steps
+ * @returns {Promise<{definitions: Object[], call: Function}>} Unified tool definitions and
+ *   `call(name, args)` returning the tool output
+ */
+export async function resolveStepTools(specs, { userId, toolStack = [], runStep }) {
+  const tools = new Map();
+
+  for (const spec of specs) {
+    const tool = spec.type === 'template'
+      ? await loadTemplateTool(spec, { userId })
+      : await loadWorkflowTool(spec, { userId, toolStack, runStep });
+
+    if (tools.has(tool.definition.name)) {
+      throw new Error(`Duplicate tool name: ${tool.definition.name} (set a name on one of the tools)`);
+    }
+    tools.set(tool.definition.name, tool);
+  }
+
+  return {
+    definitions: [...tools.values()].map(tool => tool.definition),
+    call: async (name, args) => {
+      const tool = tools.get(name);
+      if (!tool) {
+        throw new Error(`Unknown tool: ${name}`);
+      }
+      return tool.call(args && typeof args === 'object' && !Array.isArray(args) ? args : {});
+    }
+  };
+}
+
+export default {
+  WORKFLOW_TOOL_TYPES,
+  WORKFLOW_TOOL_LIMITS,
+  validateToolSpecs,
+  resolveStepTools
+};
@@ -4,6 +4,7 @@
  */
 
 import { db } from './database.js';
+import { estimateTokens } from '../services/ai/tokenizer.js';
 
 export class ContextBuilder {
   constructor(userId) {
@@ -481,9 +482,8 @@ export class ContextBuilder {
   // ============================================================================
 
   estimateTokens(text) {
-    if (!text) return 0;
-    // Rough estimate: ~4 characters per token for English text
-    return Math.ceil(text.length / 4);
+    // Tokenizer count once loaded, heuristic until then
+    return estimateTokens(text);
   }
 
   extractKeywords(text) {
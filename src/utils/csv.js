@@ -0,0 +1,114 @@
+/**
+ * CSV helpers
+ * Minimal RFC 4180 reader/writer: comma separated, double-quoted fields,
+ * `""` escapes, CRLF or LF line endings.
+ */
+
+/**
+ * Parse CSV text into rows of fields
+ *
+ * @param {string} text - CSV content
+ * @returns {string[][]} Rows (blank lines skipped)
+ * @throws {Error} On an unterminated quoted field
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quotedAt = null;
+  let line = 1;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+      quotedAt = line;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+      line++;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error(`Unterminated quoted field starting on line ${quotedAt}`);
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Parse CSV with a header row into objects keyed by column name
+ *
+ * @param {string} text - CSV content
+ * @returns {Object[]}
+ */
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text.replace(/^\uFEFF/, ''));
+  if (!header) return [];
+
+  const columns = header.map(name => name.trim());
+
+  return rows.map(values => {
+    const record = {};
+    columns.forEach((column, index) => {
+      if (column) record[column] = values[index] ?? '';
+    });
+    return record;
+  });
+}
+
+/**
+ * Format values as one CSV line (with trailing newline)
+ *
+ * @param {Array} values - Field values
+ * @returns {string}
+ */
+export function formatCsvRow(values) {
+  return values.map(value => {
+    const text = value === null || value === undefined
+      ? ''
+      : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',') + '\r\n';
+}
+
+export default {
+  parseCsv,
+  parseCsvRecords,
+  formatCsvRow
+};
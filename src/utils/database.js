@@ -51,6 +51,29 @@ export const testConnection = async () => {
  * Helper functions for new enterprise schema
  */
 
+// Entity types embedded for semantic search
+export const EMBEDDED_ENTITY_TYPES = ['template', 'context', 'workflow'];
+
+// embedding_queue priorities (lower runs first)
+export const EMBEDDING_PRIORITIES = {
+  interactive: 1, // a user is waiting (generate-embedding, manual processing)
+  normal: 5, // saves
+  backfill: 9 // bulk re-embedding
+};
+
+/**
+ * Queue priority from a request value: a name from EMBEDDING_PRIORITIES or a
+ * number from 0 to 10
+ */
+export function parseEmbeddingPriority(value, fallback = EMBEDDING_PRIORITIES.normal) {
+  if (typeof value === 'string' && Object.hasOwn(EMBEDDING_PRIORITIES, value)) {
+    return EMBEDDING_PRIORITIES[value];
+  }
+
+  const priority = parseInt(value);
+  return Number.isInteger(priority) ? Math.min(Math.max(priority, 0), 10) : fallback;
+}
+
 /**
  * Get or create tenant for a user (for migration compatibility)
  * In production, tenants would be created explicitly
@@ -100,6 +123,25 @@ export async function ensureTenant(userId, client = null) {
   }
 }
 
+/**
+ * Whether a user administers their tenant: the tenant's first user, or a user
+ * listed in `tenant.settings.admins` (user ids)
+ */
+export async function isTenantAdmin(userId, tenantId, client = null) {
+  const executor = client || db;
+
+  const result = await executor.query(
+    `SELECT COALESCE(t.settings->'admins', '[]'::jsonb) ? $1::text
+            OR (SELECT u.id::text FROM "user" u WHERE u.tenant_id = t.id ORDER BY u.created_at, u.id LIMIT 1) = $1::text
+            AS is_admin
+     FROM tenant t
+     WHERE t.id = $2`,
+    [userId, tenantId]
+  );
+
+  return Boolean(result.rows[0]?.is_admin);
+}
+
 /**
  * Get current version of an entity
  */
@@ -142,6 +184,8 @@ export async function createEntity({
     [tenantId, ownerId, entityType, title, description, content, tags, metadata, status, visibility]
   );
 
+  await enqueueEmbedding({ entity: result.rows[0], client: executor });
+
   return result.rows[0];
 }
 
@@ -204,6 +248,8 @@ export async function updateEntity(entityId, updates, userId, client = null) {
     client: executor
   });
 
+  await enqueueEmbedding({ entity: result.rows[0], client: executor });
+
   return result.rows[0];
 }
 
@@ -240,6 +286,31 @@ export async function deleteEntity(entityId, userId, client = null) {
   return result.rows[0];
 }
 
+/**
+ * Queue an entity version for the embedding worker
+ * Other entity types are ignored; a version already waiting or being embedded
+ * keeps its job, whose priority is raised if the new one is higher (lower
+ * number).
+ */
+export async function enqueueEmbedding({ entity, priority = EMBEDDING_PRIORITIES.normal, client = null }) {
+  if (!EMBEDDED_ENTITY_TYPES.includes(entity.entity_type)) {
+    return null;
+  }
+
+  const executor = client || db;
+
+  const result = await executor.query(
+    `INSERT INTO embedding_queue (tenant_id, resource_type, resource_id, priority)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (resource_id) WHERE status IN ('pending', 'processing')
+     DO UPDATE SET priority = LEAST(embedding_queue.priority, EXCLUDED.priority)
+     RETURNING *`,
+    [entity.tenant_id, entity.entity_type, entity.id, priority]
+  );
+
+  return result.rows[0];
+}
+
 /**
  * Log an event to the event sourcing table
  */
@@ -0,0 +1,85 @@
+/**
+ * Server-Sent Events helpers
+ * Writing SSE responses to clients and reading SSE streams from upstream
+ * providers (`event:` / `data:` fields, blank-line separated).
+ */
+
+/**
+ * Switch a response into SSE mode
+ *
+ * @param {Object} res - HTTP response
+ */
+export function openSseStream(res) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx)
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+}
+
+/**
+ * Write one SSE event with a JSON payload
+ *
+ * @param {Object} res - HTTP response opened with openSseStream
+ * @param {string} event - Event name
+ * @param {Object} data - Payload (serialized as JSON)
+ */
+export function writeSseEvent(res, event, data) {
+  if (res.writableEnded) return;
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Read SSE events from a fetch response body
+ *
+ * @param {ReadableStream} body - Response body
+ * @yields {{event: string, data: string}} Events; `data` lines are joined with newlines
+ */
+export async function* readSseEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let event = 'message';
+  let data = [];
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newline;
+    while ((newline = buffer.search(/\r?\n/)) !== -1) {
+      const line = buffer.slice(0, newline);
+      buffer = buffer.slice(buffer[newline] === '\r' ? newline + 2 : newline + 1);
+
+      if (line === '') {
+        if (data.length > 0) {
+          yield { event, data: data.join('\n') };
+        }
+        event = 'message';
+        data = [];
+        continue;
+      }
+
+      if (line.startsWith(':')) continue;
+
+      const colon = line.indexOf(':');
+      const field = colon === -1 ? line : line.slice(0, colon);
+      const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        data.push(value);
+      }
+    }
+  }
+
+  // Stream ended without a trailing blank line
+  if (buffer.startsWith('data:')) {
+    data.push(buffer.slice(5).replace(/^ /, ''));
+  }
+
+  if (data.length > 0) {
+    yield { event, data: data.join('\n') };
+  }
+}
@@ -4,6 +4,10 @@
  */
 
 import { db } from './database.js';
+import { estimateTokens } from '../services/ai/tokenizer.js';
+import { calculateCost } from '../services/ai/catalog.js';
+
+const VALID_OPERATIONS = ['template', 'context', 'ai_suggestion', 'api_call', 'other'];
 
 /**
  * Log token usage for a user operation
@@ -15,7 +19,8 @@ import { db } from './database.js';
  * @param {number} usage.outputTokens - Output tokens used
  * @param {boolean} [usage.success=true] - Whether operation succeeded
  * @param {string} [usage.errorMessage] - Error message if failed
- * @param {Object} [usage.metadata={}] - Additional metadata
+ * @param {Object} [usage.metadata={}] - Additional metadata; `costUsd`, or `model`
+ *   (and `provider`) to price the tokens from the model catalog
  * @returns {Promise<Object>} Usage record
  */
 export async function logTokenUsage(userId, usage) {
@@ -31,14 +36,11 @@ export async function logTokenUsage(userId, usage) {
     } = usage;
 
     // Validate operation type
-    const validOperations = ['template', 'context', 'ai_suggestion', 'api_call', 'other'];
-    if (!validOperations.includes(operationType)) {
+    if (!VALID_OPERATIONS.includes(operationType)) {
       throw new Error(`Invalid operation type: ${operationType}`);
     }
 
-    // Calculate cost (example pricing: $0.00001 per token)
-    const totalTokens = inputTokens + outputTokens;
-    const costUsd = (totalTokens * 0.00001).toFixed(6);
+    const costUsd = (await usageCost(inputTokens, outputTokens, metadata)).toFixed(6);
 
     const result = await db.query(
       `INSERT INTO token_usage (
@@ -254,14 +256,15 @@ export async function checkFeatureAccess(userId, featureName) {
 }
 
 /**
- * Estimate token count from text (rough estimate)
+ * Estimate token count from text
+ * Uses the model's tokenizer once loaded, a heuristic until then
+ * (see services/ai/tokenizer.js).
  * @param {string} text - Text to estimate
+ * @param {string} [modelId] - Model whose tokenizer applies (default tokenizer otherwise)
  * @returns {number} Estimated token count
  */
-export function estimateTokenCount(text) {
-  if (!text) return 0;
-  // Rough estimate: 1 token ≈ 4 characters for English text
-  return Math.ceil(text.length / 4);
+export function estimateTokenCount(text, modelId) {
+  return estimateTokens(text, { modelId });
 }
 
 /**
@@ -275,17 +278,103 @@ export function calculateTokenCost(tokens, ratePerToken = 0.00001) {
 }
 
 /**
- * Middleware to check token limits before operation
- * Usage: Add to API routes that consume tokens
+ * Check the user's tier limit on AI calls per day (calendar day, UTC)
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} { allowed, callsToday, dailyLimit, retryAfterSeconds }
+ */
+export async function checkDailyCallLimit(userId) {
+  try {
+    const result = await db.query(
+      `SELECT
+        st.max_api_calls_per_day AS daily_limit,
+        (SELECT COUNT(*) FROM token_usage tu
+         WHERE tu.user_id = u.id
+           AND NOT COALESCE((tu.metadata->>'cached')::boolean, false)
+           AND tu.created_at >= date_trunc('day', NOW() AT TIME ZONE 'UTC') AT TIME ZONE 'UTC')::int AS calls_today
+      FROM users u
+      JOIN subscription_tiers st ON u.current_tier = st.id
+      WHERE u.id = $1`,
+      [userId]
+    );
+
+    const row = result.rows[0];
+    if (!row || row.daily_limit === null) {
+      return { allowed: true, dailyLimit: null };
+    }
+
+    const nextDay = new Date();
+    nextDay.setUTCHours(24, 0, 0, 0);
+
+    return {
+      allowed: row.calls_today < row.daily_limit,
+      callsToday: row.calls_today,
+      dailyLimit: row.daily_limit,
+      retryAfterSeconds: Math.ceil((nextDay - Date.now()) / 1000)
+    };
+  } catch (err) {
+    console.error('Daily call limit check error:', err);
+    // Fail open to avoid blocking users
+    return {
+      allowed: true,
+      error: err.message
+    };
+  }
+}
+
+/**
+ * Check token and call limits before an operation
+ * Usage: Add to API routes that consume tokens. Exhausted budgets (and
+ * estimates larger than what is left) get status 402, the daily call limit 429.
+ * @param {string} userId - User ID
+ * @param {Object} [options]
+ * @param {number} [options.estimatedTokens=0] - Tokens the operation may use (prompt + max output)
+ * @returns {Promise<Object>} { allowed, remaining, ... } or { allowed: false, error, status, code, details }
  */
-export async function enforceTokenLimit(userId) {
+export async function enforceTokenLimit(userId, { estimatedTokens = 0 } = {}) {
   const limitStatus = await checkTokenLimit(userId);
 
+  const details = {
+    currentTokens: limitStatus.currentTokens,
+    monthlyLimit: limitStatus.monthlyLimit,
+    remaining: limitStatus.remaining,
+    estimatedTokens,
+    tierName: limitStatus.tierName
+  };
+
   if (limitStatus.limitExceeded) {
     return {
       allowed: false,
       error: limitStatus.message,
-      status: 403
+      status: 402,
+      code: 'TOKEN_LIMIT_EXCEEDED',
+      details
+    };
+  }
+
+  if (limitStatus.remaining != null && estimatedTokens > limitStatus.remaining) {
+    return {
+      allowed: false,
+      error: `This request may use up to ${estimatedTokens} tokens but only ${limitStatus.remaining} remain this month. Lower maxTokens or upgrade your plan.`,
+      status: 402,
+      code: 'TOKEN_BUDGET_INSUFFICIENT',
+      details
+    };
+  }
+
+  const callStatus = await checkDailyCallLimit(userId);
+
+  if (!callStatus.allowed) {
+    return {
+      allowed: false,
+      error: `Daily AI call limit reached (${callStatus.callsToday}/${callStatus.dailyLimit}). Try again tomorrow or upgrade your plan.`,
+      status: 429,
+      code: 'DAILY_CALL_LIMIT_EXCEEDED',
+      details: {
+        callsToday: callStatus.callsToday,
+        dailyLimit: callStatus.dailyLimit,
+        retryAfterSeconds: callStatus.retryAfterSeconds,
+        tierName: limitStatus.tierName
+      }
     };
   }
 
@@ -324,8 +413,7 @@ export async function batchLogTokenUsage(userId, usages) {
         metadata = {}
       } = usage;
 
-      const totalTokens = inputTokens + outputTokens;
-      const costUsd = (totalTokens * 0.00001).toFixed(6);
+      const costUsd = (await usageCost(inputTokens, outputTokens, metadata)).toFixed(6);
 
       values.push(
         `($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, $${paramIndex + 4}, $${paramIndex + 5}, $${paramIndex + 6}, $${paramIndex + 7}, $${paramIndex + 8})`
@@ -368,3 +456,18 @@ export async function batchLogTokenUsage(userId, usages) {
     };
   }
 }
+
+/**
+ * Cost of logged usage: the caller's `costUsd`, else the catalog price of `model`
+ */
+async function usageCost(inputTokens, outputTokens, metadata = {}) {
+  if (Number.isFinite(metadata.costUsd)) {
+    return metadata.costUsd;
+  }
+
+  if (!metadata.model) {
+    return 0;
+  }
+
+  return calculateCost(metadata.model, inputTokens, outputTokens, { provider: metadata.provider || null });
+}